@@ -2,107 +2,355 @@
  * Portfolio Application Logic
  * 
  * This script handles the fetching of dynamic content from 'content.json'
- * and renders it into the DOM. It assumes specific ID targets exist in the HTML.
+ * and renders it into the DOM. The page sections are laid out by js/sections.js;
+ * their renderers fill the element IDs of the section markup.
  */
 
+/**
+ * Base content, its schema, cached GitHub metadata, the posts, the locale
+ * currently shown and the content last rendered.
+ */
+const appState = {
+    base: null,
+    schema: null,
+    repos: null,
+    posts: [],
+    locale: null,
+    content: null
+};
+
 /**
  * Main entry point: Loads content from the JSON file and triggers rendering.
  * Called immediately when the script executes.
  */
 async function loadContent() {
     try {
-        // Fetch the JSON file containing all portfolio data
-        const response = await fetch('content.json');
+        // Fetch the JSON file containing all portfolio data, plus its schema
+        const [data, schema] = await Promise.all([
+            fetchJson('content.json'),
+            fetchJson('content.schema.json').catch(error => {
+                console.warn('Could not load content schema, skipping validation:', error);
+                return null;
+            })
+        ]);
+
+        appState.base = data;
+        appState.schema = schema;
+        appState.repos = await loadRepoCache(data);
+        appState.posts = await loadPosts(data);
+
+        // Edit mode (?edit) renders the draft, in the language being edited
+        const editing = isEditMode();
+        if (editing) startEditor();
+
+        // Pages from the static build already contain this locale's markup
+        const locale = editing ? getDefaultLocale(data.i18n) : detectLocale(data.i18n);
+        await showLocale(locale, false, !editing && document.documentElement.dataset.prerendered === locale);
+
+    } catch (error) {
+        console.error('Could not load content:', error);
+        if (window.location.protocol === 'file:') console.warn('Browsers block fetch() from file://; run node scripts/serve.js and open http://localhost:8000 instead.');
+        reportContentErrors([{ path: '', message: error.message }]);
+        renderLoadError();
+    }
+}
+
+/**
+ * Wording of the load error, which can't come from the content it failed to load.
+ */
+const LOAD_ERROR_LABELS = {
+    message: 'The portfolio could not be loaded. Check your connection and try again.',
+    retry: 'Try again'
+};
+
+/**
+ * Replaces an empty page with a notice and a retry button when the content
+ * can't be loaded (e.g. offline before the service worker saved a copy).
+ * Pages from the static build keep their markup.
+ */
+function renderLoadError() {
+    const main = document.getElementById('sections');
+    if (!main || document.documentElement.dataset.prerendered) return;
+
+    main.innerHTML = `
+        <section class="min-h-[60vh] flex flex-col items-center justify-center gap-6 px-6 text-center">
+            <span class="material-symbols-outlined text-5xl text-slate-400" aria-hidden="true">cloud_off</span>
+            <p class="max-w-md text-slate-600 dark:text-slate-400">${escapeHtml(LOAD_ERROR_LABELS.message)}</p>
+            <button type="button" id="load-retry" class="px-5 py-2.5 rounded-lg text-sm font-bold bg-primary hover:bg-primary/90 text-white transition-colors">${escapeHtml(LOAD_ERROR_LABELS.retry)}</button>
+        </section>
+    `;
+    document.getElementById('load-retry').onclick = () => window.location.reload();
+}
+
+/**
+ * Renders the content for a locale, without reloading the page.
+ * @param {string} locale - Locale code.
+ * @param {boolean} persist - Whether to remember it as the visitor's choice.
+ * @param {boolean} [prerendered=false] - Whether the page already shows this locale's markup.
+ */
+async function showLocale(locale, persist, prerendered = false) {
+    const content = applyRepoMetadata(await getLocalizedContent(appState.base, locale), appState.repos);
+    appState.locale = locale;
+    setDocumentLocale(locale, persist);
+    renderContent(content, prerendered);
+}
+
+/**
+ * Validates content and runs every section renderer.
+ * Safe to call again (e.g. after a language change).
+ * @param {Object} data - Localized content.
+ * @param {boolean} [prerendered=false] - Only attach behaviour to markup from the static build.
+ * @param {Object} [previous] - Content rendered before (live reload): sections
+ * whose data didn't change keep their markup.
+ */
+function renderContent(data, prerendered = false, previous = null) {
+    // Validate before rendering; sections with problems are left out
+    const errors = appState.schema ? validateContent(data, appState.schema) : [];
+    const invalid = getInvalidSections(errors);
+    const valid = {};
+    Object.keys(data).forEach(key => {
+        if (!invalid.has(key)) valid[key] = data[key];
+    });
 
-        // Check for network errors
-        if (!response.ok) {
-            throw new Error(`HTTP error! status: ${response.status}`);
+    // Periods, durations, order and {{placeholders}} follow from the dates
+    const content = prepareContent(valid, appState.locale);
+    const sections = getPageSections(content);
+
+    // Render each part of the portfolio. A failing renderer must not stop
+    // the others, so each one is isolated. The skill registry comes before
+    // the sections, which look skills up.
+    const renderers = prerendered ? {
+        theme: () => renderTheme(content.theme),
+        i18n: () => setupLocalePicker(locale => showLocale(locale, true)),
+        site: () => setupSiteNav(content.site),
+        skills: () => setupSkills(content.skills, content),
+        ...getSectionRenderers(sections, content, true),
+        analytics: () => renderAnalytics(content.analytics),
+        pwa: () => renderPwa(content.pwa)
+    } : {
+        theme: () => renderTheme(content.theme),
+        i18n: () => renderLocalePicker(content.i18n, appState.locale, locale => showLocale(locale, true)),
+        site: () => renderSite(content.site, content.profile, sections),
+        meta: () => renderMeta(content, appState.locale),
+        sections: () => renderSectionLayout(sections),
+        skills: () => setupSkills(content.skills, content),
+        ...getSectionRenderers(sections, content, false, previous),
+        footer: () => renderFooter(content.footer),
+        resume: () => renderResume(content),
+        analytics: () => renderAnalytics(content.analytics),
+        pwa: () => renderPwa(content.pwa)
+    };
+    Object.keys(renderers).forEach(section => {
+        try {
+            renderers[section]();
+        } catch (error) {
+            console.error(`Could not render ${section}:`, error);
+            errors.push({ path: section, message: `failed to render: ${error.message}` });
         }
+    });
 
-        // Parse JSON response
-        const data = await response.json();
+    appState.content = content;
 
-        // Render each section of the portfolio
-        renderSite(data.site, data.profile);
-        renderProfile(data.profile);
-        renderTerminal(data.terminal);
-        renderEducation(data.education);
-        renderExperience(data.experience);
-        renderSkills(data.skills);
-        renderProjects(data.projects);
-        renderContact(data.contact, data.profile);
-        renderFooter(data.footer);
-        renderAnalytics(data.analytics);
+    // Setup Scroll Animations and Dot Navigation
+    setupScrollSystem();
 
-        // Setup Scroll Animations and Dot Navigation
-        setupScrollSystem();
+    reportContentErrors(errors);
+}
 
-    } catch (error) {
-        console.error('Could not load content:', error);
+/**
+ * Fetches and parses a JSON file.
+ * @param {string} url - File to fetch.
+ * @returns {Promise<Object>} Parsed JSON.
+ */
+async function fetchJson(url) {
+    const response = await fetch(url);
+
+    // Check for network errors
+    if (!response.ok) {
+        throw new Error(`HTTP error! status: ${response.status}`);
     }
+
+    return response.json();
 }
 
+/**
+ * Logs content problems and, in development mode, lists them on the page.
+ * @param {Object[]} errors - `{ path, message }` entries.
+ */
+function reportContentErrors(errors) {
+    if (isDevMode()) renderErrorPanel(errors);
+    if (!errors.length) return;
+
+    console.warn(`content.json has ${errors.length} problem(s):\n` + errors.map(err => `  ${err.path || '(root)'}: ${err.message}`).join('\n'));
+}
+
+/**
+ * Default wording of the navigation controls, overridden by `site.labels`.
+ */
+const SITE_LABELS = {
+    skip_link: 'Skip to content',
+    nav: 'Main',
+    section_nav: 'Sections',
+    menu_open: 'Open menu',
+    menu_close: 'Close menu',
+    back_to_top: 'Back to top'
+};
+
+/**
+ * Labels of the navigation controls (the menu button's changes as it opens).
+ */
+const siteNavState = {
+    labels: SITE_LABELS
+};
+
 /**
  * Renders global site elements (Title, Logo, Navigation).
+ * The menus and dot navigation list the sections that have a `nav` label.
  * @param {Object} site - Site data object.
  * @param {Object} profile - Profile data object.
+ * @param {Object[]} sections - Page sections.
  */
-function renderSite(site, profile) {
+function renderSite(site, profile, sections) {
     if (!site) return;
 
+    const labels = { ...SITE_LABELS, ...site.labels };
+
     // Set Browser Title and Logo
     document.getElementById('site-title').innerText = site.title;
     document.getElementById('site-logo').innerText = site.logo;
 
+    // Skip link, landmarks and icon-only controls
+    document.getElementById('skip-link').innerText = labels.skip_link;
+    document.getElementById('nav-links').setAttribute('aria-label', labels.nav);
+    document.getElementById('mobile-nav-links').setAttribute('aria-label', labels.nav);
+    document.getElementById('dot-nav').setAttribute('aria-label', labels.section_nav);
+    document.getElementById('back-to-top').setAttribute('aria-label', labels.back_to_top);
+
+    const nav = sections.filter(section => section.nav);
+
     // Render Desktop Navigation Links
-    const navHtml = site.nav.map(link => `
-        <a class="text-sm font-medium hover:text-primary transition-colors" href="${link.url}">${link.name}</a>
+    const navHtml = nav.map(section => `
+        <a class="text-sm font-medium hover:text-primary transition-colors" href="#${escapeHtml(section.id)}">${escapeHtml(section.nav)}</a>
     `).join('');
     document.getElementById('nav-links').innerHTML = navHtml;
 
     // Render Mobile Navigation Links
-    const mobileNavHtml = site.nav.map(link => `
-        <a class="text-lg font-medium hover:text-primary transition-colors py-2 border-b border-slate-100 dark:border-slate-800 last:border-0" href="${link.url}" onclick="toggleMenu()">${link.name}</a>
+    const mobileNavHtml = nav.map(section => `
+        <a class="text-lg font-medium hover:text-primary transition-colors py-2 border-b border-slate-100 dark:border-slate-800 last:border-0" href="#${escapeHtml(section.id)}">${escapeHtml(section.nav)}</a>
     `).join('');
     document.getElementById('mobile-nav-links').innerHTML = mobileNavHtml;
 
-    // Render Dot Navigation
-    const dotNav = document.getElementById('dot-nav');
-    if (dotNav) {
-        dotNav.innerHTML = site.nav.map(link => {
-            const id = link.url === '#' ? 'home' : link.url.replace('#', '');
-            return `<div class="dot" data-id="${id}" data-label="${link.name}" onclick="document.getElementById('${id}').scrollIntoView({behavior: 'smooth'})"></div>`;
-        }).join('');
-    }
+    // Render Dot Navigation (links, so they work from the keyboard too)
+    document.getElementById('dot-nav').innerHTML = nav.map(section => `
+        <a class="dot" href="#${escapeHtml(section.id)}" data-id="${escapeHtml(section.id)}" data-label="${escapeHtml(section.nav)}" aria-label="${escapeHtml(section.nav)}"></a>
+    `).join('');
 
     // Navbar Resume Links
     if (profile && profile.resume_url) {
-        document.getElementById('nav-resume-link').href = profile.resume_url;
+        document.getElementById('nav-resume-link').href = safeUrl(profile.resume_url);
         document.getElementById('nav-resume-link').setAttribute('download', '');
-        document.getElementById('nav-resume-text').innerText = "Resume";
+        document.getElementById('nav-resume-text').innerText = profile.resume_label || "Resume";
     }
 
-    // Setup Menu Toggle
-    const menuToggle = document.getElementById('menu-toggle');
-    const mobileMenu = document.getElementById('mobile-menu');
+    setupSiteNav(site);
+}
 
-    window.toggleMenu = () => {
-        mobileMenu.classList.toggle('hidden');
-        const icon = menuToggle.querySelector('.material-symbols-outlined');
-        icon.innerText = mobileMenu.classList.contains('hidden') ? 'menu' : 'close';
-    };
+/**
+ * Wires up the mobile menu (also for pre-rendered markup).
+ * @param {Object} site - Site data object (for the menu button labels).
+ */
+function setupSiteNav(site) {
+    siteNavState.labels = { ...SITE_LABELS, ...(site && site.labels) };
 
+    const menuToggle = document.getElementById('menu-toggle');
     menuToggle.onclick = (e) => {
         e.stopPropagation();
         toggleMenu();
     };
+    // Following a menu link closes the menu
+    document.getElementById('mobile-nav-links').onclick = (e) => {
+        if (e.target.closest('a')) setMenuOpen(false, false);
+    };
+    setMenuOpen(isMenuOpen(), false);
 
-    // Close menu when clicking outside
-    document.addEventListener('click', (e) => {
-        if (!mobileMenu.classList.contains('hidden') && !mobileMenu.contains(e.target) && !menuToggle.contains(e.target)) {
-            toggleMenu();
-        }
-    });
+    // Same function references, so re-rendering doesn't stack listeners
+    document.addEventListener('click', closeMenuOnOutsideClick);
+    document.addEventListener('keydown', handleMenuKeydown);
+}
+
+/**
+ * Whether the mobile menu is open.
+ * @returns {boolean} Open state.
+ */
+function isMenuOpen() {
+    return !document.getElementById('mobile-menu').classList.contains('hidden');
+}
+
+/**
+ * Opens or closes the mobile menu. Opening moves focus to its first link;
+ * closing can hand focus back to the menu button.
+ * @param {boolean} open - Whether to open it.
+ * @param {boolean} [restoreFocus=true] - Focus the menu button after closing.
+ */
+function setMenuOpen(open, restoreFocus = true) {
+    const menuToggle = document.getElementById('menu-toggle');
+    const mobileMenu = document.getElementById('mobile-menu');
+    const wasOpen = isMenuOpen();
+
+    mobileMenu.classList.toggle('hidden', !open);
+    menuToggle.setAttribute('aria-expanded', String(open));
+    menuToggle.setAttribute('aria-label', open ? siteNavState.labels.menu_close : siteNavState.labels.menu_open);
+    menuToggle.querySelector('.material-symbols-outlined').innerText = open ? 'close' : 'menu';
+
+    if (open && !wasOpen) {
+        const first = mobileMenu.querySelector('a');
+        if (first) first.focus();
+    } else if (!open && wasOpen && restoreFocus) {
+        menuToggle.focus();
+    }
+}
+
+/**
+ * Opens the mobile menu, or closes it.
+ */
+function toggleMenu() {
+    setMenuOpen(!isMenuOpen());
+}
+
+/**
+ * Keeps keyboard focus in the open menu: Tab cycles through the menu button
+ * and the links, and Escape closes it.
+ * @param {KeyboardEvent} e - Keydown event.
+ */
+function handleMenuKeydown(e) {
+    if (!isMenuOpen()) return;
+
+    if (e.key === 'Escape') {
+        e.preventDefault();
+        setMenuOpen(false);
+        return;
+    }
+    if (e.key !== 'Tab') return;
+
+    const focusable = [document.getElementById('menu-toggle'), ...document.querySelectorAll('#mobile-nav-links a')];
+    const index = focusable.indexOf(document.activeElement);
+    const next = index === -1
+        ? focusable[e.shiftKey ? focusable.length - 1 : 0]
+        : focusable[(index + (e.shiftKey ? -1 : 1) + focusable.length) % focusable.length];
+    e.preventDefault();
+    next.focus();
+}
+
+/**
+ * Closes the mobile menu when a click lands outside of it.
+ * @param {MouseEvent} e - Click event.
+ */
+function closeMenuOnOutsideClick(e) {
+    const menuToggle = document.getElementById('menu-toggle');
+    const mobileMenu = document.getElementById('mobile-menu');
+    if (isMenuOpen() && !mobileMenu.contains(e.target) && !menuToggle.contains(e.target)) {
+        setMenuOpen(false, false);
+    }
 }
 
 /**
@@ -119,9 +367,9 @@ function renderProfile(profile) {
 
         // LinkedIn Button
         if (profile.linkedin_url) {
-            actions += `<a class="group flex items-center gap-3 bg-white dark:bg-surface-dark border border-slate-200 dark:border-slate-800 px-4 py-2 rounded-xl hover:border-primary/50 transition-all shadow-sm" href="${profile.linkedin_url}" target="_blank">
+            actions += `<a class="group flex items-center gap-3 bg-white dark:bg-surface-dark border border-slate-200 dark:border-slate-800 px-4 py-2 rounded-xl hover:border-primary/50 transition-all shadow-sm" href="${escapeHtml(safeUrl(profile.linkedin_url))}" target="_blank" rel="noopener noreferrer" data-track="social_link_click" data-track-network="LinkedIn" data-track-location="hero">
                 <div class="size-8 bg-slate-50 dark:bg-slate-900 rounded-lg flex items-center justify-center group-hover:text-primary transition-colors text-slate-600 dark:text-slate-400">
-                    <svg class="size-5 fill-current" viewBox="0 0 24 24"><path d="M19 0h-14c-2.761 0-5 2.239-5 5v14c0 2.761 2.239 5 5 5h14c2.762 0 5-2.239 5-5v-14c0-2.761-2.238-5-5-5zm-11 19h-3v-11h3v11zm-1.5-12.268c-.966 0-1.75-.79-1.75-1.764s.784-1.764 1.75-1.764 1.75.79 1.75 1.764-.783 1.764-1.75 1.764zm13.5 12.268h-3v-5.604c0-3.368-4-3.113-4 0v5.604h-3v-11h3v1.765c1.396-2.586 7-2.777 7 2.476v6.759z"></path></svg>
+                    <svg class="size-5 fill-current" viewBox="0 0 24 24" aria-hidden="true"><path d="M19 0h-14c-2.761 0-5 2.239-5 5v14c0 2.761 2.239 5 5 5h14c2.762 0 5-2.239 5-5v-14c0-2.761-2.238-5-5-5zm-11 19h-3v-11h3v11zm-1.5-12.268c-.966 0-1.75-.79-1.75-1.764s.784-1.764 1.75-1.764 1.75.79 1.75 1.764-.783 1.764-1.75 1.764zm13.5 12.268h-3v-5.604c0-3.368-4-3.113-4 0v5.604h-3v-11h3v1.765c1.396-2.586 7-2.777 7 2.476v6.759z"></path></svg>
                 </div>
                 <span class="font-bold text-sm text-slate-900 dark:text-white">LinkedIn</span>
             </a>`;
@@ -129,9 +377,9 @@ function renderProfile(profile) {
 
         // GitHub Button
         if (profile.github_url) {
-            actions += `<a class="group flex items-center gap-3 bg-white dark:bg-surface-dark border border-slate-200 dark:border-slate-800 px-4 py-2 rounded-xl hover:border-primary/50 transition-all shadow-sm" href="${profile.github_url}" target="_blank">
+            actions += `<a class="group flex items-center gap-3 bg-white dark:bg-surface-dark border border-slate-200 dark:border-slate-800 px-4 py-2 rounded-xl hover:border-primary/50 transition-all shadow-sm" href="${escapeHtml(safeUrl(profile.github_url))}" target="_blank" rel="noopener noreferrer" data-track="social_link_click" data-track-network="GitHub" data-track-location="hero">
                 <div class="size-8 bg-slate-50 dark:bg-slate-900 rounded-lg flex items-center justify-center group-hover:text-primary transition-colors text-slate-600 dark:text-slate-400">
-                    <svg class="size-5 fill-current" viewBox="0 0 24 24"><path d="M12 0c-6.626 0-12 5.373-12 12 0 5.302 3.438 9.8 8.207 11.387.599.111.793-.261.793-.577v-2.234c-3.338.726-4.033-1.416-4.033-1.416-.546-1.387-1.333-1.756-1.333-1.756-1.089-.745.083-.729.083-.729 1.205.084 1.839 1.237 1.839 1.237 1.07 1.834 2.807 1.304 3.492.997.107-.775.418-1.305.762-1.604-2.665-.305-5.467-1.334-5.467-5.931 0-1.311.469-2.381 1.236-3.221-.124-.303-.535-1.524.117-3.176 0 0 1.008-.322 3.301 1.23.957-.266 1.983-.399 3.003-.404 1.02.005 2.047.138 3.006.404 2.291-1.552 3.297-1.23 3.297-1.23.653 1.653.242 2.874.118 3.176.77.84 1.235 1.911 1.235 3.221 0 4.609-2.807 5.624-5.479 5.921.43.372.823 1.102.823 2.222v3.293c0 .319.192.694.801.576 4.765-1.589 8.199-6.086 8.199-11.386 0-6.627-5.373-12-12-12z"></path></svg>
+                    <svg class="size-5 fill-current" viewBox="0 0 24 24" aria-hidden="true"><path d="M12 0c-6.626 0-12 5.373-12 12 0 5.302 3.438 9.8 8.207 11.387.599.111.793-.261.793-.577v-2.234c-3.338.726-4.033-1.416-4.033-1.416-.546-1.387-1.333-1.756-1.333-1.756-1.089-.745.083-.729.083-.729 1.205.084 1.839 1.237 1.839 1.237 1.07 1.834 2.807 1.304 3.492.997.107-.775.418-1.305.762-1.604-2.665-.305-5.467-1.334-5.467-5.931 0-1.311.469-2.381 1.236-3.221-.124-.303-.535-1.524.117-3.176 0 0 1.008-.322 3.301 1.23.957-.266 1.983-.399 3.003-.404 1.02.005 2.047.138 3.006.404 2.291-1.552 3.297-1.23 3.297-1.23.653 1.653.242 2.874.118 3.176.77.84 1.235 1.911 1.235 3.221 0 4.609-2.807 5.624-5.479 5.921.43.372.823 1.102.823 2.222v3.293c0 .319.192.694.801.576 4.765-1.589 8.199-6.086 8.199-11.386 0-6.627-5.373-12-12-12z"></path></svg>
                 </div>
                 <span class="font-bold text-sm text-slate-900 dark:text-white">GitHub</span>
             </a>`;
@@ -146,13 +394,13 @@ function renderProfile(profile) {
                 <span class="animate-ping absolute inline-flex h-full w-full rounded-full bg-primary opacity-75"></span>
                 <span class="relative inline-flex rounded-full h-2 w-2 bg-primary"></span>
             </span>
-            ${profile.availability}
+            ${escapeHtml(profile.availability)}
         </div>
         <h1 class="text-5xl lg:text-7xl font-black tracking-tight leading-tight text-slate-900 dark:text-white">
-            ${profile.title_prefix || "Software"} <span class="text-primary">${profile.role_highlight || "Architect"}</span> ${profile.title_suffix || "&amp; Engineer."}
+            ${escapeHtml(profile.title_prefix ?? "Software")} <span class="text-primary">${escapeHtml(profile.role_highlight ?? "Architect")}</span> ${escapeHtml(profile.title_suffix ?? "& Engineer.")}
         </h1>
         <p class="text-lg text-slate-600 dark:text-slate-400 max-w-lg leading-relaxed">
-            ${profile.hero_text}
+            ${sanitizeHtml(profile.hero_text)}
         </p>
         ${actions}
     `;
@@ -161,40 +409,6 @@ function renderProfile(profile) {
     document.getElementById('hero-content').innerHTML = html;
 }
 
-/**
- * Renders the "Terminal" styled card content.
- * @param {Object} term - The terminal data object.
- */
-function renderTerminal(term) {
-    if (!term) return;
-
-    // Set terminal title bar text
-    document.getElementById('terminal-title').innerText = `${term.user} — ${term.machine} — ${term.dimensions}`;
-
-    // Create HTML for initialization messages
-    const messages = term.init_messages.map(msg =>
-        `<p class="${msg.style}">${msg.text}</p>`
-    ).join('');
-
-    // Create the "JSON response" block
-    const bioBlock = `
-        <p class="pt-2"><span class="text-primary">➜</span> <span class="text-cyan-600 dark:text-cyan-400">~</span> ${term.bio_command}</p>
-        <pre class="text-amber-700 dark:text-amber-200">${JSON.stringify(term.bio_json, null, 2)}</pre>
-    `;
-
-    // Blinking cursor effect
-    const cursor = `
-         <p class="pt-2 flex items-center gap-1">
-            <span class="text-primary">➜</span> <span class="text-cyan-600 dark:text-cyan-400">~</span>
-            <span class="w-2 h-4 bg-slate-400 animate-pulse"></span>
-        </p>
-    `;
-
-    const initCmd = `<p><span class="text-primary">➜</span> <span class="text-cyan-600 dark:text-cyan-400">~</span> ${term.init_command}</p>`;
-
-    document.getElementById('terminal-body').innerHTML = initCmd + messages + bioBlock + cursor;
-}
-
 /**
  * Renders Education and Certification sections.
  * @param {Object} edu - Education data object.
@@ -208,17 +422,17 @@ function renderEducation(edu) {
     const degreesHtml = edu.degrees.map(d => `
         <div class="relative flex items-start group">
             <div class="absolute left-0 top-0 size-10 rounded-full bg-slate-200 dark:bg-slate-800 border-4 border-white dark:border-background-dark flex items-center justify-center z-10 group-hover:bg-primary group-hover:shadow-lg transition-all duration-300">
-                <span class="material-symbols-outlined text-slate-500 dark:text-slate-400 text-sm group-hover:text-white transition-colors">school</span>
+                <span class="material-symbols-outlined text-slate-500 dark:text-slate-400 text-sm group-hover:text-white transition-colors" aria-hidden="true">school</span>
             </div>
             
             <div class="flex-1 pl-12 text-left">
                 <div>
-                    <h4 class="text-xl font-bold text-slate-900 dark:text-white group-hover:text-primary transition-colors">${d.degree}</h4>
-                    <p class="text-primary font-mono font-medium">${d.school}</p>
-                    <p class="text-slate-500 text-sm mt-1">${d.year}</p>
+                    <h3 class="text-xl font-bold text-slate-900 dark:text-white group-hover:text-primary transition-colors">${escapeHtml(d.degree)}</h3>
+                    <p class="text-primary font-mono font-medium">${escapeHtml(d.school)}</p>
+                    <p class="text-slate-500 text-sm mt-1">${escapeHtml(d.year)}</p>
                 </div>
                 <ul class="text-sm text-slate-600 dark:text-slate-400 space-y-1 list-disc list-inside mt-2">
-                    ${d.details.map(i => `<li>${i}</li>`).join('')}
+                    ${d.details.map(i => `<li>${sanitizeHtml(i)}</li>`).join('')}
                 </ul>
             </div>
         </div>
@@ -236,8 +450,8 @@ function renderEducation(edu) {
         document.getElementById('certs-heading').innerText = edu.certs_heading;
         const certsHtml = edu.certifications.map((c) => `
             <div class="flex items-center justify-between py-3 border-b border-slate-200 dark:border-slate-800 last:border-0">
-                <span class="font-medium text-slate-800 dark:text-slate-200">${c.name}</span>
-                <span class="text-xs font-mono text-slate-500 uppercase">${c.issued}</span>
+                <span class="font-medium text-slate-800 dark:text-slate-200">${escapeHtml(c.name)}</span>
+                <span class="text-xs font-mono text-slate-500 uppercase">${escapeHtml(c.issued)}</span>
             </div>
         `).join('');
         document.getElementById('education-certs').innerHTML = certsHtml;
@@ -248,7 +462,42 @@ function renderEducation(edu) {
 }
 
 /**
- * Renders the Experience timeline.
+ * Renders one role: title, period and length, description, achievements
+ * and the skills it used.
+ * @param {Object} job - Experience item.
+ * @param {number} index - Position in the sorted items (anchors `#experience-item-<index>`).
+ * @param {boolean} nested - Whether it is listed under its company's heading.
+ * @returns {string} Role HTML.
+ */
+function renderExperienceRole(job, index, nested) {
+    const period = [job.period, job.duration].filter(Boolean).join(' · ');
+    return `
+        <div id="experience-item-${index}" data-skills="${escapeHtml(getSkillIds(job.skills))}" class="${nested ? 'relative pl-5 border-l-2 border-slate-200 dark:border-slate-800' : ''}">
+            <div>
+                <h3 class="${nested ? 'text-lg' : 'text-xl'} font-bold text-slate-900 dark:text-white group-hover:text-primary transition-colors">${escapeHtml(job.role)}</h3>
+                ${nested ? '' : `<p class="text-primary font-mono font-medium">${sanitizeHtml(job.company)}</p>`}
+                <p class="text-slate-500 text-sm mt-1">${escapeHtml(period)}</p>
+            </div>
+            <p class="text-slate-600 dark:text-slate-400 text-sm leading-relaxed mt-2">
+                ${sanitizeHtml(job.description)}
+            </p>
+            ${job.highlights && job.highlights.length ? `
+                <ul class="text-sm text-slate-600 dark:text-slate-400 space-y-1 list-disc list-inside mt-2">
+                    ${job.highlights.map(h => `<li>${sanitizeHtml(h)}</li>`).join('')}
+                </ul>
+            ` : ''}
+            ${job.skills && job.skills.length ? `
+                <div class="flex flex-wrap gap-2 mt-3">
+                    ${job.skills.map(s => `<button type="button" data-skill="${escapeHtml(getSkillId(s))}" data-skill-name="${escapeHtml(s)}" aria-pressed="false" class="px-2 py-1 bg-slate-50 dark:bg-slate-800 text-slate-700 dark:text-slate-300 border border-slate-200 dark:border-slate-700 hover:border-primary/50 hover:text-primary aria-pressed:border-primary aria-pressed:text-primary text-[10px] font-mono font-bold rounded transition-colors">${escapeHtml(s)}</button>`).join('')}
+                </div>
+            ` : ''}
+        </div>
+    `;
+}
+
+/**
+ * Renders the Experience timeline, newest first. Several roles at the same
+ * company share one entry under the company's name (js/dates.js groups them).
  * @param {Object} exp - Experience data object.
  */
 function renderExperience(exp) {
@@ -256,127 +505,68 @@ function renderExperience(exp) {
 
     document.getElementById('exp-heading').innerText = exp.heading;
 
-    let html = '';
-    exp.items.forEach((job, index) => {
-        html += `
+    const groups = exp.groups || exp.items.map((job, index) => ({ company: job.company, roles: [{ job, index }] }));
+    const html = groups.map(group => {
+        const nested = group.roles.length > 1;
+        const icon = group.roles[0].job.icon || 'work';
+        const period = [group.period, group.duration].filter(Boolean).join(' · ');
+        return `
         <div class="relative flex items-start group">
             <div class="absolute left-0 top-0 size-10 rounded-full bg-slate-200 dark:bg-slate-800 border-4 border-white dark:border-background-dark flex items-center justify-center z-10 group-hover:bg-primary group-hover:shadow-lg transition-all duration-300">
-                <span class="material-symbols-outlined text-slate-500 dark:text-slate-400 text-sm group-hover:text-white transition-colors">
-                    ${job.icon}
+                <span class="material-symbols-outlined text-slate-500 dark:text-slate-400 text-sm group-hover:text-white transition-colors" aria-hidden="true">
+                    ${escapeHtml(icon)}
                 </span>
             </div>
             
-            <div class="flex-1 pl-12 text-left">
-                <div>
-                    <h3 class="text-xl font-bold text-slate-900 dark:text-white group-hover:text-primary transition-colors">${job.role}</h3>
-                    <p class="text-primary font-mono font-medium">${job.company}</p>
-                    <p class="text-slate-500 text-sm mt-1">${job.period}</p>
-                </div>
-                <p class="text-slate-600 dark:text-slate-400 text-sm leading-relaxed mt-2">
-                    ${job.description}
-                </p>
+            <div class="flex-1 pl-12 text-left ${nested ? 'space-y-6' : ''}">
+                ${nested ? `
+                    <div>
+                        <p class="text-xl font-bold text-primary font-mono">${sanitizeHtml(group.company)}</p>
+                        <p class="text-slate-500 text-sm mt-1">${escapeHtml(period)}</p>
+                    </div>
+                ` : ''}
+                ${group.roles.map(role => renderExperienceRole(role.job, role.index, nested)).join('')}
             </div>
         </div>
         `;
-    });
+    }).join('');
     document.getElementById('experience-list').innerHTML = html;
+    applySkillHighlight();
 }
 
 /**
- * Renders the Skills grid.
+ * Renders the Skills grid. Badges are buttons that highlight where each
+ * skill was used (js/skills.js, set up before the sections render).
  * @param {Object} skills - Skills data object.
  */
-/**
- * Helper to get icon HTML for a skill.
- */
-function getSkillIcon(skill) {
-    // We'll use devicon classes where possible, or high-quality material icons.
-    // To ensure "black and white", we use -plain or -line variants and avoid color classes.
-    const skillMap = {
-        'Python': '<i class="devicon-python-plain"></i>',
-        'JavaScript': '<i class="devicon-javascript-plain"></i>',
-        'TypeScript': '<i class="devicon-typescript-plain"></i>',
-        'Java': '<i class="devicon-java-plain"></i>',
-        'SQL': '<i class="devicon-mysql-plain"></i>', // Common representation for SQL
-        'React': '<i class="devicon-react-original"></i>',
-        'Next': '<i class="devicon-nextjs-plain"></i>',
-        'Node': '<i class="devicon-nodejs-plain"></i>',
-        'Express': '<i class="devicon-express-original"></i>',
-        'Jest': '<i class="devicon-jest-plain"></i>',
-        'Selenium': '<i class="devicon-selenium-original"></i>',
-        'GitLab': '<i class="devicon-gitlab-plain"></i>',
-        'Jenkins': '<i class="devicon-jenkins-line"></i>',
-        'Docker': '<i class="devicon-docker-plain"></i>',
-        'REST APIs': '<span class="material-symbols-outlined text-[18px]">api</span>',
-        'CI/CD': '<span class="material-symbols-outlined text-[18px]">all_inclusive</span>', // Loop icon common for CI/CD
-        'JUnit': '<i class="devicon-junit-plain"></i>',
-        'Splunk': `<svg class="size-4 fill-current" viewBox="0 0 64 64" xmlns="http://www.w3.org/2000/svg">
-            <path d="M5.396 11.93V0l53.207 26.698V37.49L5.396 64V52.26L46.675 32z" />
-        </svg>`
-    };
-
-    // Note: CSS will handle the "Black and White" requirement by making all icons slate/neutral.
-    return skillMap[skill] || '<span class="material-symbols-outlined text-[18px]">terminal</span>';
-}
-
 function renderSkills(skills) {
     if (!skills) return;
 
     document.getElementById('skills-heading').innerText = skills.heading;
     document.getElementById('skills-desc').innerText = skills.description;
 
+    const labels = skills.labels || {};
     const html = skills.categories.map(cat => `
         <div class="space-y-4">
             <h3 class="text-sm font-bold font-mono text-primary uppercase tracking-widest flex items-center gap-2">
-                <span class="material-symbols-outlined text-lg">${cat.icon}</span> ${cat.category}
+                <span class="material-symbols-outlined text-lg" aria-hidden="true">${escapeHtml(cat.icon)}</span> ${escapeHtml(cat.category)}
             </h3>
             <div class="flex flex-wrap gap-3">
-                ${cat.items.map(s => `
-                    <div class="skill-badge">
-                        ${getSkillIcon(s)}
-                        ${s}
-                    </div>
-                `).join('')}
+                ${cat.items.map(s => {
+                    const details = getSkillDetails(findSkill(s), labels);
+                    return `
+                        <button type="button" class="skill-badge" data-skill="${escapeHtml(getSkillId(s))}" data-skill-name="${escapeHtml(s)}" aria-pressed="false"${details ? ` title="${escapeHtml(details)}"` : ''}>
+                            ${getSkillIcon(s)}
+                            ${escapeHtml(s)}
+                            ${renderSkillLevel(findSkill(s))}
+                        </button>
+                    `;
+                }).join('')}
             </div>
         </div>
     `).join('');
     document.getElementById('skills-grid').innerHTML = html;
-}
-
-/**
- * Renders the Projects grid.
- * @param {Object} projects - Projects data object.
- */
-function renderProjects(projects) {
-    if (!projects) return;
-
-    document.getElementById('projects-heading').innerText = projects.heading;
-    document.getElementById('projects-desc').innerText = projects.description;
-
-    const html = projects.items.map(p => `
-        <div class="group bg-white dark:bg-surface-dark border border-slate-200 dark:border-slate-800 rounded-2xl overflow-hidden hover:border-primary/50 transition-all hover:shadow-xl shadow-sm">
-            <div class="aspect-video bg-slate-200 dark:bg-slate-900 overflow-hidden">
-                <img class="w-full h-full object-cover group-hover:scale-105 transition-transform duration-500 opacity-90 group-hover:opacity-100" src="${p.image}" alt="${p.title}"/>
-            </div>
-            <div class="p-6 space-y-4">
-                <div class="flex justify-between items-start">
-                    <h3 class="text-xl font-bold text-slate-900 dark:text-white group-hover:text-primary transition-colors">${p.title}</h3>
-                    <div class="flex gap-2">
-                        ${p.links.map(l => `<a href="${l.url}" target="_blank" class="material-symbols-outlined text-slate-400 hover:text-primary transition-colors text-xl" title="${l.type === 'link' ? 'Live Demo' : 'Source Code'}">${l.type === 'link' ? 'link' : 'code'}</a>`).join('')}
-                    </div>
-                </div>
-                <p class="text-sm text-slate-600 dark:text-slate-400 line-clamp-2">
-                    ${p.description}
-                </p>
-                <div class="flex flex-wrap gap-2">
-                    ${p.tags.map(t => `
-                        <span class="px-2 py-1 bg-slate-50 dark:bg-slate-800 text-slate-700 dark:text-slate-300 border border-slate-200 dark:border-slate-700 text-[10px] font-mono font-bold rounded">${t}</span>
-                    `).join('')}
-                </div>
-            </div>
-        </div>
-    `).join('');
-    document.getElementById('projects-grid').innerHTML = html;
+    applySkillHighlight();
 }
 
 /**
@@ -402,22 +592,26 @@ function renderContact(contact, profile) {
     document.getElementById('email').placeholder = contact.form.placeholders.email;
     document.getElementById('message').placeholder = contact.form.placeholders.message;
 
+    // Without JavaScript the form posts straight to the endpoint
+    const form = document.getElementById('contact-form');
+    if (form && contact.form.action) form.action = safeUrl(contact.form.action);
+
     // Generate social links
     const linksHtml = contact.links.map(link => `
-        <a class="group flex items-center gap-3 bg-white dark:bg-surface-dark border border-slate-200 dark:border-slate-800 px-4 py-2 rounded-xl hover:border-primary/50 transition-all shadow-sm" href="${link.url}" target="_blank">
+        <a class="group flex items-center gap-3 bg-white dark:bg-surface-dark border border-slate-200 dark:border-slate-800 px-4 py-2 rounded-xl hover:border-primary/50 transition-all shadow-sm" href="${escapeHtml(safeUrl(link.url))}" target="_blank" rel="noopener noreferrer" data-track="social_link_click" data-track-network="${escapeHtml(link.name)}" data-track-location="contact">
             <div class="size-8 bg-slate-50 dark:bg-slate-900 rounded-lg flex items-center justify-center group-hover:text-primary transition-colors text-slate-600 dark:text-slate-400">
-                <svg class="size-5 fill-current" viewBox="0 0 24 24"><path d="${link.icon_svg_path}"></path></svg>
+                <svg class="size-5 fill-current" viewBox="0 0 24 24" aria-hidden="true"><path d="${escapeHtml(link.icon_svg_path)}"></path></svg>
             </div>
-            <span class="font-bold text-sm text-slate-900 dark:text-white">${link.name}</span>
+            <span class="font-bold text-sm text-slate-900 dark:text-white">${escapeHtml(link.name)}</span>
         </a>
     `).join('');
 
     // Dynamic resume button in contact section
-    const resumeUrl = profile && profile.resume_url ? profile.resume_url : '#';
+    const resumeUrl = profile && profile.resume_url ? safeUrl(profile.resume_url) : '#';
     const downloadBtn = `
-         <a class="bg-primary hover:bg-primary/90 text-white px-5 py-2 rounded-lg text-sm font-bold transition-all flex items-center gap-2 shadow-sm" href="${resumeUrl}" download target="_blank">
-            <span class="material-symbols-outlined text-sm">download</span>
-            Resume
+         <a class="bg-primary hover:bg-primary/90 text-white px-5 py-2 rounded-lg text-sm font-bold transition-all flex items-center gap-2 shadow-sm" href="${escapeHtml(resumeUrl)}" download target="_blank" data-track="resume_download" data-track-location="contact">
+            <span class="material-symbols-outlined text-sm" aria-hidden="true">download</span>
+            ${escapeHtml((profile && profile.resume_label) || 'Resume')}
         </a>
     `;
 
@@ -428,54 +622,15 @@ function renderContact(contact, profile) {
 }
 
 /**
- * Handles the contact form submission.
+ * Timer hiding the current toast.
  */
-function setupFormHandler(formConfig) {
-    const form = document.getElementById('contact-form');
-    if (!form) return;
-
-    form.onsubmit = async (e) => {
-        e.preventDefault();
-
-        const btn = document.getElementById('submit-btn-content');
-        const originalBtnHtml = btn.innerHTML;
-
-        // Loading State
-        btn.disabled = true;
-        btn.innerHTML = `<span class="material-symbols-outlined animate-spin text-sm">progress_activity</span> Sending...`;
-
-        try {
-            if (formConfig.action) {
-                const formData = new FormData(form);
-                const response = await fetch(formConfig.action, {
-                    method: 'POST',
-                    body: formData,
-                    headers: { 'Accept': 'application/json' }
-                });
-
-                if (response.ok) {
-                    showToast(formConfig.success_message, 'success');
-                    form.reset();
-                } else {
-                    showToast(formConfig.error_message, 'error');
-                }
-            } else {
-                await new Promise(resolve => setTimeout(resolve, 1500));
-                showToast(formConfig.success_message, 'success');
-                form.reset();
-            }
-        } catch (error) {
-            console.error('Submission Error:', error);
-            showToast(formConfig.error_message, 'error');
-        } finally {
-            btn.disabled = false;
-            btn.innerHTML = originalBtnHtml;
-        }
-    };
-}
+let toastTimer = null;
 
 /**
- * Displays a toast notification.
+ * Displays a toast notification. The toast is a live region: screen readers
+ * announce it politely, and errors right away.
+ * @param {string} message - Text to show.
+ * @param {string} type - 'success', 'info' or 'error'.
  */
 function showToast(message, type) {
     const toast = document.getElementById('toast');
@@ -485,17 +640,24 @@ function showToast(message, type) {
     if (type === 'success') {
         toast.className = `fixed bottom-4 left-1/2 transform -translate-x-1/2 px-6 py-3 rounded-xl shadow-2xl transition-all duration-300 z-[200] flex items-center gap-3 bg-emerald-600`;
         icon.innerText = 'check_circle';
+    } else if (type === 'info') {
+        toast.className = `fixed bottom-4 left-1/2 transform -translate-x-1/2 px-6 py-3 rounded-xl shadow-2xl transition-all duration-300 z-[200] flex items-center gap-3 bg-slate-700`;
+        icon.innerText = 'info';
     } else {
         toast.className = `fixed bottom-4 left-1/2 transform -translate-x-1/2 px-6 py-3 rounded-xl shadow-2xl transition-all duration-300 z-[200] flex items-center gap-3 bg-red-600`;
         icon.innerText = 'error';
     }
 
-    msg.innerText = message;
+    // Emptying the region first makes a repeated message announced again
+    toast.setAttribute('aria-live', type === 'error' ? 'assertive' : 'polite');
+    msg.innerText = '';
     requestAnimationFrame(() => {
+        msg.innerText = message;
         toast.classList.remove('opacity-0', 'translate-y-10', 'pointer-events-none');
     });
 
-    setTimeout(() => {
+    clearTimeout(toastTimer);
+    toastTimer = setTimeout(() => {
         toast.classList.add('opacity-0', 'translate-y-10', 'pointer-events-none');
     }, 4000);
 }
@@ -513,75 +675,86 @@ function renderFooter(footer) {
 }
 
 /**
- * Injects Google Analytics script if a valid ID is provided.
- * @param {Object} analytics - Analytics data object.
+ * Observers driving the scroll system (replaced on every re-render).
  */
-function renderAnalytics(analytics) {
-    if (!analytics || !analytics.google_id || analytics.google_id === 'G-XXXXXXXXXX') {
-        return;
-    }
+let scrollObservers = [];
 
-    // Inject GA Tag Script
-    const script = document.createElement('script');
-    script.async = true;
-    script.src = `https://www.googletagmanager.com/gtag/js?id=${analytics.google_id}`;
-    document.head.appendChild(script);
+/**
+ * Whether the visitor asked for reduced motion.
+ * @returns {boolean} Reduced motion preference.
+ */
+function prefersReducedMotion() {
+    return window.matchMedia('(prefers-reduced-motion: reduce)').matches;
+}
 
-    // Initialize GA
-    window.dataLayer = window.dataLayer || [];
-    function gtag() { dataLayer.push(arguments); }
-    gtag('js', new Date());
-    gtag('config', analytics.google_id);
+/**
+ * Shows a section right away (skipping its reveal animation).
+ * @param {Element} section - Section element.
+ */
+function revealSection(section) {
+    section.classList.add('active');
+}
 
-    console.log('Analytics initialized');
+/**
+ * Reveals the section receiving keyboard focus, so focus never lands on
+ * content that hasn't faded in yet.
+ * @param {FocusEvent} e - Focus event.
+ */
+function revealFocusedSection(e) {
+    const section = e.target.closest && e.target.closest('section.reveal');
+    if (section) revealSection(section);
 }
 
 /**
- * Initializes Intersection Observer for scroll animations and dot navigation updates.
+ * Initializes Intersection Observers for the reveal animations and the dot
+ * navigation. Sections fade in once, as soon as any part of them scrolls into
+ * view; with reduced motion (or no IntersectionObserver) they show at once.
  */
 function setupScrollSystem() {
+    scrollObservers.forEach(observer => observer.disconnect());
+    scrollObservers = [];
+
     const sections = document.querySelectorAll('section.reveal');
     const dots = document.querySelectorAll('#dot-nav .dot');
 
-    const observerOptions = {
-        threshold: 0.15,
-        rootMargin: '0px 0px -100px 0px'
-    };
-
-    const observer = new IntersectionObserver((entries) => {
-        entries.forEach(entry => {
-            if (entry.isIntersecting) {
-                // Reveal section animation
-                entry.target.classList.add('active');
-
-                // Update active dot navigation
-                const sectionId = entry.target.id;
-                dots.forEach(dot => {
-                    if (dot.dataset.id === sectionId) {
-                        dot.classList.add('active');
-                    } else {
-                        dot.classList.remove('active');
-                    }
-                });
-            } else {
-                // Remove active class to make animation repeatable
-                entry.target.classList.remove('active');
-            }
+    document.addEventListener('focusin', revealFocusedSection);
+    if (!('IntersectionObserver' in window)) {
+        sections.forEach(revealSection);
+        return;
+    }
+    if (prefersReducedMotion()) {
+        sections.forEach(revealSection);
+    } else {
+        const revealObserver = new IntersectionObserver((entries) => {
+            entries.forEach(entry => {
+                if (!entry.isIntersecting) return;
+                revealSection(entry.target);
+                revealObserver.unobserve(entry.target);
+            });
+        }, { threshold: 0 });
+        scrollObservers.push(revealObserver);
+        sections.forEach(section => {
+            if (!section.classList.contains('active')) revealObserver.observe(section);
         });
-    }, observerOptions);
-
-    sections.forEach(section => observer.observe(section));
+    }
 
-    // Initial check in case some sections are already in view
-    setTimeout(() => {
-        sections.forEach(section => {
-            const rect = section.getBoundingClientRect();
-            if (rect.top < window.innerHeight && rect.bottom > 0) {
-                section.classList.add('active');
-            }
+    // The current section is the one crossing the middle of the viewport
+    const currentObserver = new IntersectionObserver((entries) => {
+        entries.forEach(entry => {
+            if (!entry.isIntersecting) return;
+            const sectionId = entry.target.id;
+            trackSectionView(sectionId);
+            dots.forEach(dot => {
+                const current = dot.dataset.id === sectionId;
+                dot.classList.toggle('active', current);
+                if (current) dot.setAttribute('aria-current', 'location');
+                else dot.removeAttribute('aria-current');
+            });
         });
-    }, 100);
+    }, { rootMargin: '-50% 0px -50% 0px' });
+    scrollObservers.push(currentObserver);
+    sections.forEach(section => currentObserver.observe(section));
 }
 
-// Start the content loading process
-loadContent();
+// Start the content loading process (the static build awaits this promise)
+const contentReady = loadContent();
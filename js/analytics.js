@@ -0,0 +1,363 @@
+/**
+ * Analytics
+ *
+ * Loads the trackers listed in `analytics.providers` only after the visitor
+ * agrees in the consent banner (unless `analytics.consent.required` is false),
+ * and reports portfolio events to every loaded provider. Links opt in to
+ * click events with `data-track="<event>"`; `data-track-*` attributes become
+ * the event's parameters.
+ */
+
+/**
+ * localStorage key holding "granted" or "denied".
+ */
+const CONSENT_STORAGE_KEY = 'analytics-consent';
+
+/**
+ * localStorage key listing the tracker opt-out flags set here, so only those
+ * are cleared again (not one the visitor set on their own).
+ */
+const OPT_OUT_STORAGE_KEY = 'analytics-opt-outs';
+
+/**
+ * Loaded configuration, tracking state (loaded providers and events waiting
+ * for a tracker, by provider key) and the address standing in for the beacon
+ * endpoint during development (set by the dev server's js/live-reload.js).
+ */
+const analyticsState = {
+    config: null,
+    providers: [],
+    loaded: new Set(),
+    queues: new Map(),
+    viewedSections: new Set(),
+    localBeaconUrl: ''
+};
+
+/**
+ * Built-in providers. `load(p)` injects the tracker, `track(p, name, params)`
+ * reports an event, `disable(p)` uses the tracker's own opt-out and
+ * `enable(p)` lifts it again.
+ */
+const ANALYTICS_PROVIDERS = {
+    // Google Analytics 4 (gtag.js)
+    ga4: {
+        load(p) {
+            this.enable(p);
+            window.dataLayer = window.dataLayer || [];
+            window.gtag = window.gtag || function () { dataLayer.push(arguments); };
+            gtag('js', new Date());
+            gtag('config', p.id);
+            injectTrackerScript('ga4', `https://www.googletagmanager.com/gtag/js?id=${encodeURIComponent(p.id)}`);
+        },
+        track(p, name, params) {
+            gtag('event', name, params);
+        },
+        disable(p) {
+            window[`ga-disable-${p.id}`] = true;
+        },
+        enable(p) {
+            window[`ga-disable-${p.id}`] = false;
+        }
+    },
+
+    // Plausible (script tag with `data-domain`; custom events via `plausible()`)
+    plausible: {
+        load(p) {
+            this.enable(p);
+            window.plausible = window.plausible || function () { (window.plausible.q = window.plausible.q || []).push(arguments); };
+            injectTrackerScript('plausible', p.src || 'https://plausible.io/js/script.js', { 'data-domain': p.domain || window.location.hostname });
+        },
+        track(p, name, params) {
+            window.plausible(name, { props: params });
+        },
+        disable() {
+            setOptOutFlag('plausible_ignore', 'true');
+        },
+        enable() {
+            clearOptOutFlag('plausible_ignore');
+        }
+    },
+
+    // Umami (script tag with `data-website-id`; events via `umami.track()` once loaded)
+    umami: {
+        load(p) {
+            this.enable(p);
+            const queue = getAnalyticsQueue(p);
+            const script = injectTrackerScript('umami', p.src, { 'data-website-id': p.website_id });
+            script.onload = () => queue.splice(0).forEach(([name, params]) => window.umami.track(name, params));
+        },
+        track(p, name, params) {
+            if (window.umami) window.umami.track(name, params);
+            else getAnalyticsQueue(p).push([name, params]);
+        },
+        disable() {
+            setOptOutFlag('umami.disabled', '1');
+        },
+        enable() {
+            clearOptOutFlag('umami.disabled');
+        }
+    },
+
+    // Self-hosted endpoint receiving one JSON beacon per event (page views included)
+    beacon: {
+        load(p) {
+            this.track(p, 'page_view', {});
+        },
+        track(p, name, params) {
+            const url = analyticsState.localBeaconUrl || p.url;
+            const body = JSON.stringify({
+                name,
+                params,
+                page: window.location.pathname,
+                referrer: document.referrer || undefined,
+                locale: document.documentElement.lang,
+                time: new Date().toISOString()
+            });
+            if (navigator.sendBeacon && navigator.sendBeacon(url, new Blob([body], { type: 'application/json' }))) return;
+            fetch(url, { method: 'POST', body, headers: { 'Content-Type': 'application/json' }, keepalive: true }).catch(() => { });
+        },
+        disable() { },
+        enable() { }
+    }
+};
+
+/**
+ * Identifies a provider entry across re-renders, which replace the entry objects.
+ * @param {Object} p - Provider entry.
+ * @returns {string} Key such as "ga4:G-123".
+ */
+function getAnalyticsProviderKey(p) {
+    return `${p.type}:${p.id || p.src || p.url || ''}`;
+}
+
+/**
+ * Returns the events held back until a provider's tracker has loaded.
+ * @param {Object} p - Provider entry.
+ * @returns {Array[]} `[name, params]` pairs.
+ */
+function getAnalyticsQueue(p) {
+    const key = getAnalyticsProviderKey(p);
+    if (!analyticsState.queues.has(key)) analyticsState.queues.set(key, []);
+    return analyticsState.queues.get(key);
+}
+
+/**
+ * Lists the opt-out flags set by setOptOutFlag().
+ * @returns {string[]} Storage keys.
+ */
+function getOwnOptOutFlags() {
+    try {
+        const flags = JSON.parse(readStorage(OPT_OUT_STORAGE_KEY));
+        return Array.isArray(flags) ? flags : [];
+    } catch (error) {
+        return [];
+    }
+}
+
+/**
+ * Sets a tracker's own opt-out flag, unless it is already set.
+ * @param {string} key - Storage key the tracker reads.
+ * @param {string} value - Value meaning "opted out".
+ */
+function setOptOutFlag(key, value) {
+    if (readStorage(key) !== null) return;
+    writeStorage(key, value);
+    writeStorage(OPT_OUT_STORAGE_KEY, JSON.stringify([...getOwnOptOutFlags(), key]));
+}
+
+/**
+ * Clears a tracker's opt-out flag if setOptOutFlag() set it.
+ * @param {string} key - Storage key the tracker reads.
+ */
+function clearOptOutFlag(key) {
+    const flags = getOwnOptOutFlags();
+    if (!flags.includes(key)) return;
+    writeStorage(key, null);
+    const rest = flags.filter(flag => flag !== key);
+    writeStorage(OPT_OUT_STORAGE_KEY, rest.length ? JSON.stringify(rest) : null);
+}
+
+/**
+ * Adds a tracker <script> to <head> (once per provider).
+ * @param {string} type - Provider type, used for the element id.
+ * @param {string} src - Script URL.
+ * @param {Object} [attributes] - Extra attributes (e.g. `data-domain`).
+ * @returns {HTMLScriptElement} The script element.
+ */
+function injectTrackerScript(type, src, attributes = {}) {
+    const id = `analytics-${type}`;
+    const existing = document.getElementById(id);
+    if (existing) return existing;
+
+    const script = document.createElement('script');
+    script.id = id;
+    script.async = true;
+    script.src = safeUrl(src);
+    script.setAttribute('data-analytics', '');
+    Object.keys(attributes).forEach(name => {
+        if (attributes[name]) script.setAttribute(name, attributes[name]);
+    });
+    document.head.appendChild(script);
+    return script;
+}
+
+/**
+ * Lists the configured providers (`google_id` is shorthand for a GA4 entry).
+ * @param {Object} analytics - Analytics data object.
+ * @returns {Object[]} Provider entries with a known `type`.
+ */
+function getAnalyticsProviders(analytics) {
+    if (!analytics) return [];
+
+    const providers = [...(analytics.providers || [])];
+    if (analytics.google_id && analytics.google_id !== 'G-XXXXXXXXXX' && !providers.some(p => p.type === 'ga4' && p.id === analytics.google_id)) {
+        providers.push({ type: 'ga4', id: analytics.google_id });
+    }
+    return providers.filter(p => ANALYTICS_PROVIDERS[p.type]);
+}
+
+/**
+ * Returns the visitor's decision, or "granted" when consent isn't required.
+ * @returns {string|null} "granted", "denied" or null (not asked yet).
+ */
+function getAnalyticsConsent() {
+    const consent = analyticsState.config && analyticsState.config.consent;
+    if (consent && consent.required === false) return 'granted';
+
+    const stored = readStorage(CONSENT_STORAGE_KEY);
+    return stored === 'granted' || stored === 'denied' ? stored : null;
+}
+
+/**
+ * Loads every provider that isn't loaded yet and lifts the opt-out of those
+ * that are (consent may have been declined earlier on this page).
+ */
+function loadAnalyticsProviders() {
+    analyticsState.providers.forEach(p => {
+        const key = getAnalyticsProviderKey(p);
+        const loaded = analyticsState.loaded.has(key);
+        analyticsState.loaded.add(key);
+
+        try {
+            if (loaded) ANALYTICS_PROVIDERS[p.type].enable(p);
+            else ANALYTICS_PROVIDERS[p.type].load(p);
+        } catch (error) {
+            console.error(`Could not load ${p.type} analytics:`, error);
+        }
+    });
+}
+
+/**
+ * Records the visitor's choice and applies it right away.
+ * @param {boolean} granted - Whether tracking is allowed.
+ */
+function setAnalyticsConsent(granted) {
+    writeStorage(CONSENT_STORAGE_KEY, granted ? 'granted' : 'denied');
+
+    if (granted) {
+        loadAnalyticsProviders();
+    } else {
+        // Already-loaded scripts stay until the next page load; their opt-outs stop them reporting
+        analyticsState.providers.forEach(p => ANALYTICS_PROVIDERS[p.type].disable(p));
+    }
+    renderConsentBanner(false);
+}
+
+/**
+ * Reports an event to every loaded provider, if the visitor agreed.
+ * @param {string} name - Event name (e.g. "resume_download").
+ * @param {Object} [params] - Event parameters.
+ */
+function trackEvent(name, params = {}) {
+    if (getAnalyticsConsent() !== 'granted') return;
+
+    analyticsState.providers.forEach(p => {
+        try {
+            ANALYTICS_PROVIDERS[p.type].track(p, name, params);
+        } catch (error) {
+            console.error(`Could not send "${name}" to ${p.type}:`, error);
+        }
+    });
+}
+
+/**
+ * Reports the first view of a section during this page load.
+ * @param {string} id - Section id.
+ */
+function trackSectionView(id) {
+    if (!id || analyticsState.viewedSections.has(id) || getAnalyticsConsent() !== 'granted') return;
+    analyticsState.viewedSections.add(id);
+    trackEvent('section_view', { section: id });
+}
+
+/**
+ * Reports clicks on elements marked with `data-track`.
+ * @param {MouseEvent} e - Click event.
+ */
+function handleTrackedClick(e) {
+    const target = e.target.closest && e.target.closest('[data-track]');
+    if (!target) return;
+
+    const params = {};
+    Object.keys(target.dataset).forEach(key => {
+        const match = /^track([A-Z]\w*)$/.exec(key);
+        if (match) params[match[1].toLowerCase()] = target.dataset[key];
+    });
+    trackEvent(target.dataset.track, params);
+}
+
+/**
+ * Shows or hides the consent banner (text from `analytics.consent`).
+ * @param {boolean} open - Whether to show it.
+ */
+function renderConsentBanner(open) {
+    const banner = document.getElementById('consent-banner');
+    if (!banner) return;
+
+    const consent = (analyticsState.config && analyticsState.config.consent) || {};
+    banner.classList.toggle('hidden', !open);
+    if (!open) {
+        banner.innerHTML = '';
+        return;
+    }
+
+    banner.innerHTML = `
+        <h2 id="consent-title" class="font-bold text-slate-900 dark:text-white">${escapeHtml(consent.title || 'Analytics')}</h2>
+        <p class="text-sm text-slate-600 dark:text-slate-400 leading-relaxed">${sanitizeHtml(consent.text || 'May this site use analytics to see which parts are useful?')}</p>
+        <div class="flex gap-3 justify-end">
+            <button type="button" id="consent-decline" class="px-4 py-2 rounded-lg text-sm font-bold border border-slate-300 dark:border-slate-700 text-slate-700 dark:text-slate-300 hover:border-slate-400 dark:hover:border-slate-600 transition-colors">${escapeHtml(consent.decline || 'Decline')}</button>
+            <button type="button" id="consent-accept" class="px-4 py-2 rounded-lg text-sm font-bold bg-primary hover:bg-primary/90 text-white transition-colors">${escapeHtml(consent.accept || 'Accept')}</button>
+        </div>
+    `;
+
+    document.getElementById('consent-accept').onclick = () => setAnalyticsConsent(true);
+    document.getElementById('consent-decline').onclick = () => setAnalyticsConsent(false);
+}
+
+/**
+ * Applies analytics settings: asks for consent if needed, loads the providers
+ * once allowed and wires up click events. Safe to call again (e.g. after a
+ * language change, which re-renders the banner text).
+ * @param {Object} analytics - Analytics data object.
+ */
+function renderAnalytics(analytics) {
+    analyticsState.config = analytics || {};
+    analyticsState.providers = getAnalyticsProviders(analytics);
+
+    const active = analyticsState.providers.length > 0;
+    const consent = getAnalyticsConsent();
+    const labels = analyticsState.config.consent || {};
+
+    // Footer link to change the decision later
+    const manage = document.getElementById('consent-manage');
+    if (manage) {
+        manage.innerText = labels.manage || 'Privacy settings';
+        manage.classList.toggle('hidden', !active || labels.required === false);
+        manage.onclick = () => renderConsentBanner(true);
+    }
+
+    renderConsentBanner(active && consent === null);
+    if (active && consent === 'granted') loadAnalyticsProviders();
+
+    document.addEventListener('click', handleTrackedClick);
+}
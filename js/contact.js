@@ -0,0 +1,301 @@
+/**
+ * Contact Form
+ *
+ * Validates the form with the messages in `contact.form`, filters bots with a
+ * honeypot and a minimum fill time, retries failed sends with backoff and
+ * keeps messages that can't be delivered in the outbox (js/outbox.js) until
+ * the connection returns. Without an `action` (or with `mock: true`) the form
+ * runs in a labelled demo mode that never claims to have sent anything.
+ */
+
+/**
+ * Fields sent to the endpoint (element ids and names match).
+ */
+const CONTACT_FIELDS = ['name', 'email', 'message'];
+
+/**
+ * Loose email check; the endpoint does the real validation.
+ */
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+/**
+ * Delays before each retry of a failed send (exponential backoff).
+ */
+const SEND_RETRY_DELAYS = [1000, 2000, 4000];
+
+/**
+ * Current form settings, submission state and the address standing in for
+ * the endpoint during development (set by the dev server's js/live-reload.js).
+ */
+const formState = {
+    config: null,
+    startedAt: 0,
+    sending: false,
+    flushing: false,
+    localAction: ''
+};
+
+/**
+ * Whether the form only pretends to send.
+ * @param {Object} formConfig - Contact form data object.
+ * @returns {boolean} True in demo mode.
+ */
+function isMockMode(formConfig) {
+    return formConfig.mock === true || !formConfig.action;
+}
+
+/**
+ * Reads the trimmed field values.
+ * @returns {Object} Values keyed by field name.
+ */
+function getContactFields() {
+    const fields = {};
+    CONTACT_FIELDS.forEach(name => {
+        const input = document.getElementById(name);
+        fields[name] = input ? input.value.trim() : '';
+    });
+    return fields;
+}
+
+/**
+ * Checks the fields and returns a message for each invalid one.
+ * @param {Object} fields - Values keyed by field name.
+ * @param {Object} formConfig - Contact form data object.
+ * @returns {Object} Error messages keyed by field name (empty when valid).
+ */
+function validateContactFields(fields, formConfig) {
+    const labels = formConfig.labels;
+    const messages = formConfig.validation || {};
+    const errors = {};
+
+    CONTACT_FIELDS.forEach(name => {
+        if (!fields[name]) errors[name] = formatMessage(messages.required || '{field} is required.', { field: labels[name] });
+    });
+
+    if (!errors.email && !EMAIL_PATTERN.test(fields.email)) {
+        errors.email = messages.email || 'Please enter a valid email address.';
+    }
+
+    const min = formConfig.min_message_length || 0;
+    if (!errors.message && fields.message.length < min) {
+        errors.message = formatMessage(messages.min_length || '{field} must be at least {min} characters long.', { field: labels.message, min });
+    }
+
+    return errors;
+}
+
+/**
+ * Shows (or clears, for an empty message) the inline error under a field.
+ * @param {string} name - Field name.
+ * @param {string} message - Error message.
+ */
+function setFieldError(name, message) {
+    const input = document.getElementById(name);
+    const error = document.getElementById(`${name}-error`);
+    if (!input || !error) return;
+
+    if (message) input.setAttribute('aria-invalid', 'true');
+    else input.removeAttribute('aria-invalid');
+    error.textContent = message || '';
+    error.classList.toggle('hidden', !message);
+}
+
+/**
+ * Shows the errors for every field and focuses the first invalid one.
+ * @param {Object} errors - Error messages keyed by field name.
+ */
+function showFieldErrors(errors) {
+    CONTACT_FIELDS.forEach(name => setFieldError(name, errors[name]));
+
+    const first = CONTACT_FIELDS.find(name => errors[name]);
+    if (first) document.getElementById(first).focus();
+}
+
+/**
+ * Delivers one submission through the configured transport (js/transports.js).
+ * @param {Object} formConfig - Contact form settings (provider, action, request...).
+ * @param {Object} fields - Values keyed by field name.
+ * @returns {Promise<Object>} `{ ok, retryable, fieldErrors, message }`; rejects on network failure.
+ */
+async function sendSubmission(formConfig, fields) {
+    // The dev server logs messages instead of forwarding them (mailto opens the email app as usual)
+    if (formState.localAction && formConfig.provider !== 'mailto') formConfig = { ...formConfig, action: formState.localAction };
+
+    const result = await getFormTransport(formConfig).send(fields, formConfig);
+    if (!result.ok && result.message) console.warn('Form endpoint error:', result.message);
+    return result;
+}
+
+/**
+ * Keeps the settings a queued submission needs to be sent later.
+ * @param {Object} formConfig - Contact form data object.
+ * @returns {Object} Plain transport settings.
+ */
+function getTransportSettings(formConfig) {
+    const { provider, action, request, subject } = formConfig;
+    return { provider, action, request, subject };
+}
+
+/**
+ * Sends a submission, retrying network failures and 5xx/429 responses.
+ * @param {Object} formConfig - Contact form settings.
+ * @param {Object} fields - Values keyed by field name.
+ * @returns {Promise<Object>} Result of the last attempt; rejects if the endpoint stayed unreachable.
+ */
+async function sendWithRetry(formConfig, fields) {
+    for (let attempt = 0; ; attempt++) {
+        try {
+            const result = await sendSubmission(formConfig, fields);
+            if (result.ok || !result.retryable || attempt >= SEND_RETRY_DELAYS.length) return result;
+        } catch (error) {
+            // No point waiting while the browser knows it is offline
+            if (attempt >= SEND_RETRY_DELAYS.length || navigator.onLine === false) throw error;
+        }
+        await new Promise(resolve => setTimeout(resolve, SEND_RETRY_DELAYS[attempt]));
+    }
+}
+
+/**
+ * Reports what happened to a submission (js/analytics.js).
+ * @param {string} outcome - e.g. "sent", "invalid", "queued".
+ * @param {Object} formConfig - Contact form settings.
+ */
+function trackContactOutcome(outcome, formConfig) {
+    trackEvent('contact_submit', { outcome, provider: (formConfig && formConfig.provider) || DEFAULT_FORM_PROVIDER });
+}
+
+/**
+ * Sends the submissions waiting in the outbox, oldest first.
+ * Runs on load and whenever the browser comes back online.
+ */
+async function flushOutbox() {
+    if (formState.flushing || navigator.onLine === false) return;
+    formState.flushing = true;
+
+    try {
+        const entries = await getQueuedSubmissions();
+        for (const entry of entries) {
+            const result = await sendSubmission(entry.form, entry.fields);
+            if (!result.ok && result.retryable) break;
+
+            // Rejected submissions would never go through, so they are dropped too
+            await removeQueuedSubmission(entry.id);
+            trackContactOutcome(result.ok ? 'sent_from_outbox' : 'rejected_from_outbox', entry.form);
+            if (result.ok) showToast(formState.config.queue_sent_message || 'Your saved message has been sent.', 'success');
+            else console.warn('Dropped a queued message the form endpoint rejected:', result.fieldErrors);
+        }
+    } catch (error) {
+        // Outbox unavailable or still unreachable; try again on the next reconnect
+    } finally {
+        formState.flushing = false;
+    }
+}
+
+/**
+ * Validates and sends the contact form.
+ * @param {SubmitEvent} e - Submit event.
+ */
+async function handleContactSubmit(e) {
+    e.preventDefault();
+    if (formState.sending) return;
+
+    const form = document.getElementById('contact-form');
+    const formConfig = formState.config;
+
+    // Bots fill in the hidden field: look successful, send nothing
+    const honeypot = form.querySelector('[name="_gotcha"]');
+    if (honeypot && honeypot.value) {
+        trackContactOutcome('spam', formConfig);
+        showToast(formConfig.success_message, 'success');
+        form.reset();
+        return;
+    }
+
+    const fields = getContactFields();
+    const errors = validateContactFields(fields, formConfig);
+    showFieldErrors(errors);
+    if (Object.keys(errors).length) {
+        trackContactOutcome('invalid', formConfig);
+        return;
+    }
+
+    // Faster than a person can fill in the form
+    if (Date.now() - formState.startedAt < (formConfig.min_fill_seconds || 0) * 1000) {
+        trackContactOutcome('too_fast', formConfig);
+        showToast((formConfig.validation && formConfig.validation.too_fast) || 'That was quick! Please check your message and send it again.', 'error');
+        return;
+    }
+
+    if (isMockMode(formConfig)) {
+        trackContactOutcome('mock', formConfig);
+        showToast(formConfig.mock_message || 'Demo mode: your message was checked but not sent.', 'info');
+        return;
+    }
+
+    const btn = document.getElementById('submit-btn-content');
+    const originalBtnHtml = btn.innerHTML;
+
+    // Loading State
+    formState.sending = true;
+    btn.disabled = true;
+    btn.innerHTML = `<span class="material-symbols-outlined animate-spin text-sm" aria-hidden="true">progress_activity</span> ${escapeHtml(formConfig.labels.sending || 'Sending...')}`;
+
+    try {
+        const result = await sendWithRetry(formConfig, fields);
+        trackContactOutcome(result.ok ? 'sent' : 'rejected', formConfig);
+        if (result.ok) {
+            showToast(result.message || formConfig.success_message, 'success');
+            if (!result.keepFields) form.reset();
+            formState.startedAt = Date.now();
+        } else {
+            showFieldErrors(result.fieldErrors);
+            showToast(formConfig.error_message, 'error');
+        }
+    } catch (error) {
+        // Endpoint unreachable: keep the message and send it once back online
+        console.error('Submission Error:', error);
+        try {
+            await queueSubmission({ form: getTransportSettings(formConfig), fields });
+            trackContactOutcome('queued', formConfig);
+            showToast(formConfig.queued_message || "You're offline. Your message is saved and will be sent when you're back online.", 'info');
+            form.reset();
+        } catch (queueError) {
+            trackContactOutcome('failed', formConfig);
+            showToast(formConfig.error_message, 'error');
+        }
+    } finally {
+        formState.sending = false;
+        btn.disabled = false;
+        btn.innerHTML = originalBtnHtml;
+    }
+}
+
+/**
+ * Wires up the contact form: validation, demo-mode label and the outbox.
+ * @param {Object} formConfig - Contact form data object.
+ */
+function setupFormHandler(formConfig) {
+    const form = document.getElementById('contact-form');
+    if (!form) return;
+
+    formState.config = formConfig;
+    if (!formState.startedAt) formState.startedAt = Date.now();
+
+    // Inline messages replace the browser's own validation bubbles
+    form.noValidate = true;
+    form.onsubmit = handleContactSubmit;
+
+    CONTACT_FIELDS.forEach(name => {
+        const input = document.getElementById(name);
+        if (input) input.oninput = () => setFieldError(name, '');
+    });
+
+    const mode = document.getElementById('form-mode');
+    if (mode) {
+        mode.textContent = formConfig.labels.mock || 'Demo mode: messages are not sent';
+        mode.classList.toggle('hidden', !isMockMode(formConfig));
+    }
+
+    window.addEventListener('online', flushOutbox);
+    flushOutbox();
+}
@@ -0,0 +1,259 @@
+/**
+ * Dates
+ *
+ * Experience and education entries carry ISO `start` and `end` dates ("2022",
+ * "2022-03" or "2022-03-15"; `end` can be "present"). Before rendering, the
+ * content gets what follows from them: display periods, role durations,
+ * newest-first order and the values of `{{placeholders}}` such as
+ * `{{years_experience}}`, so none of it goes stale. A hand-written `period`
+ * or `year` still wins.
+ */
+
+/**
+ * `end` value of an ongoing entry.
+ */
+const DATE_PRESENT = 'present';
+
+/**
+ * Default wording, overridden by the `dates` labels in content.
+ */
+const DATE_LABELS = {
+    present: 'Present',
+    year: '{count} yr',
+    years: '{count} yrs',
+    month: '{count} mo',
+    months: '{count} mos'
+};
+
+/**
+ * Values of the `{{name}}` placeholders allowed in any text field.
+ */
+const CONTENT_VARIABLES = {
+    years_experience: facts => String(facts.yearsExperience),
+    current_year: facts => String(facts.now.getFullYear())
+};
+
+/**
+ * Parses an ISO date of year, month or day precision.
+ * @param {string} value - "2022", "2022-03" or "2022-03-15".
+ * @returns {Object|null} `{ year, month, day }` (month and day may be null).
+ */
+function parseContentDate(value) {
+    const match = /^(\d{4})(?:-(\d{2})(?:-(\d{2}))?)?$/.exec(value || '');
+    if (!match) return null;
+    return { year: Number(match[1]), month: match[2] ? Number(match[2]) - 1 : null, day: match[3] ? Number(match[3]) : null };
+}
+
+/**
+ * Counts months since year 0, so ranges can be measured and compared.
+ * A bare year covers the whole year: January as a start, December as an end.
+ * @param {string} value - ISO date or "present".
+ * @param {string} edge - 'start' or 'end'.
+ * @param {Date} now - Current date (for "present").
+ * @returns {number|null} Month number.
+ */
+function getMonthNumber(value, edge, now) {
+    if (value === DATE_PRESENT) return now.getFullYear() * 12 + now.getMonth();
+    const date = parseContentDate(value);
+    if (!date) return null;
+    return date.year * 12 + (date.month !== null ? date.month : (edge === 'start' ? 0 : 11));
+}
+
+/**
+ * Returns the months covered by an entry, counting both ends.
+ * An entry without an end date covers its start alone.
+ * @param {Object} entry - Item with `start` and `end`.
+ * @param {Date} now - Current date.
+ * @returns {Object|null} `{ from, to }` month numbers.
+ */
+function getDateRange(entry, now) {
+    const from = getMonthNumber(entry.start, 'start', now);
+    if (from === null) return null;
+    const to = getMonthNumber(entry.end || entry.start, 'end', now);
+    return to === null || to < from ? null : { from, to };
+}
+
+/**
+ * Writes a length of time such as "4 yrs 10 mos".
+ * @param {number} months - Number of months.
+ * @param {Object} labels - Date labels.
+ * @returns {string} Duration.
+ */
+function formatDuration(months, labels) {
+    const years = Math.floor(months / 12);
+    const rest = months % 12;
+    return [
+        years ? formatMessage(years === 1 ? labels.year : labels.years, { count: years }) : '',
+        rest ? formatMessage(rest === 1 ? labels.month : labels.months, { count: rest }) : ''
+    ].filter(Boolean).join(' ');
+}
+
+/**
+ * Writes a date the way the timeline shows it: "2022", or "Mar 2022" when
+ * the month is known.
+ * @param {string} value - ISO date or "present".
+ * @param {string} locale - Locale code.
+ * @param {Object} labels - Date labels.
+ * @returns {string} Display date.
+ */
+function formatContentDate(value, locale, labels) {
+    if (value === DATE_PRESENT) return labels.present;
+    const date = parseContentDate(value);
+    if (!date) return value || '';
+    if (date.month === null) return String(date.year);
+    return new Intl.DateTimeFormat(locale, { month: 'short', year: 'numeric', timeZone: 'UTC' }).format(new Date(Date.UTC(date.year, date.month, 1)));
+}
+
+/**
+ * Writes an entry's period ("2022 - Present", "Mar 2021 - Dec 2021", "2021").
+ * @param {string} start - ISO start date.
+ * @param {string} [end] - ISO end date or "present".
+ * @param {string} locale - Locale code.
+ * @param {Object} labels - Date labels.
+ * @returns {string} Period.
+ */
+function formatDateRange(start, end, locale, labels) {
+    const from = formatContentDate(start, locale, labels);
+    const to = end ? formatContentDate(end, locale, labels) : '';
+    return !to || to === from ? from : `${from} - ${to}`;
+}
+
+/**
+ * Adds up the time covered by the entries, counting overlaps once.
+ * @param {Object[]} entries - Items with `start` and `end`.
+ * @param {Date} now - Current date.
+ * @returns {number} Total months.
+ */
+function getTotalMonths(entries, now) {
+    const ranges = entries.map(entry => getDateRange(entry, now)).filter(Boolean).sort((a, b) => a.from - b.from);
+    let total = 0;
+    let covered = -Infinity;
+    ranges.forEach(({ from, to }) => {
+        const begin = Math.max(from, covered + 1);
+        if (to >= begin) total += to - begin + 1;
+        covered = Math.max(covered, to);
+    });
+    return total;
+}
+
+/**
+ * Orders entries newest first: ongoing ones, then by end and start date.
+ * Entries without dates keep their place after the dated ones.
+ * @param {Object[]} entries - Items with `start` and `end`.
+ * @param {Date} now - Current date.
+ * @returns {Object[]} Sorted copy.
+ */
+function sortByDate(entries, now) {
+    if (!entries.some(entry => entry.start)) return entries;
+    const key = entry => getDateRange(entry, now) || { from: -Infinity, to: -Infinity };
+    return [...entries].sort((a, b) => (key(b).to - key(a).to) || (key(b).from - key(a).from));
+}
+
+/**
+ * Groups consecutive roles at the same company, with the period and length
+ * of the whole stay.
+ * @param {Object[]} items - Sorted experience items (with `period` and `duration`).
+ * @param {string} locale - Locale code.
+ * @param {Object} labels - Date labels.
+ * @param {Date} now - Current date.
+ * @returns {Object[]} `{ company, period, duration, roles }` groups, where
+ *   `roles` are `{ job, index }` with the item's position in `items`.
+ */
+function groupByCompany(items, locale, labels, now) {
+    const groups = [];
+    const companyKey = job => stripHtml(job.company || '').trim().toLowerCase();
+
+    items.forEach((job, index) => {
+        const last = groups[groups.length - 1];
+        if (last && companyKey(job) && companyKey(last.roles[0].job) === companyKey(job)) last.roles.push({ job, index });
+        else groups.push({ company: job.company, period: job.period, duration: job.duration, roles: [{ job, index }] });
+    });
+
+    groups.filter(group => group.roles.length > 1).forEach(group => {
+        const jobs = group.roles.map(role => role.job);
+        const first = jobs.filter(job => job.start).sort((a, b) => getMonthNumber(a.start, 'start', now) - getMonthNumber(b.start, 'start', now))[0];
+        if (!first) return;
+        group.period = formatDateRange(first.start, jobs[0].end || jobs[0].start, locale, labels);
+        const months = getTotalMonths(jobs, now);
+        group.duration = months ? formatDuration(months, labels) : '';
+    });
+    return groups;
+}
+
+/**
+ * Computes the values of the `{{placeholders}}`.
+ * @param {Object} content - Content object.
+ * @param {Date} [now=new Date()] - Current date.
+ * @returns {Object} Placeholder name → value.
+ */
+function getContentVariables(content, now = new Date()) {
+    const facts = {
+        now,
+        yearsExperience: Math.floor(getTotalMonths((content.experience && content.experience.items) || [], now) / 12)
+    };
+    const variables = {};
+    Object.keys(CONTENT_VARIABLES).forEach(name => {
+        variables[name] = CONTENT_VARIABLES[name](facts);
+    });
+    return variables;
+}
+
+/**
+ * Replaces `{{name}}` placeholders in every string of a value. Unknown
+ * names are left as they are.
+ * @param {*} value - Any JSON value.
+ * @param {Object} variables - Placeholder values.
+ * @returns {*} Copy with the placeholders filled in.
+ */
+function fillPlaceholders(value, variables) {
+    if (typeof value === 'string') {
+        return value.replace(/\{\{\s*(\w+)\s*\}\}/g, (match, name) => (name in variables ? variables[name] : match));
+    }
+    if (Array.isArray(value)) return value.map(item => fillPlaceholders(item, variables));
+    if (value && typeof value === 'object') {
+        const copy = {};
+        Object.keys(value).forEach(key => {
+            copy[key] = fillPlaceholders(value[key], variables);
+        });
+        return copy;
+    }
+    return value;
+}
+
+/**
+ * Derives everything that depends on dates: periods and durations, sorted
+ * experience and education, and the placeholder values.
+ * @param {Object} content - Validated, localized content (not modified).
+ * @param {string} locale - Locale code (for month names).
+ * @param {Date} [now=new Date()] - Current date.
+ * @returns {Object} Content ready to render.
+ */
+function prepareContent(content, locale, now = new Date()) {
+    const labels = { ...DATE_LABELS, ...content.dates };
+    const prepared = { ...content };
+
+    const exp = content.experience;
+    if (exp && Array.isArray(exp.items)) {
+        const items = exp.items.map(job => {
+            const range = getDateRange(job, now);
+            return {
+                ...job,
+                period: job.period || (job.start ? formatDateRange(job.start, job.end, locale, labels) : ''),
+                duration: range ? formatDuration(range.to - range.from + 1, labels) : ''
+            };
+        });
+        const sorted = sortByDate(items, now);
+        prepared.experience = { ...exp, items: sorted, groups: groupByCompany(sorted, locale, labels, now) };
+    }
+
+    const edu = content.education;
+    if (edu && Array.isArray(edu.degrees)) {
+        const degrees = edu.degrees.map(d => ({
+            ...d,
+            year: d.year || (d.start ? formatDateRange(d.start, d.end, locale, labels) : '')
+        }));
+        prepared.education = { ...edu, degrees: sortByDate(degrees, now) };
+    }
+
+    return fillPlaceholders(prepared, getContentVariables(content, now));
+}
@@ -0,0 +1,768 @@
+/**
+ * Content Editor
+ *
+ * Opt-in edit mode (`?edit`): a side panel with forms generated from
+ * content.schema.json. Every change re-renders the page through the usual
+ * renderers, drafts autosave to localStorage, and the result downloads as a
+ * new content.json. The editor changes the default language only; other
+ * languages keep their overrides from content.<lang>.json.
+ */
+
+/**
+ * localStorage key holding `{ savedAt, content }` for the current draft.
+ */
+const DRAFT_STORAGE_KEY = 'content-draft';
+
+/**
+ * Delay (ms) between the last keystroke and the preview update and autosave.
+ */
+const EDITOR_UPDATE_DELAY = 300;
+
+/**
+ * Class presets for terminal messages, matching the looks content.json uses.
+ */
+const TERMINAL_STYLE_PRESETS = {
+    'Plain': '',
+    'Muted': 'italic text-slate-400 dark:text-slate-500',
+    'Success': 'font-bold text-emerald-600 dark:text-emerald-400',
+    'Warning': 'font-bold text-amber-600 dark:text-amber-400',
+    'Error': 'font-bold text-red-600 dark:text-red-400',
+    'Accent': 'font-bold text-primary'
+};
+
+/**
+ * Fields shown as the summary of a collapsed list item, in order of preference.
+ */
+const ITEM_SUMMARY_FIELDS = ['title', 'name', 'role', 'degree', 'category', 'label', 'text', 'code'];
+
+/**
+ * Classes shared by the editor's inputs.
+ */
+const EDITOR_INPUT_CLASS = 'w-full rounded-lg border-slate-300 dark:border-slate-700 bg-white dark:bg-slate-900 text-sm text-slate-900 dark:text-slate-100 focus:border-primary focus:ring-primary';
+
+/**
+ * Custom field editors, by path with `[]` for any index. Each receives the
+ * field (`{ path, id, schema, value }`) and returns its HTML.
+ */
+const EDITOR_WIDGETS = {
+    'theme.primary': renderColorField,
+    'contact.links[].icon_svg_path': renderSvgPathField,
+    'terminal.init_messages[].style': renderStyleField
+};
+
+/**
+ * Content as loaded, the draft being edited and the panel's state.
+ */
+const editorState = {
+    original: null,
+    draft: null,
+    section: null,
+    open: new Set(),
+    savedAt: null,
+    timer: 0
+};
+
+/**
+ * Edit mode is on when the page is opened with `?edit`.
+ * @returns {boolean} Whether to show the content editor.
+ */
+function isEditMode() {
+    return new URLSearchParams(window.location.search).has('edit');
+}
+
+/**
+ * Splits a path like `experience.items[0].role` into keys and indexes.
+ * @param {string} path - Content path (as used in validation errors).
+ * @returns {(string|number)[]} Keys, with array indexes as numbers.
+ */
+function parseContentPath(path) {
+    const keys = [];
+    path.replace(/([^.[\]]+)|\[(\d+)\]/g, (match, key, index) => {
+        keys.push(index !== undefined ? Number(index) : key);
+    });
+    return keys;
+}
+
+/**
+ * Reads the value at a content path.
+ * @param {Object} root - Content object.
+ * @param {string} path - Content path.
+ * @returns {*} Value, or undefined if any part is missing.
+ */
+function readContentPath(root, path) {
+    return parseContentPath(path).reduce((node, key) => (node == null ? undefined : node[key]), root);
+}
+
+/**
+ * Sets the value at a content path, creating missing objects and arrays.
+ * Setting an object property to undefined removes it.
+ * @param {Object} root - Content object.
+ * @param {string} path - Content path.
+ * @param {*} value - New value.
+ */
+function writeContentPath(root, path, value) {
+    const keys = parseContentPath(path);
+    const last = keys.pop();
+    const parent = keys.reduce((node, key, i) => {
+        const next = i + 1 < keys.length ? keys[i + 1] : last;
+        if (node[key] == null) node[key] = typeof next === 'number' ? [] : {};
+        return node[key];
+    }, root);
+
+    if (value === undefined && !Array.isArray(parent)) delete parent[last];
+    else parent[last] = value;
+}
+
+/**
+ * Follows a local $ref.
+ * @param {Object} schema - Schema node.
+ * @returns {Object} Resolved schema node.
+ */
+function resolveFieldSchema(schema) {
+    if (schema && schema.$ref && appState.schema) return resolveRef(appState.schema, schema.$ref) || {};
+    return schema || {};
+}
+
+/**
+ * Finds the schema node describing a content path.
+ * @param {string} path - Content path.
+ * @returns {Object} Schema node (empty when unknown).
+ */
+function getFieldSchema(path) {
+    return parseContentPath(path).reduce((node, key) => {
+        node = resolveFieldSchema(node);
+        if (typeof key === 'number') return node.items || {};
+        if (node.properties && node.properties[key]) return node.properties[key];
+        return typeof node.additionalProperties === 'object' ? node.additionalProperties : {};
+    }, appState.schema || {});
+}
+
+/**
+ * Builds the smallest value a schema accepts, for newly added list items.
+ * @param {Object} schema - Schema node.
+ * @returns {*} Default value.
+ */
+function createDefaultValue(schema) {
+    schema = resolveFieldSchema(schema);
+    if (schema.enum) return schema.enum[0];
+
+    const type = [].concat(schema.type || 'string')[0];
+    if (type === 'object') {
+        const value = {};
+        (schema.required || []).forEach(key => {
+            value[key] = createDefaultValue((schema.properties || {})[key]);
+        });
+        return value;
+    }
+    if (type === 'array') {
+        return Array.from({ length: schema.minItems || 0 }, () => createDefaultValue(schema.items));
+    }
+    if (type === 'boolean') return false;
+    if (type === 'number' || type === 'integer') return 0;
+    return '';
+}
+
+/**
+ * Turns a property name into a label ("icon_svg_path" → "Icon svg path").
+ * @param {string} key - Property name.
+ * @returns {string} Label.
+ */
+function getFieldLabel(key) {
+    const words = String(key).replace(/_/g, ' ');
+    return words.charAt(0).toUpperCase() + words.slice(1);
+}
+
+/**
+ * Picks a short description of a list item for its collapsed header.
+ * @param {*} item - List item.
+ * @param {number} index - Position in the list.
+ * @returns {string} Summary text.
+ */
+function getItemSummary(item, index) {
+    const key = item && typeof item === 'object' && ITEM_SUMMARY_FIELDS.find(field => typeof item[field] === 'string' && item[field].trim());
+    const text = key ? stripHtml(item[key]) : (typeof item === 'string' ? item : '');
+    return text.trim() || `Item ${index + 1}`;
+}
+
+/**
+ * Whether a string field holds HTML (rendered through the sanitizer).
+ * @param {Object} schema - Schema node.
+ * @returns {boolean} Whether the field allows markup.
+ */
+function isHtmlField(schema) {
+    return schema.contentMediaType === 'text/html';
+}
+
+/**
+ * Renders the label row shared by every field.
+ * @param {Object} field - `{ id, key, schema }`.
+ * @returns {string} Label HTML.
+ */
+function renderFieldLabel(field) {
+    const hint = isHtmlField(field.schema) ? '<span class="font-normal text-slate-400">HTML</span>' : '';
+    return `<label for="${field.id}" class="flex items-center justify-between gap-2 text-xs font-bold text-slate-600 dark:text-slate-400">${escapeHtml(getFieldLabel(field.key))}${hint}</label>`;
+}
+
+/**
+ * Renders a text, number, boolean or choice input.
+ * @param {Object} field - `{ path, id, key, schema, value }`.
+ * @returns {string} Field HTML.
+ */
+function renderValueField(field) {
+    const { path, id, schema, value } = field;
+    const type = [].concat(schema.type || 'string')[0];
+    const attrs = `id="${id}" data-path="${escapeHtml(path)}"`;
+
+    if (schema.enum) {
+        return `${renderFieldLabel(field)}
+            <select ${attrs} data-type="${jsonType(schema.enum[0])}" class="${EDITOR_INPUT_CLASS}">
+                ${schema.enum.map(option => `<option value="${escapeHtml(option)}" ${option === value ? 'selected' : ''}>${escapeHtml(option)}</option>`).join('')}
+            </select>`;
+    }
+    if (type === 'boolean') {
+        return `<label class="flex items-center gap-2 text-xs font-bold text-slate-600 dark:text-slate-400">
+                <input type="checkbox" ${attrs} data-type="boolean" class="rounded border-slate-300 dark:border-slate-700 text-primary focus:ring-primary" ${value ? 'checked' : ''}>
+                ${escapeHtml(getFieldLabel(field.key))}
+            </label>`;
+    }
+    if (type === 'number' || type === 'integer') {
+        return `${renderFieldLabel(field)}
+            <input type="number" ${attrs} data-type="number" class="${EDITOR_INPUT_CLASS}" value="${escapeHtml(value === undefined ? '' : value)}" ${type === 'integer' ? 'step="1"' : 'step="any"'}>`;
+    }
+
+    const text = value === undefined ? '' : String(value);
+    if (isHtmlField(schema) || text.length > 60 || text.includes('\n')) {
+        return `${renderFieldLabel(field)}
+            <textarea ${attrs} data-type="string" rows="${Math.min(8, Math.max(2, Math.ceil(text.length / 50)))}" class="${EDITOR_INPUT_CLASS} font-mono text-xs">${escapeHtml(text)}</textarea>`;
+    }
+    return `${renderFieldLabel(field)}
+        <input type="text" ${attrs} data-type="string" class="${EDITOR_INPUT_CLASS}" value="${escapeHtml(text)}">`;
+}
+
+/**
+ * Renders a JSON text area for values without a schema the forms can follow.
+ * @param {Object} field - `{ path, id, key, value }`.
+ * @returns {string} Field HTML.
+ */
+function renderJsonField(field) {
+    const json = field.value === undefined ? '' : JSON.stringify(field.value, null, 2);
+    return `${renderFieldLabel(field)}
+        <textarea id="${field.id}" data-path="${escapeHtml(field.path)}" data-type="json" rows="${Math.min(12, json.split('\n').length + 1)}" class="${EDITOR_INPUT_CLASS} font-mono text-xs">${escapeHtml(json)}</textarea>
+        <p class="text-[11px] text-slate-400">JSON</p>`;
+}
+
+/**
+ * Accent colour picker, with a reset to the default.
+ * @param {Object} field - `{ path, id, key, value }`.
+ * @returns {string} Field HTML.
+ */
+function renderColorField(field) {
+    return `${renderFieldLabel(field)}
+        <div class="flex items-center gap-2">
+            <input type="color" id="${field.id}" data-path="${escapeHtml(field.path)}" data-type="string" class="h-9 w-16 rounded border border-slate-300 dark:border-slate-700 bg-transparent" value="${escapeHtml(field.value || '#135bec')}">
+            <button type="button" data-action="clear" data-path="${escapeHtml(field.path)}" class="text-xs font-bold text-slate-500 hover:text-primary">Use default</button>
+        </div>`;
+}
+
+/**
+ * SVG icon path with a live preview. Pasting a whole `<svg>` keeps its paths.
+ * @param {Object} field - `{ path, id, key, value }`.
+ * @returns {string} Field HTML.
+ */
+function renderSvgPathField(field) {
+    return `${renderFieldLabel(field)}
+        <div class="flex items-start gap-2">
+            <span class="size-9 shrink-0 rounded-lg bg-slate-100 dark:bg-slate-800 flex items-center justify-center text-slate-700 dark:text-slate-300">
+                <svg class="size-5 fill-current" viewBox="0 0 24 24" data-svg-preview><path d="${escapeHtml(field.value || '')}"></path></svg>
+            </span>
+            <textarea id="${field.id}" data-path="${escapeHtml(field.path)}" data-type="svg" rows="2" class="${EDITOR_INPUT_CLASS} font-mono text-xs">${escapeHtml(field.value || '')}</textarea>
+        </div>
+        <p class="text-[11px] text-slate-400">Paste a path or a whole 24×24 &lt;svg&gt; (e.g. from simpleicons.org).</p>`;
+}
+
+/**
+ * Terminal message style: a preset, or custom Tailwind classes.
+ * @param {Object} field - `{ path, id, key, value }`.
+ * @returns {string} Field HTML.
+ */
+function renderStyleField(field) {
+    const value = field.value || '';
+    const preset = Object.keys(TERMINAL_STYLE_PRESETS).find(name => TERMINAL_STYLE_PRESETS[name] === value);
+    return `${renderFieldLabel(field)}
+        <select data-style-for="${field.id}" class="${EDITOR_INPUT_CLASS}">
+            ${Object.keys(TERMINAL_STYLE_PRESETS).map(name => `<option value="${escapeHtml(name)}" ${name === preset ? 'selected' : ''}>${escapeHtml(name)}</option>`).join('')}
+            <option value="" ${preset ? '' : 'selected'}>Custom classes…</option>
+        </select>
+        <input type="text" id="${field.id}" data-path="${escapeHtml(field.path)}" data-type="string" class="${EDITOR_INPUT_CLASS} font-mono text-xs ${preset ? 'hidden' : ''}" value="${escapeHtml(value)}" placeholder="e.g. font-bold text-primary">`;
+}
+
+/**
+ * Renders a list with add, remove and reorder controls.
+ * @param {Object} field - `{ path, id, key, schema, value }`.
+ * @returns {string} Field HTML.
+ */
+function renderArrayField(field) {
+    const { path, key } = field;
+    const items = Array.isArray(field.value) ? field.value : [];
+    const itemSchema = resolveFieldSchema(field.schema.items);
+    const isObject = [].concat(itemSchema.type)[0] === 'object';
+
+    const controls = i => `
+        <span class="flex items-center gap-0.5 text-slate-400">
+            <button type="button" class="material-symbols-outlined text-base hover:text-primary disabled:opacity-30" data-action="move" data-path="${escapeHtml(path)}" data-index="${i}" data-offset="-1" aria-label="Move up" ${i === 0 ? 'disabled' : ''}>arrow_upward</button>
+            <button type="button" class="material-symbols-outlined text-base hover:text-primary disabled:opacity-30" data-action="move" data-path="${escapeHtml(path)}" data-index="${i}" data-offset="1" aria-label="Move down" ${i === items.length - 1 ? 'disabled' : ''}>arrow_downward</button>
+            <button type="button" class="material-symbols-outlined text-base hover:text-red-500" data-action="remove" data-path="${escapeHtml(path)}" data-index="${i}" aria-label="Remove">delete</button>
+        </span>`;
+
+    const rows = items.map((item, i) => {
+        const itemPath = joinPath(path, i);
+        if (!isObject) {
+            return `<li class="flex items-start gap-1">
+                <div class="flex-1 space-y-1">${renderField(itemPath, `${getFieldLabel(key)} ${i + 1}`, field.schema.items, item)}</div>
+                ${controls(i)}
+            </li>`;
+        }
+        return `<li>
+            <details data-path="${escapeHtml(itemPath)}" class="rounded-lg border border-slate-200 dark:border-slate-800" ${editorState.open.has(itemPath) ? 'open' : ''}>
+                <summary class="flex items-center justify-between gap-2 px-3 py-2 cursor-pointer text-sm font-bold text-slate-700 dark:text-slate-300">
+                    <span class="truncate" data-summary>${escapeHtml(getItemSummary(item, i))}</span>
+                    ${controls(i)}
+                </summary>
+                <div class="px-3 pb-3 space-y-3">${renderObjectFields(itemPath, itemSchema, item)}</div>
+            </details>
+        </li>`;
+    }).join('');
+
+    return `<fieldset class="space-y-2">
+        <legend class="text-xs font-bold uppercase tracking-wider text-slate-500">${escapeHtml(getFieldLabel(key))} <span class="font-normal">(${items.length})</span></legend>
+        <ul class="space-y-2">${rows}</ul>
+        <button type="button" data-action="add" data-path="${escapeHtml(path)}" class="flex items-center gap-1 text-xs font-bold text-primary hover:underline">
+            <span class="material-symbols-outlined text-base" aria-hidden="true">add</span> Add
+        </button>
+    </fieldset>`;
+}
+
+/**
+ * Renders the fields of an object, in schema order, then any unknown keys.
+ * @param {string} path - Object path.
+ * @param {Object} schema - Object schema.
+ * @param {Object} value - Current object.
+ * @returns {string} Fields HTML.
+ */
+function renderObjectFields(path, schema, value) {
+    value = value || {};
+    const properties = schema.properties || {};
+    const keys = [...Object.keys(properties), ...Object.keys(value).filter(key => !properties[key])];
+    return keys.map(key => `<div class="space-y-1">${renderField(joinPath(path, key), key, properties[key], value[key])}</div>`).join('');
+}
+
+/**
+ * Picks the editor for a value from its path and schema.
+ * @param {string} path - Content path.
+ * @param {string} key - Property name (used as the label).
+ * @param {Object} schema - Schema node.
+ * @param {*} value - Current value.
+ * @returns {string} Field HTML.
+ */
+function renderField(path, key, schema, value) {
+    schema = resolveFieldSchema(schema);
+    const field = { path, key, schema, value, id: `edit-${path.replace(/[^\w-]/g, '_')}` };
+    const type = [].concat(schema.type || (value === undefined ? 'string' : jsonType(value)))[0];
+
+    const widget = EDITOR_WIDGETS[path.replace(/\[\d+\]/g, '[]')];
+    if (widget) return widget(field);
+    if (type === 'array' && schema.items) return renderArrayField(field);
+    if (type === 'object' && schema.properties) {
+        return `<fieldset class="space-y-3 border-l-2 border-slate-200 dark:border-slate-800 pl-3">
+            <legend class="text-xs font-bold uppercase tracking-wider text-slate-500">${escapeHtml(getFieldLabel(key))}</legend>
+            ${renderObjectFields(path, schema, value)}
+        </fieldset>`;
+    }
+    if (type === 'object' || type === 'array') return renderJsonField(field);
+    return renderValueField(field);
+}
+
+/**
+ * Renders the form for the selected section, keeping the scroll position.
+ */
+function renderEditorForm() {
+    const form = document.getElementById('editor-form');
+    if (!form) return;
+
+    const section = editorState.section;
+    const scroll = form.scrollTop;
+    form.innerHTML = renderField(section, section, getFieldSchema(section), editorState.draft[section]);
+    form.scrollTop = scroll;
+}
+
+/**
+ * Lists the draft's validation problems; each one jumps to its field.
+ */
+function renderEditorStatus() {
+    const problems = document.getElementById('editor-problems');
+    const status = document.getElementById('editor-status');
+    if (!problems || !status) return;
+
+    const errors = appState.schema ? validateContent(applyRepoMetadata(editorState.draft, appState.repos), appState.schema) : [];
+    problems.classList.toggle('hidden', !errors.length);
+    problems.innerHTML = `
+        <p class="font-bold text-red-600 dark:text-red-400">${errors.length} problem${errors.length === 1 ? '' : 's'} (left out of the preview)</p>
+        <ul class="space-y-1">
+            ${errors.map(err => `
+                <li><button type="button" data-action="focus" data-path="${escapeHtml(err.path)}" class="text-left hover:underline"><span class="text-primary">${escapeHtml(err.path || '(root)')}</span> ${escapeHtml(err.message)}</button></li>
+            `).join('')}
+        </ul>
+    `;
+
+    const changed = JSON.stringify(editorState.draft) !== JSON.stringify(editorState.original);
+    const saved = editorState.savedAt ? ` · draft saved ${new Date(editorState.savedAt).toLocaleTimeString()}` : '';
+    status.innerText = (changed ? 'Differs from content.json (download it to publish)' : 'Same as content.json') + saved;
+}
+
+/**
+ * Re-renders the page from the draft and autosaves it, once typing pauses.
+ */
+function scheduleEditorUpdate() {
+    clearTimeout(editorState.timer);
+    editorState.timer = setTimeout(() => {
+        saveDraft();
+        showLocale(appState.locale, false);
+        renderEditorStatus();
+    }, EDITOR_UPDATE_DELAY);
+}
+
+/**
+ * Reads the saved draft, if any.
+ * @returns {Object|null} `{ savedAt, content }`.
+ */
+function loadDraft() {
+    try {
+        const draft = JSON.parse(readStorage(DRAFT_STORAGE_KEY));
+        return draft && draft.content ? draft : null;
+    } catch (error) {
+        return null;
+    }
+}
+
+/**
+ * Stores the draft, or forgets it when it matches content.json again.
+ */
+function saveDraft() {
+    if (JSON.stringify(editorState.draft) === JSON.stringify(editorState.original)) {
+        editorState.savedAt = null;
+        writeStorage(DRAFT_STORAGE_KEY, null);
+        return;
+    }
+    editorState.savedAt = Date.now();
+    writeStorage(DRAFT_STORAGE_KEY, JSON.stringify({ savedAt: editorState.savedAt, content: editorState.draft }));
+}
+
+/**
+ * Returns the draft formatted like the hand-edited file.
+ * @returns {string} content.json text.
+ */
+function getDraftJson() {
+    return JSON.stringify(editorState.draft, null, 4);
+}
+
+/**
+ * Downloads the draft as content.json.
+ */
+function downloadDraft() {
+    const url = URL.createObjectURL(new Blob([getDraftJson()], { type: 'application/json' }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = 'content.json';
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+/**
+ * Copies the draft to the clipboard.
+ */
+async function copyDraft() {
+    try {
+        await navigator.clipboard.writeText(getDraftJson());
+        showToast('content.json copied to the clipboard', 'success');
+    } catch (error) {
+        showToast('Could not copy: use Download instead', 'error');
+    }
+}
+
+/**
+ * Drops the draft and goes back to content.json as loaded.
+ */
+function discardDraft() {
+    if (!window.confirm('Discard all changes and go back to content.json?')) return;
+    clearTimeout(editorState.timer);
+    editorState.draft = JSON.parse(JSON.stringify(editorState.original));
+    appState.base = editorState.draft;
+    editorState.savedAt = null;
+    writeStorage(DRAFT_STORAGE_KEY, null);
+    renderEditorForm();
+    showLocale(appState.locale, false);
+    renderEditorStatus();
+}
+
+/**
+ * Leaves edit mode (the draft stays saved for next time).
+ */
+function closeEditor() {
+    const url = new URL(window.location.href);
+    url.searchParams.delete('edit');
+    window.location.href = url.toString();
+}
+
+/**
+ * Converts an input's value for its field type.
+ * @param {HTMLElement} input - Field input.
+ * @returns {{ value: *, valid: boolean }} Converted value.
+ */
+function readFieldInput(input) {
+    const type = input.dataset.type;
+    if (type === 'boolean') return { value: input.checked, valid: true };
+    if (type === 'number') return { value: input.value === '' ? undefined : Number(input.value), valid: input.value === '' || !isNaN(Number(input.value)) };
+    if (type === 'json') {
+        if (!input.value.trim()) return { value: undefined, valid: true };
+        try {
+            return { value: JSON.parse(input.value), valid: true };
+        } catch (error) {
+            return { value: undefined, valid: false };
+        }
+    }
+    if (type === 'svg' && /<(svg|path)\b/i.test(input.value)) {
+        // Keep only the path data from pasted markup
+        input.value = [...input.value.matchAll(/\sd\s*=\s*["']([^"']*)["']/gi)].map(match => match[1]).join(' ');
+    }
+
+    // Empty optional text fields are left out rather than saved as ""
+    const keys = parseContentPath(input.dataset.path);
+    const key = keys.pop();
+    const parent = resolveFieldSchema(getFieldSchema(keys.reduce(joinPath, '')));
+    if (input.value === '' && typeof key === 'string' && !(parent.required || []).includes(key)) return { value: undefined, valid: true };
+    return { value: input.value, valid: true };
+}
+
+/**
+ * Applies a field edit to the draft.
+ * @param {Event} e - Input event from the form.
+ */
+function handleEditorInput(e) {
+    const target = e.target;
+
+    // Style presets fill in the class field they belong to
+    if (target.dataset.styleFor) {
+        const input = document.getElementById(target.dataset.styleFor);
+        input.classList.toggle('hidden', !!target.value);
+        if (target.value) input.value = TERMINAL_STYLE_PRESETS[target.value];
+        input.dispatchEvent(new Event('input', { bubbles: true }));
+        return;
+    }
+    if (!target.dataset.path) return;
+
+    const { value, valid } = readFieldInput(target);
+    target.setAttribute('aria-invalid', String(!valid));
+    target.classList.toggle('!border-red-500', !valid);
+    if (!valid) return;
+
+    writeContentPath(editorState.draft, target.dataset.path, value);
+
+    if (target.dataset.type === 'svg') {
+        const preview = target.parentElement.querySelector('[data-svg-preview] path');
+        if (preview) preview.setAttribute('d', target.value);
+    }
+
+    // Keep the item headers in step with what they summarize
+    const item = target.closest('details[data-path]');
+    if (item) {
+        const index = parseContentPath(item.dataset.path).pop();
+        item.querySelector('[data-summary]').innerText = getItemSummary(readContentPath(editorState.draft, item.dataset.path), index);
+    }
+
+    scheduleEditorUpdate();
+}
+
+/**
+ * Shows the section holding a path, opens its list items and focuses the field.
+ * @param {string} path - Content path.
+ */
+function focusEditorField(path) {
+    const keys = parseContentPath(path);
+    if (!keys.length) return;
+
+    editorState.section = keys[0];
+    document.getElementById('editor-section').value = keys[0];
+    keys.reduce((parent, key) => {
+        const current = joinPath(parent, key);
+        if (typeof key === 'number') editorState.open.add(current);
+        return current;
+    }, '');
+    renderEditorForm();
+
+    // Missing fields have no input: fall back to the closest one shown
+    let target = null;
+    for (let end = keys.length; end > 0 && !target; end--) {
+        const prefix = keys.slice(0, end).reduce(joinPath, '');
+        const selector = `[data-path="${CSS.escape(prefix)}"]`;
+        target = document.querySelector(['input', 'select', 'textarea', 'details'].map(tag => `#editor-form ${tag}${selector}`).join(', '));
+    }
+    if (target) {
+        target.scrollIntoView({ block: 'center' });
+        if (target.focus) target.focus();
+    }
+}
+
+/**
+ * Handles the list and toolbar buttons.
+ * @param {Event} e - Click event inside the editor.
+ */
+function handleEditorClick(e) {
+    const button = e.target.closest('[data-action]');
+    if (!button) return;
+
+    // Buttons in an item header must not toggle the item
+    e.preventDefault();
+
+    const { action, path } = button.dataset;
+    const index = Number(button.dataset.index);
+    const list = readContentPath(editorState.draft, path);
+
+    if (action === 'focus') {
+        focusEditorField(path);
+        return;
+    }
+    if (action === 'clear') {
+        writeContentPath(editorState.draft, path, undefined);
+    } else if (action === 'add') {
+        const items = Array.isArray(list) ? list : [];
+        items.push(createDefaultValue(getFieldSchema(path).items));
+        writeContentPath(editorState.draft, path, items);
+        editorState.open.add(joinPath(path, items.length - 1));
+    } else if (action === 'remove') {
+        list.splice(index, 1);
+        editorState.open.delete(joinPath(path, index));
+    } else if (action === 'move') {
+        const to = index + Number(button.dataset.offset);
+        if (to < 0 || to >= list.length) return;
+        list.splice(to, 0, list.splice(index, 1)[0]);
+
+        // The open state follows the moved item
+        const from = joinPath(path, index);
+        const other = joinPath(path, to);
+        const wasOpen = editorState.open.has(from);
+        editorState.open[editorState.open.has(other) ? 'add' : 'delete'](from);
+        editorState.open[wasOpen ? 'add' : 'delete'](other);
+    }
+
+    renderEditorForm();
+    scheduleEditorUpdate();
+}
+
+/**
+ * Builds the editor panel and wires up its controls.
+ */
+function renderEditor() {
+    let panel = document.getElementById('content-editor');
+    if (!panel) {
+        panel = document.createElement('aside');
+        panel.id = 'content-editor';
+        panel.setAttribute('aria-label', 'Content editor');
+        panel.className = 'fixed inset-y-0 left-0 z-[250] w-full lg:w-[28rem] flex flex-col bg-white dark:bg-surface-dark border-r border-slate-200 dark:border-slate-800 shadow-2xl text-slate-700 dark:text-slate-300';
+        document.body.appendChild(panel);
+    }
+
+    const sections = Object.keys((appState.schema && appState.schema.properties) || editorState.draft).filter(key => !key.startsWith('$'));
+    const defaultLocale = getDefaultLocale(editorState.draft.i18n);
+    const button = 'px-3 py-1.5 rounded-lg text-xs font-bold border border-slate-300 dark:border-slate-700 hover:border-primary hover:text-primary transition-colors';
+
+    panel.innerHTML = `
+        <div class="flex items-center justify-between gap-2 px-4 py-3 border-b border-slate-200 dark:border-slate-800">
+            <p class="flex items-center gap-2 font-bold text-slate-900 dark:text-white">
+                <span class="material-symbols-outlined text-base text-primary" aria-hidden="true">edit_note</span>
+                Edit content
+            </p>
+            <span class="flex items-center gap-1">
+                <button type="button" id="editor-collapse" class="material-symbols-outlined text-base text-slate-400 hover:text-primary" aria-label="Hide editor">left_panel_close</button>
+                <button type="button" id="editor-close" class="material-symbols-outlined text-base text-slate-400 hover:text-primary" aria-label="Leave edit mode">close</button>
+            </span>
+        </div>
+        <div class="px-4 py-3 space-y-2 border-b border-slate-200 dark:border-slate-800">
+            <label for="editor-section" class="text-xs font-bold text-slate-600 dark:text-slate-400">Section</label>
+            <select id="editor-section" class="${EDITOR_INPUT_CLASS}">
+                ${sections.map(key => `<option value="${escapeHtml(key)}" ${key === editorState.section ? 'selected' : ''}>${escapeHtml(getFieldLabel(key))}</option>`).join('')}
+            </select>
+            <p class="text-[11px] text-slate-400">Editing the default language (${escapeHtml(defaultLocale)}). Translations stay in their own files.</p>
+        </div>
+        <div id="editor-form" class="flex-1 overflow-y-auto px-4 py-4 space-y-3"></div>
+        <div id="editor-problems" class="hidden max-h-40 overflow-y-auto px-4 py-3 space-y-2 border-t border-red-200 dark:border-red-900 font-mono text-xs"></div>
+        <div class="px-4 py-3 space-y-2 border-t border-slate-200 dark:border-slate-800">
+            <p id="editor-status" class="text-[11px] text-slate-400" aria-live="polite"></p>
+            <div class="flex flex-wrap gap-2">
+                <button type="button" id="editor-download" class="px-3 py-1.5 rounded-lg text-xs font-bold bg-primary hover:bg-primary/90 text-white transition-colors">Download content.json</button>
+                <button type="button" id="editor-copy" class="${button}">Copy JSON</button>
+                <button type="button" id="editor-discard" class="${button} hover:!border-red-500 hover:!text-red-500">Discard draft</button>
+            </div>
+        </div>
+    `;
+
+    // Reopens the panel after hiding it
+    let reopen = document.getElementById('editor-reopen');
+    if (!reopen) {
+        reopen = document.createElement('button');
+        reopen.type = 'button';
+        reopen.id = 'editor-reopen';
+        reopen.className = 'hidden fixed bottom-8 left-8 z-[250] size-12 rounded-full bg-primary text-white shadow-xl flex items-center justify-center';
+        reopen.setAttribute('aria-label', 'Show editor');
+        reopen.innerHTML = '<span class="material-symbols-outlined" aria-hidden="true">edit_note</span>';
+        document.body.appendChild(reopen);
+    }
+
+    const setCollapsed = collapsed => {
+        panel.classList.toggle('hidden', collapsed);
+        reopen.classList.toggle('hidden', !collapsed);
+        document.body.classList.toggle('editor-open', !collapsed);
+    };
+    setCollapsed(false);
+    reopen.onclick = () => setCollapsed(false);
+    document.getElementById('editor-collapse').onclick = () => setCollapsed(true);
+    document.getElementById('editor-close').onclick = closeEditor;
+    document.getElementById('editor-download').onclick = downloadDraft;
+    document.getElementById('editor-copy').onclick = copyDraft;
+    document.getElementById('editor-discard').onclick = discardDraft;
+    document.getElementById('editor-section').onchange = e => {
+        editorState.section = e.target.value;
+        renderEditorForm();
+    };
+
+    const form = document.getElementById('editor-form');
+    form.oninput = handleEditorInput;
+    panel.onclick = handleEditorClick;
+
+    // Remember which list items are expanded across re-renders
+    form.addEventListener('toggle', e => {
+        const path = e.target.dataset && e.target.dataset.path;
+        if (path) editorState.open[e.target.open ? 'add' : 'delete'](path);
+    }, true);
+
+    renderEditorForm();
+    renderEditorStatus();
+}
+
+/**
+ * Starts edit mode on the loaded content: restores a saved draft and makes
+ * it the content the page renders.
+ */
+function startEditor() {
+    editorState.original = appState.base;
+
+    const saved = loadDraft();
+    editorState.draft = saved ? saved.content : JSON.parse(JSON.stringify(appState.base));
+    editorState.savedAt = saved ? saved.savedAt : null;
+    editorState.section = Object.keys(editorState.draft).find(key => !key.startsWith('$'));
+    appState.base = editorState.draft;
+
+    renderEditor();
+    if (saved) showToast(`Restored your draft from ${new Date(saved.savedAt).toLocaleString()}`, 'info');
+}
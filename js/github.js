@@ -0,0 +1,124 @@
+/**
+ * GitHub Projects
+ *
+ * Projects can reference a GitHub repository (`repo`) instead of spelling
+ * everything out. Its metadata comes from github.json, a cache written by
+ * scripts/github.js, so the page never calls the API: description, topics as
+ * tags, homepage and repository links, stars, last update and main language.
+ * Fields written in content.json always win over synced ones.
+ */
+
+/**
+ * Cached repository metadata, next to content.json.
+ */
+const REPO_CACHE_FILE = 'github.json';
+
+/**
+ * Fields every project needs (content.schema.json), which a synced repository provides.
+ */
+const REPO_PROJECT_FIELDS = ['title', 'description', 'image', 'tags', 'links'];
+
+/**
+ * Reads the account name from `profile.github_url`.
+ * @param {Object} profile - Profile data object.
+ * @returns {string|null} GitHub user or organization.
+ */
+function getGithubOwner(profile) {
+    const match = /github\.com\/([^/?#]+)/i.exec((profile && profile.github_url) || '');
+    return match ? match[1] : null;
+}
+
+/**
+ * Returns the full name (`owner/name`) of a project's repository.
+ * A bare name belongs to the account in `profile.github_url`.
+ * @param {Object} project - Project item.
+ * @param {string|null} owner - Default account.
+ * @returns {string|null} Full repository name.
+ */
+function getRepoFullName(project, owner) {
+    if (!project.repo) return null;
+    if (project.repo.includes('/')) return project.repo;
+    return owner ? `${owner}/${project.repo}` : null;
+}
+
+/**
+ * Lists the repositories referenced by the projects.
+ * @param {Object} content - Content object.
+ * @returns {string[]} Full repository names.
+ */
+function getReferencedRepos(content) {
+    const owner = getGithubOwner(content.profile);
+    const items = (content.projects && content.projects.items) || [];
+    return [...new Set(items.map(p => getRepoFullName(p, owner)).filter(Boolean))];
+}
+
+/**
+ * Turns cached repository metadata into project fields.
+ * @param {Object} meta - Cache entry.
+ * @param {string} fullName - `owner/name`.
+ * @returns {Object} Project fields.
+ */
+function getRepoFields(meta, fullName) {
+    const url = meta.url || `https://github.com/${fullName}`;
+    const fields = {
+        title: meta.name || fullName.split('/').pop(),
+        description: meta.description ? escapeHtml(meta.description) : '',
+        image: `https://opengraph.githubassets.com/1/${fullName}`,
+        tags: meta.topics || [],
+        links: [
+            ...(meta.homepage ? [{ type: 'link', url: meta.homepage }] : []),
+            { type: 'code', url }
+        ]
+    };
+    if (typeof meta.stars === 'number') fields.stars = meta.stars;
+    if (meta.updated) fields.updated = meta.updated;
+    if (meta.language) fields.language = meta.language;
+    return fields;
+}
+
+/**
+ * Fills in projects that reference a repository from the cache. Hand-written
+ * fields are kept as they are. A project missing from the cache is left out
+ * unless it spells out the fields it needs, so it can't fail validation and
+ * hide the whole section.
+ * @param {Object} content - Content object (not modified).
+ * @param {Object|null} cache - Parsed github.json.
+ * @returns {Object} Content with the synced fields added.
+ */
+function applyRepoMetadata(content, cache) {
+    const items = content.projects && content.projects.items;
+    if (!Array.isArray(items) || !items.some(p => p && p.repo)) return content;
+
+    const owner = getGithubOwner(content.profile);
+    const repos = (cache && cache.repos) || {};
+
+    return {
+        ...content,
+        projects: {
+            ...content.projects,
+            items: items.flatMap(p => {
+                const fullName = p && getRepoFullName(p, owner);
+                if (!fullName) return [p];
+                if (!repos[fullName]) {
+                    const complete = REPO_PROJECT_FIELDS.every(field => p[field] !== undefined);
+                    console.warn(`${fullName} is not in ${REPO_CACHE_FILE}${complete ? '' : ', leaving the project out'}: run node scripts/github.js`);
+                    return complete ? [p] : [];
+                }
+                return [{ ...getRepoFields(repos[fullName], fullName), ...p }];
+            })
+        }
+    };
+}
+
+/**
+ * Loads the repository cache when any project needs it.
+ * @param {Object} content - Content object.
+ * @returns {Promise<Object|null>} Parsed github.json.
+ */
+async function loadRepoCache(content) {
+    if (!getReferencedRepos(content).length) return null;
+    return fetchJson(REPO_CACHE_FILE).catch(error => {
+        console.warn(`Could not load ${REPO_CACHE_FILE}, showing projects without GitHub data:`, error);
+        return null;
+    });
+}
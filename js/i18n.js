@@ -0,0 +1,167 @@
+/**
+ * Localization
+ *
+ * 'content.json' holds the base locale. Other locales are partial files
+ * (declared in `i18n.locales[].file`) merged over it, so any field a
+ * translation leaves out falls back to the base text.
+ */
+
+/**
+ * localStorage key remembering the visitor's choice.
+ */
+const LOCALE_STORAGE_KEY = 'locale';
+
+/**
+ * Pending or loaded locale files, keyed by locale code.
+ */
+const localeCache = {};
+
+/**
+ * Deep-merges a locale override over base content. Objects merge by key and
+ * arrays by index, so a translation only needs the fields it changes.
+ * @param {*} base - Base value.
+ * @param {*} override - Localized value.
+ * @returns {*} Merged value (inputs are not modified).
+ */
+function mergeContent(base, override) {
+    if (override === undefined || override === null) return base;
+
+    if (Array.isArray(base) && Array.isArray(override)) {
+        const length = Math.max(base.length, override.length);
+        return Array.from({ length }, (_, i) => mergeContent(base[i], override[i]));
+    }
+
+    if (base && override && typeof base === 'object' && typeof override === 'object' && !Array.isArray(base) && !Array.isArray(override)) {
+        const merged = { ...base };
+        Object.keys(override).forEach(key => {
+            merged[key] = mergeContent(base[key], override[key]);
+        });
+        return merged;
+    }
+
+    return override;
+}
+
+/**
+ * Returns the locales declared in content, falling back to English only.
+ * @param {Object} i18n - The i18n data object.
+ * @returns {Object[]} Locale entries.
+ */
+function getLocales(i18n) {
+    return (i18n && i18n.locales && i18n.locales.length) ? i18n.locales : [{ code: 'en', name: 'English' }];
+}
+
+/**
+ * Returns the locale used when nothing else matches.
+ * @param {Object} i18n - The i18n data object.
+ * @returns {string} Locale code.
+ */
+function getDefaultLocale(i18n) {
+    return (i18n && i18n.default_locale) || getLocales(i18n)[0].code;
+}
+
+/**
+ * Finds the supported locale matching a language tag ("fr-CA" matches "fr").
+ * @param {Object} i18n - The i18n data object.
+ * @param {string} tag - BCP 47 language tag.
+ * @returns {string|undefined} Supported locale code.
+ */
+function matchLocale(i18n, tag) {
+    if (!tag) return undefined;
+    const codes = getLocales(i18n).map(l => l.code);
+    const wanted = String(tag).toLowerCase();
+    return codes.find(code => code.toLowerCase() === wanted)
+        || codes.find(code => code.toLowerCase() === wanted.split('-')[0]);
+}
+
+/**
+ * Picks the locale to show: `?lang=`, then the stored choice, then the
+ * browser languages, then the default locale.
+ * @param {Object} i18n - The i18n data object.
+ * @returns {string} Locale code.
+ */
+function detectLocale(i18n) {
+    const candidates = [
+        new URLSearchParams(window.location.search).get('lang'),
+        readStorage(LOCALE_STORAGE_KEY),
+        ...(navigator.languages || [navigator.language])
+    ];
+
+    for (const tag of candidates) {
+        const code = matchLocale(i18n, tag);
+        if (code) return code;
+    }
+    return getDefaultLocale(i18n);
+}
+
+/**
+ * Returns the content for a locale (base content merged with its file).
+ * @param {Object} base - Parsed 'content.json'.
+ * @param {string} locale - Locale code.
+ * @returns {Promise<Object>} Localized content.
+ */
+async function getLocalizedContent(base, locale) {
+    const entry = getLocales(base.i18n).find(l => l.code === locale);
+    if (!entry || !entry.file) return base;
+
+    if (!localeCache[locale]) {
+        localeCache[locale] = fetchJson(entry.file).catch(error => {
+            console.warn(`Could not load ${entry.file}, falling back to the base locale:`, error);
+            delete localeCache[locale];
+            return {};
+        });
+    }
+    return mergeContent(base, await localeCache[locale]);
+}
+
+/**
+ * Records the locale on <html lang>, in storage and in the `?lang=` parameter.
+ * @param {string} locale - Locale code.
+ * @param {boolean} persist - Whether this was an explicit choice to remember.
+ */
+function setDocumentLocale(locale, persist) {
+    document.documentElement.lang = locale;
+    if (!persist) return;
+
+    writeStorage(LOCALE_STORAGE_KEY, locale);
+
+    const url = new URL(window.location.href);
+    url.searchParams.set('lang', locale);
+    history.replaceState(history.state, '', url);
+}
+
+/**
+ * Renders the language picker in the header.
+ * @param {Object} i18n - The i18n data object.
+ * @param {string} current - Active locale code.
+ * @param {Function} onChange - Called with the chosen locale code.
+ */
+function renderLocalePicker(i18n, current, onChange) {
+    const picker = document.getElementById('locale-picker');
+    if (!picker) return;
+
+    const locales = getLocales(i18n);
+    if (locales.length < 2) {
+        picker.innerHTML = '';
+        return;
+    }
+
+    picker.innerHTML = `
+        <label class="sr-only" for="locale-select">${escapeHtml((i18n && i18n.label) || 'Language')}</label>
+        <select id="locale-select"
+            class="h-9 bg-slate-200 dark:bg-slate-800 border border-slate-300 dark:border-slate-700 hover:border-slate-400 dark:hover:border-slate-600 rounded-lg pl-2 pr-7 py-1 text-xs font-mono font-bold text-slate-700 dark:text-slate-300 focus:ring-primary focus:border-primary cursor-pointer transition-colors">
+            ${locales.map(l => `<option value="${escapeHtml(l.code)}" ${l.code === current ? 'selected' : ''} title="${escapeHtml(l.name || l.code)}">${escapeHtml(l.label || l.code.toUpperCase())}</option>`).join('')}
+        </select>
+    `;
+
+    setupLocalePicker(onChange);
+}
+
+/**
+ * Connects the language picker to a change handler.
+ * @param {Function} onChange - Called with the chosen locale code.
+ */
+function setupLocalePicker(onChange) {
+    const select = document.getElementById('locale-select');
+    if (select) select.onchange = (e) => onChange(e.target.value);
+}
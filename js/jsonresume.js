@@ -0,0 +1,382 @@
+/**
+ * JSON Resume
+ *
+ * Converts between content.json and the open JSON Resume format
+ * (https://jsonresume.org/schema). Fields that only one side understands are
+ * kept in an extension block, so converting there and back loses nothing:
+ * `meta.portfolio` in the resume holds what only this site uses (terminal,
+ * theme, icons...), `json_resume` in content holds resume fields the site has
+ * no place for (phone, awards, languages...).
+ */
+
+/**
+ * Schema URL written to exported resumes.
+ */
+const JSON_RESUME_SCHEMA = 'https://raw.githubusercontent.com/jsonresume/resume-schema/v1.0.0/schema.json';
+
+/**
+ * Whether a value is a plain object (not an array or null).
+ * @param {*} value - Any value.
+ * @returns {boolean} True for objects.
+ */
+function isPlainObject(value) {
+    return !!value && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * Computes how `rebuilt` differs from `original`: changed object keys
+ * recursively (null for keys `original` doesn't have), arrays by index (or
+ * whole, when their lengths differ).
+ * @param {*} original - Value to preserve.
+ * @param {*} rebuilt - Value produced by converting back.
+ * @returns {*} Difference for applyExtension(), or undefined if they match.
+ */
+function diffContent(original, rebuilt) {
+    if (original === undefined) return undefined;
+
+    if (isPlainObject(original) && isPlainObject(rebuilt)) {
+        const diff = {};
+        Object.keys(original).forEach(key => {
+            const value = diffContent(original[key], rebuilt[key]);
+            if (value !== undefined) diff[key] = value;
+        });
+        Object.keys(rebuilt).forEach(key => {
+            if (original[key] === undefined && rebuilt[key] !== undefined) diff[key] = null;
+        });
+        return Object.keys(diff).length ? diff : undefined;
+    }
+
+    if (Array.isArray(original) && Array.isArray(rebuilt) && original.length === rebuilt.length) {
+        const diff = original.map((item, i) => diffContent(item, rebuilt[i]));
+        return diff.some(item => item !== undefined) ? diff.map(item => (item === undefined ? null : item)) : undefined;
+    }
+
+    return JSON.stringify(original) === JSON.stringify(rebuilt) ? undefined : original;
+}
+
+/**
+ * Restores preserved fields over a converted value (the reverse of diffContent()).
+ * @param {*} value - Converted value.
+ * @param {*} extension - Difference from diffContent().
+ * @returns {*} Value with the preserved fields put back.
+ */
+function applyExtension(value, extension) {
+    if (extension === undefined || extension === null) return value;
+
+    if (Array.isArray(extension)) {
+        if (!Array.isArray(value) || value.length !== extension.length) return extension;
+        return value.map((item, i) => applyExtension(item, extension[i]));
+    }
+
+    if (isPlainObject(extension) && isPlainObject(value)) {
+        const merged = { ...value };
+        Object.keys(extension).forEach(key => {
+            if (extension[key] === null) delete merged[key];
+            else merged[key] = applyExtension(value[key], extension[key]);
+        });
+        return merged;
+    }
+
+    return extension;
+}
+
+/**
+ * Drops undefined values so converted objects only list the fields they have.
+ * @param {Object} object - Object to clean.
+ * @returns {Object} Same object.
+ */
+function compactObject(object) {
+    Object.keys(object).forEach(key => {
+        if (object[key] === undefined) delete object[key];
+    });
+    return object;
+}
+
+/**
+ * Turns a rich-text field into plain text, keeping line breaks.
+ * @param {string} html - Markup from content.
+ * @returns {string|undefined} Text, or undefined for an empty field.
+ */
+function htmlToText(html) {
+    if (!html) return undefined;
+    return stripHtml(String(html).replace(/<br\s*\/?>/gi, '\n')).trim() || undefined;
+}
+
+/**
+ * Turns plain text into a rich-text field (line breaks become `<br>`).
+ * @param {string} text - Plain text.
+ * @returns {string} Markup.
+ */
+function textToHtml(text) {
+    return String(text || '').replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/\n/g, '<br>');
+}
+
+/**
+ * Splits a period such as "2022 - Present" or "2021" into ISO dates.
+ * @param {string} period - Period from content.
+ * @returns {Object} `{ startDate, endDate }` (no end date while ongoing).
+ */
+function parsePeriod(period) {
+    const match = /^\s*(\d{4}(?:-\d{2}){0,2})\s*(?:[-–—]\s*(.*?))?\s*$/.exec(period || '');
+    if (!match) return {};
+
+    const end = match[2] === undefined ? match[1] : match[2];
+    return { startDate: match[1], endDate: /^\d{4}(-\d{2}){0,2}$/.test(end) ? end : undefined };
+}
+
+/**
+ * Writes ISO dates as a period of years ("2022 - Present", "2021").
+ * @param {string} startDate - Start date.
+ * @param {string} [endDate] - End date (none while ongoing).
+ * @returns {string} Period.
+ */
+function formatPeriod(startDate, endDate) {
+    const start = (startDate || '').slice(0, 4);
+    const end = (endDate || '').slice(0, 4);
+    if (!start) return end;
+    if (!end) return `${start} - Present`;
+    return start === end ? start : `${start} - ${end}`;
+}
+
+/**
+ * Returns the resume dates of an experience item or degree: its `start` and
+ * `end`, else the ones read from its period.
+ * @param {Object} entry - Item from content.
+ * @param {string} period - Its `period` or `year`.
+ * @returns {Object} `{ startDate, endDate }` (no end date while ongoing).
+ */
+function getResumeDates(entry, period) {
+    if (!entry.start) return parsePeriod(period);
+    const end = entry.end || entry.start;
+    return { startDate: entry.start, endDate: end === DATE_PRESENT ? undefined : end };
+}
+
+/**
+ * Returns the content dates of a resume entry; a start without an end is ongoing.
+ * @param {Object} entry - Work or education entry.
+ * @returns {Object} `{ start, end }`, empty unless the start is an ISO date.
+ */
+function getContentDates(entry) {
+    const isDate = value => /^\d{4}(-\d{2}(-\d{2})?)?$/.test(value || '');
+    if (!isDate(entry.startDate)) return {};
+    return { start: entry.startDate, end: isDate(entry.endDate) ? entry.endDate : DATE_PRESENT };
+}
+
+/**
+ * Converts content to a JSON Resume, mapped fields only.
+ * @param {Object} content - Content (one locale).
+ * @returns {Object} Resume.
+ */
+function mapContentToResume(content) {
+    const profile = content.profile || {};
+    const edu = content.education || {};
+
+    // Social links, plus the profile links when they aren't among them
+    const profiles = ((content.contact && content.contact.links) || []).map(link => ({ network: link.name, url: link.url }));
+    [['LinkedIn', profile.linkedin_url], ['GitHub', profile.github_url]].forEach(([network, url]) => {
+        if (url && !profiles.some(p => p.url === url)) profiles.push({ network, url });
+    });
+    profiles.forEach(p => {
+        p.username = String(p.url).replace(/\/+$/, '').split('/').pop();
+    });
+
+    return {
+        $schema: JSON_RESUME_SCHEMA,
+        basics: compactObject({
+            name: profile.name,
+            label: profile.role,
+            email: profile.email,
+            url: content.site && content.site.url,
+            summary: htmlToText(profile.hero_text),
+            location: profile.location ? { city: profile.location } : undefined,
+            profiles
+        }),
+        work: ((content.experience && content.experience.items) || []).map(job => {
+            const link = /href=(['"])(.*?)\1/i.exec(job.company || '');
+            return compactObject({
+                name: htmlToText(job.company),
+                position: job.role,
+                url: link ? link[2] : undefined,
+                ...getResumeDates(job, job.period),
+                summary: htmlToText(job.description),
+                highlights: job.highlights && job.highlights.length ? job.highlights.map(htmlToText) : undefined
+            });
+        }),
+        education: (edu.degrees || []).map(d => {
+            const degree = /^(.+?)\s+in\s+(.+)$/.exec(d.degree || '');
+            return compactObject({
+                institution: d.school,
+                area: degree ? degree[2] : undefined,
+                studyType: degree ? degree[1] : d.degree,
+                ...getResumeDates(d, d.year)
+            });
+        }),
+        certificates: (edu.certifications || []).map(cert => ({ name: cert.name, date: cert.issued })),
+        skills: ((content.skills && content.skills.categories) || []).map(cat => ({ name: cat.category, keywords: cat.items })),
+        projects: ((content.projects && content.projects.items) || []).map(p => compactObject({
+            name: p.title,
+            description: htmlToText(p.description),
+            highlights: p.long_description ? p.long_description.map(htmlToText) : undefined,
+            keywords: p.tags,
+            startDate: p.date,
+            url: ((p.links || []).find(l => l.type === 'link') || {}).url,
+            roles: p.role ? [p.role] : undefined
+        }))
+    };
+}
+
+/**
+ * Names a profile link after its host when the resume gives no network.
+ * @param {string} url - Profile URL.
+ * @returns {string} Name such as "twitter.com".
+ */
+function getDisplayName(url) {
+    return String(url || '').replace(/^https?:\/\/(www\.)?/i, '').split('/')[0];
+}
+
+/**
+ * Converts a JSON Resume to content, mapped fields only. Fields the resume
+ * doesn't have are left undefined, so they clear stale values on import.
+ * @param {Object} resume - Resume.
+ * @returns {Object} Partial content.
+ */
+function mapResumeToContent(resume) {
+    const basics = resume.basics || {};
+    const profiles = basics.profiles || [];
+    const location = basics.location || {};
+    const findProfile = pattern => (profiles.find(p => pattern.test(`${p.network} ${p.url}`)) || {}).url;
+
+    return {
+        site: { url: basics.url },
+        profile: {
+            name: basics.name,
+            role: basics.label,
+            email: basics.email,
+            location: [location.address, location.city, location.region, location.countryCode].filter(Boolean).join(', ') || undefined,
+            hero_text: textToHtml(basics.summary),
+            linkedin_url: findProfile(/linkedin/i),
+            github_url: findProfile(/github/i)
+        },
+        experience: {
+            items: (resume.work || []).map(job => {
+                const name = textToHtml(job.name || job.company || '');
+                const dates = getContentDates(job);
+                return compactObject({
+                    role: job.position || '',
+                    company: job.url ? `<a href='${escapeHtml(job.url)}'>${name}</a>` : name,
+                    ...dates,
+                    period: dates.start ? undefined : formatPeriod(job.startDate, job.endDate),
+                    description: textToHtml(job.summary),
+                    highlights: job.highlights && job.highlights.length ? job.highlights.map(textToHtml) : undefined
+                });
+            })
+        },
+        education: {
+            degrees: (resume.education || []).map(d => {
+                const dates = getContentDates(d);
+                return compactObject({
+                    degree: [d.studyType, d.area].filter(Boolean).join(' in '),
+                    school: d.institution || '',
+                    ...dates,
+                    year: dates.start ? undefined : formatPeriod(d.startDate, d.endDate),
+                    details: []
+                });
+            }),
+            certifications: (resume.certificates || []).map(cert => ({ name: cert.name || '', issued: cert.date || '' }))
+        },
+        skills: {
+            categories: (resume.skills || []).map(skill => ({ category: skill.name || '', items: skill.keywords || [] }))
+        },
+        projects: {
+            items: (resume.projects || []).map(p => compactObject({
+                title: p.name || '',
+                description: textToHtml(p.description),
+                long_description: p.highlights && p.highlights.length ? p.highlights.map(textToHtml) : undefined,
+                role: p.roles && p.roles.length ? p.roles.join(', ') : undefined,
+                date: /^\d{4}(-\d{2}(-\d{2})?)?$/.test(p.startDate || '') ? p.startDate : undefined,
+                image: '',
+                tags: p.keywords || [],
+                links: p.url ? [{ type: 'link', url: p.url }] : []
+            }))
+        },
+        contact: {
+            links: profiles.map(p => ({ name: p.network || getDisplayName(p.url), url: p.url || '', icon_svg_path: '' }))
+        }
+    };
+}
+
+/**
+ * Lists an object's keys in the order of a reference object (recursively), so
+ * re-importing the site's own export leaves content.json's layout unchanged.
+ * @param {*} value - Imported value.
+ * @param {*} reference - Existing value at the same place.
+ * @returns {*} Value with reordered keys.
+ */
+function orderLike(value, reference) {
+    if (Array.isArray(value)) return value.map((item, i) => orderLike(item, Array.isArray(reference) ? reference[i] : undefined));
+    if (!isPlainObject(value) || !isPlainObject(reference)) return value;
+
+    const ordered = {};
+    [...Object.keys(reference), ...Object.keys(value)].forEach(key => {
+        if (key in value && !(key in ordered)) ordered[key] = orderLike(value[key], reference[key]);
+    });
+    return ordered;
+}
+
+/**
+ * Replaces sections of `base` with imported ones: objects merge by key,
+ * arrays and values are replaced, and undefined fields are removed.
+ * @param {Object} base - Existing content.
+ * @param {Object} imported - Imported content.
+ * @returns {Object} Merged content (keeps the base's key order).
+ */
+function replaceContent(base, imported) {
+    const merged = { ...base };
+    Object.keys(imported).forEach(key => {
+        const value = imported[key];
+        if (value === undefined) delete merged[key];
+        else merged[key] = isPlainObject(value) ? replaceContent(isPlainObject(base[key]) ? base[key] : {}, value) : orderLike(value, base[key]);
+    });
+    return merged;
+}
+
+/**
+ * Exports content as a JSON Resume document.
+ * @param {Object} content - Content (one locale).
+ * @returns {Object} Resume, with site-only fields in `meta.portfolio`.
+ */
+function contentToJsonResume(content) {
+    const { json_resume: extra, ...rest } = content;
+    // The resume gets the {{placeholders}} filled in; meta.portfolio keeps them
+    const resume = applyExtension(mapContentToResume(fillPlaceholders(rest, getContentVariables(rest))), extra);
+
+    const portfolio = diffContent(rest, mapResumeToContent(resume));
+    if (portfolio) resume.meta = { ...resume.meta, portfolio };
+    return resume;
+}
+
+/**
+ * Imports a JSON Resume document as content.
+ * @param {Object} resume - Resume.
+ * @param {Object} [base] - Existing content providing everything a resume lacks
+ *   (headings, terminal, form...); its personal data is replaced.
+ * @returns {Object} Content, with resume-only fields in `json_resume`.
+ */
+function jsonResumeToContent(resume, base = {}) {
+    const { portfolio, ...meta } = resume.meta || {};
+    const plain = { ...resume };
+    if (Object.keys(meta).length) plain.meta = meta;
+    else delete plain.meta;
+
+    const imported = applyExtension(mapResumeToContent(plain), portfolio);
+    imported.json_resume = diffContent(plain, mapContentToResume(fillPlaceholders(imported, getContentVariables(imported))));
+
+    // Links keep the icon of a link with the same name in the base content
+    const baseLinks = (base.contact && base.contact.links) || [];
+    ((imported.contact && imported.contact.links) || []).forEach(link => {
+        const match = baseLinks.find(l => String(l.name).toLowerCase() === String(link.name).toLowerCase());
+        if (!link.icon_svg_path && match) link.icon_svg_path = match.icon_svg_path;
+    });
+
+    return replaceContent(base, imported);
+}
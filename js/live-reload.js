@@ -0,0 +1,136 @@
+/**
+ * Live Reload
+ *
+ * Loaded only by the dev server (scripts/serve.js), which adds it to the page
+ * and announces file changes as server-sent events. A change to content.json,
+ * a translation, the schema or a post re-renders the sections it affects in
+ * place, keeping the scroll position and whatever was typed into the page;
+ * a change to the page or its scripts reloads it. The contact form and the
+ * `beacon` analytics provider send to the server, which logs what it gets
+ * instead of passing it on.
+ */
+
+/**
+ * Change announcements from scripts/serve.js.
+ */
+const LIVE_RELOAD_EVENTS_URL = '/__dev/events';
+
+/**
+ * Endpoint of scripts/serve.js that logs contact form messages.
+ */
+const LIVE_RELOAD_CONTACT_URL = '/__dev/contact';
+
+/**
+ * Endpoint of scripts/serve.js that logs analytics beacons.
+ */
+const LIVE_RELOAD_ANALYTICS_URL = '/__dev/analytics';
+
+/**
+ * Event source, whether it has connected once and the update in progress.
+ */
+const liveReloadState = {
+    source: null,
+    connected: false,
+    queue: Promise.resolve()
+};
+
+/**
+ * Runs a render while keeping the page where it was: the section at the top
+ * of the viewport stays put and form fields keep their values and focus.
+ * @param {Function} render - Renders the page.
+ */
+function keepPageState(render) {
+    const sections = [...document.querySelectorAll('#sections > section')];
+    const anchor = sections.find(section => section.getBoundingClientRect().bottom > 0);
+    const offset = anchor ? anchor.getBoundingClientRect().top : 0;
+    const fields = [...document.querySelectorAll('#sections input[id], #sections textarea[id], #sections select[id]')]
+        .filter(field => field.type !== 'file')
+        .map(field => ({ id: field.id, value: field.value, checked: field.checked }));
+    const focused = document.activeElement && document.activeElement.id;
+
+    render();
+
+    fields.forEach(({ id, value, checked }) => {
+        const field = document.getElementById(id);
+        if (!field) return;
+        // Only write what changed, so the caret doesn't jump
+        if (field.value !== value) field.value = value;
+        if (field.type === 'checkbox' || field.type === 'radio') field.checked = checked;
+    });
+    const field = focused && document.getElementById(focused);
+    if (field && document.activeElement !== field) field.focus({ preventScroll: true });
+
+    const section = anchor && document.getElementById(anchor.id);
+    if (section) window.scrollBy(0, section.getBoundingClientRect().top - offset);
+}
+
+/**
+ * Loads the content again and re-renders the sections that changed.
+ * @param {string} file - Changed file, relative to the site.
+ */
+async function reloadContent(file) {
+    // The editor shows its draft, not the file
+    if (isEditMode()) {
+        console.info(`${file} changed; edit mode keeps showing the draft.`);
+        return;
+    }
+
+    const [base, schema] = await Promise.all([
+        fetchJson('content.json'),
+        fetchJson('content.schema.json').catch(() => appState.schema)
+    ]);
+    appState.base = base;
+    appState.schema = schema;
+    Object.keys(localeCache).forEach(locale => delete localeCache[locale]);
+
+    const posts = await loadPosts(base);
+    const postsChanged = JSON.stringify(posts) !== JSON.stringify(appState.posts);
+    appState.posts = posts;
+
+    const content = applyRepoMetadata(await getLocalizedContent(base, appState.locale), appState.repos);
+    keepPageState(() => {
+        renderContent(content, false, appState.content);
+        // The posts section's data only lists the files, so their text is compared here
+        if (postsChanged && postsState.data) renderPostsView();
+    });
+    console.info(`${file} changed, page updated.`);
+}
+
+/**
+ * Handles a change announced by the server.
+ * @param {MessageEvent} e - `content` or `reload` event; `data` is `{ file }`.
+ */
+function handleLiveReloadEvent(e) {
+    const { file } = JSON.parse(e.data);
+    if (e.type === 'reload') {
+        window.location.reload();
+        return;
+    }
+    // One update at a time, in the order the changes happened
+    liveReloadState.queue = liveReloadState.queue
+        .then(() => contentReady)
+        .then(() => reloadContent(file))
+        .catch(error => console.error(`Could not reload ${file}:`, error));
+}
+
+/**
+ * Connects to the dev server. Reconnecting (after the server restarted)
+ * reloads the page, since anything may have changed meanwhile.
+ */
+function connectLiveReload() {
+    if (!window.EventSource || liveReloadState.source) return;
+
+    formState.localAction = LIVE_RELOAD_CONTACT_URL;
+    analyticsState.localBeaconUrl = LIVE_RELOAD_ANALYTICS_URL;
+
+    const source = new EventSource(LIVE_RELOAD_EVENTS_URL);
+    source.addEventListener('content', handleLiveReloadEvent);
+    source.addEventListener('reload', handleLiveReloadEvent);
+    source.onopen = () => {
+        if (liveReloadState.connected) window.location.reload();
+        liveReloadState.connected = true;
+    };
+    liveReloadState.source = source;
+}
+
+connectLiveReload();
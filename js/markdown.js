@@ -0,0 +1,243 @@
+/**
+ * Markdown
+ *
+ * A small Markdown renderer for posts: front matter, headings, paragraphs,
+ * lists, blockquotes, rules, fenced code blocks (highlighted, in a terminal
+ * frame), and inline code, links, images and emphasis. Raw HTML in the source
+ * is shown as text, so the output is safe without sanitizing. String based,
+ * so the static build renders the same markup in Node.
+ */
+
+/**
+ * Words highlighted as keywords in code blocks (JavaScript, Python and shell).
+ */
+const CODE_KEYWORDS = new Set([
+    'async', 'await', 'break', 'case', 'catch', 'class', 'const', 'continue', 'default', 'delete', 'do', 'else',
+    'export', 'extends', 'false', 'finally', 'for', 'from', 'function', 'if', 'import', 'in', 'instanceof', 'let',
+    'new', 'null', 'of', 'return', 'static', 'super', 'switch', 'this', 'throw', 'true', 'try', 'typeof',
+    'undefined', 'var', 'void', 'while', 'yield',
+    'and', 'as', 'def', 'del', 'elif', 'except', 'global', 'is', 'lambda', 'None', 'nonlocal', 'not', 'or', 'pass',
+    'raise', 'True', 'False', 'with',
+    'done', 'echo', 'esac', 'fi', 'then'
+]);
+
+/**
+ * Languages whose comments start with `#` (the others use `//` and `/* *\/`).
+ */
+const HASH_COMMENT_LANGUAGES = ['bash', 'sh', 'shell', 'zsh', 'python', 'py', 'ruby', 'rb', 'yaml', 'yml', 'toml'];
+
+/**
+ * Classes of highlighted tokens, in the terminal's colours.
+ */
+const CODE_TOKEN_CLASSES = {
+    comment: 'italic text-slate-400 dark:text-slate-500',
+    string: 'text-emerald-600 dark:text-emerald-400',
+    number: 'text-amber-600 dark:text-amber-400',
+    keyword: 'text-cyan-600 dark:text-cyan-400'
+};
+
+/**
+ * Reads a front matter value: a quoted or bare string, a boolean or an `[a, b]` list.
+ * @param {string} value - Raw value.
+ * @returns {*} Parsed value.
+ */
+function parseFrontMatterValue(value) {
+    const raw = value.trim();
+    if (/^\[.*\]$/.test(raw)) return raw.slice(1, -1).split(',').map(parseFrontMatterValue).filter(item => item !== '');
+    const quoted = /^(["'])(.*)\1$/.exec(raw);
+    if (quoted) return quoted[2];
+    if (raw === 'true' || raw === 'false') return raw === 'true';
+    return raw;
+}
+
+/**
+ * Splits the `---` front matter (simple `key: value` lines, lists as
+ * `[a, b]` or `- item` lines) from the Markdown body.
+ * @param {string} text - File content.
+ * @returns {Object} `{ data, body }`.
+ */
+function parseFrontMatter(text) {
+    const source = String(text).replace(/^\uFEFF/, '').replace(/\r\n?/g, '\n');
+    const match = /^---\n([\s\S]*?)\n---(?:\n|$)/.exec(source);
+    if (!match) return { data: {}, body: source };
+
+    const data = {};
+    let list = null;
+    match[1].split('\n').forEach(line => {
+        const item = /^\s*-\s+(.*)$/.exec(line);
+        if (item && list) {
+            data[list].push(parseFrontMatterValue(item[1]));
+            return;
+        }
+        const pair = /^([\w-]+):\s*(.*)$/.exec(line);
+        if (!pair) return;
+        list = pair[2].trim() ? null : pair[1];
+        data[pair[1]] = list ? [] : parseFrontMatterValue(pair[2]);
+    });
+    return { data, body: source.slice(match[0].length) };
+}
+
+/**
+ * Highlights comments, strings, numbers and keywords in a code block.
+ * @param {string} code - Source code.
+ * @param {string} language - Language from the fence (may be empty).
+ * @returns {string} Escaped, highlighted HTML.
+ */
+function highlightCode(code, language) {
+    const lang = (language || '').toLowerCase();
+    if (!lang || lang === 'text' || lang === 'txt') return escapeHtml(code);
+
+    const pattern = HASH_COMMENT_LANGUAGES.includes(lang)
+        ? /(#.*)|("(?:\\.|[^"\\\n])*"|'(?:\\.|[^'\\\n])*')|(\b\d+(?:\.\d+)?\b)|([A-Za-z_$][\w$]*)/g
+        : /(\/\/.*|\/\*[\s\S]*?\*\/)|("(?:\\.|[^"\\\n])*"|'(?:\\.|[^'\\\n])*'|`(?:\\.|[^`\\])*`)|(\b\d+(?:\.\d+)?\b)|([A-Za-z_$][\w$]*)/g;
+    const token = (type, text) => `<span class="${CODE_TOKEN_CLASSES[type]}">${escapeHtml(text)}</span>`;
+
+    let out = '';
+    let last = 0;
+    let match;
+    while ((match = pattern.exec(code)) !== null) {
+        const [text, comment, string, number, word] = match;
+        out += escapeHtml(code.slice(last, match.index));
+        last = pattern.lastIndex;
+        if (comment) out += token('comment', text);
+        else if (string) out += token('string', text);
+        else if (number) out += token('number', text);
+        else out += CODE_KEYWORDS.has(word) ? token('keyword', text) : escapeHtml(text);
+    }
+    return out + escapeHtml(code.slice(last));
+}
+
+/**
+ * Renders a fenced code block in a terminal-style frame.
+ * @param {string} code - Source code.
+ * @param {string} language - Language from the fence.
+ * @returns {string} HTML.
+ */
+function renderCodeBlock(code, language) {
+    return `<div class="rounded-xl border border-slate-200 dark:border-slate-800 overflow-hidden font-mono text-sm shadow-sm">`
+        + `<div class="terminal-header px-4 py-2 flex items-center gap-2">`
+        + `<span class="flex gap-1.5" aria-hidden="true"><span class="size-2.5 rounded-full bg-[#ff5f56]"></span><span class="size-2.5 rounded-full bg-[#ffbd2e]"></span><span class="size-2.5 rounded-full bg-[#27c93f]"></span></span>`
+        + `<span class="flex-1 text-center text-xs text-slate-500 dark:text-slate-400">${escapeHtml(language)}</span>`
+        + `</div>`
+        + `<pre class="terminal-body p-4 overflow-x-auto"><code>${highlightCode(code, language)}</code></pre>`
+        + `</div>`;
+}
+
+/**
+ * Renders inline Markdown: code, images, links, emphasis and line breaks.
+ * @param {string} text - Inline Markdown.
+ * @returns {string} HTML.
+ */
+function renderInlineMarkdown(text) {
+    // Finished tags are set aside so later patterns can't reach into them
+    const kept = [];
+    const keep = html => `\u0000${kept.push(html) - 1}\u0000`;
+    const href = url => escapeHtml(safeUrl(decodeEntities(url)));
+
+    let html = String(text).replace(/`([^`]+)`/g, (m, code) => keep(`<code>${escapeHtml(code)}</code>`));
+    // URLs may hold one level of balanced parentheses (e.g. Wikipedia links)
+    html = escapeHtml(html)
+        .replace(/!\[([^\]]*)\]\(\s*((?:[^()\s]|\([^()\s]*\))+)(?:\s+&quot;[^)]*&quot;)?\s*\)/g, (m, alt, url) => {
+            const src = safeImageUrl(decodeEntities(url));
+            return src ? keep(`<img src="${escapeHtml(src)}" alt="${alt}" loading="lazy">`) : alt;
+        })
+        .replace(/\[([^\]]+)\]\(\s*((?:[^()\s]|\([^()\s]*\))+)(?:\s+&quot;[^)]*&quot;)?\s*\)/g, (m, label, url) => `${keep(`<a href="${href(url)}">`)}${label}${keep('</a>')}`)
+        .replace(/&lt;(https?:\/\/[^\s&]+)&gt;/g, (m, url) => keep(`<a href="${href(url)}">${url}</a>`))
+        .replace(/(\*\*|__)(?=\S)([\s\S]*?\S)\1/g, '<strong>$2</strong>')
+        .replace(/(^|[^\w*])\*(?=\S)([^*]*?\S)\*/g, '$1<em>$2</em>')
+        .replace(/(^|\W)_(?=\S)([^_]*?\S)_(?=\W|$)/g, '$1<em>$2</em>')
+        .replace(/~~(?=\S)([\s\S]*?\S)~~/g, '<s>$1</s>')
+        .replace(/(?: {2,}|\\)\n/g, '<br>');
+    return html.replace(/\u0000(\d+)\u0000/g, (m, i) => kept[i]);
+}
+
+/**
+ * Renders a Markdown document (the body of a post).
+ * @param {string} markdown - Markdown source.
+ * @param {number} [headingOffset=0] - Added to heading levels ("#" becomes h1 + offset).
+ * @returns {string} HTML.
+ */
+function renderMarkdown(markdown, headingOffset = 0) {
+    const lines = String(markdown || '').replace(/\r\n?/g, '\n').split('\n');
+    const blockStart = /^\s*(```|~~~|#{1,6}\s|>|([-*+]|\d+[.)])\s|(\*\s*){3,}$|(-\s*){3,}$|(_\s*){3,}$)/;
+    const out = [];
+    let i = 0;
+
+    while (i < lines.length) {
+        const line = lines[i];
+
+        const fence = /^\s*(```|~~~)\s*([\w+#-]*)/.exec(line);
+        if (fence) {
+            const code = [];
+            for (i++; i < lines.length && !lines[i].trim().startsWith(fence[1]); i++) code.push(lines[i]);
+            i++;
+            out.push(renderCodeBlock(code.join('\n'), fence[2]));
+            continue;
+        }
+
+        if (!line.trim()) {
+            i++;
+            continue;
+        }
+
+        const heading = /^\s*(#{1,6})\s+(.*?)\s*#*\s*$/.exec(line);
+        if (heading) {
+            const level = Math.min(6, heading[1].length + headingOffset);
+            out.push(`<h${level}>${renderInlineMarkdown(heading[2])}</h${level}>`);
+            i++;
+            continue;
+        }
+
+        if (/^\s*((\*\s*){3,}|(-\s*){3,}|(_\s*){3,})$/.test(line)) {
+            out.push('<hr>');
+            i++;
+            continue;
+        }
+
+        if (/^\s*>/.test(line)) {
+            const quote = [];
+            for (; i < lines.length && /^\s*>/.test(lines[i]); i++) quote.push(lines[i].replace(/^\s*>\s?/, ''));
+            out.push(`<blockquote>${renderMarkdown(quote.join('\n'), headingOffset)}</blockquote>`);
+            continue;
+        }
+
+        const bullet = /^(\s*)([-*+]|\d+[.)])\s+/.exec(line);
+        if (bullet) {
+            const ordered = /\d/.test(bullet[2]);
+            const indent = bullet[1].length;
+            const items = [];
+            const sibling = text => {
+                const item = /^(\s*)([-*+]|\d+[.)])\s+(.*)$/.exec(text || '');
+                return item && item[1].length === indent && /\d/.test(item[2]) === ordered ? item[3] : null;
+            };
+            while (i < lines.length) {
+                const text = lines[i];
+                if (sibling(text) !== null) {
+                    items.push([sibling(text)]);
+                } else if (text.trim() && (text.search(/\S/) > indent || !blockStart.test(text))) {
+                    // Nested lines and lazy continuations belong to the current item
+                    items[items.length - 1].push(text.slice(Math.min(text.search(/\S/), indent + 2)));
+                } else if (!text.trim() && i + 1 < lines.length && lines[i + 1].search(/\S/) > indent) {
+                    items[items.length - 1].push('');
+                } else if (!text.trim() && sibling(lines[i + 1]) === null) {
+                    break;
+                } else if (text.trim()) {
+                    break;
+                }
+                i++;
+            }
+            const tag = ordered ? 'ol' : 'ul';
+            out.push(`<${tag}>${items.map(item => {
+                const nested = item.slice(1).some(l => blockStart.test(l));
+                return `<li>${nested ? renderInlineMarkdown(item[0]) + renderMarkdown(item.slice(1).join('\n'), headingOffset) : renderInlineMarkdown(item.join('\n'))}</li>`;
+            }).join('')}</${tag}>`);
+            continue;
+        }
+
+        const paragraph = [];
+        for (; i < lines.length && lines[i].trim() && !blockStart.test(lines[i]); i++) paragraph.push(lines[i].trim());
+        if (!paragraph.length) paragraph.push(lines[i++].trim());
+        out.push(`<p>${renderInlineMarkdown(paragraph.join('\n'))}</p>`);
+    }
+    return out.join('\n');
+}
@@ -0,0 +1,147 @@
+/**
+ * Page Metadata
+ *
+ * Builds the <head> tags that link previews and search engines read: the
+ * description, canonical URL, Open Graph and Twitter card tags, the posts
+ * feed and a JSON-LD `Person`. Everything comes from content, so the static
+ * build bakes it in and a language change updates it.
+ */
+
+/**
+ * Returns the absolute form of a URL, resolved against `site.url`.
+ * @param {string} url - Absolute or site-relative URL.
+ * @param {Object} site - Site data object.
+ * @returns {string|undefined} Absolute http(s) URL, if one can be formed.
+ */
+function getAbsoluteUrl(url, site) {
+    if (!url) return undefined;
+    try {
+        const absolute = new URL(url, site && site.url ? site.url.replace(/\/?$/, '/') : undefined).href;
+        return /^https?:/.test(absolute) ? absolute : undefined;
+    } catch (e) {
+        return undefined;
+    }
+}
+
+/**
+ * Returns the address of a locale's page: the site root for the default
+ * locale and `index.<code>.html` (written by the static build) for others.
+ * @param {Object} site - Site data object.
+ * @param {Object} i18n - The i18n data object.
+ * @param {string} locale - Locale code.
+ * @returns {string|undefined} Absolute URL, if `site.url` is set.
+ */
+function getLocaleUrl(site, i18n, locale) {
+    return getAbsoluteUrl(locale === getDefaultLocale(i18n) ? './' : `index.${locale}.html`, site);
+}
+
+/**
+ * Finds the role held now: newest first, and it ends "present" (or, without
+ * dates, its period doesn't end in a year: "2022 - Present").
+ * @param {Object} experience - Experience data object.
+ * @returns {Object|undefined} Current experience item.
+ */
+function getCurrentJob(experience) {
+    const job = experience && experience.items && experience.items[0];
+    if (job && job.end) return job.end === DATE_PRESENT ? job : undefined;
+    return job && !/\d{4}\s*$/.test(job.period || '') ? job : undefined;
+}
+
+/**
+ * Returns the page description: `site.description`, else the hero text.
+ * @param {Object} content - Localized content.
+ * @returns {string} Plain-text description.
+ */
+function getMetaDescription(content) {
+    const text = (content.site && content.site.description) || (content.profile && content.profile.hero_text) || '';
+    return stripHtml(text).replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Builds the schema.org `Person` describing the portfolio owner.
+ * @param {Object} content - Localized content.
+ * @param {string} locale - Locale code.
+ * @returns {Object} JSON-LD object.
+ */
+function getPersonData(content, locale) {
+    const { site, profile = {}, education, experience, contact } = content;
+
+    const sameAs = [profile.github_url, profile.linkedin_url, ...((contact && contact.links) || []).map(link => link.url)]
+        .filter(url => /^https?:\/\//i.test(url || ''));
+
+    const schools = ((education && education.degrees) || []).map(d => stripHtml(d.school)).filter(Boolean);
+
+    const job = getCurrentJob(experience);
+    const company = job && /href\s*=\s*["']([^"']+)["']/i.exec(job.company || '');
+
+    return {
+        '@context': 'https://schema.org',
+        '@type': 'Person',
+        name: profile.name,
+        jobTitle: profile.role,
+        description: getMetaDescription(content),
+        url: getLocaleUrl(site, content.i18n, locale),
+        image: getAbsoluteUrl(site && site.image, site),
+        sameAs: sameAs.length ? [...new Set(sameAs)] : undefined,
+        alumniOf: schools.length ? [...new Set(schools)].map(name => ({ '@type': 'EducationalOrganization', name })) : undefined,
+        worksFor: job ? { '@type': 'Organization', name: stripHtml(job.company), url: (company && safeUrl(company[1], '')) || undefined } : undefined
+    };
+}
+
+/**
+ * Replaces the generated <head> tags for the current content and locale.
+ * @param {Object} content - Localized content.
+ * @param {string} locale - Locale code.
+ */
+function renderMeta(content, locale) {
+    const { site, i18n } = content;
+    if (!site) return;
+
+    const description = getMetaDescription(content);
+    const url = getLocaleUrl(site, i18n, locale);
+    const image = getAbsoluteUrl(site.image, site);
+    const twitter = site.twitter ? `@${site.twitter.replace(/^@/, '')}` : '';
+
+    const tags = [
+        ['meta', { name: 'description', content: description }],
+        ['link', { rel: 'canonical', href: url }],
+        ...(url ? getLocales(i18n).map(l => ['link', { rel: 'alternate', hreflang: l.code, href: getLocaleUrl(site, i18n, l.code) }]) : []),
+        ['link', { rel: 'alternate', hreflang: 'x-default', href: url && getLocaleUrl(site, i18n, getDefaultLocale(i18n)) }],
+        ['link', { rel: 'alternate', type: 'application/atom+xml', title: (content.posts && content.posts.heading) || site.title, href: content.posts && url ? getAbsoluteUrl(POSTS_FEED_FILE, site) : undefined }],
+        ['meta', { property: 'og:type', content: 'profile' }],
+        ['meta', { property: 'og:site_name', content: site.title }],
+        ['meta', { property: 'og:title', content: site.title }],
+        ['meta', { property: 'og:description', content: description }],
+        ['meta', { property: 'og:url', content: url }],
+        ['meta', { property: 'og:image', content: image }],
+        ['meta', { name: 'twitter:card', content: image ? 'summary_large_image' : 'summary' }],
+        ['meta', { name: 'twitter:site', content: twitter }],
+        ['meta', { name: 'twitter:title', content: site.title }],
+        ['meta', { name: 'twitter:description', content: description }],
+        ['meta', { name: 'twitter:image', content: image }]
+    ];
+
+    // Drop the previous set (re-rendering after a language change)
+    document.head.querySelectorAll('[data-meta]').forEach(el => el.remove());
+
+    let anchor = document.getElementById('site-title');
+    const insert = el => {
+        el.setAttribute('data-meta', '');
+        document.head.insertBefore(el, anchor ? anchor.nextSibling : null);
+        anchor = el;
+    };
+
+    tags.forEach(([tag, attrs]) => {
+        // Skip tags whose value isn't available (e.g. no `site.url` or image)
+        if (!attrs.content && !attrs.href) return;
+        const el = document.createElement(tag);
+        Object.keys(attrs).forEach(name => el.setAttribute(name, attrs[name]));
+        insert(el);
+    });
+
+    // `<` is escaped so content can't close the script element
+    const jsonLd = document.createElement('script');
+    jsonLd.type = 'application/ld+json';
+    jsonLd.textContent = JSON.stringify(getPersonData(content, locale)).replace(/</g, '\\u003c');
+    insert(jsonLd);
+}
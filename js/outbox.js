@@ -0,0 +1,77 @@
+/**
+ * Outbox
+ *
+ * A small IndexedDB queue holding contact form submissions that could not be
+ * sent (offline or network failure) until they can be retried.
+ */
+
+/**
+ * IndexedDB database and object store names.
+ */
+const OUTBOX_DB = 'portfolio';
+const OUTBOX_STORE = 'outbox';
+
+/**
+ * Opens (creating if needed) the outbox database.
+ * @returns {Promise<IDBDatabase>} Open database.
+ */
+function openOutbox() {
+    return new Promise((resolve, reject) => {
+        if (!window.indexedDB) {
+            reject(new Error('IndexedDB is not available'));
+            return;
+        }
+
+        const request = indexedDB.open(OUTBOX_DB, 1);
+        request.onupgradeneeded = () => {
+            request.result.createObjectStore(OUTBOX_STORE, { keyPath: 'id', autoIncrement: true });
+        };
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+/**
+ * Runs one request against the outbox store and resolves with its result.
+ * @param {string} mode - "readonly" or "readwrite".
+ * @param {Function} operation - Called with the store; returns an IDBRequest.
+ * @returns {Promise<*>} Request result.
+ */
+async function withOutbox(mode, operation) {
+    const db = await openOutbox();
+    try {
+        return await new Promise((resolve, reject) => {
+            const request = operation(db.transaction(OUTBOX_STORE, mode).objectStore(OUTBOX_STORE));
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    } finally {
+        db.close();
+    }
+}
+
+/**
+ * Adds a submission to the outbox.
+ * @param {Object} entry - Plain, structured-cloneable submission.
+ * @returns {Promise<number>} Key of the stored entry.
+ */
+function queueSubmission(entry) {
+    return withOutbox('readwrite', store => store.add({ ...entry, queuedAt: Date.now() }));
+}
+
+/**
+ * Lists queued submissions, oldest first.
+ * @returns {Promise<Object[]>} Entries (with their `id`).
+ */
+function getQueuedSubmissions() {
+    return withOutbox('readonly', store => store.getAll());
+}
+
+/**
+ * Removes a submission from the outbox.
+ * @param {number} id - Entry key.
+ * @returns {Promise<void>}
+ */
+function removeQueuedSubmission(id) {
+    return withOutbox('readwrite', store => store.delete(id));
+}
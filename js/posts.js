@@ -0,0 +1,250 @@
+/**
+ * Posts
+ *
+ * Writing lives in Markdown files listed in `posts.files` (e.g.
+ * posts/hello-world.md), each starting with front matter: `title`, `date`,
+ * `tags`, `summary` and optionally `slug` or `draft: true`. They are loaded
+ * with the content, listed newest first as cards, and each one opens at its
+ * own address, `#posts/<slug>`. The static build also turns them into an Atom
+ * feed (feed.xml) when `site.url` is set.
+ */
+
+/**
+ * Atom feed written by the static build, next to index.html.
+ */
+const POSTS_FEED_FILE = 'feed.xml';
+
+/**
+ * Reading speed used for the "min read" estimate.
+ */
+const POSTS_WORDS_PER_MINUTE = 200;
+
+/**
+ * Section data, loaded posts, the post shown (by slug) and the page title.
+ */
+const postsState = {
+    data: null,
+    items: [],
+    slug: '',
+    title: ''
+};
+
+/**
+ * Returns a post's slug: its `slug`, else its file name.
+ * @param {Object} meta - Front matter.
+ * @param {string} file - Markdown file path.
+ * @returns {string} Slug.
+ */
+function getPostSlug(meta, file) {
+    const name = meta.slug || file.split('/').pop().replace(/\.(md|markdown)$/i, '');
+    return String(name).toLowerCase().trim().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+}
+
+/**
+ * Parses a Markdown file into a post.
+ * @param {string} text - File content.
+ * @param {string} file - File path (for the default slug and title).
+ * @returns {Object} `{ slug, file, title, date, tags, summary, draft, minutes, html }`.
+ */
+function parsePost(text, file) {
+    const { data, body } = parseFrontMatter(text);
+    const words = body.split(/\s+/).filter(Boolean).length;
+    return {
+        slug: getPostSlug(data, file),
+        file,
+        title: String(data.title || getPostSlug(data, file)),
+        date: /^\d{4}(-\d{2}(-\d{2})?)?$/.test(data.date || '') ? data.date : '',
+        tags: Array.isArray(data.tags) ? data.tags.map(String) : (data.tags ? [String(data.tags)] : []),
+        summary: String(data.summary || ''),
+        draft: data.draft === true,
+        minutes: Math.max(1, Math.round(words / POSTS_WORDS_PER_MINUTE)),
+        html: renderMarkdown(body, 2)
+    };
+}
+
+/**
+ * Orders posts newest first (undated ones last, in file order).
+ * @param {Object[]} posts - Parsed posts.
+ * @returns {Object[]} Sorted copy.
+ */
+function sortPosts(posts) {
+    return [...posts].sort((a, b) => (b.date || '').localeCompare(a.date || ''));
+}
+
+/**
+ * Loads the posts listed in `posts.files`, leaving out drafts and files that
+ * can't be read.
+ * @param {Object} content - Content object.
+ * @returns {Promise<Object[]>} Posts, newest first.
+ */
+async function loadPosts(content) {
+    const files = (content.posts && content.posts.files) || [];
+    const posts = await Promise.all(files.map(async file => {
+        try {
+            const response = await fetch(file);
+            if (!response.ok) throw new Error(`HTTP error! status: ${response.status}`);
+            return parsePost(await response.text(), file);
+        } catch (error) {
+            console.warn(`Could not load post ${file}:`, error);
+            return null;
+        }
+    }));
+    return sortPosts(posts.filter(post => post && !post.draft));
+}
+
+/**
+ * Reads the post slug from a `#posts/<slug>` hash.
+ * @param {string} hash - location.hash.
+ * @returns {string} Slug ('' outside a post).
+ */
+function parsePostsHash(hash) {
+    const match = /^#posts\/([^?#]+)/.exec(hash || '');
+    if (!match) return '';
+    try {
+        return decodeURIComponent(match[1]);
+    } catch (error) {
+        // A malformed escape can't name a post, so it shows as not found
+        return match[1];
+    }
+}
+
+/**
+ * Writes a post's date and reading time ("May 1, 2024 · 4 min read").
+ * @param {Object} post - Post.
+ * @param {Object} labels - Posts labels.
+ * @returns {string} Plain text.
+ */
+function getPostDetails(post, labels) {
+    const date = post.date ? formatContentDate(post.date, document.documentElement.lang || 'en', DATE_LABELS) : '';
+    return [date, formatMessage(labels.minutes || '{count} min read', { count: post.minutes })].filter(Boolean).join(' · ');
+}
+
+/**
+ * Renders a post's tags as chips.
+ * @param {string[]} tags - Tags.
+ * @returns {string} HTML.
+ */
+function renderPostTags(tags) {
+    if (!tags.length) return '';
+    return `<div class="flex flex-wrap gap-2">${tags.map(tag => `<span class="text-[10px] px-2 py-1 bg-slate-50 dark:bg-slate-800 text-slate-700 dark:text-slate-300 border border-slate-200 dark:border-slate-700 font-mono font-bold rounded">${escapeHtml(tag)}</span>`).join('')}</div>`;
+}
+
+/**
+ * Renders the post list as cards, like the project grid.
+ * @param {Object} labels - Posts labels.
+ * @param {string} [missing] - Slug of a post that wasn't found.
+ * @returns {string} HTML.
+ */
+function renderPostsList(labels, missing) {
+    const notice = missing ? `<p class="mb-8 text-sm text-slate-500" role="status">${escapeHtml(formatMessage(labels.not_found || 'No post at "{slug}".', { slug: missing }))}</p>` : '';
+    const cards = postsState.items.map(post => `
+        <article class="group relative bg-white dark:bg-surface-dark border border-slate-200 dark:border-slate-800 rounded-2xl overflow-hidden hover:border-primary/50 transition-all hover:shadow-xl shadow-sm">
+            <div class="p-6 space-y-4">
+                <p class="text-xs font-mono text-slate-500">${escapeHtml(getPostDetails(post, labels))}</p>
+                <h3 class="text-xl font-bold text-slate-900 dark:text-white group-hover:text-primary transition-colors">
+                    <a href="#posts/${encodeURIComponent(post.slug)}" class="after:absolute after:inset-0 focus:outline-none focus-visible:after:ring-2 focus-visible:after:ring-primary focus-visible:after:rounded-2xl">${escapeHtml(post.title)}</a>
+                </h3>
+                ${post.summary ? `<p class="text-sm text-slate-600 dark:text-slate-400 line-clamp-3">${escapeHtml(post.summary)}</p>` : ''}
+                ${renderPostTags(post.tags)}
+            </div>
+        </article>
+    `).join('');
+
+    return notice + (cards
+        ? `<div class="grid md:grid-cols-2 lg:grid-cols-3 gap-8">${cards}</div>`
+        : `<p class="text-center text-slate-500 py-12">${escapeHtml(labels.empty || 'No posts yet.')}</p>`);
+}
+
+/**
+ * Renders one post.
+ * @param {Object} post - Post.
+ * @param {Object} labels - Posts labels.
+ * @returns {string} HTML.
+ */
+function renderPostArticle(post, labels) {
+    return `
+        <article class="max-w-3xl mx-auto">
+            <a href="#posts" class="inline-flex items-center gap-1 text-sm font-bold text-slate-500 hover:text-primary transition-colors">
+                <span class="material-symbols-outlined text-base" aria-hidden="true">arrow_back</span>${escapeHtml(labels.back || 'All posts')}
+            </a>
+            <header class="mt-6 mb-10 space-y-3">
+                <h3 class="text-3xl lg:text-4xl font-black tracking-tight text-slate-900 dark:text-white">${escapeHtml(post.title)}</h3>
+                <p class="text-sm font-mono text-slate-500">${escapeHtml(getPostDetails(post, labels))}</p>
+                ${renderPostTags(post.tags)}
+            </header>
+            <div class="post-body">${post.html}</div>
+        </article>
+    `;
+}
+
+/**
+ * Shows the post in the URL, or the list, and titles the page after it.
+ */
+function renderPostsView() {
+    const view = document.getElementById('posts-view');
+    if (!view || !postsState.data) return;
+
+    const labels = postsState.data.labels || {};
+    const post = postsState.items.find(p => p.slug === postsState.slug);
+    view.innerHTML = post ? renderPostArticle(post, labels) : renderPostsList(labels, postsState.slug);
+    if (postsState.title) document.title = post ? `${post.title} - ${postsState.title}` : postsState.title;
+}
+
+/**
+ * Follows `#posts/<slug>` links (and the back link to `#posts`). Other
+ * links, such as the menus and the skip link, leave the view as it is.
+ */
+function handlePostsHashChange() {
+    if (!/^#posts(\/|$)/.test(window.location.hash)) return;
+    const slug = parsePostsHash(window.location.hash);
+    if (slug === postsState.slug) return;
+
+    const leaving = !!postsState.slug;
+    postsState.slug = slug;
+    renderPostsView();
+    if (slug || (leaving && window.location.hash === '#posts')) {
+        document.getElementById('posts-view').closest('section').scrollIntoView();
+    }
+}
+
+/**
+ * Renders the Posts section.
+ * @param {Object} posts - Posts data object.
+ * @param {Object} content - Localized content (for the page title and feed).
+ */
+function renderPosts(posts, content) {
+    if (!posts) return;
+
+    document.getElementById('posts-heading').innerText = posts.heading;
+    document.getElementById('posts-desc').innerText = posts.description || '';
+
+    // The feed exists once the static build has written it, which needs `site.url`
+    const feed = document.getElementById('posts-feed');
+    feed.classList.toggle('hidden', !(content.site && content.site.url));
+    feed.title = (posts.labels && posts.labels.feed) || 'Atom feed';
+    feed.setAttribute('aria-label', feed.title);
+
+    setupPosts(posts, content, false);
+}
+
+/**
+ * Loads the section state and shows the post in the URL, if any.
+ * @param {Object} posts - Posts data object.
+ * @param {Object} content - Localized content.
+ * @param {boolean} prerendered - Whether the list is already in the page.
+ */
+function setupPosts(posts, content, prerendered) {
+    if (!posts) return;
+
+    const firstRender = !postsState.data;
+    postsState.data = posts;
+    postsState.items = appState.posts || [];
+    postsState.title = (content.site && content.site.title) || '';
+    postsState.slug = parsePostsHash(window.location.hash);
+
+    // Pre-rendered markup shows the list; only rebuild it for a post
+    if (!prerendered || postsState.slug) renderPostsView();
+    window.addEventListener('hashchange', handlePostsHashChange);
+
+    if (firstRender && postsState.slug) document.getElementById('posts-view').closest('section').scrollIntoView();
+}
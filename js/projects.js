@@ -0,0 +1,472 @@
+/**
+ * Projects
+ *
+ * Renders the projects grid with tag filters, text search and sorting, plus a
+ * detail modal per project. The filter state lives in the URL hash
+ * (`#projects?tag=React&q=api&sort=newest&project=portfolio`) so a filtered
+ * view or an open project can be shared.
+ */
+
+/**
+ * Sort orders offered in the toolbar.
+ */
+const PROJECT_SORTS = ['featured', 'newest', 'title'];
+
+/**
+ * Current projects data and filter state.
+ */
+const projectsState = {
+    data: null,
+    tag: '',
+    query: '',
+    sort: 'featured',
+    project: '',
+    opener: null
+};
+
+/**
+ * Builds a URL-friendly id for a project (its `id`, else its title).
+ * @param {Object} p - Project item.
+ * @returns {string} Slug.
+ */
+function getProjectSlug(p) {
+    return String(p.id || p.title).toLowerCase().trim().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+}
+
+/**
+ * Reads the filter state from a `#projects?...` hash.
+ * @param {string} hash - location.hash.
+ * @returns {Object|null} Parsed state, or null when the hash is not a projects view.
+ */
+function parseProjectsHash(hash) {
+    const match = /^#projects(?:\?(.*))?$/.exec(hash || '');
+    if (!match) return null;
+
+    const params = new URLSearchParams(match[1] || '');
+    return {
+        tag: params.get('tag') || '',
+        query: params.get('q') || '',
+        sort: PROJECT_SORTS.includes(params.get('sort')) ? params.get('sort') : 'featured',
+        project: params.get('project') || ''
+    };
+}
+
+/**
+ * Writes the filter state to the URL hash without adding history entries.
+ */
+function updateProjectsHash() {
+    const params = new URLSearchParams();
+    if (projectsState.tag) params.set('tag', projectsState.tag);
+    if (projectsState.query) params.set('q', projectsState.query);
+    if (projectsState.sort !== 'featured') params.set('sort', projectsState.sort);
+    if (projectsState.project) params.set('project', projectsState.project);
+
+    const query = params.toString();
+
+    // Leave unrelated hashes (e.g. #contact) alone when there is nothing to record
+    if (!query && !window.location.hash.startsWith('#projects?')) return;
+
+    const hash = query ? `#projects?${query}` : '#projects';
+    if (hash !== window.location.hash) history.replaceState(history.state, '', hash);
+}
+
+/**
+ * Returns the projects matching the current tag and search, in the current order.
+ * @returns {Object[]} Project items.
+ */
+function getVisibleProjects() {
+    const { data, tag, query, sort } = projectsState;
+    const q = query.trim().toLowerCase();
+
+    const items = data.items.filter(p => {
+        if (tag && !p.tags.includes(tag)) return false;
+        if (!q) return true;
+        const haystack = [p.title, stripHtml(p.description), ...p.tags, ...(p.tech || [])].join(' ').toLowerCase();
+        return q.split(/\s+/).every(word => haystack.includes(word));
+    });
+
+    // Array.prototype.sort is stable, so ties keep their content order
+    if (sort === 'featured') items.sort((a, b) => Number(!!b.featured) - Number(!!a.featured));
+    if (sort === 'newest') items.sort((a, b) => String(b.date || b.updated || '').localeCompare(String(a.date || a.updated || '')));
+    if (sort === 'title') items.sort((a, b) => a.title.localeCompare(b.title));
+    return items;
+}
+
+/**
+ * Returns every tag used by a project, in first-seen order.
+ * @param {Object[]} items - Project items.
+ * @returns {string[]} Unique tags.
+ */
+function getProjectTags(items) {
+    return [...new Set(items.flatMap(p => p.tags))];
+}
+
+/**
+ * Renders a tag chip. Chips are buttons that toggle the tag filter.
+ * @param {string} tag - Tag name ('' for the "all" chip).
+ * @param {boolean} active - Whether the chip is the active filter.
+ * @param {string} [size='text-[10px] px-2 py-1'] - Size classes.
+ * @param {string} [label=tag] - Visible text.
+ * @returns {string} Chip HTML.
+ */
+function renderTagChip(tag, active, size = 'text-[10px] px-2 py-1', label = tag) {
+    const colors = active
+        ? 'bg-primary text-white border-primary'
+        : 'bg-slate-50 dark:bg-slate-800 text-slate-700 dark:text-slate-300 border-slate-200 dark:border-slate-700 hover:border-primary/50 hover:text-primary';
+    return `<button type="button" data-tag="${escapeHtml(tag)}" aria-pressed="${active}" class="relative z-10 ${size} ${colors} border font-mono font-bold rounded transition-colors">${escapeHtml(label)}</button>`;
+}
+
+/**
+ * Renders a project's GitHub details (language, stars, last update), if any.
+ * @param {Object} p - Project item.
+ * @param {Object} labels - Projects labels.
+ * @returns {string} Details HTML.
+ */
+function renderRepoStats(p, labels) {
+    const stats = [
+        p.language ? `<span class="flex items-center gap-1.5"><span class="size-2 rounded-full bg-primary"></span>${escapeHtml(p.language)}</span>` : '',
+        typeof p.stars === 'number' ? `<span class="flex items-center gap-1"><span class="material-symbols-outlined text-sm" aria-hidden="true">star</span>${p.stars}<span class="sr-only"> ${escapeHtml(labels.stars || 'stars')}</span></span>` : '',
+        p.updated ? `<span>${escapeHtml(labels.updated || 'Updated')} ${escapeHtml(p.updated)}</span>` : ''
+    ].filter(Boolean);
+    if (!stats.length) return '';
+    return `<div class="relative z-10 flex flex-wrap items-center gap-4 font-mono text-xs text-slate-500">${stats.join('')}</div>`;
+}
+
+/**
+ * Renders the search box, sort picker and tag chips above the grid.
+ */
+function renderProjectsControls() {
+    const container = document.getElementById('projects-controls');
+    if (!container) return;
+
+    const { data, tag, query, sort } = projectsState;
+    const labels = data.labels || {};
+    const sortLabels = { featured: 'Featured', newest: 'Newest', title: 'A-Z', ...labels.sort };
+    const tags = getProjectTags(data.items);
+
+    container.innerHTML = `
+        <div class="flex flex-col sm:flex-row gap-3">
+            <label class="relative flex-1">
+                <span class="sr-only">${escapeHtml(labels.search || 'Search projects')}</span>
+                <span aria-hidden="true" class="material-symbols-outlined absolute left-3 top-1/2 -translate-y-1/2 text-slate-400 text-lg pointer-events-none">search</span>
+                <input id="projects-search" type="search" value="${escapeHtml(query)}" placeholder="${escapeHtml(labels.search || 'Search projects')}"
+                    class="w-full bg-white dark:bg-surface-dark border-slate-200 dark:border-slate-800 rounded-xl pl-10 pr-4 py-2 text-sm focus:ring-primary focus:border-primary transition-all text-slate-900 dark:text-white"/>
+            </label>
+            <label class="flex items-center gap-2 text-sm text-slate-500">
+                ${escapeHtml(labels.sort_by || 'Sort by')}
+                <select id="projects-sort"
+                    class="bg-white dark:bg-surface-dark border-slate-200 dark:border-slate-800 rounded-xl py-2 pl-3 pr-8 text-sm focus:ring-primary focus:border-primary text-slate-900 dark:text-white">
+                    ${PROJECT_SORTS.map(s => `<option value="${s}" ${s === sort ? 'selected' : ''}>${escapeHtml(sortLabels[s])}</option>`).join('')}
+                </select>
+            </label>
+        </div>
+        <div class="flex flex-wrap gap-2" id="projects-tags">
+            ${renderTagChip('', !tag, 'text-xs px-3 py-1.5', labels.all_tags || 'All')}
+            ${tags.map(t => renderTagChip(t, t === tag, 'text-xs px-3 py-1.5')).join('')}
+        </div>
+    `;
+
+    setupProjectsControls();
+}
+
+/**
+ * Connects the search box and sort menu to the grid.
+ */
+function setupProjectsControls() {
+    const search = document.getElementById('projects-search');
+    const sort = document.getElementById('projects-sort');
+    if (!search || !sort) return;
+
+    search.oninput = (e) => {
+        projectsState.query = e.target.value;
+        updateProjectsHash();
+        renderProjectsGrid();
+    };
+    sort.onchange = (e) => {
+        projectsState.sort = e.target.value;
+        updateProjectsHash();
+        renderProjectsGrid();
+    };
+}
+
+/**
+ * Renders the project cards for the current filter state.
+ */
+function renderProjectsGrid() {
+    const { data, tag } = projectsState;
+    const labels = data.labels || {};
+    const linkLabels = { link: 'Live Demo', code: 'Source Code', ...data.link_labels };
+    const items = getVisibleProjects();
+
+    const html = items.map(p => `
+        <div class="group relative bg-white dark:bg-surface-dark border border-slate-200 dark:border-slate-800 rounded-2xl overflow-hidden hover:border-primary/50 transition-all hover:shadow-xl shadow-sm" data-skills="${escapeHtml(getSkillIds([...p.tags, ...(p.tech || [])]))}">
+            <div class="aspect-video bg-slate-200 dark:bg-slate-900 overflow-hidden">
+                <img class="w-full h-full object-cover group-hover:scale-105 transition-transform duration-500 opacity-90 group-hover:opacity-100" src="${escapeHtml(safeImageUrl(p.image))}" alt="${escapeHtml(p.title)}"/>
+            </div>
+            <div class="p-6 space-y-4">
+                <div class="flex justify-between items-start">
+                    <h3 class="text-xl font-bold text-slate-900 dark:text-white group-hover:text-primary transition-colors">
+                        <button type="button" data-project="${escapeHtml(getProjectSlug(p))}" aria-haspopup="dialog" class="text-left after:absolute after:inset-0 focus:outline-none focus-visible:after:ring-2 focus-visible:after:ring-primary focus-visible:after:rounded-2xl">${escapeHtml(p.title)}</button>
+                    </h3>
+                    <div class="relative z-10 flex gap-2">
+                        ${p.links.map(l => `<a href="${escapeHtml(safeUrl(l.url))}" target="_blank" rel="noopener noreferrer" data-track="project_link_click" data-track-project="${escapeHtml(getProjectSlug(p))}" data-track-link="${escapeHtml(l.type)}" class="material-symbols-outlined text-slate-400 hover:text-primary transition-colors text-xl" title="${escapeHtml(linkLabels[l.type] || '')}" aria-label="${escapeHtml(linkLabels[l.type] || l.url)}">${l.type === 'link' ? 'link' : 'code'}</a>`).join('')}
+                    </div>
+                </div>
+                <p class="text-sm text-slate-600 dark:text-slate-400 line-clamp-2">
+                    ${sanitizeHtml(p.description)}
+                </p>
+                ${renderRepoStats(p, labels)}
+                <div class="flex flex-wrap gap-2">
+                    ${p.tags.map(t => renderTagChip(t, t === tag)).join('')}
+                </div>
+            </div>
+        </div>
+    `).join('');
+
+    document.getElementById('projects-grid').innerHTML = html || `
+        <p class="md:col-span-2 lg:col-span-3 text-center text-slate-500 py-12">${escapeHtml(labels.no_results || 'No projects match your filters.')}</p>
+    `;
+    applySkillHighlight();
+}
+
+/**
+ * Handles clicks on tag chips and project titles (delegated from the section).
+ * @param {MouseEvent} e - Click event.
+ */
+function handleProjectsClick(e) {
+    const chip = e.target.closest('[data-tag]');
+    if (chip) {
+        projectsState.tag = chip.dataset.tag === projectsState.tag ? '' : chip.dataset.tag;
+        updateProjectsHash();
+        renderProjectsControls();
+        renderProjectsGrid();
+        return;
+    }
+
+    const opener = e.target.closest('[data-project]');
+    if (opener) openProjectModal(opener.dataset.project, opener);
+}
+
+/**
+ * Opens the detail modal for a project.
+ * @param {string} slug - Project slug.
+ * @param {HTMLElement} [opener] - Element to refocus when the modal closes.
+ */
+function openProjectModal(slug, opener) {
+    const { data } = projectsState;
+    const p = data.items.find(item => getProjectSlug(item) === slug);
+    if (!p) return;
+
+    const labels = data.labels || {};
+    const linkLabels = { link: 'Live Demo', code: 'Source Code', ...data.link_labels };
+    const gallery = [p.image, ...(p.gallery || [])].filter(Boolean).map(safeImageUrl).filter(Boolean);
+
+    projectsState.project = slug;
+    if (opener) projectsState.opener = opener;
+    updateProjectsHash();
+
+    let modal = document.getElementById('project-modal');
+    if (!modal) {
+        modal = document.createElement('div');
+        modal.id = 'project-modal';
+        modal.className = 'fixed inset-0 z-[150] flex items-center justify-center p-4 sm:p-8';
+        document.body.appendChild(modal);
+    }
+
+    modal.innerHTML = `
+        <div class="absolute inset-0 bg-slate-900/60 backdrop-blur-sm" data-close></div>
+        <div role="dialog" aria-modal="true" aria-labelledby="project-modal-title"
+            class="relative w-full max-w-3xl max-h-full overflow-y-auto bg-white dark:bg-surface-dark border border-slate-200 dark:border-slate-800 rounded-3xl shadow-2xl">
+            <button type="button" data-close aria-label="${escapeHtml(labels.close || 'Close')}"
+                class="absolute top-4 right-4 z-10 size-10 rounded-full bg-white/90 dark:bg-slate-900/90 border border-slate-200 dark:border-slate-800 flex items-center justify-center text-slate-600 dark:text-slate-400 hover:text-primary transition-colors">
+                <span class="material-symbols-outlined" aria-hidden="true">close</span>
+            </button>
+            ${gallery.length ? `
+                <div class="aspect-video bg-slate-200 dark:bg-slate-900 overflow-hidden">
+                    <img id="project-modal-image" class="w-full h-full object-cover" src="${escapeHtml(gallery[0])}" alt="${escapeHtml(p.title)}"/>
+                </div>
+                ${gallery.length > 1 ? `
+                    <div class="flex gap-2 px-8 pt-4 overflow-x-auto">
+                        ${gallery.map((src, i) => `
+                            <button type="button" data-image="${escapeHtml(src)}" aria-label="${escapeHtml(`${p.title} ${i + 1}/${gallery.length}`)}" aria-pressed="${i === 0}"
+                                class="shrink-0 w-24 aspect-video rounded-lg overflow-hidden border-2 ${i === 0 ? 'border-primary' : 'border-transparent'} hover:border-primary/50 transition-colors">
+                                <img class="w-full h-full object-cover" src="${escapeHtml(src)}" alt=""/>
+                            </button>
+                        `).join('')}
+                    </div>
+                ` : ''}
+            ` : ''}
+            <div class="p-8 space-y-6">
+                <div class="space-y-2">
+                    <h3 id="project-modal-title" class="text-3xl font-bold text-slate-900 dark:text-white">${escapeHtml(p.title)}</h3>
+                    ${p.role || p.date ? `
+                        <p class="font-mono text-sm text-primary">
+                            ${p.role ? `<span class="text-slate-500">${escapeHtml(labels.role || 'Role')}:</span> ${escapeHtml(p.role)}` : ''}
+                            ${p.role && p.date ? '<span class="text-slate-400"> · </span>' : ''}
+                            ${p.date ? `<span class="text-slate-500">${escapeHtml(p.date)}</span>` : ''}
+                        </p>
+                    ` : ''}
+                    ${renderRepoStats(p, labels)}
+                </div>
+                <div class="text-slate-600 dark:text-slate-400 leading-relaxed space-y-3">
+                    ${(p.long_description || [p.description]).map(text => `<p>${sanitizeHtml(text)}</p>`).join('')}
+                </div>
+                ${p.tech && p.tech.length ? `
+                    <div class="space-y-2">
+                        <h4 class="text-sm font-bold font-mono text-primary uppercase tracking-widest">${escapeHtml(labels.tech || 'Tech stack')}</h4>
+                        <div class="flex flex-wrap gap-3">
+                            ${p.tech.map(s => `<div class="skill-badge">${getSkillIcon(s)} ${escapeHtml(s)}</div>`).join('')}
+                        </div>
+                    </div>
+                ` : ''}
+                <div class="flex flex-wrap gap-2">
+                    ${p.tags.map(t => `<span class="px-2 py-1 bg-slate-50 dark:bg-slate-800 text-slate-700 dark:text-slate-300 border border-slate-200 dark:border-slate-700 text-[10px] font-mono font-bold rounded">${escapeHtml(t)}</span>`).join('')}
+                </div>
+                ${p.links.length ? `
+                    <div class="flex flex-wrap gap-3 pt-2">
+                        ${p.links.map(l => `
+                            <a href="${escapeHtml(safeUrl(l.url))}" target="_blank" rel="noopener noreferrer"
+                                data-track="project_link_click" data-track-project="${escapeHtml(getProjectSlug(p))}" data-track-link="${escapeHtml(l.type)}"
+                                class="bg-primary hover:bg-primary/90 text-white px-5 py-2 rounded-lg text-sm font-bold transition-all flex items-center gap-2 shadow-sm">
+                                <span class="material-symbols-outlined text-sm" aria-hidden="true">${l.type === 'link' ? 'link' : 'code'}</span>
+                                ${escapeHtml(linkLabels[l.type] || l.url)}
+                            </a>
+                        `).join('')}
+                    </div>
+                ` : ''}
+            </div>
+        </div>
+    `;
+
+    modal.onclick = (e) => {
+        if (e.target.closest('[data-close]')) {
+            closeProjectModal();
+            return;
+        }
+        const thumb = e.target.closest('[data-image]');
+        if (thumb) {
+            document.getElementById('project-modal-image').src = thumb.dataset.image;
+            modal.querySelectorAll('[data-image]').forEach(t => {
+                const active = t === thumb;
+                t.setAttribute('aria-pressed', active);
+                t.classList.toggle('border-primary', active);
+                t.classList.toggle('border-transparent', !active);
+            });
+        }
+    };
+    modal.onkeydown = handleProjectModalKey;
+
+    document.body.classList.add('overflow-hidden');
+    modal.querySelector('[data-close][aria-label]').focus();
+}
+
+/**
+ * Closes the detail modal and returns focus to the card that opened it.
+ */
+function closeProjectModal() {
+    const modal = document.getElementById('project-modal');
+    if (!modal) return;
+
+    const slug = projectsState.project;
+    modal.remove();
+    document.body.classList.remove('overflow-hidden');
+    projectsState.project = '';
+    updateProjectsHash();
+
+    // The grid may have been re-rendered, or the modal opened from the hash, so find the card by its slug
+    const opener = projectsState.opener && document.body.contains(projectsState.opener)
+        ? projectsState.opener
+        : [...document.querySelectorAll('#projects-grid [data-project]')].find(button => button.dataset.project === slug);
+    if (opener) opener.focus();
+    projectsState.opener = null;
+}
+
+/**
+ * Closes the modal on Escape and keeps Tab focus inside it.
+ * @param {KeyboardEvent} e - Keyboard event.
+ */
+function handleProjectModalKey(e) {
+    if (e.key === 'Escape') {
+        e.preventDefault();
+        closeProjectModal();
+        return;
+    }
+    if (e.key !== 'Tab') return;
+
+    const focusable = [...e.currentTarget.querySelectorAll('a[href], button, input, select, textarea, [tabindex]:not([tabindex="-1"])')];
+    if (!focusable.length) return;
+    const first = focusable[0];
+    const last = focusable[focusable.length - 1];
+
+    if (e.shiftKey && document.activeElement === first) {
+        e.preventDefault();
+        last.focus();
+    } else if (!e.shiftKey && document.activeElement === last) {
+        e.preventDefault();
+        first.focus();
+    }
+}
+
+/**
+ * Applies filter state from the URL hash (on load and on back/forward).
+ */
+function handleProjectsHashChange() {
+    const state = parseProjectsHash(window.location.hash);
+    if (!state || !projectsState.data) return;
+
+    Object.assign(projectsState, { tag: state.tag, query: state.query, sort: state.sort });
+    renderProjectsControls();
+    renderProjectsGrid();
+
+    if (state.project) openProjectModal(state.project);
+    else if (document.getElementById('project-modal')) closeProjectModal();
+}
+
+/**
+ * Renders the Projects section (toolbar and grid).
+ * @param {Object} projects - Projects data object.
+ */
+function renderProjects(projects) {
+    if (!projects) return;
+
+    document.getElementById('projects-heading').innerText = projects.heading;
+    document.getElementById('projects-desc').innerText = projects.description;
+
+    setupProjects(projects, false);
+}
+
+/**
+ * Applies the URL state and wires up the toolbar, grid and modal.
+ * @param {Object} projects - Projects data object.
+ * @param {boolean} prerendered - Whether the toolbar and grid are already in the page.
+ */
+function setupProjects(projects, prerendered) {
+    if (!projects) return;
+
+    const firstRender = !projectsState.data;
+    projectsState.data = projects;
+
+    // Pick up a shared `#projects?...` link on first load
+    const state = firstRender && parseProjectsHash(window.location.hash);
+    if (state) Object.assign(projectsState, { tag: state.tag, query: state.query, sort: state.sort });
+
+    // Pre-rendered markup shows the unfiltered list; only rebuild it if the URL asks for more
+    if (!prerendered || (state && (state.tag || state.query || state.sort !== PROJECT_SORTS[0]))) {
+        renderProjectsControls();
+        renderProjectsGrid();
+    } else {
+        setupProjectsControls();
+    }
+
+    const section = document.getElementById('projects-grid').closest('section');
+    section.onclick = handleProjectsClick;
+    window.addEventListener('hashchange', handleProjectsHashChange);
+
+    if (state && (state.tag || state.query || state.project)) {
+        section.scrollIntoView();
+    }
+
+    // Re-open (or refresh, after a language change) the project in the URL
+    const slug = state ? state.project : projectsState.project;
+    if (slug) openProjectModal(slug);
+}
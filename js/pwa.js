@@ -0,0 +1,123 @@
+/**
+ * Offline Support
+ *
+ * Registers the service worker (sw.js), which keeps the page, its content,
+ * the posts and the resume available offline and installable from the
+ * browser (manifest.webmanifest). The worker shows the saved copy first and
+ * refreshes it in the background; when content.json or a post changed, a
+ * banner offers to reload. `pwa.enabled: false` turns this off and removes a
+ * worker installed earlier. Development and edit mode skip it, so changes
+ * show up on the next reload.
+ */
+
+/**
+ * Service worker script, next to index.html so it controls the whole site.
+ */
+const PWA_WORKER_FILE = 'sw.js';
+
+/**
+ * Banner wording, whether new content is waiting and whether the worker is registered.
+ */
+const pwaState = {
+    labels: {},
+    updateAvailable: false,
+    registered: false
+};
+
+/**
+ * Handles messages from the service worker.
+ * @param {MessageEvent} e - Message event.
+ */
+function handleWorkerMessage(e) {
+    if (!e.data || e.data.type !== 'content-updated' || pwaState.updateAvailable) return;
+    pwaState.updateAvailable = true;
+    renderUpdateBanner();
+}
+
+/**
+ * Shows or hides the "new content available" banner.
+ */
+function renderUpdateBanner() {
+    const banner = document.getElementById('update-banner');
+    if (!banner) return;
+
+    const open = pwaState.updateAvailable;
+    const wasOpen = !banner.classList.contains('hidden');
+    banner.classList.toggle('hidden', !open);
+    if (!open) {
+        banner.innerHTML = '';
+        return;
+    }
+
+    const labels = pwaState.labels;
+    const render = () => {
+        banner.innerHTML = `
+            <span class="material-symbols-outlined text-primary" aria-hidden="true">update</span>
+            <p class="text-sm text-slate-700 dark:text-slate-300">${escapeHtml(labels.update || 'New content is available.')}</p>
+            <button type="button" id="update-reload" class="px-3 py-1.5 rounded-lg text-sm font-bold bg-primary hover:bg-primary/90 text-white transition-colors">${escapeHtml(labels.reload || 'Reload')}</button>
+            <button type="button" id="update-dismiss" class="text-slate-400 hover:text-slate-600 dark:hover:text-slate-200 transition-colors" aria-label="${escapeHtml(labels.dismiss || 'Dismiss')}">
+                <span class="material-symbols-outlined text-xl" aria-hidden="true">close</span>
+            </button>
+        `;
+        document.getElementById('update-reload').onclick = () => window.location.reload();
+        document.getElementById('update-dismiss').onclick = () => {
+            pwaState.updateAvailable = false;
+            renderUpdateBanner();
+        };
+    };
+
+    // Filled once visible, so screen readers announce it (as with the toast)
+    if (wasOpen) render();
+    else requestAnimationFrame(render);
+}
+
+/**
+ * Removes service workers and caches left by an earlier visit.
+ */
+function removeServiceWorker() {
+    navigator.serviceWorker.getRegistrations()
+        .then(registrations => registrations.forEach(registration => registration.unregister()))
+        .catch(() => { });
+    if (window.caches) {
+        caches.keys()
+            .then(names => names.filter(name => name.startsWith('portfolio-')).forEach(name => caches.delete(name)))
+            .catch(() => { });
+    }
+}
+
+/**
+ * Registers the service worker once per page load. Needs a secure context
+ * (https or localhost).
+ * @param {Object} pwa - PWA data object.
+ */
+function registerServiceWorker(pwa) {
+    if (!('serviceWorker' in navigator) || !window.isSecureContext) return;
+
+    if (pwa.enabled === false) {
+        removeServiceWorker();
+        return;
+    }
+    if (pwaState.registered || isDevMode() || isEditMode()) return;
+
+    pwaState.registered = true;
+    navigator.serviceWorker.register(PWA_WORKER_FILE).catch(error => {
+        console.warn('Could not register the service worker:', error);
+    });
+}
+
+/**
+ * Applies offline settings and the banner wording. Safe to call again (e.g.
+ * after a language change, which re-renders an open banner).
+ * @param {Object} pwa - PWA data object.
+ */
+function renderPwa(pwa) {
+    pwa = pwa || {};
+    pwaState.labels = pwa.labels || {};
+    renderUpdateBanner();
+    registerServiceWorker(pwa);
+}
+
+// Listen from the start: content.json is refreshed while the page is still loading
+if ('serviceWorker' in navigator) {
+    navigator.serviceWorker.addEventListener('message', handleWorkerMessage);
+}
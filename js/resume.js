@@ -0,0 +1,278 @@
+/**
+ * Resume
+ *
+ * Builds a resume from the same content as the page. The print layout is
+ * rendered into #resume-print, which the `@media print` styles show instead
+ * of the page; scripts/resume.js uses the same data for the PDF, plain-text
+ * and Markdown downloads.
+ */
+
+/**
+ * Column width for the plain-text resume.
+ */
+const RESUME_TEXT_WIDTH = 80;
+
+/**
+ * Shortens a URL for display ("https://www.github.com/me/" becomes "github.com/me").
+ * @param {string} url - URL from content.
+ * @returns {string} Readable address.
+ */
+function getDisplayUrl(url) {
+    return String(url).replace(/^(https?:\/\/|mailto:)/i, '').replace(/^www\./i, '').replace(/\/$/, '');
+}
+
+/**
+ * Lists the ways to reach the person: email, location, site and profiles (no duplicates).
+ * @param {Object} content - Localized content.
+ * @returns {Object[]} `{ label, url }` entries (`url` is empty for plain text).
+ */
+function getResumeContacts(content) {
+    const profile = content.profile || {};
+    const links = (content.contact && content.contact.links) || [];
+    const contacts = [];
+    const seen = new Set();
+
+    const add = (label, url) => {
+        const key = getDisplayUrl(url || label).toLowerCase();
+        if (!label || seen.has(key)) return;
+        seen.add(key);
+        contacts.push({ label, url: url || '' });
+    };
+
+    if (profile.email) add(profile.email, `mailto:${profile.email}`);
+    if (profile.location) add(profile.location);
+    if (content.site && content.site.url) add(getDisplayUrl(content.site.url), content.site.url);
+    [profile.linkedin_url, profile.github_url, ...links.map(link => link.url)]
+        .filter(Boolean)
+        .forEach(url => add(getDisplayUrl(url), url));
+
+    return contacts;
+}
+
+/**
+ * Collects the resume from content, as plain text in a fixed section order.
+ * Every section has a heading and entries of `{ title, subtitle, period, text, items }`.
+ * @param {Object} content - Localized content.
+ * @returns {Object} `{ name, role, contacts, sections }`.
+ */
+function getResumeData(content) {
+    const profile = content.profile || {};
+    const labels = content.resume || {};
+    const sections = [];
+
+    const summary = stripHtml((content.site && content.site.description) || profile.hero_text || '');
+    if (summary) sections.push({ id: 'summary', heading: labels.summary_heading || 'Summary', entries: [{ text: [summary] }] });
+
+    const exp = content.experience;
+    if (exp && exp.items && exp.items.length) {
+        sections.push({
+            id: 'experience',
+            heading: exp.heading,
+            entries: exp.items.map(job => ({
+                title: job.role,
+                subtitle: stripHtml(job.company),
+                period: job.period,
+                text: [stripHtml(job.description)],
+                items: (job.highlights || []).map(stripHtml)
+            }))
+        });
+    }
+
+    const edu = content.education;
+    if (edu && edu.degrees && edu.degrees.length) {
+        sections.push({
+            id: 'education',
+            heading: edu.heading,
+            entries: edu.degrees.map(d => ({
+                title: d.degree,
+                subtitle: d.school,
+                period: d.year,
+                items: (d.details || []).map(stripHtml)
+            }))
+        });
+    }
+    if (edu && edu.certifications && edu.certifications.length) {
+        sections.push({
+            id: 'certifications',
+            heading: edu.certs_heading,
+            entries: edu.certifications.map(cert => ({ title: cert.name, period: cert.issued }))
+        });
+    }
+
+    const skills = content.skills;
+    if (skills && skills.categories && skills.categories.length) {
+        sections.push({
+            id: 'skills',
+            heading: skills.heading,
+            entries: skills.categories.map(cat => ({ title: cat.category, text: [cat.items.join(', ')], inline: true }))
+        });
+    }
+
+    // Only the projects the owner highlights; the full list stays on the site
+    const projects = ((content.projects && content.projects.items) || []).filter(p => p.featured);
+    if (projects.length) {
+        sections.push({
+            id: 'projects',
+            heading: labels.projects_heading || content.projects.heading,
+            entries: projects.map(p => ({
+                title: p.title,
+                subtitle: p.role || '',
+                period: p.date ? p.date.slice(0, 4) : '',
+                text: [stripHtml(p.description)],
+                url: ((p.links || []).find(l => l.type === 'link') || (p.links || [])[0] || {}).url || ''
+            }))
+        });
+    }
+
+    return {
+        name: profile.name,
+        role: profile.role,
+        contacts: getResumeContacts(content),
+        sections: sections.filter(section => section.heading)
+    };
+}
+
+/**
+ * Wraps text to a column width on word boundaries.
+ * @param {string} text - Text to wrap.
+ * @param {number} width - Maximum line length.
+ * @param {string} [indent=''] - Prefix for continuation lines.
+ * @returns {string[]} Lines.
+ */
+function wrapText(text, width, indent = '') {
+    const lines = [];
+    let line = '';
+    String(text).split(/\s+/).filter(Boolean).forEach(word => {
+        if (line && line.length + 1 + word.length > width) {
+            lines.push(line);
+            line = indent + word;
+        } else {
+            line = line ? `${line} ${word}` : word;
+        }
+    });
+    if (line) lines.push(line);
+    return lines;
+}
+
+/**
+ * Renders the resume as plain text (for pasting into application forms).
+ * @param {Object} resume - Resume from getResumeData().
+ * @returns {string} Text document.
+ */
+function renderResumeText(resume) {
+    const width = RESUME_TEXT_WIDTH;
+    const out = [resume.name.toUpperCase(), resume.role];
+    if (resume.contacts.length) out.push(...wrapText(resume.contacts.map(c => c.label).join(' | '), width));
+
+    resume.sections.forEach(section => {
+        out.push('', section.heading.toUpperCase(), '='.repeat(section.heading.length));
+        section.entries.forEach((entry, i) => {
+            if (entry.inline) {
+                out.push(...wrapText(`${entry.title}: ${entry.text.join(' ')}`, width, '  '));
+                return;
+            }
+
+            if (i > 0) out.push('');
+            if (entry.title) {
+                const title = [entry.title, entry.subtitle].filter(Boolean).join(' - ');
+                out.push(entry.period ? `${title} (${entry.period})` : title);
+            }
+            (entry.text || []).forEach(text => out.push(...wrapText(text, width)));
+            (entry.items || []).forEach(item => out.push(...wrapText(`- ${item}`, width, '  ')));
+            if (entry.url) out.push(entry.url);
+        });
+    });
+
+    return out.join('\n') + '\n';
+}
+
+/**
+ * Escapes characters Markdown would treat as formatting.
+ * @param {string} text - Plain text.
+ * @returns {string} Markdown-safe text.
+ */
+function escapeMarkdown(text) {
+    return String(text).replace(/([\\`*_[\]<>#])/g, '\\$1');
+}
+
+/**
+ * Renders the resume as Markdown.
+ * @param {Object} resume - Resume from getResumeData().
+ * @returns {string} Markdown document.
+ */
+function renderResumeMarkdown(resume) {
+    const md = escapeMarkdown;
+    const out = [`# ${md(resume.name)}`, '', `**${md(resume.role)}**`];
+    if (resume.contacts.length) {
+        out.push('', resume.contacts.map(c => (c.url ? `[${md(c.label)}](${c.url})` : md(c.label))).join(' · '));
+    }
+
+    resume.sections.forEach(section => {
+        out.push('', `## ${md(section.heading)}`, '');
+        section.entries.forEach((entry, i) => {
+            if (entry.inline) {
+                out.push(`- **${md(entry.title)}:** ${md(entry.text.join(' '))}`);
+                return;
+            }
+
+            if (i > 0) out.push('');
+            if (entry.title) {
+                const title = entry.url ? `[${md(entry.title)}](${entry.url})` : md(entry.title);
+                out.push(`### ${[title, md(entry.subtitle || '')].filter(Boolean).join(' — ')}`);
+                if (entry.period) out.push('', `*${md(entry.period)}*`);
+                if ((entry.text || []).length || (entry.items || []).length) out.push('');
+            }
+            (entry.text || []).forEach(text => out.push(md(text)));
+            (entry.items || []).forEach(item => out.push(`- ${md(item)}`));
+        });
+    });
+
+    return out.join('\n') + '\n';
+}
+
+/**
+ * Renders the print layout into #resume-print.
+ * @param {Object} content - Localized content.
+ */
+function renderResume(content) {
+    const container = document.getElementById('resume-print');
+    if (!container || !content.profile) return;
+
+    const resume = getResumeData(content);
+    const link = (label, url) => (url
+        ? `<a href="${escapeHtml(safeUrl(url))}" class="text-primary">${escapeHtml(label)}</a>`
+        : `<span>${escapeHtml(label)}</span>`);
+
+    const sections = resume.sections.map(section => `
+        <section class="mt-5 break-inside-avoid-page">
+            <h2 class="text-xs font-bold uppercase tracking-widest text-primary border-b border-slate-300 pb-1 mb-2">${escapeHtml(section.heading)}</h2>
+            <div class="${section.entries.some(e => e.inline) ? 'space-y-1' : 'space-y-3'}">
+                ${section.entries.map(entry => (entry.inline ? `
+                <p class="text-sm"><span class="font-bold">${escapeHtml(entry.title)}:</span> ${escapeHtml(entry.text.join(' '))}</p>
+                ` : `
+                <div class="break-inside-avoid">
+                    ${entry.title ? `
+                    <div class="flex justify-between items-baseline gap-4">
+                        <h3 class="text-sm font-bold">${entry.url ? link(entry.title, entry.url) : escapeHtml(entry.title)}${entry.subtitle ? ` <span class="font-normal text-slate-600">— ${escapeHtml(entry.subtitle)}</span>` : ''}</h3>
+                        ${entry.period ? `<span class="text-xs italic text-slate-500 whitespace-nowrap">${escapeHtml(entry.period)}</span>` : ''}
+                    </div>` : ''}
+                    ${(entry.text || []).map(text => `<p class="text-sm text-slate-700 leading-snug">${escapeHtml(text)}</p>`).join('')}
+                    ${(entry.items || []).length ? `
+                    <ul class="list-disc pl-5 text-sm text-slate-700 leading-snug">
+                        ${entry.items.map(item => `<li>${escapeHtml(item)}</li>`).join('')}
+                    </ul>` : ''}
+                </div>
+                `)).join('')}
+            </div>
+        </section>
+    `).join('');
+
+    container.innerHTML = `
+        <header>
+            <h1 class="text-3xl font-bold">${escapeHtml(resume.name)}</h1>
+            <p class="text-lg text-slate-600">${escapeHtml(resume.role)}</p>
+            <p class="mt-1 text-xs flex flex-wrap gap-x-3">${resume.contacts.map(c => link(c.label, c.url)).join('<span class="text-slate-400">·</span>')}</p>
+        </header>
+        ${sections}
+    `;
+}
@@ -0,0 +1,204 @@
+/**
+ * HTML Sanitization
+ *
+ * Every renderer builds HTML strings from 'content.json'. Plain fields go
+ * through `escapeHtml`, fields meant to hold markup (marked with
+ * `"contentMediaType": "text/html"` in the schema) go through `sanitizeHtml`,
+ * and every href/src goes through `safeUrl` / `safeImageUrl`.
+ *
+ * The sanitizer is string based (no DOM needed) so it behaves the same in the
+ * browser and in Node.
+ */
+
+/**
+ * Inline tags allowed in rich-text fields, with their allowed attributes.
+ */
+const RICH_TEXT_TAGS = {
+    a: ['href', 'title', 'target', 'rel'],
+    abbr: ['title'],
+    b: [],
+    br: [],
+    code: [],
+    em: [],
+    i: [],
+    kbd: [],
+    mark: [],
+    s: [],
+    small: [],
+    span: ['class'],
+    strong: [],
+    sub: [],
+    sup: [],
+    u: []
+};
+
+/**
+ * Tags whose content is dropped along with the tag itself.
+ */
+const DROPPED_CONTENT_TAGS = ['script', 'style', 'iframe', 'object', 'embed', 'noscript', 'template', 'textarea', 'title', 'svg', 'math'];
+
+/**
+ * URL schemes allowed in href values. Relative URLs and fragments are always allowed.
+ */
+const SAFE_URL_SCHEMES = ['http', 'https', 'mailto', 'tel'];
+
+/**
+ * Tags without a closing counterpart.
+ */
+const VOID_TAGS = ['br'];
+
+/**
+ * Returns the character of a numeric reference. Like browsers, 0, surrogates
+ * and code points past U+10FFFF become U+FFFD instead of throwing.
+ * @param {number} code - Code point.
+ * @returns {string} Character.
+ */
+function decodeCodePoint(code) {
+    if (!code || code > 0x10FFFF || (code >= 0xD800 && code <= 0xDFFF)) return '\uFFFD';
+    return String.fromCodePoint(code);
+}
+
+/**
+ * Decodes the character references that can be used to hide a URL scheme.
+ * @param {string} value - Attribute value as written in the source.
+ * @returns {string} Decoded value.
+ */
+function decodeEntities(value) {
+    const named = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", colon: ':', tab: '\t', newline: '\n' };
+    return String(value)
+        .replace(/&#x([0-9a-f]+);?/gi, (m, hex) => decodeCodePoint(parseInt(hex, 16)))
+        .replace(/&#(\d+);?/g, (m, dec) => decodeCodePoint(parseInt(dec, 10)))
+        .replace(/&([a-z]+);/gi, (m, name) => named[name.toLowerCase()] || m);
+}
+
+/**
+ * Escapes text content while keeping character references that are already
+ * valid (so "&amp;" in the source is not shown as "&amp;amp;").
+ * @param {string} text - Text between tags.
+ * @returns {string} Escaped text.
+ */
+function escapeText(text) {
+    return text
+        .replace(/&(?!#\d+;|#x[0-9a-f]+;|[a-z][a-z0-9]*;)/gi, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;');
+}
+
+/**
+ * Returns the URL if its scheme is allowed (or it is relative), otherwise the fallback.
+ * @param {string} url - URL from content.
+ * @param {string} [fallback='#'] - Value used when the URL is unsafe.
+ * @returns {string} Safe URL (not yet attribute-escaped).
+ */
+function safeUrl(url, fallback = '#') {
+    if (url === undefined || url === null) return fallback;
+    const raw = String(url).trim();
+
+    // Browsers ignore control characters and whitespace inside the scheme
+    const normalized = decodeEntities(raw).replace(/[\u0000-\u0020\u007f]/g, '');
+    const scheme = /^([a-z][a-z0-9+.-]*):/i.exec(normalized);
+
+    if (!scheme) return raw;
+    return SAFE_URL_SCHEMES.includes(scheme[1].toLowerCase()) ? raw : fallback;
+}
+
+/**
+ * Like `safeUrl`, but also accepts inline raster images (`data:image/...;base64`).
+ * @param {string} url - Image URL from content.
+ * @returns {string} Safe image URL, or an empty string.
+ */
+function safeImageUrl(url) {
+    const raw = String(url || '').trim();
+    if (/^data:image\/(png|jpe?g|gif|webp|avif);base64,[a-z0-9+/=\s]+$/i.test(raw)) return raw;
+    return safeUrl(raw, '');
+}
+
+/**
+ * Filters the attributes of an allowed tag.
+ * @param {string} tag - Lower-case tag name.
+ * @param {string} source - Raw attribute string.
+ * @returns {string} Rebuilt, escaped attribute string (with a leading space).
+ */
+function sanitizeAttributes(tag, source) {
+    const allowed = RICH_TEXT_TAGS[tag];
+    const attrs = {};
+    const pattern = /([^\s"'>/=]+)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s"'>]+)))?/g;
+    let match;
+
+    while ((match = pattern.exec(source)) !== null) {
+        const name = match[1].toLowerCase();
+        if (!allowed.includes(name) || name in attrs) continue;
+
+        let value = decodeEntities(match[2] !== undefined ? match[2] : match[3] !== undefined ? match[3] : (match[4] || ''));
+        if (name === 'href') value = safeUrl(value);
+        if (name === 'target' && value !== '_blank') continue;
+        if (name === 'class') value = value.split(/\s+/).filter(c => /^[\w:/[\].%#-]+$/.test(c)).join(' ');
+        attrs[name] = value;
+    }
+
+    // Links opening a new tab must not get a handle on this window
+    if (attrs.target === '_blank') attrs.rel = 'noopener noreferrer';
+
+    return Object.keys(attrs).map(name => ` ${name}="${escapeHtml(attrs[name])}"`).join('');
+}
+
+/**
+ * Sanitizes a rich-text field: allowed inline tags are rebuilt with allowed
+ * attributes, everything else is escaped or removed.
+ * @param {string} html - Markup from content.
+ * @returns {string} Safe HTML.
+ */
+function sanitizeHtml(html) {
+    if (html === undefined || html === null) return '';
+    const source = String(html);
+    const pattern = /<!--[\s\S]*?-->|<(\/?)([a-z][\w-]*)((?:\s+[^\s"'>/=]+(?:\s*=\s*(?:"[^"]*"|'[^']*'|[^\s"'>]+))?)*)\s*\/?>/gi;
+    const open = [];
+    let out = '';
+    let last = 0;
+    let skipping = null;
+    let match;
+
+    while ((match = pattern.exec(source)) !== null) {
+        const [token, closing, name, attrs] = match;
+        const tag = (name || '').toLowerCase();
+
+        if (skipping) {
+            if (closing && tag === skipping) {
+                skipping = null;
+                last = pattern.lastIndex;
+            }
+            continue;
+        }
+
+        out += escapeText(source.slice(last, match.index));
+        last = pattern.lastIndex;
+
+        // Comments and unknown tags are dropped, their text content is kept
+        if (!tag || !(tag in RICH_TEXT_TAGS)) {
+            if (!closing && DROPPED_CONTENT_TAGS.includes(tag) && !token.endsWith('/>')) skipping = tag;
+            continue;
+        }
+
+        if (closing) {
+            const index = open.lastIndexOf(tag);
+            if (index === -1) continue;
+            // Close anything left open inside this tag so the nesting stays valid
+            out += open.splice(index).reverse().map(t => `</${t}>`).join('');
+        } else {
+            out += `<${tag}${sanitizeAttributes(tag, attrs)}>`;
+            if (!VOID_TAGS.includes(tag)) open.push(tag);
+        }
+    }
+
+    if (!skipping) out += escapeText(source.slice(last));
+    return out + open.reverse().map(t => `</${t}>`).join('');
+}
+
+/**
+ * Removes all markup from a rich-text field (for titles, alt text, plain-text output).
+ * @param {string} html - Markup from content.
+ * @returns {string} Plain text (not escaped).
+ */
+function stripHtml(html) {
+    return decodeEntities(sanitizeHtml(html).replace(/<[^>]*>/g, ''));
+}
@@ -0,0 +1,172 @@
+/**
+ * Content Validation
+ *
+ * Validates 'content.json' against 'content.schema.json' before anything is
+ * rendered. Supports the subset of JSON Schema (draft-07) the schema uses:
+ * type, enum, required, properties, additionalProperties, items, minLength,
+ * minItems, pattern and local $ref.
+ */
+
+/**
+ * Returns the JSON type name of a value ("integer" is reported as "number").
+ * @param {*} value - Any JSON value.
+ * @returns {string} Type name.
+ */
+function jsonType(value) {
+    if (value === null) return 'null';
+    if (Array.isArray(value)) return 'array';
+    return typeof value;
+}
+
+/**
+ * Appends a property name or array index to a JSON path.
+ * @param {string} path - Parent path.
+ * @param {string|number} key - Property name or array index.
+ * @returns {string} Child path.
+ */
+function joinPath(path, key) {
+    if (typeof key === 'number') return `${path}[${key}]`;
+    return path ? `${path}.${key}` : key;
+}
+
+/**
+ * Resolves a local "#/definitions/..." reference.
+ * @param {Object} root - Root schema.
+ * @param {string} ref - Reference string.
+ * @returns {Object} Referenced schema.
+ */
+function resolveRef(root, ref) {
+    return ref.replace(/^#\//, '').split('/').reduce((node, key) => node && node[key], root);
+}
+
+/**
+ * Validates a value against a schema node, collecting every problem.
+ * @param {*} value - Value to validate.
+ * @param {Object} schema - Schema node.
+ * @param {string} path - JSON path of the value.
+ * @param {Object} root - Root schema (for $ref).
+ * @param {Object[]} errors - Collected `{ path, message }` entries.
+ */
+function validateNode(value, schema, path, root, errors) {
+    if (schema.$ref) {
+        schema = resolveRef(root, schema.$ref);
+        if (!schema) return;
+    }
+
+    const type = jsonType(value);
+
+    if (schema.type) {
+        const allowed = [].concat(schema.type);
+        const matches = allowed.some(t => t === type || (t === 'integer' && Number.isInteger(value)));
+        if (!matches) {
+            errors.push({ path, message: `expected ${allowed.join(' or ')}, got ${type}` });
+            return;
+        }
+    }
+
+    if (schema.enum && !schema.enum.includes(value)) {
+        errors.push({ path, message: `must be one of ${schema.enum.map(v => JSON.stringify(v)).join(', ')}` });
+    }
+
+    if (type === 'string') {
+        if (schema.minLength !== undefined && value.length < schema.minLength) {
+            errors.push({ path, message: `must be at least ${schema.minLength} character(s) long` });
+        }
+        if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+            errors.push({ path, message: `must match ${schema.pattern}` });
+        }
+    }
+
+    if (type === 'array') {
+        if (schema.minItems !== undefined && value.length < schema.minItems) {
+            errors.push({ path, message: `must contain at least ${schema.minItems} item(s)` });
+        }
+        if (schema.items) {
+            value.forEach((item, i) => validateNode(item, schema.items, joinPath(path, i), root, errors));
+        }
+    }
+
+    if (type === 'object') {
+        const properties = schema.properties || {};
+
+        (schema.required || []).forEach(key => {
+            if (!(key in value)) errors.push({ path: joinPath(path, key), message: 'is required' });
+        });
+
+        Object.keys(value).forEach(key => {
+            const childPath = joinPath(path, key);
+            if (properties[key]) {
+                validateNode(value[key], properties[key], childPath, root, errors);
+            } else if (schema.additionalProperties === false) {
+                errors.push({ path: childPath, message: 'is not a known property (typo?)' });
+            } else if (typeof schema.additionalProperties === 'object') {
+                validateNode(value[key], schema.additionalProperties, childPath, root, errors);
+            }
+        });
+    }
+}
+
+/**
+ * Validates the content object against the schema.
+ * @param {Object} data - Parsed 'content.json'.
+ * @param {Object} schema - Parsed 'content.schema.json'.
+ * @returns {Object[]} List of `{ path, message }` errors (empty when valid).
+ */
+function validateContent(data, schema) {
+    const errors = [];
+    validateNode(data, schema, '', schema, errors);
+    return errors;
+}
+
+/**
+ * Returns the top-level section names that have at least one error.
+ * @param {Object[]} errors - Validation errors.
+ * @returns {Set<string>} Invalid section names.
+ */
+function getInvalidSections(errors) {
+    return new Set(errors.map(err => err.path.split(/[.[]/)[0]).filter(Boolean));
+}
+
+/**
+ * Development mode is on for local hosts, file:// and when `?debug` is set.
+ * @returns {boolean} Whether content errors should be shown on the page.
+ */
+function isDevMode() {
+    const { hostname, search } = window.location;
+    return ['localhost', '127.0.0.1', '[::1]', ''].includes(hostname) || new URLSearchParams(search).has('debug');
+}
+
+/**
+ * Shows a fixed panel listing content errors, so they can be fixed without devtools.
+ * @param {Object[]} errors - Validation or render errors.
+ */
+function renderErrorPanel(errors) {
+    let panel = document.getElementById('content-errors');
+    if (!errors.length) {
+        if (panel) panel.remove();
+        return;
+    }
+
+    if (!panel) {
+        panel = document.createElement('div');
+        panel.id = 'content-errors';
+        panel.setAttribute('role', 'alert');
+        panel.className = 'fixed bottom-4 left-4 z-[300] max-w-md max-h-[60vh] overflow-y-auto bg-white dark:bg-surface-dark border border-red-300 dark:border-red-800 rounded-xl shadow-2xl p-4 font-mono text-xs text-slate-700 dark:text-slate-300';
+        document.body.appendChild(panel);
+    }
+
+    panel.innerHTML = `
+        <div class="flex items-center justify-between gap-4 mb-3">
+            <p class="flex items-center gap-2 font-bold text-red-600 dark:text-red-400">
+                <span class="material-symbols-outlined text-base" aria-hidden="true">error</span>
+                content.json: ${errors.length} problem${errors.length === 1 ? '' : 's'}
+            </p>
+            <button type="button" class="material-symbols-outlined text-base text-slate-400 hover:text-primary" aria-label="Dismiss" onclick="this.closest('#content-errors').remove()">close</button>
+        </div>
+        <ul class="space-y-2">
+            ${errors.map(err => `
+                <li><span class="text-primary">${escapeHtml(err.path || '(root)')}</span> ${escapeHtml(err.message)}</li>
+            `).join('')}
+        </ul>
+    `;
+}
@@ -0,0 +1,115 @@
+/**
+ * Section Plugins
+ *
+ * Optional section types: talks, publications, testimonials and open-source
+ * contributions. They need no markup in index.html; add one to `sections` in
+ * content.json with its own `data`, e.g.
+ * `{ "type": "talks", "id": "talks", "nav": "Talks", "data": { "heading": "Talks", "items": [...] } }`.
+ * Dates are ISO dates ("2024-05"), shown like the timeline's. A new type only
+ * needs a registerSectionType() call whose `render` fills its `<section>`.
+ */
+
+/**
+ * Wraps a section's body with its heading and optional description.
+ * @param {Object} data - Section data (`heading`, `description`).
+ * @param {string} body - Inner HTML.
+ * @returns {string} Section HTML.
+ */
+function renderPluginSection(data, body) {
+    return `
+        <div class="max-w-6xl mx-auto px-6">
+            <div class="flex flex-col mb-12 space-y-2">
+                <h2 class="text-4xl font-bold tracking-tight text-slate-900 dark:text-white">${escapeHtml(data.heading)}</h2>
+                ${data.description ? `<p class="text-slate-500">${escapeHtml(data.description)}</p>` : ''}
+            </div>
+            ${body}
+        </div>
+    `;
+}
+
+/**
+ * Renders a card for a talk, publication or contribution.
+ * @param {Object} card - `{ icon, title, url, details, date, description }`.
+ * @param {Object} content - Localized content (for the date labels).
+ * @returns {string} Card HTML.
+ */
+function renderPluginCard(card, content) {
+    const date = card.date ? formatContentDate(card.date, document.documentElement.lang || 'en', { ...DATE_LABELS, ...content.dates }) : '';
+    const title = card.url
+        ? `<a href="${escapeHtml(safeUrl(card.url))}" target="_blank" rel="noopener noreferrer" class="hover:text-primary transition-colors">${escapeHtml(card.title)}</a>`
+        : escapeHtml(card.title);
+    return `
+        <article class="flex gap-4 p-6 rounded-2xl border border-slate-200 dark:border-slate-800 bg-white dark:bg-surface-dark shadow-sm">
+            <span class="material-symbols-outlined text-primary" aria-hidden="true">${escapeHtml(card.icon)}</span>
+            <div class="space-y-1">
+                <h3 class="font-bold text-slate-900 dark:text-white">${title}</h3>
+                <p class="text-slate-500 text-sm">${escapeHtml([card.details, date].filter(Boolean).join(' · '))}</p>
+                ${card.description ? `<p class="text-slate-600 dark:text-slate-400 text-sm leading-relaxed">${sanitizeHtml(card.description)}</p>` : ''}
+            </div>
+        </article>
+    `;
+}
+
+/**
+ * Registers a section type listing `data.items` as cards.
+ * @param {string} type - Section type.
+ * @param {Function} toCard - Maps an item to renderPluginCard() fields.
+ */
+function registerCardSection(type, toCard) {
+    registerSectionType(type, {
+        render: (data, content, element) => {
+            if (!data || !element) return;
+            const cards = (data.items || []).map(item => renderPluginCard(toCard(item), content));
+            element.innerHTML = renderPluginSection(data, `<div class="grid md:grid-cols-2 gap-6">${cards.join('')}</div>`);
+        }
+    });
+}
+
+// Talks: `{ title, event, date, url, description }`
+registerCardSection('talks', talk => ({
+    icon: 'mic',
+    title: talk.title,
+    url: talk.url,
+    details: talk.event,
+    date: talk.date,
+    description: talk.description
+}));
+
+// Publications: `{ title, venue, authors, date, url, description }`
+registerCardSection('publications', publication => ({
+    icon: 'article',
+    title: publication.title,
+    url: publication.url,
+    details: [publication.authors, publication.venue].filter(Boolean).join(' · '),
+    date: publication.date,
+    description: publication.description
+}));
+
+// Open-source contributions: `{ project, url, role, date, description }`
+registerCardSection('contributions', contribution => ({
+    icon: 'merge',
+    title: contribution.project,
+    url: contribution.url,
+    details: contribution.role,
+    date: contribution.date,
+    description: contribution.description
+}));
+
+// Testimonials: `{ quote, name, role, url }`
+registerSectionType('testimonials', {
+    render: (data, content, element) => {
+        if (!data || !element) return;
+        const quotes = (data.items || []).map(item => `
+            <figure class="flex flex-col gap-4 p-6 rounded-2xl border border-slate-200 dark:border-slate-800 bg-white dark:bg-surface-dark shadow-sm">
+                <blockquote class="text-slate-600 dark:text-slate-400 leading-relaxed">“${sanitizeHtml(item.quote)}”</blockquote>
+                <figcaption class="text-sm">
+                    ${item.url
+                        ? `<a href="${escapeHtml(safeUrl(item.url))}" target="_blank" rel="noopener noreferrer" class="font-bold text-slate-900 dark:text-white hover:text-primary transition-colors">${escapeHtml(item.name)}</a>`
+                        : `<span class="font-bold text-slate-900 dark:text-white">${escapeHtml(item.name)}</span>`}
+                    ${item.role ? `<span class="text-slate-500">· ${escapeHtml(item.role)}</span>` : ''}
+                </figcaption>
+            </figure>
+        `);
+        element.innerHTML = renderPluginSection(data, `<div class="grid md:grid-cols-2 gap-6">${quotes.join('')}</div>`);
+    }
+});
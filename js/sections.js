@@ -0,0 +1,362 @@
+/**
+ * Sections
+ *
+ * The page is laid out from `sections` in content.json: an ordered list of
+ * `{ type, id, nav, data }`. Each type is registered in SECTION_TYPES with its
+ * markup and the renderer that fills it, so index.html only holds an empty
+ * `<main>` and the navigation menus and dot navigation follow the list.
+ * Built-in types read their data from the top-level content key they're named
+ * after (the hero reads `profile`) and appear once each (`posts` is built in
+ * but left out of the default layout); other types, such as the ones in
+ * js/section-plugins.js, take `data` from the section itself and register
+ * with registerSectionType().
+ */
+
+/**
+ * Layout used when content.json has no (valid) `sections` list.
+ */
+const DEFAULT_SECTIONS = [
+    { type: 'hero', id: 'home' },
+    { type: 'education', id: 'education' },
+    { type: 'experience', id: 'experience' },
+    { type: 'skills', id: 'skills' },
+    { type: 'projects', id: 'projects' },
+    { type: 'contact', id: 'contact' }
+];
+
+/**
+ * Backgrounds that alternate down the page, whatever the section order.
+ */
+const SECTION_SURFACES = [
+    'bg-white dark:bg-[#0d1117] border-y border-slate-200 dark:border-slate-800',
+    'bg-background-light dark:bg-background-dark'
+];
+
+/**
+ * Section types. `markup(section)` returns the section's inner HTML (optional),
+ * `render(data, content, element)` fills it, and `setup(data, content, element)`
+ * (optional) attaches behaviour to markup pre-rendered by the static build.
+ * `className` replaces the default padding, and `surface: false` opts out of
+ * the alternating backgrounds. `uses` lists the other top-level content keys
+ * the markup depends on, so live reload re-renders the section when they change.
+ */
+const SECTION_TYPES = {
+    hero: {
+        source: 'profile',
+        uses: ['terminal'],
+        surface: false,
+        className: 'max-w-6xl mx-auto px-6 py-20 lg:py-32',
+        markup: () => `
+            <div class="grid lg:grid-cols-2 gap-12 items-center">
+                <div class="space-y-6" id="hero-content">
+                </div>
+
+                <!-- Terminal Card -->
+                <div class="relative group">
+                    <div
+                        class="absolute -inset-1 bg-gradient-to-r from-primary to-cyan-500 rounded-xl blur opacity-10 dark:opacity-25 group-hover:opacity-30 dark:group-hover:opacity-50 transition duration-1000 group-hover:duration-200">
+                    </div>
+                    <div
+                        class="relative bg-white dark:bg-[#0d1117] rounded-xl border border-slate-200 dark:border-slate-800 overflow-hidden shadow-2xl font-mono text-sm transition-colors duration-300">
+                        <div class="terminal-header px-4 py-3 flex items-center gap-2 transition-colors duration-300">
+                            <div class="flex gap-1.5">
+                                <div class="size-3 rounded-full bg-[#ff5f56]"></div>
+                                <div class="size-3 rounded-full bg-[#ffbd2e]"></div>
+                                <div class="size-3 rounded-full bg-[#27c93f]"></div>
+                            </div>
+                            <div class="flex-1 text-center text-slate-500 dark:text-slate-400 text-xs"
+                                id="terminal-title"></div>
+                        </div>
+                        <div class="terminal-body p-6 space-y-2 max-h-[28rem] overflow-y-auto cursor-text text-slate-700 dark:text-slate-300 transition-colors duration-300"
+                            id="terminal-body">
+                        </div>
+                    </div>
+                </div>
+            </div>
+        `,
+        render: (profile, content) => {
+            renderProfile(profile);
+            renderTerminal(content.terminal, content);
+        },
+        setup: (profile, content) => setupTerminal(content.terminal, content)
+    },
+
+    education: {
+        markup: () => `
+            <div class="max-w-6xl mx-auto px-6">
+                <div class="grid lg:grid-cols-2 gap-16 items-start" id="education-grid">
+                    <div>
+                        <h2 class="text-4xl font-bold mb-6 text-slate-900 dark:text-white" id="edu-heading"></h2>
+                        <div class="relative">
+                            <div
+                                class="absolute left-5 transform -translate-x-px h-full w-0.5 bg-slate-200 dark:bg-slate-800">
+                            </div>
+                            <div class="space-y-12" id="education-degrees">
+                            </div>
+                        </div>
+                    </div>
+                    <div id="certifications-container"
+                        class="bg-slate-50 dark:bg-surface-dark border border-slate-200 dark:border-slate-800 rounded-2xl p-8 transition-colors duration-300">
+                        <h3 class="text-xl font-bold mb-6 flex items-center gap-2 text-slate-900 dark:text-white">
+                            <span class="material-symbols-outlined text-primary" aria-hidden="true">verified</span>
+                            <span id="certs-heading"></span>
+                        </h3>
+                        <div class="space-y-4" id="education-certs">
+                        </div>
+                    </div>
+                </div>
+            </div>
+        `,
+        render: edu => renderEducation(edu)
+    },
+
+    experience: {
+        markup: () => `
+            <div class="max-w-6xl mx-auto px-6">
+                <h2 class="text-4xl font-bold mb-12 text-slate-900 dark:text-white" id="exp-heading"></h2>
+                <div class="relative">
+                    <div class="absolute left-5 transform -translate-x-px h-full w-0.5 bg-slate-200 dark:bg-slate-800">
+                    </div>
+                    <div class="space-y-12" id="experience-list">
+                    </div>
+                </div>
+            </div>
+        `,
+        uses: ['skills'],
+        render: exp => renderExperience(exp)
+    },
+
+    skills: {
+        markup: () => `
+            <div class="max-w-6xl mx-auto px-6">
+                <div class="flex flex-col mb-12 space-y-2">
+                    <h2 class="text-4xl font-bold tracking-tight text-slate-900 dark:text-white" id="skills-heading">
+                    </h2>
+                    <p class="text-slate-500" id="skills-desc"></p>
+                </div>
+                <div class="grid md:grid-cols-3 gap-8" id="skills-grid">
+                </div>
+                <div id="skills-usage" aria-live="polite"
+                    class="hidden mt-10 p-6 space-y-3 rounded-2xl border border-primary/30 bg-white dark:bg-surface-dark shadow-sm">
+                </div>
+            </div>
+        `,
+        render: skills => renderSkills(skills)
+    },
+
+    projects: {
+        markup: () => `
+            <div class="max-w-6xl mx-auto px-6">
+                <div class="flex flex-col md:flex-row justify-between items-start md:items-end mb-12 gap-6">
+                    <div class="space-y-2">
+                        <h2 class="text-4xl font-bold tracking-tight text-slate-900 dark:text-white"
+                            id="projects-heading"></h2>
+                        <p class="text-slate-500" id="projects-desc"></p>
+                    </div>
+                </div>
+                <div class="space-y-4 mb-8" id="projects-controls">
+                </div>
+                <div class="grid md:grid-cols-2 lg:grid-cols-3 gap-8" id="projects-grid" aria-live="polite">
+                </div>
+            </div>
+        `,
+        uses: ['skills'],
+        render: projects => renderProjects(projects),
+        setup: projects => setupProjects(projects, true)
+    },
+
+    posts: {
+        markup: () => `
+            <div class="max-w-6xl mx-auto px-6">
+                <div class="flex flex-col md:flex-row justify-between items-start md:items-end mb-12 gap-6">
+                    <div class="space-y-2">
+                        <h2 class="text-4xl font-bold tracking-tight text-slate-900 dark:text-white"
+                            id="posts-heading"></h2>
+                        <p class="text-slate-500" id="posts-desc"></p>
+                    </div>
+                    <a id="posts-feed" href="${POSTS_FEED_FILE}" class="hidden material-symbols-outlined text-slate-400 hover:text-primary transition-colors text-2xl">rss_feed</a>
+                </div>
+                <div id="posts-view" aria-live="polite">
+                </div>
+            </div>
+        `,
+        uses: ['site'],
+        render: (posts, content) => renderPosts(posts, content),
+        setup: (posts, content) => setupPosts(posts, content, true)
+    },
+
+    contact: {
+        className: 'py-32 relative overflow-hidden',
+        markup: () => `
+            <div class="max-w-6xl mx-auto px-6">
+                <div class="grid lg:grid-cols-2 gap-16 items-start">
+                    <div class="space-y-8">
+                        <div>
+                            <h2 class="text-5xl font-black mb-6 tracking-tighter text-slate-900 dark:text-white"
+                                id="cta-title"></h2>
+                            <p class="text-xl text-slate-600 dark:text-slate-400 leading-relaxed" id="cta-desc"></p>
+                        </div>
+                        <div class="space-y-4">
+                            <p class="text-sm font-mono text-primary uppercase tracking-widest font-bold"
+                                id="connect-label"></p>
+                            <div class="flex flex-wrap gap-4" id="social-links">
+                            </div>
+                        </div>
+                    </div>
+                    <!-- Contact Form -->
+                    <div
+                        class="bg-white dark:bg-surface-dark border border-slate-200 dark:border-slate-800 rounded-3xl p-8 shadow-2xl transition-colors duration-300">
+                        <form action="#" class="relative space-y-6" method="POST" id="contact-form">
+                            <!-- Honeypot: kept off-screen rather than display:none, which bots skip -->
+                            <div class="absolute -left-[9999px] w-px h-px overflow-hidden" aria-hidden="true">
+                                <label>Leave this field empty <input type="text" name="_gotcha" tabindex="-1" autocomplete="off" /></label>
+                            </div>
+                            <div class="grid grid-cols-1 md:grid-cols-2 gap-6">
+                                <div class="space-y-2">
+                                    <label class="text-sm font-medium text-slate-700 dark:text-slate-300" for="name"
+                                        id="label-name"></label>
+                                    <input
+                                        class="w-full bg-slate-50 dark:bg-slate-900 border-slate-200 dark:border-slate-800 rounded-xl px-4 py-3 text-sm focus:ring-primary focus:border-primary transition-all text-slate-900 dark:text-white"
+                                        id="name" name="name" required="" type="text" autocomplete="name" aria-describedby="name-error" />
+                                    <p class="hidden text-xs font-medium text-red-600 dark:text-red-400" id="name-error"></p>
+                                </div>
+                                <div class="space-y-2">
+                                    <label class="text-sm font-medium text-slate-700 dark:text-slate-300" for="email"
+                                        id="label-email"></label>
+                                    <input
+                                        class="w-full bg-slate-50 dark:bg-slate-900 border-slate-200 dark:border-slate-800 rounded-xl px-4 py-3 text-sm focus:ring-primary focus:border-primary transition-all text-slate-900 dark:text-white"
+                                        id="email" name="email" required="" type="email" autocomplete="email" aria-describedby="email-error" />
+                                    <p class="hidden text-xs font-medium text-red-600 dark:text-red-400" id="email-error"></p>
+                                </div>
+                            </div>
+                            <div class="space-y-2">
+                                <label class="text-sm font-medium text-slate-700 dark:text-slate-300" for="message"
+                                    id="label-message"></label>
+                                <textarea
+                                    class="w-full bg-slate-50 dark:bg-slate-900 border-slate-200 dark:border-slate-800 rounded-xl px-4 py-3 text-sm focus:ring-primary focus:border-primary transition-all text-slate-900 dark:text-white"
+                                    id="message" name="message" required="" rows="4" aria-describedby="message-error"></textarea>
+                                <p class="hidden text-xs font-medium text-red-600 dark:text-red-400" id="message-error"></p>
+                            </div>
+                            <p class="hidden text-xs font-mono font-bold text-amber-700 dark:text-amber-300 bg-amber-50 dark:bg-amber-900/20 border border-amber-200 dark:border-amber-800 rounded-lg px-3 py-2"
+                                id="form-mode" role="status"></p>
+                            <button
+                                class="w-full bg-primary text-white px-6 py-3 rounded-xl font-bold hover:shadow-lg hover:shadow-primary/30 transition-all flex items-center justify-center gap-2"
+                                type="submit" id="submit-btn-content">
+                                <span class="material-symbols-outlined text-sm" aria-hidden="true">send</span>
+                                <span id="submit-text"></span>
+                            </button>
+                        </form>
+                    </div>
+                </div>
+            </div>
+        `,
+        uses: ['profile'],
+        render: (contact, content) => renderContact(contact, content.profile),
+        setup: contact => contact && setupFormHandler(contact.form)
+    }
+};
+
+/**
+ * Adds a section type (or replaces one), so content can use it in `sections`.
+ * @param {string} type - Name used as the section's `type`.
+ * @param {Object} definition - `{ render, markup?, setup?, className?, surface?, uses? }`.
+ */
+function registerSectionType(type, definition) {
+    SECTION_TYPES[type] = definition;
+}
+
+/**
+ * Returns the page's sections, in order.
+ * @param {Object} content - Content object.
+ * @returns {Object[]} `{ type, id, nav, data }` entries.
+ */
+function getPageSections(content) {
+    return content.sections || DEFAULT_SECTIONS;
+}
+
+/**
+ * Returns the data a section shows: its own `data`, else the top-level
+ * content key its type reads.
+ * @param {Object} section - Section entry.
+ * @param {Object} content - Content object.
+ * @returns {*} Section data.
+ */
+function getSectionData(section, content) {
+    if (section.data !== undefined) return section.data;
+    const type = SECTION_TYPES[section.type] || {};
+    return content[type.source || section.type];
+}
+
+/**
+ * Whether a section shows something else than in the previous content: its
+ * data or one of the keys its type `uses`.
+ * @param {Object} section - Section entry.
+ * @param {Object} content - Content object.
+ * @param {Object} previous - Content rendered before.
+ * @returns {boolean} True when the section needs rendering again.
+ */
+function hasSectionChanged(section, content, previous) {
+    const type = SECTION_TYPES[section.type] || {};
+    const read = data => JSON.stringify([getSectionData(section, data), ...(type.uses || []).map(key => data[key])]);
+    return read(content) !== read(previous);
+}
+
+/**
+ * Describes the layout (section types and ids, in order).
+ * @param {Object[]} sections - Page sections.
+ * @returns {string} Layout key.
+ */
+function getSectionLayout(sections) {
+    return sections.map(section => `${section.type}#${section.id}`).join(' ');
+}
+
+/**
+ * Builds the empty `<section>` elements of the layout. Keeps the current ones
+ * when the layout hasn't changed (e.g. on a language change), so their state
+ * survives re-rendering.
+ * @param {Object[]} sections - Page sections.
+ */
+function renderSectionLayout(sections) {
+    const main = document.getElementById('sections');
+    if (!main) return;
+
+    const layout = getSectionLayout(sections);
+    if (main.dataset.layout === layout) return;
+
+    let surface = 0;
+    main.innerHTML = sections.filter(section => SECTION_TYPES[section.type]).map(section => {
+        const type = SECTION_TYPES[section.type];
+        const classes = [
+            type.className || 'py-24',
+            type.surface === false ? '' : SECTION_SURFACES[surface++ % SECTION_SURFACES.length],
+            'transition-colors duration-300 reveal'
+        ].filter(Boolean).join(' ');
+        return `<section id="${escapeHtml(section.id)}" data-section="${escapeHtml(section.type)}" class="${classes}">${type.markup ? type.markup(section) : ''}</section>`;
+    }).join('');
+    main.dataset.layout = layout;
+}
+
+/**
+ * Returns a renderer per section, keyed by its place in `sections` (for error reports).
+ * @param {Object[]} sections - Page sections.
+ * @param {Object} content - Localized content.
+ * @param {boolean} prerendered - Only attach behaviour to markup from the static build.
+ * @param {Object} [previous] - Content rendered before: with the same layout,
+ * unchanged sections keep their markup (and what was typed into it) and only
+ * run `setup`.
+ * @returns {Object} Map of path to renderer function.
+ */
+function getSectionRenderers(sections, content, prerendered, previous = null) {
+    const sameLayout = previous && getSectionLayout(getPageSections(previous)) === getSectionLayout(sections);
+    const renderers = {};
+    sections.forEach((section, i) => {
+        renderers[`sections[${i}]`] = () => {
+            const type = SECTION_TYPES[section.type];
+            if (!type) throw new Error(`unknown section type "${section.type}"`);
+            const unchanged = sameLayout && !hasSectionChanged(section, content, previous);
+            const run = prerendered || unchanged ? type.setup : type.render;
+            if (run) run(getSectionData(section, content), content, document.getElementById(section.id));
+        };
+    });
+    return renderers;
+}
@@ -0,0 +1,254 @@
+/**
+ * Skills
+ *
+ * The skill registry (`skills.registry`) gives each skill its icon,
+ * proficiency level and years of use. Skills are matched by id, name or
+ * alias, ignoring case and punctuation, so "Next" and "Next.js" can be the
+ * same skill. Clicking a skill badge highlights the experience items
+ * (`skills`) and projects (`tags` and `tech`) where it was used.
+ */
+
+/**
+ * Highest proficiency level.
+ */
+const SKILL_LEVEL_MAX = 5;
+
+/**
+ * Registry lookup, where each skill is used and the highlighted skill.
+ */
+const skillsState = {
+    data: null,
+    index: new Map(),
+    usage: new Map(),
+    active: '',
+    activeName: ''
+};
+
+/**
+ * Reduces a skill name to a lookup key ("Next.js" → "nextjs", "CI/CD" → "cicd").
+ * @param {string} name - Skill id, name or alias.
+ * @returns {string} Lookup key.
+ */
+function normalizeSkillName(name) {
+    return String(name).toLowerCase().replace(/[^a-z0-9+#]/g, '');
+}
+
+/**
+ * Indexes the registry by id, name and aliases.
+ * @param {Object[]} registry - Skill entries.
+ * @returns {Map<string, Object>} Lookup key → skill.
+ */
+function indexSkills(registry) {
+    const index = new Map();
+    (registry || []).forEach(skill => {
+        [skill.id, skill.name, ...(skill.aliases || [])].forEach(name => {
+            const key = normalizeSkillName(name);
+            if (index.has(key) && index.get(key) !== skill) console.warn(`Skill "${name}" is defined twice in skills.registry`);
+            else index.set(key, skill);
+        });
+    });
+    return index;
+}
+
+/**
+ * Finds a skill in the registry.
+ * @param {string} name - Skill id, name or alias.
+ * @returns {Object|null} Registry entry.
+ */
+function findSkill(name) {
+    return skillsState.index.get(normalizeSkillName(name)) || null;
+}
+
+/**
+ * Returns the id cross-links use for a skill. Skills missing from the
+ * registry still link up when they are spelled the same way.
+ * @param {string} name - Skill id, name or alias.
+ * @returns {string} Skill id.
+ */
+function getSkillId(name) {
+    const skill = findSkill(name);
+    return skill ? skill.id : normalizeSkillName(name);
+}
+
+/**
+ * Returns the icon HTML for a skill: a devicon, a Material Symbol or an SVG path.
+ * Icons stay monochrome; the badge styles colour them. Built pages carry the
+ * devicons as an inline sprite (scripts/assets.js) instead of the icon font.
+ * @param {string} name - Skill id, name or alias.
+ * @returns {string} Icon HTML.
+ */
+function getSkillIcon(name) {
+    const skill = findSkill(name) || {};
+    if (skill.devicon) {
+        const symbol = skill.devicon.replace(/^devicon-/, 'icon-');
+        if (document.getElementById(symbol)) {
+            return `<i class="inline-flex" aria-hidden="true"><svg class="size-[1em] fill-current"><use href="#${escapeHtml(symbol)}"></use></svg></i>`;
+        }
+        return `<i class="${escapeHtml(skill.devicon)}" aria-hidden="true"></i>`;
+    }
+    if (skill.icon_svg_path) {
+        return `<svg class="size-4 fill-current" viewBox="${escapeHtml(skill.icon_view_box || '0 0 24 24')}" aria-hidden="true"><path d="${escapeHtml(skill.icon_svg_path)}"></path></svg>`;
+    }
+    return `<span class="material-symbols-outlined text-[18px]" aria-hidden="true">${escapeHtml(skill.icon || 'terminal')}</span>`;
+}
+
+/**
+ * Describes a skill's proficiency and experience ("Advanced · 4 years").
+ * @param {Object|null} skill - Registry entry.
+ * @param {Object} labels - Skills labels.
+ * @returns {string} Plain-text description (empty when unknown).
+ */
+function getSkillDetails(skill, labels) {
+    if (!skill) return '';
+    const levels = labels.levels || ['Beginner', 'Basic', 'Intermediate', 'Advanced', 'Expert'];
+    return [
+        skill.level ? levels[skill.level - 1] || `${skill.level}/${SKILL_LEVEL_MAX}` : '',
+        skill.years ? formatMessage(skill.years === 1 ? labels.year || '{years} year' : labels.years || '{years} years', { years: skill.years }) : ''
+    ].filter(Boolean).join(' · ');
+}
+
+/**
+ * Renders a skill's proficiency as a row of dots.
+ * @param {Object|null} skill - Registry entry.
+ * @returns {string} Meter HTML (empty without a level).
+ */
+function renderSkillLevel(skill) {
+    if (!skill || !skill.level) return '';
+    const dots = Array.from({ length: SKILL_LEVEL_MAX }, (_, i) => `<span class="size-1.5 rounded-full ${i < skill.level ? 'bg-current' : 'bg-slate-300 dark:bg-slate-700'}"></span>`);
+    return `<span class="flex gap-0.5" aria-hidden="true">${dots.join('')}</span>`;
+}
+
+/**
+ * Lists the skill ids of a set of names (for `data-skills` attributes).
+ * @param {string[]} names - Skill names.
+ * @returns {string} Space-separated ids.
+ */
+function getSkillIds(names) {
+    return [...new Set((names || []).map(getSkillId))].join(' ');
+}
+
+/**
+ * Records which experience items and projects use each skill.
+ * @param {Object} content - Localized content.
+ * @returns {Map<string, Object[]>} Skill id → `{ title, href, icon }` entries.
+ */
+function getSkillUsage(content) {
+    const usage = new Map();
+    const add = (names, entry) => new Set((names || []).map(getSkillId)).forEach(id => {
+        if (!usage.has(id)) usage.set(id, []);
+        usage.get(id).push(entry);
+    });
+
+    ((content.experience && content.experience.items) || []).forEach((job, i) => {
+        add(job.skills, { title: `${job.role} · ${stripHtml(job.company)}`, href: `#experience-item-${i}`, icon: job.icon || 'work' });
+    });
+    ((content.projects && content.projects.items) || []).forEach(p => {
+        add([...(p.tags || []), ...(p.tech || [])], { title: p.title, href: `#projects?project=${encodeURIComponent(getProjectSlug(p))}`, icon: 'folder_open' });
+    });
+    return usage;
+}
+
+/**
+ * Marks the experience items and project cards using the highlighted skill,
+ * and dims the others. Called again whenever those lists re-render.
+ */
+function applySkillHighlight() {
+    const active = skillsState.active;
+    document.querySelectorAll('#experience-list [data-skills], #projects-grid [data-skills]').forEach(el => {
+        const match = !!active && el.dataset.skills.split(' ').includes(active);
+        el.classList.toggle('skill-match', match);
+        el.classList.toggle('skill-dimmed', !!active && !match);
+    });
+    document.querySelectorAll('[data-skill]').forEach(el => {
+        el.setAttribute('aria-pressed', String(el.dataset.skill === active));
+    });
+}
+
+/**
+ * Shows where the highlighted skill was used, below the skills grid.
+ */
+function renderSkillUsage() {
+    const panel = document.getElementById('skills-usage');
+    if (!panel) return;
+
+    const id = skillsState.active;
+    panel.classList.toggle('hidden', !id);
+    if (!id) {
+        panel.innerHTML = '';
+        return;
+    }
+
+    const labels = (skillsState.data && skillsState.data.labels) || {};
+    const skill = findSkill(id);
+    const name = skill ? skill.name : skillsState.activeName;
+    const details = getSkillDetails(skill, labels);
+    const uses = skillsState.usage.get(id) || [];
+
+    panel.innerHTML = `
+        <div class="flex flex-wrap items-center justify-between gap-3">
+            <p class="font-bold text-slate-900 dark:text-white">
+                ${getSkillIcon(id)} ${escapeHtml(name)}
+                ${details ? `<span class="font-normal text-slate-500">· ${escapeHtml(details)}</span>` : ''}
+            </p>
+            <button type="button" data-skill-clear class="text-xs font-bold text-slate-500 hover:text-primary">${escapeHtml(labels.clear || 'Clear')}</button>
+        </div>
+        ${uses.length ? `
+            <p class="text-sm text-slate-500">${escapeHtml(labels.used_in || 'Used in')}</p>
+            <ul class="flex flex-wrap gap-2">
+                ${uses.map(use => `
+                    <li><a href="${escapeHtml(use.href)}" class="flex items-center gap-1.5 px-3 py-1.5 rounded-lg border border-slate-200 dark:border-slate-800 text-sm hover:border-primary/50 hover:text-primary transition-colors">
+                        <span class="material-symbols-outlined text-base" aria-hidden="true">${escapeHtml(use.icon)}</span>${escapeHtml(use.title)}
+                    </a></li>
+                `).join('')}
+            </ul>
+        ` : `<p class="text-sm text-slate-500">${escapeHtml(labels.unused || 'Not linked to a role or project yet.')}</p>`}
+    `;
+}
+
+/**
+ * Highlights a skill, or clears the highlight when it is already active.
+ * @param {string} id - Skill id ('' to clear).
+ * @param {string} [name] - Name as shown, for skills missing from the registry.
+ */
+function toggleSkill(id, name = id) {
+    skillsState.active = id === skillsState.active ? '' : id;
+    skillsState.activeName = name;
+    applySkillHighlight();
+    renderSkillUsage();
+}
+
+/**
+ * Handles clicks on skill badges and the clear button (delegated).
+ * @param {MouseEvent} e - Click event.
+ */
+function handleSkillClick(e) {
+    if (e.target.closest('[data-skill-clear]')) {
+        toggleSkill('');
+        return;
+    }
+    const badge = e.target.closest('[data-skill]');
+    if (badge) toggleSkill(badge.dataset.skill, badge.dataset.skillName);
+}
+
+/**
+ * Loads the registry and wires up the badges (also for pre-rendered markup).
+ * Runs before the sections render, since experience and projects look skills up.
+ * Keeps the highlighted skill across re-renders (e.g. a language change).
+ * @param {Object} skills - Skills data object.
+ * @param {Object} content - Localized content (for experience and projects).
+ */
+function setupSkills(skills, content) {
+    if (!skills) return;
+
+    skillsState.data = skills;
+    skillsState.index = indexSkills(skills.registry);
+    skillsState.usage = getSkillUsage(content);
+
+    const grid = document.getElementById('skills-grid');
+    if (grid) grid.closest('section').onclick = handleSkillClick;
+    const experience = document.getElementById('experience-list');
+    if (experience) experience.onclick = handleSkillClick;
+
+    applySkillHighlight();
+    renderSkillUsage();
+}
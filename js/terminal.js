@@ -0,0 +1,533 @@
+/**
+ * Interactive Terminal
+ *
+ * Turns the hero terminal card into a small command interpreter. The available
+ * commands are declared in 'content.json' (terminal.commands) and mapped onto
+ * the handlers below, so every answer is built from the same data as the page.
+ */
+
+/**
+ * Prompt prefix shared by echoed commands and the input line.
+ */
+const TERMINAL_PROMPT = `<span class="text-primary">➜</span> <span class="text-cyan-600 dark:text-cyan-400">~</span>`;
+
+/**
+ * Sections that can be listed with `ls` and printed with `cat`.
+ */
+const TERMINAL_SECTIONS = ['bio.json', 'education', 'experience', 'skills', 'projects', 'contact'];
+
+/**
+ * Runtime state of the terminal (content, declared commands and history).
+ */
+const terminalState = {
+    data: null,
+    commands: [],
+    history: [],
+    historyIndex: 0
+};
+
+/**
+ * Splits a command line into tokens, honouring single and double quotes.
+ * @param {string} line - Raw command line.
+ * @returns {string[]} Tokens.
+ */
+function tokenizeCommand(line) {
+    const tokens = [];
+    const pattern = /"([^"]*)"?|'([^']*)'?|(\S+)/g;
+    let match;
+    while ((match = pattern.exec(line)) !== null) {
+        tokens.push(match[1] !== undefined ? match[1] : match[2] !== undefined ? match[2] : match[3]);
+    }
+    return tokens;
+}
+
+/**
+ * Separates positional arguments from `--flag value` / `--flag=value` options.
+ * @param {string[]} args - Tokens after the command name.
+ * @returns {Object} Parsed options (`true` for a flag without a value), with
+ * positional arguments under `_`.
+ */
+function parseFlags(args) {
+    const parsed = { _: [] };
+    for (let i = 0; i < args.length; i++) {
+        const arg = args[i];
+        if (arg.startsWith('--')) {
+            const [key, inline] = arg.slice(2).split(/=(.*)/);
+            if (inline !== undefined) {
+                parsed[key] = inline;
+            } else if (i + 1 < args.length && !args[i + 1].startsWith('--')) {
+                parsed[key] = args[++i];
+            } else {
+                parsed[key] = true;
+            }
+        } else {
+            parsed._.push(arg);
+        }
+    }
+    return parsed;
+}
+
+/**
+ * Finds a value in a list by case-insensitive exact match, then by prefix.
+ * @param {string[]} list - Candidate values.
+ * @param {string} query - User input.
+ * @returns {string|undefined} Matching value.
+ */
+function findByName(list, query) {
+    const q = String(query || '').toLowerCase();
+    return list.find(item => item.toLowerCase() === q) || list.find(item => item.toLowerCase().startsWith(q));
+}
+
+/**
+ * Returns the ids of the page sections (js/sections.js).
+ * @param {Object} data - Full content object.
+ * @returns {string[]} Section ids.
+ */
+function getTerminalSectionIds(data) {
+    return getPageSections(data).map(section => section.id);
+}
+
+/**
+ * Returns the named links the `open` command can follow.
+ * @param {Object} data - Full content object.
+ * @returns {Object} Map of lower-case target name to URL.
+ */
+function getTerminalLinks(data) {
+    const links = {};
+    const profile = data.profile || {};
+    if (profile.resume_url) links.resume = profile.resume_url;
+    if (profile.github_url) links.github = profile.github_url;
+    if (profile.linkedin_url) links.linkedin = profile.linkedin_url;
+    ((data.contact && data.contact.links) || []).forEach(link => {
+        links[link.name.toLowerCase()] = link.url;
+    });
+    return links;
+}
+
+/**
+ * Built-in command handlers. `run` returns the HTML lines to print and
+ * `complete` (optional) returns candidates for the argument being typed.
+ */
+const TERMINAL_HANDLERS = {
+    help: {
+        run(args, ctx) {
+            const width = Math.max(...ctx.commands.map(c => (c.usage || c.name).length));
+            const rows = ctx.commands.map(c => {
+                const usage = (c.usage || c.name).padEnd(width + 2);
+                return `<p class="whitespace-pre"><span class="text-cyan-600 dark:text-cyan-400">${escapeHtml(usage)}</span>${sanitizeHtml(c.description || '')}</p>`;
+            });
+            return [`<p class="text-slate-500">${sanitizeHtml(ctx.messages.help_header || '')}</p>`, ...rows];
+        }
+    },
+
+    whoami: {
+        run(args, ctx) {
+            const profile = ctx.data.profile || {};
+            const bio = (ctx.data.terminal && ctx.data.terminal.bio_json) || {};
+            const lines = [`<p class="font-bold">${escapeHtml(profile.name)} <span class="font-normal text-slate-500">— ${escapeHtml(profile.role)}</span></p>`];
+            if (bio.location) lines.push(`<p class="text-slate-500">${escapeHtml(bio.location)}</p>`);
+            if (profile.hero_text) lines.push(`<p>${sanitizeHtml(profile.hero_text)}</p>`);
+            return lines;
+        }
+    },
+
+    ls: {
+        run(args, ctx) {
+            if (!args.length) {
+                return [`<p class="flex flex-wrap gap-x-6">${TERMINAL_SECTIONS.map(s => `<span class="text-cyan-600 dark:text-cyan-400">${s}</span>`).join('')}</p>`];
+            }
+            const section = findByName(TERMINAL_SECTIONS, args[0]);
+            const { education, experience, skills, projects, contact } = ctx.data;
+            const entries = {
+                'bio.json': () => Object.keys((ctx.data.terminal && ctx.data.terminal.bio_json) || {}),
+                education: () => ((education && education.degrees) || []).map(d => d.degree),
+                experience: () => ((experience && experience.items) || []).map(job => job.role),
+                skills: () => ((skills && skills.categories) || []).map(cat => cat.category),
+                projects: () => ((projects && projects.items) || []).map(p => p.title),
+                contact: () => ((contact && contact.links) || []).map(link => link.name)
+            };
+            if (!section) return [terminalError(formatMessage(ctx.messages.no_such_section, { section: escapeHtml(args[0]) }))];
+            return entries[section]().map(name => `<p>${escapeHtml(name)}</p>`);
+        },
+        complete() {
+            return TERMINAL_SECTIONS;
+        }
+    },
+
+    cat: {
+        run(args, ctx) {
+            if (!args.length) return [terminalError(formatMessage(ctx.messages.usage, { usage: escapeHtml(ctx.command.usage || 'cat <section>') }))];
+            const section = findByName(TERMINAL_SECTIONS, args[0]);
+            if (!section) return [terminalError(formatMessage(ctx.messages.no_such_section, { section: escapeHtml(args[0]) }))];
+
+            const { terminal, education, experience, skills, projects, contact } = ctx.data;
+            switch (section) {
+                case 'bio.json':
+                    return [`<pre class="text-amber-700 dark:text-amber-200">${escapeHtml(JSON.stringify((terminal && terminal.bio_json) || {}, null, 2))}</pre>`];
+                case 'education':
+                    return ((education && education.degrees) || []).map(d => `
+                        <div class="pt-1">
+                            <p class="font-bold">${escapeHtml(d.degree)}</p>
+                            <p class="text-primary">${escapeHtml(d.school)} <span class="text-slate-500">· ${escapeHtml(d.year)}</span></p>
+                            ${(d.details || []).map(i => `<p class="text-slate-500">- ${sanitizeHtml(i)}</p>`).join('')}
+                        </div>
+                    `);
+                case 'experience':
+                    return ((experience && experience.items) || []).map(job => `
+                        <div class="pt-1">
+                            <p class="font-bold">${escapeHtml(job.role)}</p>
+                            <p class="text-primary">${sanitizeHtml(job.company)} <span class="text-slate-500">· ${escapeHtml(job.period)}</span></p>
+                            <p class="text-slate-500">${sanitizeHtml(job.description)}</p>
+                        </div>
+                    `);
+                case 'skills':
+                    return TERMINAL_HANDLERS.skills.run([], ctx);
+                case 'projects':
+                    return ((projects && projects.items) || []).map(p => `
+                        <div class="pt-1">
+                            <p class="font-bold">${escapeHtml(p.title)} <span class="font-normal text-slate-500">[${escapeHtml((p.tags || []).join(', '))}]</span></p>
+                            <p class="text-slate-500">${sanitizeHtml(p.description)}</p>
+                            ${(p.links || []).map(l => `<p><a class="text-primary hover:underline" href="${escapeHtml(safeUrl(l.url))}" target="_blank" rel="noopener noreferrer">${escapeHtml(l.url)}</a></p>`).join('')}
+                        </div>
+                    `);
+                case 'contact':
+                    return [
+                        `<p>${escapeHtml((contact && contact.cta_desc) || '')}</p>`,
+                        ...((contact && contact.links) || []).map(link => `<p><span class="text-cyan-600 dark:text-cyan-400">${escapeHtml(link.name)}</span> <a class="text-primary hover:underline" href="${escapeHtml(safeUrl(link.url))}" target="_blank" rel="noopener noreferrer">${escapeHtml(link.url)}</a></p>`)
+                    ];
+            }
+            return [];
+        },
+        complete() {
+            return TERMINAL_SECTIONS;
+        }
+    },
+
+    skills: {
+        run(args, ctx) {
+            const options = parseFlags(args);
+            const categories = (ctx.data.skills && ctx.data.skills.categories) || [];
+            let selected = categories;
+
+            if (options.category !== undefined) {
+                if (options.category === true || options.category === '') {
+                    return [terminalError(formatMessage(ctx.messages.usage, { usage: escapeHtml(ctx.command.usage || 'skills [--category <name>]') }))];
+                }
+                const name = findByName(categories.map(cat => cat.category), options.category);
+                if (!name) {
+                    return [terminalError(formatMessage(ctx.messages.no_such_category, {
+                        category: escapeHtml(options.category),
+                        categories: escapeHtml(categories.map(cat => cat.category).join(', '))
+                    }))];
+                }
+                selected = categories.filter(cat => cat.category === name);
+            }
+
+            return selected.map(cat => `<p><span class="text-cyan-600 dark:text-cyan-400">${escapeHtml(cat.category)}:</span> ${escapeHtml(cat.items.join(', '))}</p>`);
+        },
+        complete(tokens, ctx) {
+            const previous = tokens[tokens.length - 2];
+            if (previous === '--category') {
+                return ((ctx.data.skills && ctx.data.skills.categories) || []).map(cat => cat.category);
+            }
+            return ['--category'];
+        }
+    },
+
+    open: {
+        run(args, ctx) {
+            const links = getTerminalLinks(ctx.data);
+            const target = findByName(Object.keys(links), args[0]);
+            if (!args.length || !target) {
+                return [terminalError(formatMessage(ctx.messages.no_such_link, { target: escapeHtml(args[0] || ''), targets: escapeHtml(Object.keys(links).join(', ')) }))];
+            }
+            window.open(safeUrl(links[target]), '_blank');
+            if (target === 'resume') trackEvent('resume_download', { location: 'terminal' });
+            else trackEvent('social_link_click', { network: target, location: 'terminal' });
+            return [`<p class="text-slate-500">${sanitizeHtml(formatMessage(ctx.messages.opening, { target: escapeHtml(target) }))}</p>`];
+        },
+        complete(tokens, ctx) {
+            return Object.keys(getTerminalLinks(ctx.data));
+        }
+    },
+
+    goto: {
+        run(args, ctx) {
+            const ids = getTerminalSectionIds(ctx.data);
+            const id = findByName(ids, args[0]);
+            const section = id && document.getElementById(id);
+            if (!args.length || !section) {
+                return [terminalError(formatMessage(ctx.messages.no_such_section, { section: escapeHtml(args[0] || '') }))];
+            }
+            section.scrollIntoView({ behavior: 'smooth' });
+            return [`<p class="text-slate-500">${sanitizeHtml(formatMessage(ctx.messages.jumping, { section: escapeHtml(id) }))}</p>`];
+        },
+        complete(tokens, ctx) {
+            return getTerminalSectionIds(ctx.data);
+        }
+    },
+
+    clear: {
+        run(args, ctx) {
+            ctx.clear();
+            return [];
+        }
+    },
+
+    history: {
+        run(args, ctx) {
+            return terminalState.history.map((entry, i) =>
+                `<p class="whitespace-pre"><span class="text-slate-500">${String(i + 1).padStart(4)}</span>  ${escapeHtml(entry)}</p>`
+            );
+        }
+    }
+};
+
+/**
+ * Formats an error line.
+ * @param {string} message - Error message.
+ * @returns {string} HTML line.
+ */
+function terminalError(message) {
+    return `<p class="text-red-600 dark:text-red-400">${sanitizeHtml(message)}</p>`;
+}
+
+/**
+ * Looks up a declared command by name or alias.
+ * @param {string} name - Command name typed by the user.
+ * @returns {Object|undefined} Command declaration.
+ */
+function findTerminalCommand(name) {
+    return terminalState.commands.find(c => c.name === name || (c.aliases || []).includes(name));
+}
+
+/**
+ * Executes a command line and returns the HTML lines to print.
+ * @param {string} line - Raw command line.
+ * @returns {string[]} Output lines.
+ */
+function executeTerminalCommand(line) {
+    const [name, ...args] = tokenizeCommand(line);
+    if (!name) return [];
+
+    const term = terminalState.data.terminal || {};
+    const messages = term.messages || {};
+    const command = findTerminalCommand(name);
+
+    if (!command) {
+        return [terminalError(formatMessage(messages.not_found, { machine: escapeHtml(term.machine || ''), command: escapeHtml(name) }))];
+    }
+
+    // Commands without a built-in handler simply print their declared output
+    const handler = TERMINAL_HANDLERS[command.handler || command.name];
+    if (!handler) {
+        return (command.output || []).map(text => `<p>${sanitizeHtml(text)}</p>`);
+    }
+
+    const ctx = {
+        data: terminalState.data,
+        commands: terminalState.commands,
+        messages,
+        command,
+        clear: clearTerminal
+    };
+    return handler.run(args, ctx) || [];
+}
+
+/**
+ * Computes the completion candidates for the current input value.
+ * @param {string} value - Current input value.
+ * @returns {Object} The token being completed and its candidates.
+ */
+function getTerminalCompletions(value) {
+    const tokens = tokenizeCommand(value);
+    if (/\s$/.test(value) || !tokens.length) tokens.push('');
+
+    const current = tokens[tokens.length - 1];
+    let candidates;
+
+    if (tokens.length === 1) {
+        candidates = terminalState.commands.flatMap(c => [c.name, ...(c.aliases || [])]);
+    } else {
+        const command = findTerminalCommand(tokens[0]);
+        const handler = command && TERMINAL_HANDLERS[command.handler || command.name];
+        if (command && command.args) {
+            candidates = command.args;
+        } else if (handler && handler.complete) {
+            candidates = handler.complete(tokens, { data: terminalState.data, command });
+        } else {
+            candidates = [];
+        }
+    }
+
+    const q = current.toLowerCase();
+    return { current, matches: candidates.filter(c => c.toLowerCase().startsWith(q)) };
+}
+
+/**
+ * Quotes a completion if it contains whitespace.
+ * @param {string} value - Completion value.
+ * @returns {string} Token ready to insert.
+ */
+function quoteToken(value) {
+    return /\s/.test(value) ? `"${value}"` : value;
+}
+
+/**
+ * Applies tab completion to the input, printing candidates when ambiguous.
+ * @param {HTMLInputElement} input - Terminal input element.
+ */
+function completeTerminalInput(input) {
+    const value = input.value;
+    const { current, matches } = getTerminalCompletions(value);
+    if (!matches.length) return;
+
+    // Strip the partially typed token (including an opening quote) from the line
+    const head = value.slice(0, value.length - current.length).replace(/["']$/, '');
+
+    if (matches.length === 1) {
+        input.value = `${head}${quoteToken(matches[0])} `;
+        return;
+    }
+
+    // Extend to the longest common prefix and list the candidates
+    let prefix = matches[0];
+    matches.forEach(m => {
+        while (!m.toLowerCase().startsWith(prefix.toLowerCase())) prefix = prefix.slice(0, -1);
+    });
+    if (prefix.length > current.length) {
+        input.value = head + (/\s/.test(prefix) ? `"${prefix}` : prefix);
+    }
+    printTerminalLines([
+        `<p>${TERMINAL_PROMPT} ${escapeHtml(value)}</p>`,
+        `<p class="flex flex-wrap gap-x-6">${matches.map(m => `<span>${escapeHtml(m)}</span>`).join('')}</p>`
+    ]);
+}
+
+/**
+ * Appends HTML lines to the terminal output and keeps the prompt in view.
+ * @param {string[]} lines - HTML lines.
+ */
+function printTerminalLines(lines) {
+    const output = document.getElementById('terminal-output');
+    if (!output) return;
+    output.insertAdjacentHTML('beforeend', lines.join(''));
+
+    const body = document.getElementById('terminal-body');
+    body.scrollTop = body.scrollHeight;
+}
+
+/**
+ * Removes everything printed in the terminal.
+ */
+function clearTerminal() {
+    document.getElementById('terminal-output').innerHTML = '';
+}
+
+/**
+ * Handles key presses in the terminal input (run, complete, history).
+ * @param {KeyboardEvent} e - Keyboard event.
+ */
+function handleTerminalKey(e) {
+    const input = e.target;
+
+    switch (e.key) {
+        case 'Enter': {
+            e.preventDefault();
+            const line = input.value;
+            input.value = '';
+            if (line.trim()) terminalState.history.push(line);
+            terminalState.historyIndex = terminalState.history.length;
+            printTerminalLines([`<p>${TERMINAL_PROMPT} ${escapeHtml(line)}</p>`, ...executeTerminalCommand(line)]);
+            break;
+        }
+        case 'Tab':
+            // Only a completion keeps focus here, so Tab and Shift+Tab can still leave the terminal
+            if (e.shiftKey || !input.value.trim() || !getTerminalCompletions(input.value).matches.length) break;
+            e.preventDefault();
+            completeTerminalInput(input);
+            break;
+        case 'ArrowUp':
+            e.preventDefault();
+            if (terminalState.historyIndex > 0) {
+                terminalState.historyIndex--;
+                input.value = terminalState.history[terminalState.historyIndex];
+            }
+            break;
+        case 'ArrowDown':
+            e.preventDefault();
+            if (terminalState.historyIndex < terminalState.history.length) {
+                terminalState.historyIndex++;
+                input.value = terminalState.history[terminalState.historyIndex] || '';
+            }
+            break;
+        case 'l':
+            if (e.ctrlKey) {
+                e.preventDefault();
+                clearTerminal();
+            }
+            break;
+    }
+}
+
+/**
+ * Renders the "Terminal" styled card content and wires up the command prompt.
+ * @param {Object} term - The terminal data object.
+ * @param {Object} data - Full content object, used to answer commands.
+ */
+function renderTerminal(term, data) {
+    if (!term) return;
+
+    // Set terminal title bar text
+    document.getElementById('terminal-title').innerText = `${term.user} — ${term.machine} — ${term.dimensions}`;
+
+    // Create HTML for initialization messages
+    const messages = term.init_messages.map(msg =>
+        `<p class="${escapeHtml(msg.style || '')}">${sanitizeHtml(msg.text)}</p>`
+    ).join('');
+
+    // Create the "JSON response" block
+    const bioBlock = `
+        <p class="pt-2">${TERMINAL_PROMPT} ${escapeHtml(term.bio_command)}</p>
+        <pre class="text-amber-700 dark:text-amber-200">${escapeHtml(JSON.stringify(term.bio_json, null, 2))}</pre>
+    `;
+
+    const initCmd = `<p>${TERMINAL_PROMPT} ${escapeHtml(term.init_command)}</p>`;
+    const hint = term.messages && term.messages.hint ? `<p class="pt-2 text-slate-500">${sanitizeHtml(term.messages.hint)}</p>` : '';
+
+    // Input line replacing the old blinking cursor
+    const prompt = `
+        <label class="pt-2 flex items-center gap-1">
+            ${TERMINAL_PROMPT}
+            <input id="terminal-input" type="text" autocomplete="off" autocapitalize="off" spellcheck="false"
+                aria-label="${escapeHtml(stripHtml((term.messages && term.messages.input_label) || 'Terminal command'))}"
+                class="flex-1 min-w-0 bg-transparent border-0 p-0 shadow-none outline-none focus:ring-0 font-mono text-sm text-slate-800 dark:text-slate-200 caret-primary"/>
+        </label>
+    `;
+
+    document.getElementById('terminal-body').innerHTML = `<div id="terminal-output" class="space-y-2">${initCmd + messages + bioBlock + hint}</div>${prompt}`;
+
+    setupTerminal(term, data);
+}
+
+/**
+ * Connects the prompt to the command handlers.
+ * @param {Object} term - The terminal data object.
+ * @param {Object} data - Full content object, used to answer commands.
+ */
+function setupTerminal(term, data) {
+    if (!term) return;
+
+    terminalState.data = data || { terminal: term };
+    terminalState.commands = term.commands || [];
+
+    const body = document.getElementById('terminal-body');
+    const input = document.getElementById('terminal-input');
+    if (!input) return;
+    input.addEventListener('keydown', handleTerminalKey);
+
+    // Clicking anywhere in the card focuses the prompt (unless selecting text)
+    body.onclick = () => {
+        if (!window.getSelection().toString()) input.focus({ preventScroll: true });
+    };
+}
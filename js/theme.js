@@ -0,0 +1,149 @@
+/**
+ * Theme Controller
+ *
+ * Light, dark or system theme, stored in localStorage and applied as the
+ * `dark` class Tailwind uses (`darkMode: "class"`). The inline script in
+ * index.html applies the same choice before first paint; this file takes over
+ * once content is loaded.
+ */
+
+/**
+ * localStorage key holding the visitor's explicit choice.
+ */
+const THEME_STORAGE_KEY = 'theme';
+
+/**
+ * localStorage key caching the content defaults for the pre-paint script.
+ */
+const THEME_DEFAULTS_KEY = 'theme-defaults';
+
+/**
+ * Modes in the order the toggle cycles through them.
+ */
+const THEME_MODES = ['light', 'dark', 'system'];
+
+/**
+ * Current theme settings.
+ */
+const themeState = {
+    defaultMode: 'system',
+    labels: {}
+};
+
+/**
+ * Media query tracking the operating system preference.
+ * @returns {MediaQueryList} The prefers-color-scheme query.
+ */
+function getDarkQuery() {
+    return window.matchMedia('(prefers-color-scheme: dark)');
+}
+
+/**
+ * Returns the active mode: the stored choice, else the content default.
+ * @returns {string} "light", "dark" or "system".
+ */
+function getThemeMode() {
+    const stored = readStorage(THEME_STORAGE_KEY);
+    return THEME_MODES.includes(stored) ? stored : themeState.defaultMode;
+}
+
+/**
+ * Resolves a mode to the theme actually shown.
+ * @param {string} mode - "light", "dark" or "system".
+ * @returns {string} "light" or "dark".
+ */
+function resolveTheme(mode) {
+    if (mode === 'system') return getDarkQuery().matches ? 'dark' : 'light';
+    return mode;
+}
+
+/**
+ * Converts "#135bec" (or "#15e") to the "19 91 236" channel list used by
+ * the `--color-primary` CSS variable.
+ * @param {string} hex - Hex colour.
+ * @returns {string|null} Space-separated RGB channels, or null if invalid.
+ */
+function hexToRgbChannels(hex) {
+    const match = /^#?([0-9a-f]{3}|[0-9a-f]{6})$/i.exec(String(hex || '').trim());
+    if (!match) return null;
+
+    let digits = match[1];
+    if (digits.length === 3) digits = digits.split('').map(c => c + c).join('');
+    return [0, 2, 4].map(i => parseInt(digits.slice(i, i + 2), 16)).join(' ');
+}
+
+/**
+ * Applies the current mode to <html> and refreshes the toggle.
+ */
+function applyTheme() {
+    const mode = getThemeMode();
+    const theme = resolveTheme(mode);
+    const root = document.documentElement;
+
+    root.classList.toggle('dark', theme === 'dark');
+    root.classList.toggle('light', theme === 'light');
+    root.style.colorScheme = theme;
+
+    const toggle = document.getElementById('theme-toggle');
+    if (!toggle) return;
+
+    const label = themeState.labels[mode] || mode;
+    toggle.setAttribute('aria-label', `${themeState.labels.toggle || 'Toggle Theme'}: ${label}`);
+    toggle.title = label;
+    toggle.dataset.mode = mode;
+    toggle.querySelector('.knob').innerHTML = mode === 'system'
+        ? '<span class="material-symbols-outlined text-[12px] leading-5 w-full text-center block text-slate-500" aria-hidden="true">brightness_auto</span>'
+        : '';
+}
+
+/**
+ * Stores an explicit mode and applies it.
+ * @param {string} mode - "light", "dark" or "system".
+ */
+function setThemeMode(mode) {
+    writeStorage(THEME_STORAGE_KEY, mode);
+    applyTheme();
+}
+
+/**
+ * Moves to the next mode (light → dark → system).
+ */
+function cycleThemeMode() {
+    const index = THEME_MODES.indexOf(getThemeMode());
+    setThemeMode(THEME_MODES[(index + 1) % THEME_MODES.length]);
+}
+
+/**
+ * Re-applies the theme when the system preference changes while in system mode.
+ */
+function handleSystemThemeChange() {
+    if (getThemeMode() === 'system') applyTheme();
+}
+
+/**
+ * Applies theme settings from content and wires up the header toggle.
+ * @param {Object} theme - Theme data object.
+ */
+function renderTheme(theme) {
+    theme = theme || {};
+    themeState.defaultMode = THEME_MODES.includes(theme.default) ? theme.default : 'system';
+    themeState.labels = theme.labels || {};
+
+    // Accent colour override (Tailwind's `primary` reads this variable)
+    const primary = hexToRgbChannels(theme.primary);
+    if (primary) document.documentElement.style.setProperty('--color-primary', primary);
+
+    // The browser's toolbar (and the installed app's title bar) follows it too
+    const themeColor = document.querySelector('meta[name="theme-color"]');
+    if (themeColor && primary) themeColor.setAttribute('content', `rgb(${primary})`);
+
+    // Cache the defaults so the pre-paint script can use them on the next visit
+    writeStorage(THEME_DEFAULTS_KEY, JSON.stringify({ mode: themeState.defaultMode, primary }));
+
+    const toggle = document.getElementById('theme-toggle');
+    if (toggle) toggle.onclick = cycleThemeMode;
+
+    getDarkQuery().addEventListener('change', handleSystemThemeChange);
+
+    applyTheme();
+}
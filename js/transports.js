@@ -0,0 +1,212 @@
+/**
+ * Contact Form Transports
+ *
+ * Adapters that deliver a contact form submission, chosen by
+ * `contact.form.provider`. Each builds its own request and reads its own
+ * response, resolving to `{ ok, retryable, fieldErrors, message }`. Network
+ * failures reject, so the form can retry or queue the message.
+ */
+
+/**
+ * Provider used when `contact.form.provider` is not set.
+ */
+const DEFAULT_FORM_PROVIDER = 'formspree';
+
+/**
+ * Built-in transports. `send(fields, form)` receives the field values and the
+ * `contact.form` settings.
+ */
+const FORM_TRANSPORTS = {
+    // Formspree: multipart POST, JSON answer with `errors: [{ field, message }]`
+    formspree: {
+        async send(fields, form) {
+            const response = await fetch(form.action, {
+                method: 'POST',
+                body: toFormData(fields),
+                headers: { 'Accept': 'application/json' }
+            });
+            return readJsonResult(response);
+        }
+    },
+
+    // Generic JSON webhook; a body with `ok: false` or `success: false` is a failure
+    webhook: {
+        async send(fields, form) {
+            const response = await fetch(form.action, {
+                method: 'POST',
+                body: JSON.stringify(fields),
+                headers: { 'Content-Type': 'application/json', 'Accept': 'application/json' }
+            });
+            return readJsonResult(response, data => data.ok !== false && data.success !== false);
+        }
+    },
+
+    // Classic form endpoint; it answers with a page or redirect, so only the status counts
+    urlencoded: {
+        async send(fields, form) {
+            const response = await fetch(form.action, {
+                method: 'POST',
+                body: new URLSearchParams(fields)
+            });
+            return { ok: response.ok, retryable: isRetryableStatus(response.status), fieldErrors: {} };
+        }
+    },
+
+    // Nothing is sent from the page: the visitor's email app opens with the message filled in
+    mailto: {
+        async send(fields, form) {
+            window.location.href = buildMailtoUrl(fields, form);
+            return {
+                ok: true,
+                message: form.mailto_message || 'Your email app should open with the message ready to send.',
+                // Keep the text in case the email app doesn't open
+                keepFields: true
+            };
+        }
+    },
+
+    // Any endpoint: method, body format, headers and field names come from `form.request`
+    custom: {
+        async send(fields, form) {
+            const request = form.request || {};
+            const headers = { 'Accept': 'application/json', ...request.headers };
+            const mapped = mapFields(fields, request.fields);
+
+            let body;
+            if (request.format === 'form') {
+                body = toFormData(mapped);
+            } else if (request.format === 'urlencoded') {
+                body = new URLSearchParams(mapped);
+            } else {
+                body = JSON.stringify(mapped);
+                headers['Content-Type'] = 'application/json';
+            }
+
+            const response = await fetch(form.action, { method: request.method || 'POST', headers, body });
+            const isSuccess = request.success_key ? data => !!getByPath(data, request.success_key) : undefined;
+            const result = await readJsonResult(response, isSuccess, request.errors_key);
+            if (result.fieldErrors) result.fieldErrors = unmapFields(result.fieldErrors, request.fields);
+            return result;
+        }
+    }
+};
+
+/**
+ * Returns the transport for the form settings.
+ * @param {Object} form - Contact form data object.
+ * @returns {Object} Transport with a `send` method.
+ */
+function getFormTransport(form) {
+    const provider = form.provider || DEFAULT_FORM_PROVIDER;
+    if (FORM_TRANSPORTS[provider]) return FORM_TRANSPORTS[provider];
+
+    console.warn(`Unknown contact form provider "${provider}", using ${DEFAULT_FORM_PROVIDER}`);
+    return FORM_TRANSPORTS[DEFAULT_FORM_PROVIDER];
+}
+
+/**
+ * Builds multipart form data from field values.
+ * @param {Object} fields - Values keyed by name.
+ * @returns {FormData} Request body.
+ */
+function toFormData(fields) {
+    const body = new FormData();
+    Object.keys(fields).forEach(name => body.append(name, fields[name]));
+    return body;
+}
+
+/**
+ * Whether a failed status is worth retrying (server trouble or rate limiting).
+ * @param {number} status - HTTP status.
+ * @returns {boolean} True for 5xx and 429.
+ */
+function isRetryableStatus(status) {
+    return status >= 500 || status === 429;
+}
+
+/**
+ * Reads a dotted path ("result.ok") from an object.
+ * @param {Object} data - Source object.
+ * @param {string} path - Dotted path.
+ * @returns {*} Value, or undefined.
+ */
+function getByPath(data, path) {
+    return String(path).split('.').reduce((value, key) => (value && typeof value === 'object' ? value[key] : undefined), data);
+}
+
+/**
+ * Renames fields for an endpoint (`{ message: "body" }` sends `message` as `body`).
+ * @param {Object} fields - Values keyed by our field names.
+ * @param {Object} [names] - Endpoint names keyed by our field names.
+ * @returns {Object} Values keyed by endpoint names.
+ */
+function mapFields(fields, names = {}) {
+    const mapped = {};
+    Object.keys(fields).forEach(name => { mapped[names[name] || name] = fields[name]; });
+    return mapped;
+}
+
+/**
+ * Renames field errors from endpoint names back to ours.
+ * @param {Object} errors - Messages keyed by endpoint names.
+ * @param {Object} [names] - Endpoint names keyed by our field names.
+ * @returns {Object} Messages keyed by our field names.
+ */
+function unmapFields(errors, names = {}) {
+    const ours = {};
+    Object.keys(names).forEach(name => { ours[names[name]] = name; });
+
+    const unmapped = {};
+    Object.keys(errors).forEach(field => { unmapped[ours[field] || field] = errors[field]; });
+    return unmapped;
+}
+
+/**
+ * Splits an endpoint's errors into per-field messages and general ones.
+ * Accepts `[{ field, message }]` lists, `{ field: message }` maps and strings.
+ * @param {*} errors - Errors from the response body.
+ * @returns {Object} `{ fieldErrors, message }`.
+ */
+function parseServerErrors(errors) {
+    if (!errors) return { fieldErrors: {}, message: '' };
+    if (typeof errors === 'string') return { fieldErrors: {}, message: errors };
+
+    const list = Array.isArray(errors) ? errors : Object.keys(errors).map(field => ({ field, message: errors[field] }));
+    const fieldErrors = {};
+    const messages = [];
+    list.forEach(err => {
+        const message = String(err && typeof err === 'object' ? err.message : err);
+        if (err && err.field) fieldErrors[err.field] = message;
+        else messages.push(message);
+    });
+    return { fieldErrors, message: messages.join(' ') };
+}
+
+/**
+ * Turns a JSON-answering endpoint's response into a transport result.
+ * @param {Response} response - Fetch response.
+ * @param {Function} [isSuccess] - Extra check on the parsed body of a 2xx response.
+ * @param {string} [errorsKey='errors'] - Path to the errors in the body.
+ * @returns {Promise<Object>} `{ ok, retryable, fieldErrors, message }`.
+ */
+async function readJsonResult(response, isSuccess, errorsKey = 'errors') {
+    const data = await response.json().catch(() => null);
+
+    if (response.ok && (!isSuccess || isSuccess(data || {}))) return { ok: true };
+
+    const { fieldErrors, message } = parseServerErrors(data && (getByPath(data, errorsKey) || data.error));
+    return { ok: false, retryable: isRetryableStatus(response.status), fieldErrors, message };
+}
+
+/**
+ * Composes a `mailto:` link carrying the message.
+ * @param {Object} fields - Values keyed by field name.
+ * @param {Object} form - Contact form data object (`action` is the address).
+ * @returns {string} mailto URL.
+ */
+function buildMailtoUrl(fields, form) {
+    const address = String(form.action).replace(/^mailto:/i, '');
+    const subject = formatMessage(form.subject || 'Message from {name}', fields);
+    const body = `${fields.message}\n\n${fields.name} <${fields.email}>`;
+    return `mailto:${address}?subject=${encodeURIComponent(subject)}&body=${encodeURIComponent(body)}`;
+}
@@ -0,0 +1,56 @@
+/**
+ * Shared Helpers
+ *
+ * Small string utilities used by more than one script.
+ */
+
+/**
+ * Escapes a string so it can be safely placed inside HTML.
+ * @param {string} value - Raw text.
+ * @returns {string} Escaped text.
+ */
+function escapeHtml(value) {
+    return String(value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+/**
+ * Replaces `{key}` tokens in a message template.
+ * @param {string} template - Message containing `{key}` tokens.
+ * @param {Object} values - Replacement values.
+ * @returns {string} Formatted message.
+ */
+function formatMessage(template, values) {
+    return String(template || '').replace(/\{(\w+)\}/g, (match, key) => (key in values ? values[key] : match));
+}
+
+/**
+ * Reads a localStorage key, ignoring unavailable storage.
+ * @param {string} key - Storage key.
+ * @returns {string|null} Stored value.
+ */
+function readStorage(key) {
+    try {
+        return localStorage.getItem(key);
+    } catch (error) {
+        return null;
+    }
+}
+
+/**
+ * Writes (or removes, for null) a localStorage key, ignoring unavailable storage.
+ * @param {string} key - Storage key.
+ * @param {string|null} value - Value to store.
+ */
+function writeStorage(key, value) {
+    try {
+        if (value === null) localStorage.removeItem(key);
+        else localStorage.setItem(key, value);
+    } catch (error) {
+        // Storage can be unavailable (privacy mode); ignore
+    }
+}
@@ -0,0 +1,464 @@
+#!/usr/bin/env node
+/**
+ * Accessibility Check
+ *
+ * Renders the page the way the static build does (every locale, plus each
+ * post's own view) and checks the markup against axe-style rules: names for
+ * links, buttons, images and form fields, valid ARIA states and references,
+ * unique ids, a main landmark and skip link, heading order, and focusable
+ * content hidden from assistive technology. Contrast, target sizes and
+ * anything else that needs layout are left to a browser audit.
+ *
+ * The rules are a hand-written subset of axe-core's, run on the build's DOM
+ * shim (scripts/lib/dom.js) rather than axe-core in jsdom, which would make
+ * the project depend on npm packages. Besides the page as it loads, the
+ * default locale is checked with the mobile menu open, a project's dialog
+ * open and each kind of toast showing.
+ *
+ * Usage: node scripts/a11y.js
+ *
+ * Lists every violation and fails if there is one.
+ */
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const { parseDocument } = require('./lib/dom');
+const { renderPage } = require('./build');
+
+const ROOT = path.resolve(__dirname, '..');
+
+/**
+ * Roles accepted in `role` attributes (WAI-ARIA 1.2, abstract roles excluded).
+ */
+const ARIA_ROLES = new Set([
+    'alert', 'alertdialog', 'application', 'article', 'banner', 'button', 'cell', 'checkbox', 'columnheader',
+    'combobox', 'complementary', 'contentinfo', 'definition', 'dialog', 'directory', 'document', 'feed', 'figure',
+    'form', 'grid', 'gridcell', 'group', 'heading', 'img', 'link', 'list', 'listbox', 'listitem', 'log', 'main',
+    'marquee', 'math', 'menu', 'menubar', 'menuitem', 'menuitemcheckbox', 'menuitemradio', 'meter', 'navigation',
+    'none', 'note', 'option', 'presentation', 'progressbar', 'radio', 'radiogroup', 'region', 'row', 'rowgroup',
+    'rowheader', 'scrollbar', 'search', 'searchbox', 'separator', 'slider', 'spinbutton', 'status', 'switch', 'tab',
+    'table', 'tablist', 'tabpanel', 'term', 'textbox', 'timer', 'toolbar', 'tooltip', 'tree', 'treegrid', 'treeitem'
+]);
+
+/**
+ * Allowed values of enumerated ARIA attributes.
+ */
+const ARIA_VALUES = {
+    'aria-atomic': ['true', 'false'],
+    'aria-busy': ['true', 'false'],
+    'aria-checked': ['true', 'false', 'mixed'],
+    'aria-current': ['page', 'step', 'location', 'date', 'time', 'true', 'false'],
+    'aria-disabled': ['true', 'false'],
+    'aria-expanded': ['true', 'false'],
+    'aria-haspopup': ['true', 'false', 'menu', 'listbox', 'tree', 'grid', 'dialog'],
+    'aria-hidden': ['true', 'false'],
+    'aria-invalid': ['true', 'false', 'grammar', 'spelling'],
+    'aria-live': ['off', 'polite', 'assertive'],
+    'aria-modal': ['true', 'false'],
+    'aria-pressed': ['true', 'false', 'mixed'],
+    'aria-selected': ['true', 'false']
+};
+
+/**
+ * ARIA attributes holding id references.
+ */
+const ARIA_ID_REFERENCES = ['aria-labelledby', 'aria-describedby', 'aria-controls', 'aria-owns', 'aria-errormessage'];
+
+/**
+ * Elements that can receive keyboard focus on their own.
+ */
+const FOCUSABLE_SELECTOR = 'a[href], button, input, select, textarea, summary, iframe, [tabindex]';
+
+/**
+ * Lists the elements below a node, in document order.
+ * @param {Node} root - Document or element.
+ * @returns {Element[]} Elements.
+ */
+function getElements(root) {
+    const elements = [];
+    const visit = node => node.childNodes.forEach(child => {
+        if (child.nodeType !== 1) return;
+        elements.push(child);
+        visit(child);
+    });
+    visit(root);
+    return elements;
+}
+
+/**
+ * Whether an element is left out of the rendered page: `hidden`, a Tailwind
+ * `hidden` class without a breakpoint showing it again, or non-rendered tags.
+ * @param {Element} element - Element.
+ * @returns {boolean} Whether it or an ancestor is hidden.
+ */
+function isHidden(element) {
+    for (let el = element; el && el.nodeType === 1; el = el.parentNode) {
+        if (['script', 'style', 'template', 'noscript', 'head'].includes(el.localName)) return true;
+        if (el.hasAttribute('hidden')) return true;
+        const classes = (el.getAttribute('class') || '').split(/\s+/);
+        if (classes.includes('hidden') && !classes.some(name => /:(block|flex|grid|inline|inline-block|inline-flex|table)$/.test(name))) return true;
+    }
+    return false;
+}
+
+/**
+ * Whether an element or an ancestor is hidden from assistive technology.
+ * @param {Element} element - Element.
+ * @returns {boolean} Whether it is under `aria-hidden="true"`.
+ */
+function isAriaHidden(element) {
+    return !!element.closest('[aria-hidden="true"]');
+}
+
+/**
+ * Whether an element takes keyboard focus in the tab order.
+ * @param {Element} element - Element.
+ * @returns {boolean} Whether it is tabbable.
+ */
+function isTabbable(element) {
+    if (!element.matches(FOCUSABLE_SELECTOR) || element.hasAttribute('disabled')) return false;
+    if (element.localName === 'input' && element.getAttribute('type') === 'hidden') return false;
+    const tabindex = element.getAttribute('tabindex');
+    return tabindex === null || Number(tabindex) >= 0;
+}
+
+/**
+ * Computes an element's accessible name (a subset of accname 1.2: labelling
+ * attributes, labels, alt text and visible content).
+ * @param {Element} element - Element.
+ * @param {Document} doc - Document.
+ * @returns {string} Name ('' when it has none).
+ */
+function getAccessibleName(element, doc) {
+    const labelledby = element.getAttribute('aria-labelledby');
+    if (labelledby) {
+        const name = labelledby.split(/\s+/).map(id => doc.getElementById(id)).filter(Boolean).map(el => getTextName(el)).join(' ').trim();
+        if (name) return name;
+    }
+    const label = (element.getAttribute('aria-label') || '').trim();
+    if (label) return label;
+
+    if (element.matches('input, select, textarea')) {
+        const id = element.getAttribute('id');
+        const labels = [
+            ...(id ? doc.querySelectorAll('label').filter(el => el.getAttribute('for') === id) : []),
+            element.closest('label')
+        ].filter(Boolean);
+        const name = labels.map(el => getTextName(el)).join(' ').trim();
+        if (name) return name;
+        if (['button', 'submit', 'reset'].includes(element.getAttribute('type'))) return (element.getAttribute('value') || '').trim();
+    } else if (element.localName === 'img') {
+        return (element.getAttribute('alt') || '').trim();
+    } else {
+        const name = getTextName(element);
+        if (name) return name;
+    }
+    return (element.getAttribute('title') || '').trim();
+}
+
+/**
+ * Collects the name an element's content gives it, skipping hidden parts.
+ * @param {Element} element - Element.
+ * @returns {string} Text.
+ */
+function getTextName(element) {
+    const parts = [];
+    const visit = node => node.childNodes.forEach(child => {
+        if (child.nodeType === 3) parts.push(child.textContent);
+        if (child.nodeType !== 1 || child.getAttribute('aria-hidden') === 'true' || isHidden(child)) return;
+        if (child.localName === 'img') parts.push(child.getAttribute('alt') || '');
+        else if (child.hasAttribute('aria-label')) parts.push(child.getAttribute('aria-label'));
+        else visit(child);
+    });
+    visit(element);
+    return parts.join(' ').replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Describes an element for the report ("button#menu-toggle", "a.dot").
+ * @param {Element} element - Element.
+ * @returns {string} Short selector.
+ */
+function describe(element) {
+    const id = element.getAttribute('id');
+    if (id) return `${element.localName}#${id}`;
+    const classes = (element.getAttribute('class') || '').split(/\s+/).filter(name => /^[\w-]+$/.test(name)).slice(0, 2);
+    const parent = element.parentNode && element.parentNode.nodeType === 1 ? `${describe(element.parentNode)} > ` : '';
+    return `${parent}${element.localName}${classes.map(name => `.${name}`).join('')}`;
+}
+
+/**
+ * The rules. `check(doc, elements)` returns the offending elements, or
+ * strings for page-level problems. `elements` are the rendered ones.
+ */
+const RULES = [
+    {
+        id: 'html-has-lang',
+        description: '<html> must have a lang attribute',
+        check: doc => (doc.documentElement.getAttribute('lang') ? [] : ['html'])
+    },
+    {
+        id: 'document-title',
+        description: 'The page must have a title',
+        check: doc => (doc.title.trim() ? [] : ['title'])
+    },
+    {
+        id: 'landmark-one-main',
+        description: 'The page must have one main landmark',
+        check: doc => {
+            const count = doc.querySelectorAll('main, [role="main"]').length;
+            return count === 1 ? [] : [`${count} main landmarks`];
+        }
+    },
+    {
+        id: 'bypass',
+        description: 'The first focusable element must be a skip link to the content',
+        check: (doc, elements) => {
+            const first = elements.find(el => isTabbable(el));
+            const target = first && first.localName === 'a' && /^#./.test(first.getAttribute('href') || '')
+                ? doc.getElementById(decodeURIComponent(first.getAttribute('href').slice(1)))
+                : null;
+            return target ? [] : [first || 'no focusable element'];
+        }
+    },
+    {
+        id: 'duplicate-id',
+        description: 'ids must be unique',
+        check: doc => {
+            const seen = new Set();
+            return getElements(doc).filter(el => {
+                const id = el.getAttribute('id');
+                if (id === null) return false;
+                if (seen.has(id)) return true;
+                seen.add(id);
+                return false;
+            });
+        }
+    },
+    {
+        id: 'aria-roles',
+        description: 'role must be a valid ARIA role',
+        check: doc => getElements(doc).filter(el => el.hasAttribute('role') && !ARIA_ROLES.has(el.getAttribute('role')))
+    },
+    {
+        id: 'aria-valid-attr-value',
+        description: 'ARIA attributes must have valid values and reference existing ids',
+        check: (doc, elements) => elements.filter(el => el.attributes.some(({ name, value }) => {
+            if (ARIA_VALUES[name]) return !ARIA_VALUES[name].includes(value);
+            if (ARIA_ID_REFERENCES.includes(name)) return !value.trim() || value.trim().split(/\s+/).some(id => !doc.getElementById(id));
+            return false;
+        }))
+    },
+    {
+        id: 'image-alt',
+        description: 'Images must have alternative text (alt="" when decorative)',
+        check: (doc, elements) => elements.filter(el => el.localName === 'img' && !el.hasAttribute('alt') && !['none', 'presentation'].includes(el.getAttribute('role')))
+    },
+    {
+        id: 'button-name',
+        description: 'Buttons must have a discernible name',
+        check: (doc, elements) => elements.filter(el => (el.localName === 'button' || el.getAttribute('role') === 'button') && !isAriaHidden(el) && !getAccessibleName(el, doc))
+    },
+    {
+        id: 'link-name',
+        description: 'Links must have a discernible name',
+        check: (doc, elements) => elements.filter(el => el.localName === 'a' && el.hasAttribute('href') && !isAriaHidden(el) && !getAccessibleName(el, doc))
+    },
+    {
+        id: 'label',
+        description: 'Form fields must have a label',
+        check: (doc, elements) => elements.filter(el => el.matches('input, select, textarea')
+            && !['hidden', 'submit', 'button', 'reset', 'image'].includes(el.getAttribute('type'))
+            && !isAriaHidden(el)
+            && !getAccessibleName(el, doc))
+    },
+    {
+        id: 'icon-hidden',
+        description: 'Icon font ligatures must be hidden (aria-hidden="true") or replaced by an aria-label',
+        check: (doc, elements) => elements.filter(el => el.classList.contains('material-symbols-outlined') && !isAriaHidden(el) && !el.hasAttribute('aria-label'))
+    },
+    {
+        id: 'nested-interactive',
+        description: 'Links and buttons must not contain focusable elements',
+        check: (doc, elements) => elements.filter(el => el.matches('a[href], button') && el.querySelectorAll(FOCUSABLE_SELECTOR).some(isTabbable))
+    },
+    {
+        id: 'tabindex',
+        description: 'tabindex must not be greater than 0',
+        check: doc => getElements(doc).filter(el => Number(el.getAttribute('tabindex')) > 0)
+    },
+    {
+        id: 'aria-hidden-focus',
+        description: 'Content hidden with aria-hidden must not be focusable',
+        check: (doc, elements) => elements.filter(el => isTabbable(el) && isAriaHidden(el))
+    },
+    {
+        id: 'empty-heading',
+        description: 'Headings must have text',
+        check: (doc, elements) => elements.filter(el => /^h[1-6]$/.test(el.localName) && !isAriaHidden(el) && !getAccessibleName(el, doc))
+    },
+    {
+        id: 'heading-order',
+        description: 'Heading levels must only go down one at a time',
+        check: (doc, elements) => {
+            let previous = 0;
+            return elements.filter(el => /^h[1-6]$/.test(el.localName) && !isAriaHidden(el)).filter(el => {
+                const level = Number(el.localName[1]);
+                const skipped = level > previous + 1;
+                previous = level;
+                return skipped;
+            });
+        }
+    },
+    {
+        id: 'list',
+        description: 'Lists must only contain <li> elements',
+        check: (doc, elements) => elements.filter(el => ['ul', 'ol'].includes(el.localName) && !el.hasAttribute('role')
+            && el.children.some(child => !['li', 'script', 'template'].includes(child.localName)))
+    },
+    {
+        id: 'listitem',
+        description: '<li> elements must be in a list',
+        check: (doc, elements) => elements.filter(el => el.localName === 'li' && !(el.parentNode && el.parentNode.matches && el.parentNode.matches('ul, ol, menu, [role="list"]')))
+    }
+];
+
+/**
+ * Interactive states checked besides the page as it loads. `run` is code run
+ * in the page that opens the state (it evaluates to false when the page has
+ * nothing to open, e.g. no projects); `expect(doc)` returns `[passes, problem]`
+ * pairs for what the state must expose to assistive technology. The general
+ * rules run on each state too.
+ */
+const INTERACTIVE_STATES = [
+    {
+        name: 'open menu',
+        run: 'setMenuOpen(true); true',
+        expect: doc => {
+            const toggle = doc.getElementById('menu-toggle');
+            const menu = doc.getElementById('mobile-menu');
+            return [
+                [!!toggle && toggle.getAttribute('aria-expanded') === 'true', 'button#menu-toggle: aria-expanded should be "true"'],
+                [!!toggle && getAccessibleName(toggle, doc) !== '', 'button#menu-toggle: no name for closing the menu'],
+                [!!menu && !isHidden(menu), 'div#mobile-menu: not shown'],
+                [!!menu && menu.querySelectorAll('a[href]').length > 0, 'div#mobile-menu: no links']
+            ];
+        }
+    },
+    {
+        name: 'project dialog',
+        run: 'projectsState.data && projectsState.data.items.length > 0 && (openProjectModal(getProjectSlug(projectsState.data.items[0])), true)',
+        expect: doc => {
+            const dialog = doc.querySelector('#project-modal [role="dialog"]');
+            const named = dialog && (dialog.hasAttribute('aria-labelledby') || dialog.hasAttribute('aria-label'));
+            return [
+                [!!dialog, '#project-modal: no role="dialog" element'],
+                [!!dialog && dialog.getAttribute('aria-modal') === 'true', '#project-modal: the dialog should be aria-modal="true"'],
+                [!!named && getAccessibleName(dialog, doc) !== '', '#project-modal: the dialog has no name'],
+                [!!dialog && dialog.querySelectorAll('button[data-close]').length > 0, '#project-modal: no close button']
+            ];
+        }
+    },
+    ...['success', 'error'].map(type => ({
+        name: `${type} toast`,
+        // Frames never run in the shim; the toast shows its text in the next one
+        run: `requestAnimationFrame = callback => callback(); showToast('Message', '${type}'); true`,
+        expect: doc => {
+            const toast = doc.getElementById('toast');
+            const message = doc.getElementById('toast-message');
+            const live = type === 'error' ? 'assertive' : 'polite';
+            return [
+                [!!toast && toast.getAttribute('aria-live') === live, `div#toast: aria-live should be "${live}"`],
+                [!!toast && toast.getAttribute('role') === 'status', 'div#toast: role should be "status"'],
+                [!!message && message.textContent.trim() !== '', 'span#toast-message: empty'],
+                [!!toast && !isHidden(toast) && !toast.classList.contains('opacity-0'), 'div#toast: not shown']
+            ];
+        }
+    }))
+];
+
+/**
+ * Runs every rule on a rendered page.
+ * @param {string} html - Page HTML.
+ * @param {Object} [state] - Interactive state shown, from INTERACTIVE_STATES.
+ * @returns {Object[]} `{ rule, description, targets }` for the failing rules.
+ */
+function checkPage(html, state) {
+    const doc = parseDocument(html);
+    const elements = getElements(doc.body).filter(el => !isHidden(el));
+    const results = RULES.map(rule => ({
+        rule: rule.id,
+        description: rule.description,
+        targets: rule.check(doc, elements).map(target => (typeof target === 'string' ? target : describe(target)))
+    }));
+    if (state) {
+        results.push({
+            rule: 'interactive-state',
+            description: `The ${state.name} must be exposed to assistive technology`,
+            targets: state.expect(doc).filter(([passes]) => !passes).map(([, problem]) => problem)
+        });
+    }
+    return results.filter(result => result.targets.length);
+}
+
+/**
+ * Checks every locale and post view, and reports the violations.
+ */
+async function run() {
+    const template = fs.readFileSync(path.join(ROOT, 'index.html'), 'utf8');
+    const content = JSON.parse(fs.readFileSync(path.join(ROOT, 'content.json'), 'utf8'));
+    const i18n = content.i18n || {};
+    const locales = (i18n.locales && i18n.locales.length) ? i18n.locales : [{ code: 'en' }];
+    const defaultLocale = i18n.default_locale || locales[0].code;
+
+    const views = [];
+    for (const { code } of locales) {
+        const page = await renderPage(template, code);
+        views.push({ name: code, page });
+        if (code === defaultLocale) {
+            for (const post of page.posts || []) {
+                views.push({ name: `${code} #posts/${post.slug}`, page: await renderPage(template, code, `#posts/${encodeURIComponent(post.slug)}`) });
+            }
+            for (const state of INTERACTIVE_STATES) {
+                views.push({ name: `${code} (${state.name})`, page: await renderPage(template, code, '', state.run), state });
+            }
+        }
+    }
+
+    let failures = 0;
+    views.forEach(({ name, page, state }) => {
+        if (state && page.result === false) {
+            console.log(`${name}: skipped, nothing to open`);
+            return;
+        }
+        if (page.errors.length) {
+            failures++;
+            console.error(`${name}: content.json has ${page.errors.length} problem(s); fix them first (node scripts/build.js lists them)`);
+            return;
+        }
+        const results = checkPage(page.html, state);
+        failures += results.length;
+        if (!results.length) {
+            console.log(`${name}: no violations`);
+            return;
+        }
+        console.error(`${name}: ${results.length} rule(s) failed`);
+        results.forEach(result => {
+            console.error(`  ${result.rule}: ${result.description}`);
+            result.targets.forEach(target => console.error(`    ${target}`));
+        });
+    });
+
+    if (failures) throw new Error('Accessibility check failed: fix the violations above.');
+}
+
+if (require.main === module) {
+    run().catch(error => {
+        console.error(error.message);
+        process.exitCode = 1;
+    });
+}
+
+module.exports = { checkPage };
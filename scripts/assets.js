@@ -0,0 +1,510 @@
+#!/usr/bin/env node
+/**
+ * Asset Pipeline
+ *
+ * The page loads Tailwind's CDN compiler, Google Fonts and the devicon
+ * stylesheet at runtime, which is convenient while editing. The static build
+ * replaces them with files of its own:
+ *
+ * - `assets/site.css`: only the utilities the pages, scripts and content use,
+ *   compiled from the page's `tailwind.config` and `text/tailwindcss` block
+ *   (scripts/lib/css.js), with the self-hosted font faces;
+ * - the fonts, cut down to the Latin subsets and, for Material Symbols, to
+ *   the icons the site shows;
+ * - the devicons the skills use, inlined as an SVG sprite.
+ *
+ * Fonts and icons are downloaded once into assets/ by this script (or
+ * `node scripts/build.js --sync`), like github.json: commit them, and the
+ * build needs no network. Until they are synced, built pages keep loading
+ * them from the CDNs.
+ *
+ * Usage: node scripts/assets.js
+ */
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+const vm = require('vm');
+const { parseDocument } = require('./lib/dom');
+const { compileCss, extractCandidates } = require('./lib/css');
+const { ROOT, readProjectJson } = require('./lib/sandbox');
+
+const ASSETS_DIR = 'assets';
+const FONTS_CSS_FILE = 'assets/fonts.css';
+const FONTS_DIR = 'assets/fonts';
+const DEVICONS_DIR = 'assets/devicons';
+const SYNC_FILE = 'assets/assets.json';
+
+/**
+ * Stylesheet written by the build, relative to the output folder.
+ */
+const SITE_CSS_FILE = 'assets/site.css';
+
+/**
+ * Font subsets kept from Google Fonts (the site's languages are written in Latin script).
+ */
+const FONT_SUBSETS = ['latin', 'latin-ext'];
+
+/**
+ * Google Fonts only serves woff2 to browsers it recognises.
+ */
+const FONTS_USER_AGENT = 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/126.0 Safari/537.36';
+
+/**
+ * Devicon file variants, longest first (`devicon-<name>-<variant>`).
+ */
+const DEVICON_VARIANTS = ['original-wordmark', 'plain-wordmark', 'line-wordmark', 'original', 'plain', 'line'];
+
+/**
+ * Gzipped size limits, per kind of file, for the build's size report.
+ */
+const SIZE_BUDGETS = {
+    html: 40 * 1024,
+    css: 20 * 1024,
+    js: 100 * 1024,
+    fonts: 250 * 1024
+};
+
+/**
+ * Reads the runtime dependencies declared in index.html.
+ * @param {string} html - Page markup.
+ * @returns {Object} `{ tailwind, config, css, plugins, fonts, devicons }`: the
+ *     CDN script, its config and style block, its plugins, the Google Fonts
+ *     stylesheets and the devicon stylesheet.
+ */
+function readPageAssets(html) {
+    const doc = parseDocument(html);
+    const tailwind = doc.querySelector('script[src^="https://cdn.tailwindcss.com"]');
+    const configScript = doc.getElementById('tailwind-config');
+    const style = doc.querySelector('style[type="text/tailwindcss"]');
+
+    // The config is a plain assignment to the CDN's global
+    const context = vm.createContext({ tailwind: {} });
+    if (configScript) vm.runInContext(configScript.textContent, context);
+
+    return {
+        tailwind,
+        config: context.tailwind.config || {},
+        css: style ? style.textContent : '',
+        plugins: tailwind ? (new URL(tailwind.getAttribute('src')).searchParams.get('plugins') || '').split(',').filter(Boolean) : [],
+        fonts: doc.querySelectorAll('link[href^="https://fonts.googleapis.com/"]').map(link => link.getAttribute('href')),
+        devicons: (doc.querySelector('link[href*="/devicon"]') || { getAttribute: () => null }).getAttribute('href')
+    };
+}
+
+/**
+ * Lists the content files: content.json and its translations.
+ * @returns {Object[]} Parsed files.
+ */
+function readContentFiles() {
+    const content = readProjectJson('content.json');
+    const locales = ((content.i18n && content.i18n.locales) || []).filter(locale => locale.file);
+    return [content, ...locales.map(locale => readProjectJson(locale.file))];
+}
+
+/**
+ * Collects the string values of some keys anywhere in a JSON value.
+ * @param {*} value - JSON value.
+ * @param {Function} test - Called with each key.
+ * @param {string[]} [found] - Accumulator.
+ * @returns {string[]} Values.
+ */
+function collectValues(value, test, found = []) {
+    if (Array.isArray(value)) value.forEach(item => collectValues(item, test, found));
+    else if (value && typeof value === 'object') {
+        Object.keys(value).forEach(key => {
+            if (typeof value[key] === 'string' && test(key)) found.push(value[key]);
+            else collectValues(value[key], test, found);
+        });
+    }
+    return found;
+}
+
+/**
+ * Collects the class names content can add to the page: `style` and
+ * `*class*` values (such as terminal.init_messages[].style) and `class`
+ * attributes in HTML strings.
+ * @param {Object[]} files - Parsed content files.
+ * @returns {string[]} Class strings.
+ */
+function getContentClasses(files) {
+    const classes = collectValues(files, key => key === 'style' || key.includes('class'));
+    collectValues(files, () => true).forEach(text => {
+        for (const match of text.matchAll(/class="([^"]*)"/g)) classes.push(match[1]);
+    });
+    return classes;
+}
+
+/**
+ * Lists the Material Symbols the site can show: icons written in the markup
+ * and scripts, and `icon` values in content.
+ * @param {string[]} sources - index.html and the page scripts.
+ * @param {Object[]} files - Parsed content files.
+ * @returns {string[]} Icon names, sorted.
+ */
+function getSymbolNames(sources, files) {
+    const names = new Set(collectValues(files, key => key === 'icon'));
+    sources.forEach(source => {
+        // <span class="material-symbols-outlined ...">name</span>, also `${open ? 'a' : 'b'}`
+        for (const match of source.matchAll(/material-symbols-outlined[^>]*>([^<]*)</g)) {
+            const text = match[1].trim();
+            if (/^[a-z0-9_]+$/.test(text)) names.add(text);
+            else if (text.startsWith('${')) for (const literal of text.matchAll(/'([a-z0-9_]+)'/g)) names.add(literal[1]);
+        }
+        // Icons set from scripts: `icon.innerText = 'error'`, `job.icon || 'work'`
+        source.split('\n').filter(line => /\bicon\b|material-symbols/i.test(line) && !line.includes('<')).forEach(line => {
+            for (const literal of line.matchAll(/'([a-z][a-z0-9_]*)'/g)) names.add(literal[1]);
+        });
+    });
+    return [...names].filter(name => /^[a-z0-9_]+$/.test(name)).sort();
+}
+
+/**
+ * Lists the devicon classes the skills use.
+ * @param {Object[]} files - Parsed content files.
+ * @returns {string[]} Classes such as `devicon-react-original`, sorted.
+ */
+function getDeviconClasses(files) {
+    return [...new Set(collectValues(files, key => key === 'devicon'))].sort();
+}
+
+/**
+ * Splits a devicon class into the icon's folder and file name.
+ * @param {string} className - E.g. `devicon-nodejs-plain-wordmark`.
+ * @returns {Object|null} `{ name, file }` (`nodejs`, `nodejs-plain-wordmark.svg`).
+ */
+function parseDeviconClass(className) {
+    const id = className.replace(/^devicon-/, '');
+    const variant = DEVICON_VARIANTS.find(v => id.endsWith(`-${v}`));
+    if (!variant) return null;
+    return { name: id.slice(0, -variant.length - 1), file: `${id}.svg` };
+}
+
+/**
+ * Returns the sprite symbol id for a devicon class (see getSkillIcon).
+ * @param {string} className - Devicon class.
+ * @returns {string} Symbol id.
+ */
+function getDeviconSymbolId(className) {
+    return className.replace(/^devicon-/, 'icon-');
+}
+
+/**
+ * Fetches a URL, failing on HTTP errors.
+ * @param {string} url - URL.
+ * @param {Object} [init] - fetch options.
+ * @returns {Promise<Response>} Response.
+ */
+async function fetchOk(url, init) {
+    const response = await fetch(url, init);
+    if (!response.ok) throw new Error(`${url}: HTTP ${response.status}`);
+    return response;
+}
+
+/**
+ * Fetches a Google Fonts stylesheet and keeps the wanted subsets. Material
+ * Symbols are cut down to the listed icons (the whole font is several MB).
+ * @param {string} href - Stylesheet URL.
+ * @param {string[]} symbols - Material Symbols names.
+ * @returns {Promise<string>} CSS.
+ */
+async function fetchFontCss(href, symbols) {
+    const url = new URL(href);
+    if (/Material Symbols/.test(url.searchParams.get('family') || '') && symbols.length) {
+        url.searchParams.set('icon_names', symbols.join(','));
+    }
+
+    let css;
+    try {
+        css = await (await fetchOk(url.href, { headers: { 'User-Agent': FONTS_USER_AGENT } })).text();
+    } catch (error) {
+        // An icon name Google doesn't know fails the request; fall back to the whole font
+        if (!url.searchParams.has('icon_names')) throw error;
+        console.warn(`Could not subset the icon font (${error.message}), downloading all of it`);
+        css = await (await fetchOk(href, { headers: { 'User-Agent': FONTS_USER_AGENT } })).text();
+    }
+
+    // Each face is preceded by its subset: /* latin */ @font-face {...}
+    return css.replace(/(?:\/\*\s*([\w-]+)\s*\*\/\s*)?@font-face\s*\{[^}]*\}\s*/g, (face, subset) => (!subset || FONT_SUBSETS.includes(subset) ? face : ''));
+}
+
+/**
+ * Downloads fonts, their subsets and the devicons into assets/.
+ * @returns {Promise<Object>} `{ fonts, symbols, devicons }`: font files, icon names and devicon classes.
+ */
+async function syncAssets() {
+    const template = fs.readFileSync(path.join(ROOT, 'index.html'), 'utf8');
+    const page = readPageAssets(template);
+    const files = readContentFiles();
+    const sources = [template, ...getPageScripts(template).map(src => fs.readFileSync(path.join(ROOT, src), 'utf8'))];
+    const symbols = getSymbolNames(sources, files);
+
+    fs.rmSync(path.join(ROOT, FONTS_DIR), { recursive: true, force: true });
+    fs.rmSync(path.join(ROOT, DEVICONS_DIR), { recursive: true, force: true });
+    fs.mkdirSync(path.join(ROOT, FONTS_DIR), { recursive: true });
+    fs.mkdirSync(path.join(ROOT, DEVICONS_DIR), { recursive: true });
+
+    // Fonts: the stylesheets, then every file they point to, renamed after the family
+    const fonts = [];
+    const stylesheets = [];
+    for (const href of page.fonts) {
+        let css = await fetchFontCss(href, symbols);
+        for (const [, url] of [...css.matchAll(/url\((https:[^)]+)\)/g)]) {
+            const parts = new URL(url).pathname.split('/');
+            const file = `${parts[2]}-${parts[parts.length - 1]}`;
+            if (!fonts.includes(file)) {
+                const data = Buffer.from(await (await fetchOk(url)).arrayBuffer());
+                fs.writeFileSync(path.join(ROOT, FONTS_DIR, file), data);
+                fonts.push(file);
+            }
+            css = css.split(url).join(`fonts/${file}`);
+        }
+        stylesheets.push(css.trim());
+    }
+    fs.writeFileSync(path.join(ROOT, FONTS_CSS_FILE), stylesheets.join('\n\n') + '\n');
+
+    // Devicons: one SVG per class, next to the stylesheet they replace
+    const devicons = [];
+    const base = page.devicons && page.devicons.replace(/[^/]*$/, '');
+    for (const className of base ? getDeviconClasses(files) : []) {
+        const icon = parseDeviconClass(className);
+        if (!icon) {
+            console.warn(`${className}: not a devicon class, skipped`);
+            continue;
+        }
+        try {
+            const svg = await (await fetchOk(`${base}icons/${icon.name}/${icon.file}`)).text();
+            fs.writeFileSync(path.join(ROOT, DEVICONS_DIR, icon.file), svg);
+            devicons.push(className);
+        } catch (error) {
+            console.warn(`${className}: ${error.message}, the build will keep the devicon stylesheet`);
+        }
+    }
+
+    const sync = { synced_at: new Date().toISOString(), fonts: page.fonts, symbols, devicons };
+    fs.writeFileSync(path.join(ROOT, SYNC_FILE), JSON.stringify(sync, null, 4) + '\n');
+    return { fonts, symbols, devicons };
+}
+
+/**
+ * Reads what the last sync downloaded.
+ * @returns {Object|null} assets/assets.json.
+ */
+function readSyncedAssets() {
+    return fs.existsSync(path.join(ROOT, SYNC_FILE)) ? readProjectJson(SYNC_FILE) : null;
+}
+
+/**
+ * Lists the local scripts a page loads, in order.
+ * @param {string} html - Page markup.
+ * @returns {string[]} Script paths.
+ */
+function getPageScripts(html) {
+    return parseDocument(html).querySelectorAll('script[src]')
+        .map(script => script.getAttribute('src'))
+        .filter(src => !/^([a-z]+:|\/\/)/i.test(src));
+}
+
+/**
+ * Turns a devicon SVG into a sprite symbol. Fills, styles and gradients go,
+ * so the icon takes the text colour like the icon font did.
+ * @param {string} svg - SVG file content.
+ * @param {string} id - Symbol id.
+ * @returns {string} `<symbol>` markup.
+ */
+function toSymbol(svg, id) {
+    const root = /<svg\b([^>]*)>([\s\S]*)<\/svg>/i.exec(svg);
+    if (!root) return '';
+    const viewBox = /\bviewBox="([^"]*)"/i.exec(root[1]);
+    const body = root[2]
+        .replace(/<!--[\s\S]*?-->/g, '')
+        .replace(/<(defs|title|desc|style|metadata)\b[\s\S]*?<\/\1>/gi, '')
+        .replace(/\s(fill|style|class|fill-rule|clip-rule|fill-opacity|data-name)="[^"]*"/gi, (attr, name) => (/rule/i.test(name) ? attr : ''))
+        .replace(/>\s+</g, '><')
+        .trim();
+    return `<symbol id="${id}" viewBox="${viewBox ? viewBox[1] : '0 0 128 128'}">${body}</symbol>`;
+}
+
+/**
+ * Builds the sprite of the synced devicons.
+ * @returns {Object} `{ sprite, inlined }`: the hidden `<svg>` (empty without
+ *     icons) and the devicon classes it covers.
+ */
+function buildDeviconSprite() {
+    const synced = readSyncedAssets();
+    const inlined = [];
+    const symbols = ((synced && synced.devicons) || []).map(className => {
+        const icon = parseDeviconClass(className);
+        const file = icon && path.join(ROOT, DEVICONS_DIR, icon.file);
+        if (!file || !fs.existsSync(file)) return '';
+        inlined.push(className);
+        return toSymbol(fs.readFileSync(file, 'utf8'), getDeviconSymbolId(className));
+    }).filter(Boolean);
+
+    return {
+        sprite: symbols.length ? `\n    <svg aria-hidden="true" class="hidden">${symbols.join('')}</svg>` : '',
+        inlined
+    };
+}
+
+/**
+ * Adds the devicon sprite to the top of the page body, where getSkillIcon()
+ * finds it.
+ * @param {string} template - index.html source.
+ * @returns {string} Markup with the sprite.
+ */
+function addDeviconSprite(template) {
+    const { sprite } = buildDeviconSprite();
+    return sprite ? template.replace(/<body\b[^>]*>/i, body => body + sprite) : template;
+}
+
+/**
+ * Lists class names in `class` attributes of rendered pages.
+ * @param {string[]} pages - Page markup.
+ * @returns {Set<string>} Class names.
+ */
+function getMarkupClasses(pages) {
+    const classes = new Set();
+    pages.forEach(html => {
+        for (const match of html.matchAll(/\sclass="([^"]*)"/g)) match[1].split(/\s+/).filter(Boolean).forEach(name => classes.add(name));
+    });
+    return classes;
+}
+
+/**
+ * Removes an element and the line break after it.
+ * @param {Element|null} node - Element to remove.
+ */
+function removeElement(node) {
+    if (!node) return;
+    const next = node.nextSibling;
+    if (next && next.nodeType === 3 && !next.textContent.trim()) next.remove();
+    node.remove();
+}
+
+/**
+ * Compiles the site stylesheet for the rendered pages, writes it with the
+ * fonts into the output folder, and rewrites the pages to load it instead of
+ * the CDNs.
+ * @param {Object[]} pages - Rendered pages: `{ name, html, scripts }`.
+ * @param {string} template - index.html source.
+ * @param {string} outDir - Output folder.
+ * @returns {string[]} Rewritten page markup, in the same order.
+ */
+function writeSiteAssets(pages, template, outDir) {
+    const page = readPageAssets(template);
+    const files = readContentFiles();
+    const synced = readSyncedAssets();
+    const scripts = [...new Set(pages.flatMap(p => p.scripts))].map(src => fs.readFileSync(path.join(ROOT, src), 'utf8'));
+
+    // Fonts are self-hosted once synced for the stylesheets the page links now
+    const fontsCss = path.join(ROOT, FONTS_CSS_FILE);
+    const fontsSynced = !!synced && fs.existsSync(fontsCss) && page.fonts.every(href => synced.fonts.includes(href));
+    if (!fontsSynced) console.warn('Fonts are not synced: the pages load them from Google Fonts (run node scripts/assets.js)');
+    else {
+        const missing = getSymbolNames([template, ...scripts], files).filter(name => !synced.symbols.includes(name));
+        if (missing.length) console.warn(`Icons missing from the synced icon font: ${missing.join(', ')} (run node scripts/assets.js)`);
+    }
+
+    const devicons = getDeviconClasses(files);
+    const { inlined } = buildDeviconSprite();
+    const notInlined = devicons.filter(className => !inlined.includes(className));
+    const iconsInlined = !notInlined.length;
+    if (!iconsInlined) console.warn(`Devicons not synced: ${notInlined.join(', ')}, so the pages load the devicon stylesheet (run node scripts/assets.js)`);
+
+    const candidates = new Set();
+    [template, ...pages.map(p => p.html), ...scripts, ...getContentClasses(files)].forEach(text => {
+        extractCandidates(text).forEach(candidate => candidates.add(candidate));
+    });
+    const { css, classes } = compileCss({ candidates, config: page.config, css: page.css, plugins: page.plugins });
+    const fonts = fontsSynced ? fs.readFileSync(fontsCss, 'utf8') : '';
+
+    fs.mkdirSync(path.join(outDir, ASSETS_DIR), { recursive: true });
+    fs.writeFileSync(path.join(outDir, SITE_CSS_FILE), fonts + css);
+    if (fontsSynced) fs.cpSync(path.join(ROOT, FONTS_DIR), path.join(outDir, FONTS_DIR), { recursive: true });
+
+    // Classes in the markup with no CSS are usually typos (or need a utility the compiler lacks)
+    const defined = new Set([...(fonts + page.css).matchAll(/\.(-?[_a-zA-Z][\w-]*)/g)].map(match => match[1]));
+    const unknown = [...getMarkupClasses(pages.map(p => p.html))]
+        .filter(name => !classes.has(name) && !defined.has(name) && !/^(group|peer|dark|light|colored|devicon-.+|material-symbols-.+)$/.test(name));
+    if (unknown.length) console.warn(`No CSS for these classes in the pages: ${unknown.sort().join(', ')}`);
+
+    return pages.map(p => {
+        const doc = parseDocument(p.html);
+        const tailwind = doc.querySelector('script[src^="https://cdn.tailwindcss.com"]');
+        const link = doc.createElement('link');
+        link.setAttribute('rel', 'stylesheet');
+        link.setAttribute('href', SITE_CSS_FILE);
+        if (tailwind) {
+            tailwind.parentNode.insertBefore(link, tailwind);
+            tailwind.remove();
+        } else {
+            doc.querySelector('head').append(link, '\n');
+        }
+
+        [doc.getElementById('tailwind-config'), doc.querySelector('style[type="text/tailwindcss"]')].forEach(removeElement);
+        if (fontsSynced) doc.querySelectorAll('link[href^="https://fonts.googleapis.com/"]').forEach(removeElement);
+        if (iconsInlined && page.devicons) doc.querySelectorAll('link[href*="/devicon"]').forEach(removeElement);
+        return doc.serialize();
+    });
+}
+
+/**
+ * Formats a byte count.
+ * @param {number} bytes - Size.
+ * @returns {string} E.g. `12.3 kB`.
+ */
+function formatSize(bytes) {
+    return bytes < 1024 ? `${bytes} B` : `${(bytes / 1024).toFixed(1)} kB`;
+}
+
+/**
+ * Prints the size of what a visitor downloads (raw and gzipped, as servers
+ * send it), per kind of file, and warns when one is over its budget.
+ * @param {string} outDir - Output folder.
+ * @returns {string[]} Kinds over budget.
+ */
+function reportSizes(outDir) {
+    const kinds = { html: /\.html$/, css: /\.css$/, js: /\.js$/, fonts: /\.(woff2?|ttf|otf)$/ };
+    const totals = {};
+    const walk = dir => fs.readdirSync(dir, { withFileTypes: true }).forEach(entry => {
+        const file = path.join(dir, entry.name);
+        if (entry.isDirectory()) return walk(file);
+        const kind = Object.keys(kinds).find(name => kinds[name].test(entry.name));
+        if (!kind) return;
+        const data = fs.readFileSync(file);
+        const size = { raw: data.length, gzip: /\.woff2?$/.test(entry.name) ? data.length : zlib.gzipSync(data).length };
+        totals[kind] = totals[kind] || { files: [], raw: 0, gzip: 0 };
+        totals[kind].files.push({ name: path.relative(outDir, file), ...size });
+        totals[kind].raw += size.raw;
+        totals[kind].gzip += size.gzip;
+    });
+    walk(outDir);
+
+    const over = [];
+    console.log('Sizes (gzipped / budget):');
+    Object.keys(kinds).filter(kind => totals[kind]).forEach(kind => {
+        const { files, raw, gzip } = totals[kind];
+        // Pages are downloaded one at a time, so their budget is per page
+        const size = kind === 'html' ? Math.max(...files.map(file => file.gzip)) : gzip;
+        const flag = size > SIZE_BUDGETS[kind] ? '  OVER BUDGET' : '';
+        if (flag) over.push(kind);
+        console.log(`  ${kind.padEnd(6)}${formatSize(raw).padStart(10)}${formatSize(gzip).padStart(10)} / ${formatSize(SIZE_BUDGETS[kind])}${kind === 'html' ? ' per page' : ''}${flag}`);
+        if (kind === 'html' || kind === 'css') files.forEach(file => console.log(`    ${file.name}: ${formatSize(file.raw)} (${formatSize(file.gzip)})`));
+    });
+    if (over.length) console.warn(`Over the size budget: ${over.join(', ')}`);
+    return over;
+}
+
+if (require.main === module) {
+    syncAssets()
+        .then(({ fonts, symbols, devicons }) => console.log(`Synced ${fonts.length} font file(s) (${symbols.length} icons) and ${devicons.length} devicon(s) into ${ASSETS_DIR}/`))
+        .catch(error => {
+            console.error(error.message);
+            process.exitCode = 1;
+        });
+}
+
+module.exports = { syncAssets, addDeviconSprite, writeSiteAssets, reportSizes };
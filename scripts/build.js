@@ -0,0 +1,396 @@
+#!/usr/bin/env node
+/**
+ * Static Build
+ *
+ * Pre-renders the portfolio into plain HTML so it reads without JavaScript
+ * (and for crawlers). The page's own scripts run against content.json inside
+ * a small DOM shim, so the output matches what the browser would render. The
+ * client then attaches to this markup instead of rebuilding it.
+ *
+ * Usage: node scripts/build.js [--out dist] [--sync]
+ *
+ * `--sync` refreshes the GitHub project data (scripts/github.js) and the
+ * self-hosted fonts and icons (scripts/assets.js) first; otherwise the build
+ * uses the cached github.json and assets/ and needs no network.
+ *
+ * Writes one page per locale (index.html for the default, index.<code>.html
+ * for the others) with a compiled stylesheet in place of the Tailwind CDN
+ * (assets/site.css), plus the files they load, the service worker (sw.js), the
+ * manifest's icons, the resume downloads (scripts/resume.js), robots.txt
+ * and, when `site.url` is set, sitemap.xml and the posts' Atom feed
+ * (feed.xml). Fails on content errors.
+ */
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+const { parseDocument } = require('./lib/dom');
+const { writeResumes } = require('./resume');
+const { syncRepos } = require('./github');
+const { syncAssets, addDeviconSprite, writeSiteAssets, reportSizes } = require('./assets');
+
+const ROOT = path.resolve(__dirname, '..');
+
+/**
+ * Origin the page believes it runs on during the build (never contacted).
+ */
+const BUILD_ORIGIN = 'https://prerender.invalid';
+
+/**
+ * Reads `--name value` options from the command line.
+ * @param {string[]} argv - Arguments after the script name.
+ * @returns {Object} Options with defaults applied.
+ */
+function parseArgs(argv) {
+    const options = { out: 'dist' };
+    for (let i = 0; i < argv.length; i++) {
+        const match = /^--([\w-]+)(?:=(.*))?$/.exec(argv[i]);
+        if (!match) throw new Error(`Unexpected argument: ${argv[i]}`);
+        if (match[2] !== undefined) options[match[1]] = match[2];
+        else if (i + 1 < argv.length && !argv[i + 1].startsWith('--')) options[match[1]] = argv[++i];
+        else options[match[1]] = true;
+    }
+    return options;
+}
+
+/**
+ * Resolves a page-relative URL to a file inside the project, or null for
+ * remote URLs and anything outside it.
+ * @param {string} url - URL as written in the page or content.
+ * @returns {string|null} Absolute file path.
+ */
+function resolveLocal(url) {
+    if (!url || /^([a-z][a-z0-9+.-]*:|\/\/|#)/i.test(url)) return null;
+    const file = path.resolve(ROOT, decodeURIComponent(url.split(/[?#]/)[0]));
+    return file.startsWith(ROOT + path.sep) ? file : null;
+}
+
+/**
+ * Minimal `fetch` serving project files from disk.
+ * @param {string} url - Requested URL.
+ * @returns {Promise<Object>} Response-like object.
+ */
+async function fetchLocal(url) {
+    const file = resolveLocal(String(url));
+    if (!file || !fs.existsSync(file)) {
+        return { ok: false, status: 404, json: async () => null, text: async () => '' };
+    }
+    const text = fs.readFileSync(file, 'utf8');
+    return { ok: true, status: 200, json: async () => JSON.parse(text), text: async () => text };
+}
+
+/**
+ * Creates the global scope the page scripts run in.
+ * @param {Document} doc - Shim document.
+ * @param {string} locale - Locale to render (passed as `?lang=`).
+ * @param {string} [hash=''] - Location hash (e.g. `#posts/<slug>`).
+ * @returns {Object} vm context.
+ */
+function createWindow(doc, locale, hash = '') {
+    const storage = new Map();
+    const noop = () => { };
+
+    const window = {
+        document: doc,
+        location: new URL(`${BUILD_ORIGIN}/?lang=${encodeURIComponent(locale)}${hash}`),
+        navigator: { language: locale, languages: [locale] },
+        history: { state: null, replaceState: noop, pushState: noop },
+        localStorage: {
+            getItem: key => (storage.has(key) ? storage.get(key) : null),
+            setItem: (key, value) => storage.set(key, String(value)),
+            removeItem: key => storage.delete(key)
+        },
+        matchMedia: () => ({ matches: false, addEventListener: noop, removeEventListener: noop }),
+        IntersectionObserver: class { observe() { } unobserve() { } disconnect() { } },
+        getSelection: () => ({ toString: () => '' }),
+        innerHeight: 800,
+        addEventListener: noop,
+        removeEventListener: noop,
+        // Timers never fire: the snapshot is taken as soon as content has rendered
+        setTimeout: () => 0,
+        clearTimeout: noop,
+        requestAnimationFrame: () => 0,
+        fetch: fetchLocal,
+        console,
+        URL,
+        URLSearchParams
+    };
+    window.window = window;
+    window.self = window;
+    return vm.createContext(window);
+}
+
+/**
+ * Renders one locale of the page.
+ * @param {string} template - Source index.html.
+ * @param {string} locale - Locale code.
+ * @param {string} [hash=''] - Location hash, to render another view of the page.
+ * @param {string} [interact=''] - Code run in the page once it has rendered
+ * (e.g. opening the menu), to check an interactive state (scripts/a11y.js).
+ * @returns {Promise<Object>} `{ html, scripts, links, errors, url, alternates, posts, result }`,
+ * `result` being what `interact` returned.
+ */
+async function renderPage(template, locale, hash = '', interact = '') {
+    const doc = parseDocument(template);
+    const context = createWindow(doc, locale, hash);
+
+    // Run the page's own (local) scripts in order, as the browser would
+    const scripts = doc.querySelectorAll('script[src]')
+        .map(script => script.getAttribute('src'))
+        .filter(src => resolveLocal(src));
+
+    scripts.forEach(src => {
+        const file = resolveLocal(src);
+        new vm.Script(fs.readFileSync(file, 'utf8'), { filename: file }).runInContext(context);
+    });
+
+    // Collect content problems instead of rendering the dev panel
+    const errors = [];
+    context.reportContentErrors = list => errors.push(...list);
+
+    await vm.runInContext('contentReady', context);
+    const result = interact ? await vm.runInContext(interact, context) : undefined;
+
+    // Consent and trackers are per visitor: the browser decides, so none of it is baked in
+    doc.querySelectorAll('script[data-analytics]').forEach(script => script.remove());
+    const banner = doc.getElementById('consent-banner');
+    if (banner) {
+        banner.innerHTML = '';
+        banner.classList.add('hidden');
+    }
+    const manage = doc.getElementById('consent-manage');
+    if (manage) manage.classList.add('hidden');
+
+    doc.documentElement.setAttribute('data-prerendered', locale);
+
+    // Local files linked from <head>: the manifest and icons
+    const links = doc.querySelectorAll('link[href]')
+        .map(link => link.getAttribute('href'))
+        .filter(href => resolveLocal(href));
+
+    // The sitemap lists the addresses the page itself declares (js/meta.js)
+    const canonical = doc.querySelector('link[rel="canonical"]');
+    const alternates = doc.querySelectorAll('link[rel="alternate"][hreflang]')
+        .map(link => ({ hreflang: link.getAttribute('hreflang'), href: link.getAttribute('href') }));
+
+    return {
+        html: doc.serialize(),
+        scripts,
+        links,
+        errors,
+        url: canonical && canonical.getAttribute('href'),
+        alternates,
+        posts: vm.runInContext('appState.posts', context),
+        result
+    };
+}
+
+/**
+ * Copies a project file into the output folder, keeping its relative path.
+ * @param {string} file - Absolute source path.
+ * @param {string} outDir - Output folder.
+ */
+function copyAsset(file, outDir) {
+    const target = path.join(outDir, path.relative(ROOT, file));
+    fs.mkdirSync(path.dirname(target), { recursive: true });
+    fs.copyFileSync(file, target);
+}
+
+/**
+ * Lists the icons named in the web app manifest.
+ * @param {string} file - Manifest path, relative to the project.
+ * @returns {string[]} Icon paths.
+ */
+function getManifestIcons(file) {
+    const manifest = resolveLocal(file);
+    if (!manifest || !fs.existsSync(manifest)) return [];
+    return (JSON.parse(fs.readFileSync(manifest, 'utf8')).icons || []).map(icon => icon.src);
+}
+
+/**
+ * Escapes text for XML.
+ * @param {string} value - Text.
+ * @returns {string} Escaped text.
+ */
+function escapeXml(value) {
+    return String(value).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+}
+
+/**
+ * Builds sitemap.xml from the rendered pages, with hreflang alternates.
+ * @param {Object[]} pages - Rendered pages with `url` and `alternates`.
+ * @returns {string} Sitemap XML.
+ */
+function buildSitemap(pages) {
+    const lastmod = new Date().toISOString().slice(0, 10);
+    const urls = pages.map(page => [
+        '  <url>',
+        `    <loc>${escapeXml(page.url)}</loc>`,
+        `    <lastmod>${lastmod}</lastmod>`,
+        ...page.alternates.map(alt => `    <xhtml:link rel="alternate" hreflang="${escapeXml(alt.hreflang)}" href="${escapeXml(alt.href)}"/>`),
+        '  </url>'
+    ].join('\n'));
+
+    return [
+        '<?xml version="1.0" encoding="UTF-8"?>',
+        '<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9" xmlns:xhtml="http://www.w3.org/1999/xhtml">',
+        ...urls,
+        '</urlset>',
+        ''
+    ].join('\n');
+}
+
+/**
+ * Builds the Atom feed of the posts, as parsed by the page (js/posts.js).
+ * Posts open at `#posts/<slug>` on the site's default page.
+ * @param {Object[]} posts - Posts, newest first.
+ * @param {Object} content - Content object.
+ * @param {string} siteUrl - Absolute site URL.
+ * @returns {string} Feed XML.
+ */
+function buildFeed(posts, content, siteUrl) {
+    const home = new URL('./', siteUrl.replace(/\/?$/, '/')).href;
+    const feedUrl = new URL('feed.xml', home).href;
+    const updated = date => new Date(date ? `${date}T00:00:00Z` : Date.now()).toISOString();
+    const author = (content.profile && content.profile.name) || content.site.title;
+
+    const entries = posts.map(post => [
+        '  <entry>',
+        `    <title>${escapeXml(post.title)}</title>`,
+        `    <link href="${escapeXml(`${home}#posts/${encodeURIComponent(post.slug)}`)}"/>`,
+        `    <id>${escapeXml(`${home}#posts/${encodeURIComponent(post.slug)}`)}</id>`,
+        `    <updated>${updated(post.date)}</updated>`,
+        ...post.tags.map(tag => `    <category term="${escapeXml(tag)}"/>`),
+        ...(post.summary ? [`    <summary>${escapeXml(post.summary)}</summary>`] : []),
+        `    <content type="html">${escapeXml(post.html)}</content>`,
+        '  </entry>'
+    ].join('\n'));
+
+    return [
+        '<?xml version="1.0" encoding="UTF-8"?>',
+        '<feed xmlns="http://www.w3.org/2005/Atom">',
+        `  <title>${escapeXml((content.posts && content.posts.heading) || content.site.title)} - ${escapeXml(content.site.title)}</title>`,
+        ...(content.posts && content.posts.description ? [`  <subtitle>${escapeXml(content.posts.description)}</subtitle>`] : []),
+        `  <link href="${escapeXml(home)}"/>`,
+        `  <link rel="self" href="${escapeXml(feedUrl)}"/>`,
+        `  <id>${escapeXml(home)}</id>`,
+        `  <updated>${updated(posts.length && posts[0].date)}</updated>`,
+        `  <author><name>${escapeXml(author)}</name></author>`,
+        ...entries,
+        '</feed>',
+        ''
+    ].join('\n');
+}
+
+/**
+ * Builds robots.txt, pointing crawlers at the sitemap if there is one.
+ * @param {string|null} sitemapUrl - Absolute sitemap URL.
+ * @returns {string} robots.txt content.
+ */
+function buildRobots(sitemapUrl) {
+    return ['User-agent: *', 'Allow: /', ...(sitemapUrl ? ['', `Sitemap: ${sitemapUrl}`] : []), ''].join('\n');
+}
+
+/**
+ * Builds every locale and copies the files the pages load.
+ * @param {Object} options - Parsed command-line options.
+ */
+async function build(options) {
+    const outDir = path.resolve(ROOT, options.out);
+    if (outDir === ROOT || ROOT.startsWith(outDir + path.sep)) {
+        throw new Error(`Refusing to build into ${outDir}`);
+    }
+
+    if (options.sync) {
+        const fetched = await syncRepos({ token: process.env.GITHUB_TOKEN });
+        console.log(`Synced ${fetched.length} GitHub repositor${fetched.length === 1 ? 'y' : 'ies'}`);
+        const { fonts, devicons } = await syncAssets();
+        console.log(`Synced ${fonts.length} font file(s) and ${devicons.length} devicon(s)`);
+    }
+
+    // Skill icons render from the sprite once the devicons are synced
+    const template = addDeviconSprite(fs.readFileSync(path.join(ROOT, 'index.html'), 'utf8'));
+    const content = JSON.parse(fs.readFileSync(path.join(ROOT, 'content.json'), 'utf8'));
+    const i18n = content.i18n || {};
+    const locales = (i18n.locales && i18n.locales.length) ? i18n.locales : [{ code: 'en' }];
+    const defaultLocale = i18n.default_locale || locales[0].code;
+
+    fs.rmSync(outDir, { recursive: true, force: true });
+    fs.mkdirSync(outDir, { recursive: true });
+
+    const assets = new Set([
+        'content.json',
+        'content.schema.json',
+        'github.json',
+        'sw.js',
+        content.profile && content.profile.resume_url,
+        ...((content.posts && content.posts.files) || [])
+    ]);
+    const pages = [];
+    let posts = null;
+    let failed = false;
+
+    for (const { code, file } of locales) {
+        const page = await renderPage(template, code);
+        const name = code === defaultLocale ? 'index.html' : `index.${code}.html`;
+
+        if (page.errors.length) {
+            failed = true;
+            console.error(`${name}: content.json has ${page.errors.length} problem(s):\n` + page.errors.map(err => `  ${err.path || '(root)'}: ${err.message}`).join('\n'));
+            continue;
+        }
+
+        pages.push({ ...page, name });
+        if (code === defaultLocale) posts = page.posts;
+        page.scripts.forEach(src => assets.add(src));
+        page.links.forEach(href => assets.add(href));
+        page.links.filter(href => /\.webmanifest$/.test(href)).forEach(href => getManifestIcons(href).forEach(src => assets.add(src)));
+        if (file) assets.add(file);
+    }
+
+    // One compiled stylesheet replaces the Tailwind, font and icon CDNs
+    writeSiteAssets(pages, template, outDir).forEach((html, i) => {
+        fs.writeFileSync(path.join(outDir, pages[i].name), html);
+        console.log(`Rendered ${pages[i].name}`);
+    });
+
+    assets.forEach(url => {
+        const file = resolveLocal(url);
+        if (file && fs.existsSync(file)) copyAsset(file, outDir);
+    });
+
+    // Fresh resume downloads from the same content (replacing the copied PDF)
+    writeResumes(outDir).forEach(file => console.log(`Wrote ${file}`));
+
+    // Search engines need absolute addresses, so the sitemap depends on `site.url`
+    const siteUrl = content.site && content.site.url;
+    const sitemapUrl = siteUrl && pages.length && pages.every(page => page.url)
+        ? new URL('sitemap.xml', siteUrl.replace(/\/?$/, '/')).href
+        : null;
+    if (sitemapUrl) fs.writeFileSync(path.join(outDir, 'sitemap.xml'), buildSitemap(pages));
+    else console.warn('site.url is not set in content.json: skipping sitemap.xml');
+    fs.writeFileSync(path.join(outDir, 'robots.txt'), buildRobots(sitemapUrl));
+
+    // Feed readers need absolute links too; the posts are those of the default locale's page
+    if (content.posts && siteUrl && posts) {
+        fs.writeFileSync(path.join(outDir, 'feed.xml'), buildFeed(posts, content, siteUrl));
+        console.log(`Wrote feed.xml (${posts.length} post${posts.length === 1 ? '' : 's'})`);
+    } else if (content.posts) {
+        console.warn('site.url is not set in content.json: skipping feed.xml');
+    }
+
+    if (failed) throw new Error('Build failed: fix the content problems above.');
+    reportSizes(outDir);
+    console.log(`Built into ${path.relative(process.cwd(), outDir) || '.'}`);
+}
+
+if (require.main === module) {
+    build(parseArgs(process.argv.slice(2))).catch(error => {
+        console.error(error.message);
+        process.exitCode = 1;
+    });
+}
+
+module.exports = { renderPage };
@@ -0,0 +1,129 @@
+#!/usr/bin/env node
+/**
+ * GitHub Sync
+ *
+ * Fetches the metadata of every repository the projects reference (`repo` in
+ * content.json) and caches it in github.json. The page, the build and the
+ * resume only read that file, so they work offline; run this again (or build
+ * with `--sync`) to refresh it.
+ *
+ * Usage: node scripts/github.js [--token <token>]
+ *
+ * The token (default: the GITHUB_TOKEN environment variable) is optional and
+ * raises the API rate limit. A repository that can't be fetched keeps its
+ * previous entry; the command fails only if one has no entry at all.
+ */
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const { ROOT, loadPageScripts, readProjectJson } = require('./lib/sandbox');
+
+/**
+ * Page scripts listing the referenced repositories.
+ */
+const GITHUB_SCRIPTS = ['js/utils.js', 'js/github.js'];
+
+const CACHE_FILE = 'github.json';
+const API_URL = 'https://api.github.com/repos/';
+
+/**
+ * Reads `--name value` options from the command line.
+ * @param {string[]} argv - Arguments after the script name.
+ * @returns {Object} Options with defaults applied.
+ */
+function parseArgs(argv) {
+    const options = { token: process.env.GITHUB_TOKEN };
+    for (let i = 0; i < argv.length; i++) {
+        const match = /^--([\w-]+)(?:=(.*))?$/.exec(argv[i]);
+        if (!match) throw new Error(`Unexpected argument: ${argv[i]}`);
+        if (match[2] !== undefined) options[match[1]] = match[2];
+        else if (i + 1 < argv.length && !argv[i + 1].startsWith('--')) options[match[1]] = argv[++i];
+        else throw new Error(`Missing value for --${match[1]}`);
+    }
+    return options;
+}
+
+/**
+ * Reads the cache, if it exists.
+ * @returns {Object|null} Parsed github.json.
+ */
+function readRepoCache() {
+    return fs.existsSync(path.join(ROOT, CACHE_FILE)) ? readProjectJson(CACHE_FILE) : null;
+}
+
+/**
+ * Fetches one repository and keeps the fields the site uses.
+ * @param {string} fullName - `owner/name`.
+ * @param {string} [token] - GitHub token.
+ * @returns {Promise<Object>} Cache entry.
+ */
+async function fetchRepo(fullName, token) {
+    const headers = { 'Accept': 'application/vnd.github+json', 'User-Agent': 'portfolio-github-sync' };
+    if (token) headers.Authorization = `Bearer ${token}`;
+
+    const response = await fetch(API_URL + fullName, { headers });
+    if (!response.ok) throw new Error(`HTTP ${response.status}`);
+    const repo = await response.json();
+
+    return {
+        name: repo.name,
+        description: repo.description || '',
+        topics: repo.topics || [],
+        homepage: repo.homepage || '',
+        url: repo.html_url,
+        stars: repo.stargazers_count,
+        updated: (repo.pushed_at || repo.updated_at || '').slice(0, 10),
+        language: repo.language || ''
+    };
+}
+
+/**
+ * Refreshes github.json for the repositories content.json references.
+ * @param {Object} [options] - `{ token }`.
+ * @returns {Promise<string[]>} Repositories that were fetched.
+ */
+async function syncRepos(options = {}) {
+    const context = loadPageScripts(GITHUB_SCRIPTS);
+    const names = context.getReferencedRepos(readProjectJson('content.json')).sort();
+    if (!names.length) return [];
+    const previous = (readRepoCache() || {}).repos || {};
+
+    const repos = {};
+    const fetched = [];
+    const missing = [];
+    for (const name of names) {
+        try {
+            repos[name] = await fetchRepo(name, options.token);
+            fetched.push(name);
+        } catch (error) {
+            if (previous[name]) {
+                console.warn(`${name}: ${error.message}, keeping the cached data`);
+                repos[name] = previous[name];
+            } else {
+                console.error(`${name}: ${error.message}`);
+                missing.push(name);
+            }
+        }
+    }
+
+    // Repositories no longer referenced are dropped
+    const cache = { synced_at: new Date().toISOString(), repos };
+    fs.writeFileSync(path.join(ROOT, CACHE_FILE), JSON.stringify(cache, null, 4) + '\n');
+
+    if (missing.length) throw new Error(`Could not fetch ${missing.join(', ')} (check the name, your connection or the rate limit)`);
+    return fetched;
+}
+
+if (require.main === module) {
+    Promise.resolve()
+        .then(() => syncRepos(parseArgs(process.argv.slice(2))))
+        .then(fetched => console.log(`Synced ${fetched.length} repositor${fetched.length === 1 ? 'y' : 'ies'} into ${CACHE_FILE}`))
+        .catch(error => {
+            console.error(error.message);
+            process.exitCode = 1;
+        });
+}
+
+module.exports = { syncRepos, readRepoCache };
@@ -0,0 +1,150 @@
+#!/usr/bin/env node
+/**
+ * JSON Resume Import/Export
+ *
+ * Converts content.json to and from the JSON Resume format, using the same
+ * converter as the page (js/jsonresume.js). A round trip loses nothing:
+ * fields without a counterpart travel in an extension block.
+ *
+ * Usage:
+ *   node scripts/jsonresume.js export [--lang fr] [--out resume.json]
+ *   node scripts/jsonresume.js import resume.json [--out content.json]
+ *   node scripts/jsonresume.js check
+ *
+ * Export prints to stdout unless `--out` is given. Import replaces the
+ * personal data in content.json (or `--out`) and keeps everything a resume
+ * has no place for (headings, terminal, form...); the result must pass the
+ * content schema before it is written. Check exports content.json and imports
+ * it back in memory, and fails unless the result is valid and unchanged.
+ */
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const { ROOT, loadPageScripts, readProjectJson } = require('./lib/sandbox');
+
+/**
+ * Page scripts providing the converter and content handling.
+ */
+const JSON_RESUME_SCRIPTS = ['js/utils.js', 'js/sanitize.js', 'js/schema.js', 'js/i18n.js', 'js/dates.js', 'js/jsonresume.js'];
+
+/**
+ * Reads the command, its file argument and `--name value` options.
+ * @param {string[]} argv - Arguments after the script name.
+ * @returns {Object} `{ command, file, ...options }`.
+ */
+function parseArgs(argv) {
+    const options = { command: argv[0] };
+    for (let i = 1; i < argv.length; i++) {
+        const match = /^--([\w-]+)(?:=(.*))?$/.exec(argv[i]);
+        if (!match) {
+            if (options.file) throw new Error(`Unexpected argument: ${argv[i]}`);
+            options.file = argv[i];
+        } else if (match[2] !== undefined) {
+            options[match[1]] = match[2];
+        } else if (i + 1 < argv.length && !argv[i + 1].startsWith('--')) {
+            options[match[1]] = argv[++i];
+        } else {
+            throw new Error(`Missing value for --${match[1]}`);
+        }
+    }
+    return options;
+}
+
+/**
+ * Writes the content as JSON Resume.
+ * @param {Object} context - Page scripts.
+ * @param {Object} options - `{ lang, out }`.
+ */
+function exportResume(context, options) {
+    const base = readProjectJson('content.json');
+    const code = options.lang || context.getDefaultLocale(base.i18n);
+    const locale = context.getLocales(base.i18n).find(l => l.code === code);
+    if (!locale) throw new Error(`Unknown locale "${code}"`);
+
+    const content = locale.file ? context.mergeContent(base, readProjectJson(locale.file)) : base;
+    const json = JSON.stringify(context.contentToJsonResume(content), null, 2) + '\n';
+
+    if (!options.out) {
+        process.stdout.write(json);
+        return;
+    }
+    fs.writeFileSync(path.resolve(ROOT, options.out), json);
+    console.error(`Wrote ${options.out}`);
+}
+
+/**
+ * Merges a JSON Resume into the content file.
+ * @param {Object} context - Page scripts.
+ * @param {Object} options - `{ file, out }`.
+ */
+function importResume(context, options) {
+    if (!options.file) throw new Error('Missing the resume to import: node scripts/jsonresume.js import resume.json');
+
+    const resume = JSON.parse(fs.readFileSync(path.resolve(options.file), 'utf8'));
+    const target = path.resolve(ROOT, options.out || 'content.json');
+    const base = fs.existsSync(target) ? JSON.parse(fs.readFileSync(target, 'utf8')) : {};
+    const content = context.jsonResumeToContent(resume, base);
+
+    const errors = context.validateContent(content, readProjectJson('content.schema.json'));
+    if (errors.length) {
+        throw new Error(`The imported content has ${errors.length} problem(s), nothing was written:\n` + errors.map(err => `  ${err.path || '(root)'}: ${err.message}`).join('\n'));
+    }
+
+    // Same layout as the hand-edited file: 4 spaces, no trailing newline
+    fs.writeFileSync(target, JSON.stringify(content, null, 4));
+    console.log(`Updated ${path.relative(process.cwd(), target)} (translations in other locale files are unchanged)`);
+}
+
+/**
+ * Lists the paths where two values differ.
+ * @param {*} a - Original value.
+ * @param {*} b - Rebuilt value.
+ * @param {string} [at=''] - Path of the values.
+ * @returns {string[]} Differing paths (key order counts, as in the written file).
+ */
+function listDifferences(a, b, at = '') {
+    if (JSON.stringify(a) === JSON.stringify(b)) return [];
+    if (a && b && typeof a === 'object' && typeof b === 'object') {
+        const keys = [...new Set([...Object.keys(a), ...Object.keys(b)])];
+        const found = keys.flatMap(key => listDifferences(a[key], b[key], Array.isArray(a) ? `${at}[${key}]` : (at ? `${at}.${key}` : key)));
+        return found.length ? found : [`${at || '(root)'} (key order)`];
+    }
+    return [at || '(root)'];
+}
+
+/**
+ * Exports content.json and imports the resume back into it, checking that
+ * nothing is lost or changed on the way.
+ * @param {Object} context - Page scripts.
+ */
+function checkRoundTrip(context) {
+    const base = readProjectJson('content.json');
+    const rebuilt = context.jsonResumeToContent(context.contentToJsonResume(base), base);
+
+    const errors = context.validateContent(rebuilt, readProjectJson('content.schema.json'));
+    if (errors.length) {
+        throw new Error(`The re-imported content has ${errors.length} problem(s):\n` + errors.map(err => `  ${err.path || '(root)'}: ${err.message}`).join('\n'));
+    }
+    const changed = listDifferences(base, rebuilt);
+    if (changed.length) {
+        throw new Error(`The round trip changes ${changed.length} field(s):\n` + changed.map(at => `  ${at}`).join('\n'));
+    }
+    console.log('content.json survives the JSON Resume round trip unchanged');
+}
+
+const COMMANDS = {
+    export: exportResume,
+    import: importResume,
+    check: checkRoundTrip
+};
+
+try {
+    const options = parseArgs(process.argv.slice(2));
+    if (!COMMANDS[options.command]) throw new Error('Usage: node scripts/jsonresume.js export [--lang fr] [--out resume.json] | import resume.json [--out content.json] | check');
+    COMMANDS[options.command](loadPageScripts(JSON_RESUME_SCRIPTS), options);
+} catch (error) {
+    console.error(error.message);
+    process.exitCode = 1;
+}
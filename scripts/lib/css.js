@@ -0,0 +1,1241 @@
+/**
+ * Utility CSS Compiler
+ *
+ * Turns the Tailwind classes the page uses into a plain stylesheet at build
+ * time, so visitors don't download and run the Tailwind CDN compiler. It
+ * knows Tailwind's default theme (extended by the page's `tailwind.config`),
+ * the utilities and variants this site uses, arbitrary values (`text-[10px]`)
+ * and the `@apply` rules of the page's `text/tailwindcss` style block. Class
+ * names it doesn't recognise produce no CSS. No dependencies, like the rest
+ * of scripts/.
+ */
+
+'use strict';
+
+/**
+ * Tailwind's colour palette, shades 50 to 950.
+ */
+const PALETTE = {
+    slate: ['#f8fafc', '#f1f5f9', '#e2e8f0', '#cbd5e1', '#94a3b8', '#64748b', '#475569', '#334155', '#1e293b', '#0f172a', '#020617'],
+    gray: ['#f9fafb', '#f3f4f6', '#e5e7eb', '#d1d5db', '#9ca3af', '#6b7280', '#4b5563', '#374151', '#1f2937', '#111827', '#030712'],
+    zinc: ['#fafafa', '#f4f4f5', '#e4e4e7', '#d4d4d8', '#a1a1aa', '#71717a', '#52525b', '#3f3f46', '#27272a', '#18181b', '#09090b'],
+    neutral: ['#fafafa', '#f5f5f5', '#e5e5e5', '#d4d4d4', '#a3a3a3', '#737373', '#525252', '#404040', '#262626', '#171717', '#0a0a0a'],
+    stone: ['#fafaf9', '#f5f5f4', '#e7e5e4', '#d6d3d1', '#a8a29e', '#78716c', '#57534e', '#44403c', '#292524', '#1c1917', '#0c0a09'],
+    red: ['#fef2f2', '#fee2e2', '#fecaca', '#fca5a5', '#f87171', '#ef4444', '#dc2626', '#b91c1c', '#991b1b', '#7f1d1d', '#450a0a'],
+    orange: ['#fff7ed', '#ffedd5', '#fed7aa', '#fdba74', '#fb923c', '#f97316', '#ea580c', '#c2410c', '#9a3412', '#7c2d12', '#431407'],
+    amber: ['#fffbeb', '#fef3c7', '#fde68a', '#fcd34d', '#fbbf24', '#f59e0b', '#d97706', '#b45309', '#92400e', '#78350f', '#451a03'],
+    yellow: ['#fefce8', '#fef9c3', '#fef08a', '#fde047', '#facc15', '#eab308', '#ca8a04', '#a16207', '#854d0e', '#713f12', '#422006'],
+    lime: ['#f7fee7', '#ecfccb', '#d9f99d', '#bef264', '#a3e635', '#84cc16', '#65a30d', '#4d7c0f', '#3f6212', '#365314', '#1a2e05'],
+    green: ['#f0fdf4', '#dcfce7', '#bbf7d0', '#86efac', '#4ade80', '#22c55e', '#16a34a', '#15803d', '#166534', '#14532d', '#052e16'],
+    emerald: ['#ecfdf5', '#d1fae5', '#a7f3d0', '#6ee7b7', '#34d399', '#10b981', '#059669', '#047857', '#065f46', '#064e3b', '#022c22'],
+    teal: ['#f0fdfa', '#ccfbf1', '#99f6e4', '#5eead4', '#2dd4bf', '#14b8a6', '#0d9488', '#0f766e', '#115e59', '#134e4a', '#042f2e'],
+    cyan: ['#ecfeff', '#cffafe', '#a5f3fc', '#67e8f9', '#22d3ee', '#06b6d4', '#0891b2', '#0e7490', '#155e75', '#164e63', '#083344'],
+    sky: ['#f0f9ff', '#e0f2fe', '#bae6fd', '#7dd3fc', '#38bdf8', '#0ea5e9', '#0284c7', '#0369a1', '#075985', '#0c4a6e', '#082f49'],
+    blue: ['#eff6ff', '#dbeafe', '#bfdbfe', '#93c5fd', '#60a5fa', '#3b82f6', '#2563eb', '#1d4ed8', '#1e40af', '#1e3a8a', '#172554'],
+    indigo: ['#eef2ff', '#e0e7ff', '#c7d2fe', '#a5b4fc', '#818cf8', '#6366f1', '#4f46e5', '#4338ca', '#3730a3', '#312e81', '#1e1b4b'],
+    violet: ['#f5f3ff', '#ede9fe', '#ddd6fe', '#c4b5fd', '#a78bfa', '#8b5cf6', '#7c3aed', '#6d28d9', '#5b21b6', '#4c1d95', '#2e1065'],
+    purple: ['#faf5ff', '#f3e8ff', '#e9d5ff', '#d8b4fe', '#c084fc', '#a855f7', '#9333ea', '#7e22ce', '#6b21a8', '#581c87', '#3b0764'],
+    fuchsia: ['#fdf4ff', '#fae8ff', '#f5d0fe', '#f0abfc', '#e879f9', '#d946ef', '#c026d3', '#a21caf', '#86198f', '#701a75', '#4a044e'],
+    pink: ['#fdf2f8', '#fce7f3', '#fbcfe8', '#f9a8d4', '#f472b6', '#ec4899', '#db2777', '#be185d', '#9d174d', '#831843', '#500724'],
+    rose: ['#fff1f2', '#ffe4e6', '#fecdd3', '#fda4af', '#fb7185', '#f43f5e', '#e11d48', '#be123c', '#9f1239', '#881337', '#4c0519']
+};
+
+/**
+ * Shade names, in palette order.
+ */
+const SHADES = ['50', '100', '200', '300', '400', '500', '600', '700', '800', '900', '950'];
+
+/**
+ * Tailwind's default theme (the parts this compiler uses).
+ */
+const DEFAULT_THEME = {
+    colors: {
+        inherit: 'inherit',
+        current: 'currentColor',
+        transparent: 'transparent',
+        black: '#000',
+        white: '#fff',
+        ...Object.fromEntries(Object.entries(PALETTE).map(([name, shades]) => [name, Object.fromEntries(SHADES.map((shade, i) => [shade, shades[i]]))]))
+    },
+    screens: { sm: '640px', md: '768px', lg: '1024px', xl: '1280px', '2xl': '1536px' },
+    fontFamily: {
+        sans: ['ui-sans-serif', 'system-ui', 'sans-serif', '"Apple Color Emoji"', '"Segoe UI Emoji"', '"Segoe UI Symbol"', '"Noto Color Emoji"'],
+        serif: ['ui-serif', 'Georgia', 'Cambria', '"Times New Roman"', 'Times', 'serif'],
+        mono: ['ui-monospace', 'SFMono-Regular', 'Menlo', 'Monaco', 'Consolas', '"Liberation Mono"', '"Courier New"', 'monospace']
+    },
+    fontSize: {
+        xs: ['0.75rem', '1rem'], sm: ['0.875rem', '1.25rem'], base: ['1rem', '1.5rem'], lg: ['1.125rem', '1.75rem'],
+        xl: ['1.25rem', '1.75rem'], '2xl': ['1.5rem', '2rem'], '3xl': ['1.875rem', '2.25rem'], '4xl': ['2.25rem', '2.5rem'],
+        '5xl': ['3rem', '1'], '6xl': ['3.75rem', '1'], '7xl': ['4.5rem', '1'], '8xl': ['6rem', '1'], '9xl': ['8rem', '1']
+    },
+    fontWeight: { thin: '100', extralight: '200', light: '300', normal: '400', medium: '500', semibold: '600', bold: '700', extrabold: '800', black: '900' },
+    lineHeight: {
+        none: '1', tight: '1.25', snug: '1.375', normal: '1.5', relaxed: '1.625', loose: '2',
+        3: '.75rem', 4: '1rem', 5: '1.25rem', 6: '1.5rem', 7: '1.75rem', 8: '2rem', 9: '2.25rem', 10: '2.5rem'
+    },
+    letterSpacing: { tighter: '-0.05em', tight: '-0.025em', normal: '0em', wide: '0.025em', wider: '0.05em', widest: '0.1em' },
+    borderRadius: { none: '0px', sm: '0.125rem', DEFAULT: '0.25rem', md: '0.375rem', lg: '0.5rem', xl: '0.75rem', '2xl': '1rem', '3xl': '1.5rem', full: '9999px' },
+    borderWidth: { DEFAULT: '1px', 0: '0px', 2: '2px', 4: '4px', 8: '8px' },
+    boxShadow: {
+        sm: '0 1px 2px 0 rgb(0 0 0 / 0.05)',
+        DEFAULT: '0 1px 3px 0 rgb(0 0 0 / 0.1), 0 1px 2px -1px rgb(0 0 0 / 0.1)',
+        md: '0 4px 6px -1px rgb(0 0 0 / 0.1), 0 2px 4px -2px rgb(0 0 0 / 0.1)',
+        lg: '0 10px 15px -3px rgb(0 0 0 / 0.1), 0 4px 6px -4px rgb(0 0 0 / 0.1)',
+        xl: '0 20px 25px -5px rgb(0 0 0 / 0.1), 0 8px 10px -6px rgb(0 0 0 / 0.1)',
+        '2xl': '0 25px 50px -12px rgb(0 0 0 / 0.25)',
+        inner: 'inset 0 2px 4px 0 rgb(0 0 0 / 0.05)',
+        none: 'none'
+    },
+    maxWidth: {
+        none: 'none', 0: '0rem', xs: '20rem', sm: '24rem', md: '28rem', lg: '32rem', xl: '36rem', '2xl': '42rem', '3xl': '48rem',
+        '4xl': '56rem', '5xl': '64rem', '6xl': '72rem', '7xl': '80rem', full: '100%', min: 'min-content', max: 'max-content',
+        fit: 'fit-content', prose: '65ch'
+    },
+    blur: { 0: '0', none: '', sm: '4px', DEFAULT: '8px', md: '12px', lg: '16px', xl: '24px', '2xl': '40px', '3xl': '64px' },
+    transitionProperty: {
+        none: 'none',
+        all: 'all',
+        DEFAULT: 'color, background-color, border-color, text-decoration-color, fill, stroke, opacity, box-shadow, transform, filter, backdrop-filter',
+        colors: 'color, background-color, border-color, text-decoration-color, fill, stroke',
+        opacity: 'opacity',
+        shadow: 'box-shadow',
+        transform: 'transform'
+    },
+    transitionTimingFunction: { DEFAULT: 'cubic-bezier(0.4, 0, 0.2, 1)', linear: 'linear', in: 'cubic-bezier(0.4, 0, 1, 1)', out: 'cubic-bezier(0, 0, 0.2, 1)', 'in-out': 'cubic-bezier(0.4, 0, 0.2, 1)' },
+    animation: {
+        none: 'none',
+        spin: 'spin 1s linear infinite',
+        ping: 'ping 1s cubic-bezier(0, 0, 0.2, 1) infinite',
+        pulse: 'pulse 2s cubic-bezier(0.4, 0, 0.6, 1) infinite',
+        bounce: 'bounce 1s infinite'
+    },
+    keyframes: {
+        spin: 'to{transform:rotate(360deg)}',
+        ping: '75%,100%{transform:scale(2);opacity:0}',
+        pulse: '50%{opacity:.5}',
+        bounce: '0%,100%{transform:translateY(-25%);animation-timing-function:cubic-bezier(0.8,0,1,1)}50%{transform:none;animation-timing-function:cubic-bezier(0,0,0.2,1)}'
+    }
+};
+
+/**
+ * Keys of the spacing scale (multiples of 0.25rem), plus `px`.
+ */
+const SPACING_KEYS = ['0', '0.5', '1', '1.5', '2', '2.5', '3', '3.5', '4', '5', '6', '7', '8', '9', '10', '11', '12', '14', '16', '20', '24', '28', '32', '36', '40', '44', '48', '52', '56', '60', '64', '72', '80', '96'];
+
+/**
+ * Tailwind's composed properties: each utility sets its part as a variable.
+ */
+const TRANSFORM = 'translate(var(--tw-translate-x), var(--tw-translate-y)) rotate(var(--tw-rotate)) skewX(var(--tw-skew-x)) skewY(var(--tw-skew-y)) scaleX(var(--tw-scale-x)) scaleY(var(--tw-scale-y))';
+const FILTER = 'var(--tw-blur) var(--tw-brightness) var(--tw-contrast) var(--tw-grayscale) var(--tw-hue-rotate) var(--tw-invert) var(--tw-saturate) var(--tw-sepia) var(--tw-drop-shadow)';
+const BACKDROP_FILTER = 'var(--tw-backdrop-blur) var(--tw-backdrop-brightness) var(--tw-backdrop-contrast) var(--tw-backdrop-grayscale) var(--tw-backdrop-hue-rotate) var(--tw-backdrop-invert) var(--tw-backdrop-opacity) var(--tw-backdrop-saturate) var(--tw-backdrop-sepia)';
+const BOX_SHADOW = 'var(--tw-ring-offset-shadow, 0 0 #0000), var(--tw-ring-shadow, 0 0 #0000), var(--tw-shadow)';
+const RING_SHADOWS = [
+    ['--tw-ring-offset-shadow', 'var(--tw-ring-inset) 0 0 0 var(--tw-ring-offset-width) var(--tw-ring-offset-color)'],
+    ['--tw-ring-shadow', 'var(--tw-ring-inset) 0 0 0 calc({width} + var(--tw-ring-offset-width)) var(--tw-ring-color)'],
+    ['box-shadow', 'var(--tw-ring-offset-shadow), var(--tw-ring-shadow), var(--tw-shadow, 0 0 #0000)']
+];
+
+/**
+ * Starting values of the variables above, set on every element.
+ */
+const VARIABLE_DEFAULTS = '*,::before,::after,::backdrop{--tw-translate-x:0;--tw-translate-y:0;--tw-rotate:0;--tw-skew-x:0;--tw-skew-y:0;--tw-scale-x:1;--tw-scale-y:1;'
+    + '--tw-ring-inset: ;--tw-ring-offset-width:0px;--tw-ring-offset-color:#fff;--tw-ring-color:rgb(59 130 246 / 0.5);--tw-ring-offset-shadow:0 0 #0000;--tw-ring-shadow:0 0 #0000;--tw-shadow:0 0 #0000;--tw-shadow-colored:0 0 #0000;'
+    + ['blur', 'brightness', 'contrast', 'grayscale', 'hue-rotate', 'invert', 'saturate', 'sepia', 'drop-shadow'].map(name => `--tw-${name}: ;`).join('')
+    + ['blur', 'brightness', 'contrast', 'grayscale', 'hue-rotate', 'invert', 'opacity', 'saturate', 'sepia'].map(name => `--tw-backdrop-${name}: ;`).join('')
+    + '}';
+
+/**
+ * Tailwind's Preflight (base styles), compacted. `{sans}` and `{mono}` are
+ * the theme's font stacks.
+ */
+const PREFLIGHT = `*,::before,::after{box-sizing:border-box;border-width:0;border-style:solid;border-color:#e5e7eb}
+::before,::after{--tw-content:''}
+html,:host{line-height:1.5;-webkit-text-size-adjust:100%;-moz-tab-size:4;tab-size:4;font-family:{sans};font-feature-settings:normal;font-variation-settings:normal;-webkit-tap-highlight-color:transparent}
+body{margin:0;line-height:inherit}
+hr{height:0;color:inherit;border-top-width:1px}
+abbr:where([title]){text-decoration:underline dotted}
+h1,h2,h3,h4,h5,h6{font-size:inherit;font-weight:inherit}
+a{color:inherit;text-decoration:inherit}
+b,strong{font-weight:bolder}
+code,kbd,samp,pre{font-family:{mono};font-feature-settings:normal;font-variation-settings:normal;font-size:1em}
+small{font-size:80%}
+sub,sup{font-size:75%;line-height:0;position:relative;vertical-align:baseline}
+sub{bottom:-0.25em}
+sup{top:-0.5em}
+table{text-indent:0;border-color:inherit;border-collapse:collapse}
+button,input,optgroup,select,textarea{font-family:inherit;font-feature-settings:inherit;font-variation-settings:inherit;font-size:100%;font-weight:inherit;line-height:inherit;letter-spacing:inherit;color:inherit;margin:0;padding:0}
+button,select{text-transform:none}
+button,input:where([type='button']),input:where([type='reset']),input:where([type='submit']){-webkit-appearance:button;background-color:transparent;background-image:none}
+:-moz-focusring{outline:auto}
+:-moz-ui-invalid{box-shadow:none}
+progress{vertical-align:baseline}
+::-webkit-inner-spin-button,::-webkit-outer-spin-button{height:auto}
+[type='search']{-webkit-appearance:textfield;outline-offset:-2px}
+::-webkit-search-decoration{-webkit-appearance:none}
+::-webkit-file-upload-button{-webkit-appearance:button;font:inherit}
+summary{display:list-item}
+blockquote,dl,dd,h1,h2,h3,h4,h5,h6,hr,figure,p,pre{margin:0}
+fieldset{margin:0;padding:0}
+legend{padding:0}
+ol,ul,menu{list-style:none;margin:0;padding:0}
+dialog{padding:0}
+textarea{resize:vertical}
+input::placeholder,textarea::placeholder{opacity:1;color:#9ca3af}
+button,[role="button"]{cursor:pointer}
+:disabled{cursor:default}
+img,svg,video,canvas,audio,iframe,embed,object{display:block;vertical-align:middle}
+img,video{max-width:100%;height:auto}
+[hidden]:where(:not([hidden="until-found"])){display:none}`;
+
+/**
+ * Base styles of the forms plugin (`?plugins=forms` on the CDN script).
+ */
+const FORM_INPUTS = "[type='text'],input:where(:not([type])),[type='email'],[type='url'],[type='password'],[type='number'],[type='date'],[type='datetime-local'],[type='month'],[type='search'],[type='tel'],[type='time'],[type='week'],[multiple],textarea,select";
+const FORMS_BASE = `${FORM_INPUTS}{appearance:none;background-color:#fff;border-color:#6b7280;border-width:1px;border-radius:0px;padding:0.5rem 0.75rem;font-size:1rem;line-height:1.5rem;--tw-shadow:0 0 #0000}
+${FORM_INPUTS.split(',').map(s => `${s}:focus`).join(',')}{outline:2px solid transparent;outline-offset:2px;--tw-ring-inset:var(--tw-empty,/*!*/ /*!*/);--tw-ring-offset-width:0px;--tw-ring-offset-color:#fff;--tw-ring-color:#2563eb;--tw-ring-offset-shadow:var(--tw-ring-inset) 0 0 0 var(--tw-ring-offset-width) var(--tw-ring-offset-color);--tw-ring-shadow:var(--tw-ring-inset) 0 0 0 calc(1px + var(--tw-ring-offset-width)) var(--tw-ring-color);box-shadow:var(--tw-ring-offset-shadow),var(--tw-ring-shadow),var(--tw-shadow);border-color:#2563eb}
+input::placeholder,textarea::placeholder{color:#6b7280;opacity:1}
+::-webkit-datetime-edit-fields-wrapper{padding:0}
+select{background-image:url("data:image/svg+xml,%3csvg xmlns='http://www.w3.org/2000/svg' fill='none' viewBox='0 0 20 20'%3e%3cpath stroke='%236b7280' stroke-linecap='round' stroke-linejoin='round' stroke-width='1.5' d='M6 8l4 4 4-4'/%3e%3c/svg%3e");background-position:right 0.5rem center;background-repeat:no-repeat;background-size:1.5em 1.5em;padding-right:2.5rem;print-color-adjust:exact}
+[multiple],[size]:where(select:not([size="1"])){background-image:initial;background-position:initial;background-repeat:unset;background-size:initial;padding-right:0.75rem;print-color-adjust:unset}
+[type='checkbox'],[type='radio']{appearance:none;padding:0;print-color-adjust:exact;display:inline-block;vertical-align:middle;background-origin:border-box;user-select:none;flex-shrink:0;height:1rem;width:1rem;color:#2563eb;background-color:#fff;border-color:#6b7280;border-width:1px;--tw-shadow:0 0 #0000}
+[type='checkbox']{border-radius:0px}
+[type='radio']{border-radius:100%}
+[type='checkbox']:focus,[type='radio']:focus{outline:2px solid transparent;outline-offset:2px;--tw-ring-inset:var(--tw-empty,/*!*/ /*!*/);--tw-ring-offset-width:2px;--tw-ring-offset-color:#fff;--tw-ring-color:#2563eb;--tw-ring-offset-shadow:var(--tw-ring-inset) 0 0 0 var(--tw-ring-offset-width) var(--tw-ring-offset-color);--tw-ring-shadow:var(--tw-ring-inset) 0 0 0 calc(2px + var(--tw-ring-offset-width)) var(--tw-ring-color);box-shadow:var(--tw-ring-offset-shadow),var(--tw-ring-shadow),var(--tw-shadow)}
+[type='checkbox']:checked,[type='radio']:checked{border-color:transparent;background-color:currentColor;background-size:100% 100%;background-position:center;background-repeat:no-repeat}
+[type='checkbox']:checked{background-image:url("data:image/svg+xml,%3csvg viewBox='0 0 16 16' fill='white' xmlns='http://www.w3.org/2000/svg'%3e%3cpath d='M12.207 4.793a1 1 0 010 1.414l-5 5a1 1 0 01-1.414 0l-2-2a1 1 0 011.414-1.414L6.5 9.086l4.293-4.293a1 1 0 011.414 0z'/%3e%3c/svg%3e")}
+[type='radio']:checked{background-image:url("data:image/svg+xml,%3csvg viewBox='0 0 16 16' fill='white' xmlns='http://www.w3.org/2000/svg'%3e%3ccircle cx='8' cy='8' r='3'/%3e%3c/svg%3e")}`;
+
+/**
+ * Variants, in Tailwind's order (later ones win). Each adds a pseudo-class,
+ * pseudo-element, ancestor selector or media query.
+ */
+const PSEUDO_CLASSES = {
+    first: ':first-child', last: ':last-child', only: ':only-child', odd: ':nth-child(odd)', even: ':nth-child(even)',
+    'first-of-type': ':first-of-type', 'last-of-type': ':last-of-type', visited: ':visited', target: ':target', open: '[open]',
+    checked: ':checked', 'placeholder-shown': ':placeholder-shown', required: ':required', valid: ':valid', invalid: ':invalid',
+    'read-only': ':read-only', empty: ':empty', 'focus-within': ':focus-within', hover: ':hover', focus: ':focus',
+    'focus-visible': ':focus-visible', active: ':active', enabled: ':enabled', disabled: ':disabled'
+};
+const PSEUDO_ELEMENTS = {
+    'first-letter': '::first-letter', 'first-line': '::first-line', marker: '::marker', selection: '::selection',
+    file: '::file-selector-button', placeholder: '::placeholder', backdrop: '::backdrop', before: '::before', after: '::after'
+};
+const ARIA_STATES = ['busy', 'checked', 'disabled', 'expanded', 'hidden', 'pressed', 'readonly', 'required', 'selected'];
+
+/**
+ * Escapes a class name for use in a selector.
+ * @param {string} name - Class name.
+ * @returns {string} Escaped name.
+ */
+function escapeClassName(name) {
+    return name.replace(/[^a-zA-Z0-9_-]/g, c => `\\${c}`).replace(/^(-?)(\d)/, (m, dash, digit) => `${dash}\\3${digit} `);
+}
+
+/**
+ * Splits text at a separator, ignoring separators inside brackets,
+ * parentheses and quotes.
+ * @param {string} text - Text to split.
+ * @param {string} separator - Single character.
+ * @returns {string[]} Parts.
+ */
+function splitTopLevel(text, separator) {
+    const parts = [];
+    let depth = 0;
+    let quote = '';
+    let start = 0;
+    for (let i = 0; i < text.length; i++) {
+        const c = text[i];
+        if (quote) {
+            if (c === '\\') i++;
+            else if (c === quote) quote = '';
+        } else if (c === '"' || c === "'") {
+            quote = c;
+        } else if (c === '(' || c === '[') {
+            depth++;
+        } else if (c === ')' || c === ']') {
+            depth--;
+        } else if (c === separator && depth === 0) {
+            parts.push(text.slice(start, i));
+            start = i + 1;
+        }
+    }
+    parts.push(text.slice(start));
+    return parts;
+}
+
+/**
+ * Reads an arbitrary value (`[10px]`, `[0_0_15px_red]`), with underscores as spaces.
+ * @param {string} value - Utility value.
+ * @returns {string|null} CSS value, or null if it isn't arbitrary.
+ */
+function readArbitrary(value) {
+    const match = /^\[(.+)\]$/.exec(value || '');
+    if (!match) return null;
+    return match[1].replace(/\\_/g, '\u0000').replace(/_/g, ' ').replace(/\u0000/g, '_');
+}
+
+/**
+ * Whether an arbitrary value is a colour.
+ * @param {string} value - CSS value.
+ * @returns {boolean} True for hex colours, colour functions and colour keywords.
+ */
+function isColorValue(value) {
+    return /^(#[0-9a-f]{3,8}|(rgba?|hsla?|hwb|lab|lch|oklab|oklch|color-mix|color)\(.*\)|currentColor|transparent|var\(--.+\))$/i.test(value);
+}
+
+/**
+ * Whether an arbitrary value is a length, size or numeric expression.
+ * @param {string} value - CSS value.
+ * @returns {boolean} True for numbers with units and calc()-style functions.
+ */
+function isLengthValue(value) {
+    return /^-?(\d*\.)?\d+([a-z]+|%)?$/i.test(value) || /^(calc|min|max|clamp)\(.*\)$/.test(value);
+}
+
+/**
+ * Negates a CSS value.
+ * @param {string} value - CSS value.
+ * @returns {string} Negated value.
+ */
+function negate(value) {
+    if (/^0(px|rem|%)?$/.test(value)) return value;
+    if (/^[\d.]/.test(value)) return `-${value}`;
+    return `calc(${value} * -1)`;
+}
+
+/**
+ * Formats a number for CSS (no trailing zeros).
+ * @param {number} value - Number.
+ * @returns {string} Formatted number.
+ */
+function formatNumber(value) {
+    return String(parseFloat(value.toFixed(6)));
+}
+
+/**
+ * Adds an alpha channel to a colour.
+ * @param {string} color - CSS colour (hex, `rgb(... / <alpha-value>)`, ...).
+ * @param {string|null} alpha - Opacity (0-1), or null for opaque.
+ * @returns {string} CSS colour.
+ */
+function withAlpha(color, alpha) {
+    if (color.includes('<alpha-value>')) return color.replace('<alpha-value>', alpha === null ? '1' : alpha);
+    if (alpha === null) return color;
+
+    const hex = /^#([0-9a-f]{3}|[0-9a-f]{6})$/i.exec(color);
+    if (hex) {
+        const digits = hex[1].length === 3 ? hex[1].split('').map(c => c + c).join('') : hex[1];
+        return `rgb(${[0, 2, 4].map(i => parseInt(digits.slice(i, i + 2), 16)).join(' ')} / ${alpha})`;
+    }
+    const rgb = /^(rgba?|hsla?)\(([^/]+)\)$/.exec(color);
+    if (rgb) return `${rgb[1].replace(/a$/, '')}(${rgb[2].trim()} / ${alpha})`;
+    return color;
+}
+
+/**
+ * Flattens nested theme colours to `name-shade` keys (`DEFAULT` maps to the name).
+ * @param {Object} colors - Theme colours.
+ * @param {string} [prefix] - Key prefix.
+ * @returns {Object} Flat colour map.
+ */
+function flattenColors(colors, prefix = '') {
+    const flat = {};
+    Object.keys(colors).forEach(key => {
+        const name = key === 'DEFAULT' ? prefix.replace(/-$/, '') : `${prefix}${key}`;
+        if (typeof colors[key] === 'object') Object.assign(flat, flattenColors(colors[key], `${name}-`));
+        else flat[name] = colors[key];
+    });
+    return flat;
+}
+
+/**
+ * Builds the theme: Tailwind's defaults, replaced by `theme` keys and
+ * extended by `theme.extend` keys of the page's config.
+ * @param {Object} [config] - `tailwind.config` object.
+ * @returns {Object} Theme, with a flat `colorMap`.
+ */
+function createTheme(config = {}) {
+    const theme = { ...DEFAULT_THEME };
+    const { extend = {}, ...overrides } = config.theme || {};
+    Object.keys(overrides).forEach(key => {
+        theme[key] = overrides[key];
+    });
+    Object.keys(extend).forEach(key => {
+        theme[key] = { ...theme[key], ...extend[key] };
+    });
+    theme.colorMap = flattenColors(theme.colors);
+    return theme;
+}
+
+/**
+ * Resolves a colour utility value (`slate-500`, `white/80`, `primary/[0.35]`, `[#0d1117]`).
+ * @param {string} value - Utility value.
+ * @param {Object} theme - Theme.
+ * @returns {string|null} CSS colour.
+ */
+function resolveColor(value, theme) {
+    if (!value) return null;
+    const parts = splitTopLevel(value, '/');
+    if (parts.length > 2) return null;
+
+    const [name, opacity] = parts;
+    const arbitrary = readArbitrary(name);
+    const color = arbitrary !== null ? (isColorValue(arbitrary) ? arbitrary : null) : theme.colorMap[name];
+    if (!color) return null;
+
+    let alpha = null;
+    if (opacity !== undefined) {
+        const raw = readArbitrary(opacity);
+        if (raw !== null) alpha = raw;
+        else if (/^\d+(\.\d+)?$/.test(opacity)) alpha = formatNumber(Number(opacity) / 100);
+        else return null;
+    }
+    return withAlpha(color, alpha);
+}
+
+/**
+ * Resolves a spacing value (`4` → 1rem, `px`, `[28rem]`).
+ * @param {string} value - Utility value.
+ * @returns {string|null} CSS length.
+ */
+function resolveSpacing(value) {
+    if (value === 'px') return '1px';
+    if (value === '0') return '0px';
+    if (SPACING_KEYS.includes(value)) return `${formatNumber(Number(value) * 0.25)}rem`;
+    const arbitrary = readArbitrary(value);
+    return arbitrary !== null && (isLengthValue(arbitrary) || /^var\(/.test(arbitrary)) ? arbitrary : null;
+}
+
+/**
+ * Resolves a fraction (`1/2` → 50%).
+ * @param {string} value - Utility value.
+ * @returns {string|null} Percentage.
+ */
+function resolveFraction(value) {
+    const match = /^(\d+)\/(\d+)$/.exec(value || '');
+    if (!match || Number(match[2]) === 0) return null;
+    return `${formatNumber(Number(match[1]) / Number(match[2]) * 100)}%`;
+}
+
+/**
+ * Resolves a value from a theme scale, or an arbitrary value.
+ * @param {Object} scale - Theme scale.
+ * @param {string|null} value - Utility value (null for `DEFAULT`).
+ * @returns {string|null} CSS value.
+ */
+function fromScale(scale, value) {
+    const key = value === null ? 'DEFAULT' : value;
+    if (Object.prototype.hasOwnProperty.call(scale, key)) return [].concat(scale[key])[0];
+    return readArbitrary(value);
+}
+
+/**
+ * Builds a functional utility for spacing-like properties.
+ * @param {string[]} properties - CSS properties set.
+ * @param {Object} [extra] - Extra keywords (e.g. `{ auto: 'auto' }`).
+ * @param {boolean} [fractions] - Whether `1/2` style values are allowed.
+ * @returns {Function} Handler.
+ */
+function spacingUtility(properties, extra = {}, fractions = false) {
+    return (value, negative) => {
+        if (value === null) return null;
+        let css = Object.prototype.hasOwnProperty.call(extra, value) ? extra[value] : resolveSpacing(value);
+        if (css === null && fractions) css = resolveFraction(value);
+        if (css === null) return null;
+        if (negative) css = negate(css);
+        return properties.map(property => [property, css]);
+    };
+}
+
+/**
+ * Declarations of a colour utility.
+ * @param {string} property - CSS property.
+ * @returns {Function} Handler.
+ */
+function colorUtility(property) {
+    return (value, negative, theme) => {
+        const color = !negative && resolveColor(value, theme);
+        return color ? [[property, color]] : null;
+    };
+}
+
+/**
+ * Handler matching fixed keywords.
+ * @param {Object} values - Keyword → declarations.
+ * @returns {Function} Handler.
+ */
+function keywords(values) {
+    return (value, negative) => (!negative && Object.prototype.hasOwnProperty.call(values, value === null ? 'DEFAULT' : value) ? values[value === null ? 'DEFAULT' : value] : null);
+}
+
+/**
+ * Sets one variable of a composed property, then the property itself.
+ * @param {string} variable - Variable name.
+ * @param {string} property - Composed property.
+ * @param {string} composed - Its value.
+ * @param {Function} resolve - Maps the utility value to the variable's value.
+ * @returns {Function} Handler.
+ */
+function composedUtility(variable, property, composed, resolve) {
+    return (value, negative, theme) => {
+        let css = resolve(value, theme);
+        if (css === null || css === undefined) return null;
+        if (negative) css = negate(css);
+        return [[variable, css], [property, composed]];
+    };
+}
+
+/**
+ * Declarations for a font size, with its line height.
+ * @param {string} value - Utility value (`sm`, `[10px]`, `sm/6`).
+ * @param {Object} theme - Theme.
+ * @returns {Array|null} Declarations.
+ */
+function fontSizeDeclarations(value, theme) {
+    const [size, leading] = splitTopLevel(value || '', '/');
+    let declarations;
+    if (Object.prototype.hasOwnProperty.call(theme.fontSize, size)) {
+        const [fontSize, lineHeight] = [].concat(theme.fontSize[size]);
+        declarations = [['font-size', fontSize], ...(lineHeight ? [['line-height', lineHeight]] : [])];
+    } else {
+        const arbitrary = readArbitrary(size);
+        if (arbitrary === null || !isLengthValue(arbitrary)) return null;
+        declarations = [['font-size', arbitrary]];
+    }
+    if (leading !== undefined) {
+        const lineHeight = fromScale(theme.lineHeight, leading);
+        if (lineHeight === null) return null;
+        declarations = [declarations[0], ['line-height', lineHeight]];
+    }
+    return declarations;
+}
+
+/**
+ * Declarations for a shadow: its size, or its colour.
+ * @param {string|null} value - Utility value.
+ * @param {Object} theme - Theme.
+ * @returns {Array|null} Declarations.
+ */
+function shadowDeclarations(value, theme) {
+    const key = value === null ? 'DEFAULT' : value;
+    let shadow = Object.prototype.hasOwnProperty.call(theme.boxShadow, key) ? theme.boxShadow[key] : null;
+    if (shadow === null) {
+        const arbitrary = readArbitrary(value);
+        if (arbitrary !== null && !isColorValue(arbitrary)) shadow = arbitrary;
+    }
+    if (shadow !== null) {
+        if (shadow === 'none') return [['--tw-shadow', '0 0 #0000'], ['--tw-shadow-colored', '0 0 #0000'], ['box-shadow', BOX_SHADOW]];
+        const colored = splitTopLevel(shadow, ',').map(part => part.trim().replace(/(rgba?|hsla?)\([^)]*\)$|#[0-9a-f]{3,8}$/i, 'var(--tw-shadow-color)')).join(', ');
+        return [['--tw-shadow', shadow], ['--tw-shadow-colored', colored], ['box-shadow', BOX_SHADOW]];
+    }
+    const color = resolveColor(value, theme);
+    return color ? [['--tw-shadow-color', color], ['--tw-shadow', 'var(--tw-shadow-colored)']] : null;
+}
+
+/**
+ * Space and divide utilities style the gaps between children.
+ */
+const BETWEEN_CHILDREN = ' > :not([hidden]) ~ :not([hidden])';
+
+/**
+ * Utilities, in Tailwind's order (later ones win at equal specificity).
+ * Each entry is `[root, handler]`: the handler gets the value after
+ * `<root>-` (null for the bare root), whether the class was negated and the
+ * theme, and returns declarations or null when the value doesn't fit.
+ * Returning `{ declarations, nested }` styles a nested selector instead.
+ */
+const UTILITIES = [
+    ['sr-only', keywords({ DEFAULT: [['position', 'absolute'], ['width', '1px'], ['height', '1px'], ['padding', '0'], ['margin', '-1px'], ['overflow', 'hidden'], ['clip', 'rect(0, 0, 0, 0)'], ['white-space', 'nowrap'], ['border-width', '0']] })],
+    ['not-sr-only', keywords({ DEFAULT: [['position', 'static'], ['width', 'auto'], ['height', 'auto'], ['padding', '0'], ['margin', '0'], ['overflow', 'visible'], ['clip', 'auto'], ['white-space', 'normal']] })],
+    ['pointer-events', keywords({ none: [['pointer-events', 'none']], auto: [['pointer-events', 'auto']] })],
+    ...['visible', 'invisible', 'collapse'].map(name => [name, keywords({ DEFAULT: [['visibility', name === 'invisible' ? 'hidden' : name]] })]),
+    ...['static', 'fixed', 'absolute', 'relative', 'sticky'].map(name => [name, keywords({ DEFAULT: [['position', name]] })]),
+    ['inset', spacingUtility(['inset'], { auto: 'auto', full: '100%' }, true)],
+    ['inset-x', spacingUtility(['left', 'right'], { auto: 'auto', full: '100%' }, true)],
+    ['inset-y', spacingUtility(['top', 'bottom'], { auto: 'auto', full: '100%' }, true)],
+    ['start', spacingUtility(['inset-inline-start'], { auto: 'auto', full: '100%' }, true)],
+    ['end', spacingUtility(['inset-inline-end'], { auto: 'auto', full: '100%' }, true)],
+    ...['top', 'right', 'bottom', 'left'].map(side => [side, spacingUtility([side], { auto: 'auto', full: '100%' }, true)]),
+    ['isolate', keywords({ DEFAULT: [['isolation', 'isolate']] })],
+    ['z', (value, negative) => {
+        const css = value === 'auto' ? 'auto' : (/^\d+$/.test(value || '') ? value : readArbitrary(value));
+        return css === null ? null : [['z-index', negative ? negate(css) : css]];
+    }],
+    ['order', (value, negative) => {
+        const css = { first: '-9999', last: '9999', none: '0' }[value] || (/^\d+$/.test(value || '') ? value : readArbitrary(value));
+        return css === null || css === undefined ? null : [['order', negative ? negate(css) : css]];
+    }],
+    ['col', keywords({ auto: [['grid-column', 'auto']] })],
+    ['col-span', (value, negative) => {
+        if (negative) return null;
+        if (value === 'full') return [['grid-column', '1 / -1']];
+        return /^\d+$/.test(value || '') ? [['grid-column', `span ${value} / span ${value}`]] : null;
+    }],
+    ['col-start', (value) => (/^\d+$|^auto$/.test(value || '') ? [['grid-column-start', value]] : null)],
+    ['col-end', (value) => (/^\d+$|^auto$/.test(value || '') ? [['grid-column-end', value]] : null)],
+    ['row-span', (value) => {
+        if (value === 'full') return [['grid-row', '1 / -1']];
+        return /^\d+$/.test(value || '') ? [['grid-row', `span ${value} / span ${value}`]] : null;
+    }],
+    ['m', spacingUtility(['margin'], { auto: 'auto' })],
+    ['mx', spacingUtility(['margin-left', 'margin-right'], { auto: 'auto' })],
+    ['my', spacingUtility(['margin-top', 'margin-bottom'], { auto: 'auto' })],
+    ['ms', spacingUtility(['margin-inline-start'], { auto: 'auto' })],
+    ['me', spacingUtility(['margin-inline-end'], { auto: 'auto' })],
+    ['mt', spacingUtility(['margin-top'], { auto: 'auto' })],
+    ['mr', spacingUtility(['margin-right'], { auto: 'auto' })],
+    ['mb', spacingUtility(['margin-bottom'], { auto: 'auto' })],
+    ['ml', spacingUtility(['margin-left'], { auto: 'auto' })],
+    ['box', keywords({ border: [['box-sizing', 'border-box']], content: [['box-sizing', 'content-box']] })],
+    ['line-clamp', (value, negative) => {
+        if (negative) return null;
+        if (value === 'none') return [['overflow', 'visible'], ['display', 'block'], ['-webkit-box-orient', 'horizontal'], ['-webkit-line-clamp', 'none']];
+        const lines = /^\d+$/.test(value || '') ? value : readArbitrary(value);
+        return lines === null ? null : [['overflow', 'hidden'], ['display', '-webkit-box'], ['-webkit-box-orient', 'vertical'], ['-webkit-line-clamp', lines]];
+    }],
+    ...Object.entries({
+        block: 'block', 'inline-block': 'inline-block', inline: 'inline', flex: 'flex', 'inline-flex': 'inline-flex',
+        table: 'table', 'table-row': 'table-row', 'table-cell': 'table-cell', 'flow-root': 'flow-root', grid: 'grid',
+        'inline-grid': 'inline-grid', contents: 'contents', 'list-item': 'list-item', hidden: 'none'
+    }).map(([name, display]) => [name, keywords({ DEFAULT: [['display', display]] })]),
+    ['aspect', (value) => {
+        const css = { auto: 'auto', square: '1 / 1', video: '16 / 9' }[value] || readArbitrary(value);
+        return css ? [['aspect-ratio', css]] : null;
+    }],
+    ['size', spacingUtility(['width', 'height'], { auto: 'auto', full: '100%', min: 'min-content', max: 'max-content', fit: 'fit-content' }, true)],
+    ['h', spacingUtility(['height'], { auto: 'auto', full: '100%', screen: '100vh', svh: '100svh', lvh: '100lvh', dvh: '100dvh', min: 'min-content', max: 'max-content', fit: 'fit-content' }, true)],
+    ['max-h', spacingUtility(['max-height'], { none: 'none', full: '100%', screen: '100vh', svh: '100svh', dvh: '100dvh', min: 'min-content', max: 'max-content', fit: 'fit-content' })],
+    ['min-h', spacingUtility(['min-height'], { full: '100%', screen: '100vh', svh: '100svh', dvh: '100dvh', min: 'min-content', max: 'max-content', fit: 'fit-content' })],
+    ['w', spacingUtility(['width'], { auto: 'auto', full: '100%', screen: '100vw', svw: '100svw', dvw: '100dvw', min: 'min-content', max: 'max-content', fit: 'fit-content' }, true)],
+    ['min-w', spacingUtility(['min-width'], { full: '100%', min: 'min-content', max: 'max-content', fit: 'fit-content' })],
+    ['max-w', (value, negative, theme) => {
+        if (negative || value === null) return null;
+        let css = fromScale(theme.maxWidth, value);
+        if (css === null && /^screen-/.test(value)) css = theme.screens[value.slice(7)] || null;
+        return css === null ? null : [['max-width', css]];
+    }],
+    ['flex', keywords({ 1: [['flex', '1 1 0%']], auto: [['flex', '1 1 auto']], initial: [['flex', '0 1 auto']], none: [['flex', 'none']] })],
+    ['shrink', keywords({ DEFAULT: [['flex-shrink', '1']], 0: [['flex-shrink', '0']] })],
+    ['grow', keywords({ DEFAULT: [['flex-grow', '1']], 0: [['flex-grow', '0']] })],
+    ['basis', spacingUtility(['flex-basis'], { auto: 'auto', full: '100%' }, true)],
+    ['origin', (value) => {
+        const css = { center: 'center', top: 'top', 'top-right': 'top right', right: 'right', 'bottom-right': 'bottom right', bottom: 'bottom', 'bottom-left': 'bottom left', left: 'left', 'top-left': 'top left' }[value] || readArbitrary(value);
+        return css ? [['transform-origin', css]] : null;
+    }],
+    ['translate-x', composedUtility('--tw-translate-x', 'transform', TRANSFORM, value => resolveSpacing(value) || resolveFraction(value) || (value === 'full' ? '100%' : null))],
+    ['translate-y', composedUtility('--tw-translate-y', 'transform', TRANSFORM, value => resolveSpacing(value) || resolveFraction(value) || (value === 'full' ? '100%' : null))],
+    ['rotate', composedUtility('--tw-rotate', 'transform', TRANSFORM, value => (/^\d+$/.test(value || '') ? `${value}deg` : readArbitrary(value)))],
+    ['skew-x', composedUtility('--tw-skew-x', 'transform', TRANSFORM, value => (/^\d+$/.test(value || '') ? `${value}deg` : readArbitrary(value)))],
+    ['skew-y', composedUtility('--tw-skew-y', 'transform', TRANSFORM, value => (/^\d+$/.test(value || '') ? `${value}deg` : readArbitrary(value)))],
+    ['scale', (value, negative) => {
+        let css = /^\d+$/.test(value || '') ? formatNumber(Number(value) / 100) : readArbitrary(value);
+        if (css === null) return null;
+        if (negative) css = negate(css);
+        return [['--tw-scale-x', css], ['--tw-scale-y', css], ['transform', TRANSFORM]];
+    }],
+    ['scale-x', composedUtility('--tw-scale-x', 'transform', TRANSFORM, value => (/^\d+$/.test(value || '') ? formatNumber(Number(value) / 100) : readArbitrary(value)))],
+    ['scale-y', composedUtility('--tw-scale-y', 'transform', TRANSFORM, value => (/^\d+$/.test(value || '') ? formatNumber(Number(value) / 100) : readArbitrary(value)))],
+    ['transform', keywords({ DEFAULT: [['transform', TRANSFORM]], gpu: [['transform', TRANSFORM.replace('translate(', 'translate3d(').replace('var(--tw-translate-y))', 'var(--tw-translate-y), 0)')]], none: [['transform', 'none']] })],
+    ['animate', (value, negative, theme) => {
+        if (negative || value === null) return null;
+        if (Object.prototype.hasOwnProperty.call(theme.animation, value)) {
+            return { declarations: [['animation', theme.animation[value]]], keyframes: value === 'none' ? null : value };
+        }
+        const arbitrary = readArbitrary(value);
+        return arbitrary === null ? null : [['animation', arbitrary]];
+    }],
+    ['cursor', (value) => {
+        const names = ['auto', 'default', 'pointer', 'wait', 'text', 'move', 'help', 'not-allowed', 'none', 'context-menu', 'progress', 'cell', 'crosshair', 'vertical-text', 'alias', 'copy', 'no-drop', 'grab', 'grabbing', 'all-scroll', 'col-resize', 'row-resize', 'zoom-in', 'zoom-out'];
+        const css = names.includes(value) ? value : readArbitrary(value);
+        return css ? [['cursor', css]] : null;
+    }],
+    ['select', keywords({ none: [['user-select', 'none']], text: [['user-select', 'text']], all: [['user-select', 'all']], auto: [['user-select', 'auto']] })],
+    ['resize', keywords({ DEFAULT: [['resize', 'both']], none: [['resize', 'none']], x: [['resize', 'horizontal']], y: [['resize', 'vertical']] })],
+    ['scroll-mt', spacingUtility(['scroll-margin-top'])],
+    ['list', keywords({ inside: [['list-style-position', 'inside']], outside: [['list-style-position', 'outside']], none: [['list-style-type', 'none']], disc: [['list-style-type', 'disc']], decimal: [['list-style-type', 'decimal']] })],
+    ['appearance', keywords({ none: [['appearance', 'none']], auto: [['appearance', 'auto']] })],
+    ...['before', 'after', 'inside'].map(side => [`break-${side}`, keywords(Object.fromEntries(['auto', 'avoid', 'all', 'avoid-page', 'page', 'left', 'right', 'column'].map(v => [v, [[`break-${side}`, v]]])))]),
+    ['grid-cols', (value) => {
+        if (value === 'none' || value === 'subgrid') return [['grid-template-columns', value]];
+        const css = /^\d+$/.test(value || '') ? `repeat(${value}, minmax(0, 1fr))` : readArbitrary(value);
+        return css ? [['grid-template-columns', css]] : null;
+    }],
+    ['grid-rows', (value) => {
+        if (value === 'none' || value === 'subgrid') return [['grid-template-rows', value]];
+        const css = /^\d+$/.test(value || '') ? `repeat(${value}, minmax(0, 1fr))` : readArbitrary(value);
+        return css ? [['grid-template-rows', css]] : null;
+    }],
+    ['flex', keywords({ row: [['flex-direction', 'row']], 'row-reverse': [['flex-direction', 'row-reverse']], col: [['flex-direction', 'column']], 'col-reverse': [['flex-direction', 'column-reverse']] })],
+    ['flex', keywords({ wrap: [['flex-wrap', 'wrap']], 'wrap-reverse': [['flex-wrap', 'wrap-reverse']], nowrap: [['flex-wrap', 'nowrap']] })],
+    ['place-content', keywords(Object.fromEntries(['center', 'start', 'end', 'between', 'around', 'evenly', 'baseline', 'stretch'].map(v => [v, [['place-content', { between: 'space-between', around: 'space-around', evenly: 'space-evenly' }[v] || v]]])))],
+    ['place-items', keywords(Object.fromEntries(['start', 'end', 'center', 'baseline', 'stretch'].map(v => [v, [['place-items', v]]])))],
+    ['content', keywords(Object.fromEntries(['normal', 'center', 'start', 'end', 'between', 'around', 'evenly', 'baseline', 'stretch'].map(v => [v, [['align-content', { start: 'flex-start', end: 'flex-end', between: 'space-between', around: 'space-around', evenly: 'space-evenly' }[v] || v]]])))],
+    ['items', keywords(Object.fromEntries(['start', 'end', 'center', 'baseline', 'stretch'].map(v => [v, [['align-items', { start: 'flex-start', end: 'flex-end' }[v] || v]]])))],
+    ['justify', keywords(Object.fromEntries(['normal', 'start', 'end', 'center', 'between', 'around', 'evenly', 'stretch'].map(v => [v, [['justify-content', { start: 'flex-start', end: 'flex-end', between: 'space-between', around: 'space-around', evenly: 'space-evenly' }[v] || v]]])))],
+    ['justify-items', keywords(Object.fromEntries(['start', 'end', 'center', 'stretch'].map(v => [v, [['justify-items', v]]])))],
+    ['gap', spacingUtility(['gap'])],
+    ['gap-x', spacingUtility(['column-gap'])],
+    ['gap-y', spacingUtility(['row-gap'])],
+    ['space-x', (value, negative) => {
+        const css = resolveSpacing(value);
+        return css === null ? null : { declarations: [['margin-left', negative ? negate(css) : css]], nested: BETWEEN_CHILDREN };
+    }],
+    ['space-y', (value, negative) => {
+        const css = resolveSpacing(value);
+        return css === null ? null : { declarations: [['margin-top', negative ? negate(css) : css]], nested: BETWEEN_CHILDREN };
+    }],
+    ['divide-x', (value, negative, theme) => {
+        const css = negative ? null : fromScale(theme.borderWidth, value);
+        return css === null ? null : { declarations: [['border-left-width', css]], nested: BETWEEN_CHILDREN };
+    }],
+    ['divide-y', (value, negative, theme) => {
+        const css = negative ? null : fromScale(theme.borderWidth, value);
+        return css === null ? null : { declarations: [['border-top-width', css]], nested: BETWEEN_CHILDREN };
+    }],
+    ['divide', (value, negative, theme) => {
+        const color = !negative && resolveColor(value, theme);
+        return color ? { declarations: [['border-color', color]], nested: BETWEEN_CHILDREN } : null;
+    }],
+    ['self', keywords(Object.fromEntries(['auto', 'start', 'end', 'center', 'stretch', 'baseline'].map(v => [v, [['align-self', { start: 'flex-start', end: 'flex-end' }[v] || v]]])))],
+    ...['overflow', 'overflow-x', 'overflow-y'].map(name => [name, keywords(Object.fromEntries(['auto', 'hidden', 'clip', 'visible', 'scroll'].map(v => [v, [[name, v]]])))]),
+    ['scroll', keywords({ auto: [['scroll-behavior', 'auto']], smooth: [['scroll-behavior', 'smooth']] })],
+    ['truncate', keywords({ DEFAULT: [['overflow', 'hidden'], ['text-overflow', 'ellipsis'], ['white-space', 'nowrap']] })],
+    ['text', keywords({ ellipsis: [['text-overflow', 'ellipsis']], clip: [['text-overflow', 'clip']] })],
+    ['whitespace', keywords(Object.fromEntries(['normal', 'nowrap', 'pre', 'pre-line', 'pre-wrap', 'break-spaces'].map(v => [v, [['white-space', v]]])))],
+    ['text', keywords({ wrap: [['text-wrap', 'wrap']], nowrap: [['text-wrap', 'nowrap']], balance: [['text-wrap', 'balance']], pretty: [['text-wrap', 'pretty']] })],
+    ['break', keywords({ normal: [['overflow-wrap', 'normal'], ['word-break', 'normal']], words: [['overflow-wrap', 'break-word']], all: [['word-break', 'break-all']], keep: [['word-break', 'keep-all']] })],
+    ...[['', ['border-radius']], ['-t', ['border-top-left-radius', 'border-top-right-radius']], ['-r', ['border-top-right-radius', 'border-bottom-right-radius']],
+        ['-b', ['border-bottom-right-radius', 'border-bottom-left-radius']], ['-l', ['border-top-left-radius', 'border-bottom-left-radius']],
+        ['-tl', ['border-top-left-radius']], ['-tr', ['border-top-right-radius']], ['-br', ['border-bottom-right-radius']], ['-bl', ['border-bottom-left-radius']]]
+        .map(([side, properties]) => [`rounded${side}`, (value, negative, theme) => {
+            const css = negative ? null : fromScale(theme.borderRadius, value);
+            return css === null ? null : properties.map(property => [property, css]);
+        }]),
+    ...[['', ['border-width']], ['-x', ['border-left-width', 'border-right-width']], ['-y', ['border-top-width', 'border-bottom-width']],
+        ['-t', ['border-top-width']], ['-r', ['border-right-width']], ['-b', ['border-bottom-width']], ['-l', ['border-left-width']]]
+        .map(([side, properties]) => [`border${side}`, (value, negative, theme) => {
+            let css = negative ? null : fromScale(theme.borderWidth, value);
+            if (css !== null && !isLengthValue(css)) css = null;
+            return css === null ? null : properties.map(property => [property, css]);
+        }]),
+    ['border', keywords(Object.fromEntries(['solid', 'dashed', 'dotted', 'double', 'hidden', 'none'].map(v => [v, [['border-style', v]]])))],
+    ...[['', 'border-color'], ['-x', 'border-inline-color'], ['-y', 'border-block-color'], ['-t', 'border-top-color'], ['-r', 'border-right-color'], ['-b', 'border-bottom-color'], ['-l', 'border-left-color']]
+        .map(([side, property]) => [`border${side}`, colorUtility(property)]),
+    ['bg', colorUtility('background-color')],
+    ['bg', (value) => {
+        const direction = /^gradient-to-(t|tr|r|br|b|bl|l|tl)$/.exec(value || '');
+        if (direction) {
+            const to = { t: 'top', tr: 'top right', r: 'right', br: 'bottom right', b: 'bottom', bl: 'bottom left', l: 'left', tl: 'top left' }[direction[1]];
+            return [['background-image', `linear-gradient(to ${to}, var(--tw-gradient-stops))`]];
+        }
+        if (value === 'none') return [['background-image', 'none']];
+        const arbitrary = readArbitrary(value);
+        return arbitrary && /^(url|linear-gradient|radial-gradient|conic-gradient)\(/.test(arbitrary) ? [['background-image', arbitrary]] : null;
+    }],
+    ['from', (value, negative, theme) => {
+        const color = !negative && resolveColor(value, theme);
+        return color ? [['--tw-gradient-from', color], ['--tw-gradient-to', withAlpha(color.replace(/ \/ [^)]+\)$/, ')'), '0').replace(/^currentColor$/, 'transparent')], ['--tw-gradient-stops', 'var(--tw-gradient-from), var(--tw-gradient-to)']] : null;
+    }],
+    ['via', (value, negative, theme) => {
+        const color = !negative && resolveColor(value, theme);
+        return color ? [['--tw-gradient-to', 'transparent'], ['--tw-gradient-stops', `var(--tw-gradient-from), ${color}, var(--tw-gradient-to)`]] : null;
+    }],
+    ['to', colorUtility('--tw-gradient-to')],
+    ['bg', keywords({
+        auto: [['background-size', 'auto']], cover: [['background-size', 'cover']], contain: [['background-size', 'contain']],
+        fixed: [['background-attachment', 'fixed']], local: [['background-attachment', 'local']], scroll: [['background-attachment', 'scroll']],
+        'clip-border': [['background-clip', 'border-box']], 'clip-padding': [['background-clip', 'padding-box']], 'clip-content': [['background-clip', 'content-box']], 'clip-text': [['-webkit-background-clip', 'text'], ['background-clip', 'text']],
+        ...Object.fromEntries(['bottom', 'center', 'left', 'left-bottom', 'left-top', 'right', 'right-bottom', 'right-top', 'top'].map(v => [v, [['background-position', v.replace('-', ' ')]]])),
+        repeat: [['background-repeat', 'repeat']], 'no-repeat': [['background-repeat', 'no-repeat']], 'repeat-x': [['background-repeat', 'repeat-x']], 'repeat-y': [['background-repeat', 'repeat-y']]
+    })],
+    ['fill', (value, negative, theme) => (value === 'none' ? [['fill', 'none']] : colorUtility('fill')(value, negative, theme))],
+    ['stroke', (value, negative, theme) => (value === 'none' ? [['stroke', 'none']] : colorUtility('stroke')(value, negative, theme))],
+    ['stroke', (value) => (/^\d+$/.test(value || '') ? [['stroke-width', value]] : null)],
+    ['object', keywords({
+        contain: [['object-fit', 'contain']], cover: [['object-fit', 'cover']], fill: [['object-fit', 'fill']], none: [['object-fit', 'none']], 'scale-down': [['object-fit', 'scale-down']],
+        ...Object.fromEntries(['bottom', 'center', 'left', 'left-bottom', 'left-top', 'right', 'right-bottom', 'right-top', 'top'].map(v => [v, [['object-position', v.replace('-', ' ')]]]))
+    })],
+    ['p', spacingUtility(['padding'])],
+    ['px', spacingUtility(['padding-left', 'padding-right'])],
+    ['py', spacingUtility(['padding-top', 'padding-bottom'])],
+    ['ps', spacingUtility(['padding-inline-start'])],
+    ['pe', spacingUtility(['padding-inline-end'])],
+    ['pt', spacingUtility(['padding-top'])],
+    ['pr', spacingUtility(['padding-right'])],
+    ['pb', spacingUtility(['padding-bottom'])],
+    ['pl', spacingUtility(['padding-left'])],
+    ['text', keywords(Object.fromEntries(['left', 'center', 'right', 'justify', 'start', 'end'].map(v => [v, [['text-align', v]]])))],
+    ['align', keywords(Object.fromEntries(['baseline', 'top', 'middle', 'bottom', 'text-top', 'text-bottom', 'sub', 'super'].map(v => [v, [['vertical-align', v]]])))],
+    ['font', (value, negative, theme) => {
+        if (negative || !Object.prototype.hasOwnProperty.call(theme.fontFamily, value)) return null;
+        return [['font-family', [].concat(theme.fontFamily[value]).join(', ')]];
+    }],
+    ['text', (value, negative, theme) => (negative ? null : fontSizeDeclarations(value, theme))],
+    ['font', (value, negative, theme) => {
+        const css = negative ? null : (theme.fontWeight[value] || readArbitrary(value));
+        return css && /^\d+$/.test(css) ? [['font-weight', css]] : null;
+    }],
+    ...['uppercase', 'lowercase', 'capitalize'].map(name => [name, keywords({ DEFAULT: [['text-transform', name]] })]),
+    ['normal-case', keywords({ DEFAULT: [['text-transform', 'none']] })],
+    ['italic', keywords({ DEFAULT: [['font-style', 'italic']] })],
+    ['not-italic', keywords({ DEFAULT: [['font-style', 'normal']] })],
+    ['tabular-nums', keywords({ DEFAULT: [['font-variant-numeric', 'tabular-nums']] })],
+    ['leading', (value, negative, theme) => {
+        const css = negative ? null : fromScale(theme.lineHeight, value);
+        return css === null ? null : [['line-height', css]];
+    }],
+    ['tracking', (value, negative, theme) => {
+        let css = fromScale(theme.letterSpacing, value);
+        if (css === null) return null;
+        if (negative) css = negate(css);
+        return [['letter-spacing', css]];
+    }],
+    ['text', colorUtility('color')],
+    ['underline', keywords({ DEFAULT: [['text-decoration-line', 'underline']] })],
+    ['overline', keywords({ DEFAULT: [['text-decoration-line', 'overline']] })],
+    ['line-through', keywords({ DEFAULT: [['text-decoration-line', 'line-through']] })],
+    ['no-underline', keywords({ DEFAULT: [['text-decoration-line', 'none']] })],
+    ['decoration', colorUtility('text-decoration-color')],
+    ['decoration', keywords(Object.fromEntries(['solid', 'double', 'dotted', 'dashed', 'wavy'].map(v => [v, [['text-decoration-style', v]]])))],
+    ['decoration', (value) => {
+        const css = { auto: 'auto', 'from-font': 'from-font' }[value] || (/^\d+$/.test(value || '') ? `${value}px` : null);
+        return css ? [['text-decoration-thickness', css]] : null;
+    }],
+    ['underline-offset', (value) => {
+        const css = value === 'auto' ? 'auto' : (/^\d+$/.test(value || '') ? `${value}px` : readArbitrary(value));
+        return css ? [['text-underline-offset', css]] : null;
+    }],
+    ['antialiased', keywords({ DEFAULT: [['-webkit-font-smoothing', 'antialiased'], ['-moz-osx-font-smoothing', 'grayscale']] })],
+    ['placeholder', (value, negative, theme) => {
+        const color = !negative && resolveColor(value, theme);
+        return color ? { declarations: [['color', color]], nested: '::placeholder' } : null;
+    }],
+    ['caret', colorUtility('caret-color')],
+    ['accent', colorUtility('accent-color')],
+    ['opacity', (value, negative) => {
+        const css = /^\d+$/.test(value || '') ? formatNumber(Number(value) / 100) : readArbitrary(value);
+        return css === null || negative ? null : [['opacity', css]];
+    }],
+    ['shadow', (value, negative, theme) => (negative ? null : shadowDeclarations(value, theme))],
+    ['outline', keywords({ none: [['outline', '2px solid transparent'], ['outline-offset', '2px']], DEFAULT: [['outline-style', 'solid']], dashed: [['outline-style', 'dashed']], dotted: [['outline-style', 'dotted']], double: [['outline-style', 'double']] })],
+    ['outline', (value) => (/^\d+$/.test(value || '') ? [['outline-width', `${value}px`]] : null)],
+    ['outline-offset', (value, negative) => (/^\d+$/.test(value || '') ? [['outline-offset', negative ? `-${value}px` : `${value}px`]] : null)],
+    ['outline', colorUtility('outline-color')],
+    ['ring', (value, negative) => {
+        if (negative) return null;
+        const width = value === null ? '3px' : (/^\d+$/.test(value) ? `${value}px` : null);
+        return width ? RING_SHADOWS.map(([property, css]) => [property, css.replace('{width}', width)]) : null;
+    }],
+    ['ring', keywords({ inset: [['--tw-ring-inset', 'inset']] })],
+    ['ring', colorUtility('--tw-ring-color')],
+    ['ring-offset', (value) => (/^\d+$/.test(value || '') ? [['--tw-ring-offset-width', `${value}px`]] : null)],
+    ['ring-offset', colorUtility('--tw-ring-offset-color')],
+    ['blur', composedUtility('--tw-blur', 'filter', FILTER, (value, theme) => {
+        const css = fromScale(theme.blur, value);
+        return css === null ? null : (css ? `blur(${css})` : ' ');
+    })],
+    ...['brightness', 'contrast', 'saturate'].map(name => [name, composedUtility(`--tw-${name}`, 'filter', FILTER, value => (/^\d+$/.test(value || '') ? `${name}(${formatNumber(Number(value) / 100)})` : null))]),
+    ...['grayscale', 'invert', 'sepia'].map(name => [name, composedUtility(`--tw-${name}`, 'filter', FILTER, value => (value === null ? `${name}(100%)` : (value === '0' ? `${name}(0)` : null)))]),
+    ['filter', keywords({ DEFAULT: [['filter', FILTER]], none: [['filter', 'none']] })],
+    ['backdrop-blur', composedUtility('--tw-backdrop-blur', 'backdrop-filter', BACKDROP_FILTER, (value, theme) => {
+        const css = fromScale(theme.blur, value);
+        return css === null ? null : (css ? `blur(${css})` : ' ');
+    })],
+    ['backdrop-filter', keywords({ DEFAULT: [['backdrop-filter', BACKDROP_FILTER]], none: [['backdrop-filter', 'none']] })],
+    ['transition', (value, negative, theme) => {
+        const key = value === null ? 'DEFAULT' : value;
+        const property = Object.prototype.hasOwnProperty.call(theme.transitionProperty, key) ? theme.transitionProperty[key] : readArbitrary(value);
+        if (negative || property === null) return null;
+        if (property === 'none') return [['transition-property', 'none']];
+        return [['transition-property', property], ['transition-timing-function', theme.transitionTimingFunction.DEFAULT], ['transition-duration', '150ms']];
+    }],
+    ['delay', (value) => (/^\d+$/.test(value || '') ? [['transition-delay', `${value}ms`]] : (readArbitrary(value) ? [['transition-delay', readArbitrary(value)]] : null))],
+    ['duration', (value) => (/^\d+$/.test(value || '') ? [['transition-duration', `${value}ms`]] : (readArbitrary(value) ? [['transition-duration', readArbitrary(value)]] : null))],
+    ['ease', (value, negative, theme) => {
+        const css = value === null ? null : fromScale(theme.transitionTimingFunction, value);
+        return css === null || negative ? null : [['transition-timing-function', css]];
+    }],
+    ['will-change', keywords({ auto: [['will-change', 'auto']], scroll: [['will-change', 'scroll-position']], contents: [['will-change', 'contents']], transform: [['will-change', 'transform']] })],
+    ['content', (value) => {
+        if (value === 'none') return [['--tw-content', 'none'], ['content', 'var(--tw-content)']];
+        const arbitrary = readArbitrary(value);
+        return arbitrary === null ? null : [['--tw-content', arbitrary], ['content', 'var(--tw-content)']];
+    }]
+];
+
+/**
+ * Finds the utility for a class name (without variants).
+ * @param {string} utility - Class name, e.g. `-translate-x-1/2` or `!bg-white`.
+ * @param {Object} theme - Theme.
+ * @returns {Object|null} `{ declarations, nested, keyframes, order }`.
+ */
+function matchUtility(utility, theme) {
+    let body = utility;
+    const important = body.startsWith('!');
+    if (important) body = body.slice(1);
+    const negative = body.startsWith('-');
+    if (negative) body = body.slice(1);
+
+    for (let order = 0; order < UTILITIES.length; order++) {
+        const [root, handler] = UTILITIES[order];
+        let value;
+        if (body === root) value = null;
+        else if (body.startsWith(`${root}-`)) value = body.slice(root.length + 1);
+        else continue;
+
+        const result = handler(value, negative, theme);
+        if (!result) continue;
+
+        const { declarations, nested = '', keyframes = null } = Array.isArray(result) ? { declarations: result } : result;
+        return {
+            declarations: important ? declarations.map(([property, css]) => [property, `${css} !important`]) : declarations,
+            nested,
+            keyframes,
+            order
+        };
+    }
+    return null;
+}
+
+/**
+ * Reads a variant: where it puts the selector and its sort order.
+ * @param {string} name - Variant, e.g. `hover`, `md`, `group-hover`, `min-[1440px]`.
+ * @param {Object} theme - Theme.
+ * @param {Object} config - `tailwind.config` (for `darkMode`).
+ * @returns {Object|null} `{ order, pseudo?, element?, ancestor?, media? }`.
+ */
+function readVariant(name, theme, config) {
+    const pseudoNames = Object.keys(PSEUDO_CLASSES);
+    const screens = Object.keys(theme.screens);
+
+    if (PSEUDO_ELEMENTS[name]) return { order: Object.keys(PSEUDO_ELEMENTS).indexOf(name), element: PSEUDO_ELEMENTS[name] };
+    if (PSEUDO_CLASSES[name]) return { order: 100 + pseudoNames.indexOf(name), pseudo: PSEUDO_CLASSES[name] };
+
+    const group = /^(group|peer)-(.+)$/.exec(name);
+    if (group && PSEUDO_CLASSES[group[2]]) {
+        const ancestor = group[1] === 'group' ? `.group${PSEUDO_CLASSES[group[2]]} ` : `.peer${PSEUDO_CLASSES[group[2]]} ~ `;
+        return { order: (group[1] === 'group' ? 200 : 300) + pseudoNames.indexOf(group[2]), ancestor };
+    }
+
+    const aria = /^aria-(.+)$/.exec(name);
+    if (aria) {
+        const arbitrary = readArbitrary(aria[1]);
+        if (arbitrary !== null) return { order: 400, pseudo: `[aria-${arbitrary}]` };
+        if (ARIA_STATES.includes(aria[1])) return { order: 400 + ARIA_STATES.indexOf(aria[1]), pseudo: `[aria-${aria[1]}="true"]` };
+        return null;
+    }
+    const data = /^data-\[(.+)\]$/.exec(name);
+    if (data) return { order: 450, pseudo: `[data-${data[1]}]` };
+
+    if (name === 'motion-safe') return { order: 500, media: '(prefers-reduced-motion: no-preference)' };
+    if (name === 'motion-reduce') return { order: 501, media: '(prefers-reduced-motion: reduce)' };
+    if (name === 'dark') {
+        return config.darkMode === 'media' ? { order: 600, media: '(prefers-color-scheme: dark)' } : { order: 600, ancestor: '.dark ' };
+    }
+    if (name === 'print') return { order: 700, media: 'print' };
+
+    if (screens.includes(name)) return { order: 800 + parseFloat(theme.screens[name]) / 100000, media: `(min-width: ${theme.screens[name]})` };
+    const min = /^min-\[(.+)\]$/.exec(name);
+    if (min) return { order: 900 + parseFloat(min[1]) / 100000, media: `(min-width: ${min[1]})` };
+    const max = /^max-(.+)$/.exec(name);
+    if (max) {
+        const width = readArbitrary(max[1]) || theme.screens[max[1]];
+        if (width) return { order: 1000 - parseFloat(width) / 100000, media: `not all and (min-width: ${width})` };
+    }
+    if (name === 'portrait' || name === 'landscape') return { order: 1100, media: `(orientation: ${name})` };
+    return null;
+}
+
+/**
+ * Generates the rule for a class, optionally under another selector (for `@apply`).
+ * @param {string} candidate - Class name with variants, e.g. `dark:hover:text-white`.
+ * @param {Object} theme - Theme.
+ * @param {Object} config - `tailwind.config`.
+ * @param {string[]} [selectors] - Selectors to style instead of the class.
+ * @returns {Object|null} `{ selector, declarations, media, sort, keyframes }`.
+ */
+function generateRule(candidate, theme, config, selectors) {
+    const parts = splitTopLevel(candidate, ':');
+    const utility = matchUtility(parts.pop(), theme);
+    if (!utility || parts.some(part => !part)) return null;
+
+    const variants = [];
+    for (const name of parts) {
+        const variant = readVariant(name, theme, config);
+        if (!variant) return null;
+        variants.push(variant);
+    }
+
+    let ancestor = '';
+    let pseudo = '';
+    let element = '';
+    const media = [];
+    variants.forEach(variant => {
+        if (variant.ancestor) ancestor += variant.ancestor;
+        if (variant.pseudo) pseudo += variant.pseudo;
+        if (variant.element) element = variant.element;
+        if (variant.media) media.push(variant.media);
+    });
+
+    const declarations = element === '::before' || element === '::after'
+        ? [['content', 'var(--tw-content)'], ...utility.declarations]
+        : utility.declarations;
+    const targets = selectors || [`.${escapeClassName(candidate)}`];
+
+    return {
+        selector: targets.map(target => `${ancestor}${target}${pseudo}${utility.nested}${element}`).join(','),
+        declarations,
+        media,
+        plain: !variants.length && !utility.nested,
+        sort: [variants.map(variant => variant.order).sort((a, b) => b - a), utility.order],
+        keyframes: utility.keyframes
+    };
+}
+
+/**
+ * Compares two rules in Tailwind's output order: plain utilities, then by
+ * variant (later variants last), then by utility.
+ * @param {Object} a - Rule.
+ * @param {Object} b - Rule.
+ * @returns {number} Sort order.
+ */
+function compareRules(a, b) {
+    const [variantsA, orderA] = a.sort;
+    const [variantsB, orderB] = b.sort;
+    for (let i = 0; i < Math.max(variantsA.length, variantsB.length); i++) {
+        if (variantsA[i] === undefined) return -1;
+        if (variantsB[i] === undefined) return 1;
+        if (variantsA[i] !== variantsB[i]) return variantsA[i] - variantsB[i];
+    }
+    return orderA - orderB;
+}
+
+/**
+ * Writes rules as CSS, sharing @media blocks (and selectors) between neighbours.
+ * @param {Object[]} rules - Sorted rules.
+ * @returns {string} CSS.
+ */
+function serializeRules(rules) {
+    const out = [];
+    let open = [];
+    let previous = null;
+    rules.forEach(rule => {
+        const same = open.length === rule.media.length && open.every((media, i) => media === rule.media[i]);
+        if (same && previous && previous.selector === rule.selector) {
+            previous.declarations.push(...rule.declarations);
+            return;
+        }
+        if (!same) {
+            out.push('}'.repeat(open.length));
+            out.push(rule.media.map(media => `@media ${media}{`).join(''));
+            open = rule.media;
+        }
+        previous = { selector: rule.selector, declarations: [...rule.declarations] };
+        out.push(previous);
+    });
+    out.push('}'.repeat(open.length));
+    return out
+        .map(item => (typeof item === 'string' ? item : `${item.selector}{${item.declarations.map(([property, css]) => `${property}:${css}`).join(';')}}`))
+        .filter(Boolean)
+        .join('\n');
+}
+
+/**
+ * Finds class name candidates in source text (markup, scripts, JSON). Like
+ * Tailwind's scanner it over-collects; words that aren't classes produce no CSS.
+ * @param {string} text - Source text.
+ * @returns {Set<string>} Candidates.
+ */
+function extractCandidates(text) {
+    const candidates = new Set();
+    for (const match of String(text).matchAll(/[^\s"'`<>={}\\;]+/g)) {
+        const token = match[0];
+        if (token.length > 120 || !/^[!\-a-z@[]/.test(token)) continue;
+        candidates.add(token);
+        const trimmed = token.replace(/[.,:)]+$/, '');
+        if (trimmed !== token) candidates.add(trimmed);
+    }
+    return candidates;
+}
+
+/**
+ * Removes comments from CSS.
+ * @param {string} css - CSS source.
+ * @returns {string} CSS without comments.
+ */
+function stripComments(css) {
+    return css.replace(/\/\*[\s\S]*?\*\//g, '');
+}
+
+/**
+ * Finds the end of a CSS block or prelude, skipping strings and parentheses.
+ * @param {string} css - CSS source.
+ * @param {number} start - Index to scan from.
+ * @param {string} stops - Characters that end the scan at depth 0.
+ * @returns {number} Index of the stop character (or the end).
+ */
+function scanTo(css, start, stops) {
+    let quote = '';
+    let depth = 0;
+    for (let i = start; i < css.length; i++) {
+        const c = css[i];
+        if (quote) {
+            if (c === '\\') i++;
+            else if (c === quote) quote = '';
+        } else if (c === '"' || c === "'") {
+            quote = c;
+        } else if (c === '(') {
+            depth++;
+        } else if (c === ')') {
+            depth--;
+        } else if (depth === 0 && stops.includes(c)) {
+            return i;
+        }
+    }
+    return css.length;
+}
+
+/**
+ * Finds the brace closing the block that starts after `start`.
+ * @param {string} css - CSS source.
+ * @param {number} start - Index just after the opening brace.
+ * @returns {number} Index of the closing brace.
+ */
+function findBlockEnd(css, start) {
+    let depth = 1;
+    let i = start;
+    while (i < css.length) {
+        i = scanTo(css, i, '{}');
+        if (i >= css.length) break;
+        depth += css[i] === '{' ? 1 : -1;
+        if (depth === 0) return i;
+        i++;
+    }
+    return css.length;
+}
+
+/**
+ * At-rules whose blocks hold rules (the others hold declarations).
+ */
+const GROUPING_AT_RULES = ['media', 'supports', 'layer', 'container', 'keyframes', 'document'];
+
+/**
+ * Parses CSS into rules and at-rules (enough for the page's style block).
+ * @param {string} css - CSS source, without comments.
+ * @returns {Object[]} Nodes: `{ selector, declarations }` or `{ at, params, children|declarations }`.
+ */
+function parseCss(css) {
+    const nodes = [];
+    let i = 0;
+    while (i < css.length) {
+        const end = scanTo(css, i, '{;}');
+        const prelude = css.slice(i, end).trim();
+        if (end >= css.length || css[end] === '}') break;
+
+        if (css[end] === ';') {
+            if (prelude) nodes.push({ statement: prelude });
+            i = end + 1;
+            continue;
+        }
+
+        const close = findBlockEnd(css, end + 1);
+        const inner = css.slice(end + 1, close);
+        const at = /^@([\w-]+)\s*(.*)$/s.exec(prelude);
+        if (at && GROUPING_AT_RULES.includes(at[1])) nodes.push({ at: at[1], params: at[2].trim(), children: parseCss(inner) });
+        else if (at) nodes.push({ at: at[1], params: at[2].trim(), declarations: splitDeclarations(inner) });
+        else nodes.push({ selector: prelude, declarations: splitDeclarations(inner) });
+        i = close + 1;
+    }
+    return nodes;
+}
+
+/**
+ * Splits a declaration block into trimmed declarations.
+ * @param {string} block - Block content.
+ * @returns {string[]} Declarations (including `@apply ...`).
+ */
+function splitDeclarations(block) {
+    const declarations = [];
+    let i = 0;
+    while (i < block.length) {
+        const end = scanTo(block, i, ';');
+        const declaration = block.slice(i, end).replace(/\s+/g, ' ').trim();
+        if (declaration) declarations.push(declaration.replace(/\s*:\s*/, ':'));
+        i = end + 1;
+    }
+    return declarations;
+}
+
+/**
+ * Compiles parsed CSS, expanding `@apply`.
+ * @param {Object[]} nodes - Parsed CSS.
+ * @param {Object} theme - Theme.
+ * @param {Object} config - `tailwind.config`.
+ * @param {Set<string>} keyframes - Collects the animations used.
+ * @returns {string} CSS.
+ */
+function compileNodes(nodes, theme, config, keyframes) {
+    return nodes.map(node => {
+        if (node.statement) return `${node.statement};`;
+        if (node.children) return `@${node.at} ${node.params}{${compileNodes(node.children, theme, config, keyframes)}}`;
+        if (node.at) return `@${node.at} ${node.params}{${node.declarations.join(';')}}`.replace(/^(@[\w-]+) \{/, '$1{');
+
+        const selectors = splitTopLevel(node.selector, ',').map(selector => selector.replace(/\s+/g, ' ').trim());
+        const own = [];
+        const extra = [];
+        node.declarations.forEach(declaration => {
+            const apply = /^@apply\s+(.+)$/.exec(declaration);
+            if (!apply) {
+                own.push(declaration);
+                return;
+            }
+            apply[1].split(/\s+/).forEach(candidate => {
+                const rule = generateRule(candidate, theme, config, selectors);
+                if (!rule) throw new Error(`@apply: unknown class "${candidate}" in "${node.selector}"`);
+                if (rule.keyframes) keyframes.add(rule.keyframes);
+                if (rule.plain) own.push(...rule.declarations.map(([property, css]) => `${property}:${css}`));
+                else extra.push(rule);
+            });
+        });
+        const main = own.length ? `${selectors.join(',')}{${own.join(';')}}` : '';
+        return [main, serializeRules(extra.sort(compareRules))].filter(Boolean).join('\n');
+    }).filter(Boolean).join('\n');
+}
+
+/**
+ * Compiles the stylesheet: Preflight (and the forms plugin's base styles),
+ * the utilities among the candidates, then the page's own CSS.
+ * @param {Object} options - `{ candidates, config, css, plugins }`: class
+ *     candidates, the `tailwind.config` object, the page's `text/tailwindcss`
+ *     CSS and the CDN plugins in use (e.g. `['forms']`).
+ * @returns {Object} `{ css, classes }`: the stylesheet and the classes it styles.
+ */
+function compileCss({ candidates, config = {}, css = '', plugins = [] }) {
+    const theme = createTheme(config);
+    const keyframes = new Set();
+
+    const rules = [];
+    const classes = new Set();
+    [...candidates].sort().forEach(candidate => {
+        const rule = generateRule(candidate, theme, config);
+        if (!rule) return;
+        rules.push(rule);
+        classes.add(candidate);
+        if (rule.keyframes) keyframes.add(rule.keyframes);
+    });
+
+    const custom = compileNodes(parseCss(stripComments(css)), theme, config, keyframes);
+    const fontStack = name => [].concat(theme.fontFamily[name] || DEFAULT_THEME.fontFamily[name]).join(',');
+
+    const output = [
+        VARIABLE_DEFAULTS,
+        PREFLIGHT.replace('{sans}', fontStack('sans')).replace('{mono}', fontStack('mono')),
+        plugins.includes('forms') ? FORMS_BASE : '',
+        [...keyframes].map(name => `@keyframes ${name}{${theme.keyframes[name]}}`).join('\n'),
+        serializeRules(rules.sort(compareRules)),
+        custom
+    ];
+    return { css: output.filter(Boolean).join('\n') + '\n', classes };
+}
+
+module.exports = { compileCss, extractCandidates };
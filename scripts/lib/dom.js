@@ -0,0 +1,807 @@
+/**
+ * Minimal DOM Shim
+ *
+ * Just enough of the DOM for the browser render functions to run in Node:
+ * an HTML parser and serializer, element/attribute/class APIs, innerHTML,
+ * textContent and a small CSS selector engine. Events, layout and styles are
+ * stubs. It has no dependencies so the build works without npm.
+ */
+
+'use strict';
+
+/**
+ * Elements without content or closing tag.
+ */
+const VOID_ELEMENTS = new Set(['area', 'base', 'br', 'col', 'embed', 'hr', 'img', 'input', 'link', 'meta', 'source', 'track', 'wbr']);
+
+/**
+ * Elements whose content is raw text (not parsed as HTML, not escaped).
+ */
+const RAW_TEXT_ELEMENTS = new Set(['script', 'style', 'textarea', 'title']);
+
+/**
+ * Named character references decoded by the parser.
+ */
+const NAMED_ENTITIES = {
+    amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: '\u00a0', copy: '©', reg: '®',
+    mdash: '—', ndash: '–', hellip: '…', middot: '·', rarr: '→', larr: '←', colon: ':'
+};
+
+/**
+ * Properties reflected to attributes of the same (lower-case) name.
+ */
+const REFLECTED_PROPERTIES = ['id', 'href', 'src', 'alt', 'title', 'lang', 'type', 'name', 'placeholder', 'action', 'method', 'rel', 'target', 'role', 'content', 'htmlFor:for', 'className:class'];
+
+/**
+ * Boolean properties reflected to the presence of an attribute.
+ */
+const BOOLEAN_PROPERTIES = ['disabled', 'hidden', 'required', 'checked', 'selected', 'async', 'defer', 'download'];
+
+/**
+ * Decodes character references in text or attribute values.
+ * @param {string} text - Source text.
+ * @returns {string} Decoded text.
+ */
+function decode(text) {
+    return text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (match, ref) => {
+        if (ref[0] === '#') {
+            const code = ref[1].toLowerCase() === 'x' ? parseInt(ref.slice(2), 16) : parseInt(ref.slice(1), 10);
+            // As in browsers, 0, surrogates and code points past U+10FFFF become U+FFFD
+            if (!code || code > 0x10FFFF || (code >= 0xD800 && code <= 0xDFFF)) return '\uFFFD';
+            return String.fromCodePoint(code);
+        }
+        return NAMED_ENTITIES[ref.toLowerCase()] !== undefined ? NAMED_ENTITIES[ref.toLowerCase()] : match;
+    });
+}
+
+/**
+ * Escapes text content for serialization.
+ * @param {string} text - Text.
+ * @returns {string} Escaped text.
+ */
+function escapeText(text) {
+    return text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/\u00a0/g, '&nbsp;');
+}
+
+/**
+ * Escapes an attribute value for serialization.
+ * @param {string} value - Attribute value.
+ * @returns {string} Escaped value.
+ */
+function escapeAttribute(value) {
+    return value.replace(/&/g, '&amp;').replace(/"/g, '&quot;').replace(/\u00a0/g, '&nbsp;');
+}
+
+/**
+ * Base class for all nodes.
+ */
+class Node {
+    constructor(ownerDocument) {
+        this.ownerDocument = ownerDocument;
+        this.parentNode = null;
+        this.childNodes = [];
+    }
+
+    get parentElement() {
+        return this.parentNode && this.parentNode.nodeType === 1 ? this.parentNode : null;
+    }
+
+    get firstChild() {
+        return this.childNodes[0] || null;
+    }
+
+    get lastChild() {
+        return this.childNodes[this.childNodes.length - 1] || null;
+    }
+
+    get nextSibling() {
+        if (!this.parentNode) return null;
+        const siblings = this.parentNode.childNodes;
+        return siblings[siblings.indexOf(this) + 1] || null;
+    }
+
+    get textContent() {
+        return this.childNodes.map(child => child.textContent).join('');
+    }
+
+    set textContent(value) {
+        this.childNodes.forEach(child => { child.parentNode = null; });
+        this.childNodes = [];
+        if (value !== '' && value !== null && value !== undefined) {
+            this.appendChild(new Text(this.ownerDocument, String(value)));
+        }
+    }
+
+    appendChild(node) {
+        return this.insertBefore(node, null);
+    }
+
+    insertBefore(node, reference) {
+        if (node.nodeType === 11) {
+            [...node.childNodes].forEach(child => this.insertBefore(child, reference));
+            return node;
+        }
+        if (node.parentNode) node.parentNode.removeChild(node);
+        const index = reference ? this.childNodes.indexOf(reference) : -1;
+        if (index === -1) this.childNodes.push(node);
+        else this.childNodes.splice(index, 0, node);
+        node.parentNode = this;
+        return node;
+    }
+
+    removeChild(node) {
+        const index = this.childNodes.indexOf(node);
+        if (index !== -1) this.childNodes.splice(index, 1);
+        node.parentNode = null;
+        return node;
+    }
+
+    append(...nodes) {
+        nodes.forEach(node => this.appendChild(typeof node === 'string' ? new Text(this.ownerDocument, node) : node));
+    }
+
+    remove() {
+        if (this.parentNode) this.parentNode.removeChild(this);
+    }
+
+    contains(node) {
+        for (let current = node; current; current = current.parentNode) {
+            if (current === this) return true;
+        }
+        return false;
+    }
+
+    // Events are not dispatched in the shim; listeners are accepted and ignored
+    addEventListener() { }
+
+    removeEventListener() { }
+
+    dispatchEvent() {
+        return true;
+    }
+}
+
+/**
+ * Text node.
+ */
+class Text extends Node {
+    constructor(ownerDocument, data) {
+        super(ownerDocument);
+        this.nodeType = 3;
+        this.nodeName = '#text';
+        this.data = data;
+    }
+
+    get textContent() {
+        return this.data;
+    }
+
+    set textContent(value) {
+        this.data = String(value);
+    }
+
+    serialize() {
+        const parent = this.parentNode;
+        if (parent && parent.nodeType === 1 && RAW_TEXT_ELEMENTS.has(parent.localName) && parent.localName !== 'title') {
+            return this.data;
+        }
+        return escapeText(this.data);
+    }
+}
+
+/**
+ * Comment node.
+ */
+class Comment extends Node {
+    constructor(ownerDocument, data) {
+        super(ownerDocument);
+        this.nodeType = 8;
+        this.nodeName = '#comment';
+        this.data = data;
+    }
+
+    get textContent() {
+        return '';
+    }
+
+    serialize() {
+        return `<!--${this.data}-->`;
+    }
+}
+
+/**
+ * Document fragment (used by <template>-style parsing).
+ */
+class DocumentFragment extends Node {
+    constructor(ownerDocument) {
+        super(ownerDocument);
+        this.nodeType = 11;
+        this.nodeName = '#document-fragment';
+    }
+}
+
+/**
+ * Live-ish view of an element's class attribute.
+ */
+class ClassList {
+    constructor(element) {
+        this.element = element;
+    }
+
+    get values() {
+        return (this.element.getAttribute('class') || '').split(/\s+/).filter(Boolean);
+    }
+
+    write(values) {
+        this.element.setAttribute('class', values.join(' '));
+    }
+
+    contains(name) {
+        return this.values.includes(name);
+    }
+
+    add(...names) {
+        const values = this.values;
+        names.forEach(name => { if (!values.includes(name)) values.push(name); });
+        this.write(values);
+    }
+
+    remove(...names) {
+        this.write(this.values.filter(value => !names.includes(value)));
+    }
+
+    toggle(name, force) {
+        const on = force === undefined ? !this.contains(name) : !!force;
+        if (on) this.add(name);
+        else this.remove(name);
+        return on;
+    }
+
+    get length() {
+        return this.values.length;
+    }
+
+    toString() {
+        return this.values.join(' ');
+    }
+}
+
+/**
+ * Creates the `style` object of an element, backed by its style attribute.
+ * @param {Element} element - Owner element.
+ * @returns {Object} Style declaration stub.
+ */
+function createStyle(element) {
+    const read = () => {
+        const map = new Map();
+        (element.getAttribute('style') || '').split(';').forEach(rule => {
+            const index = rule.indexOf(':');
+            if (index > 0) map.set(rule.slice(0, index).trim(), rule.slice(index + 1).trim());
+        });
+        return map;
+    };
+    const write = map => {
+        const text = [...map].map(([k, v]) => `${k}: ${v};`).join(' ');
+        if (text) element.setAttribute('style', text);
+        else element.removeAttribute('style');
+    };
+    const toCss = name => name.replace(/[A-Z]/g, c => `-${c.toLowerCase()}`);
+
+    const api = {
+        setProperty(name, value) {
+            const map = read();
+            if (value === '' || value === null) map.delete(name);
+            else map.set(name, String(value));
+            write(map);
+        },
+        getPropertyValue(name) {
+            return read().get(name) || '';
+        },
+        removeProperty(name) {
+            const map = read();
+            const value = map.get(name) || '';
+            map.delete(name);
+            write(map);
+            return value;
+        }
+    };
+
+    return new Proxy(api, {
+        get(target, prop) {
+            if (prop in target) return target[prop];
+            if (prop === 'cssText') return element.getAttribute('style') || '';
+            return typeof prop === 'string' ? target.getPropertyValue(toCss(prop)) : undefined;
+        },
+        set(target, prop, value) {
+            if (prop === 'cssText') element.setAttribute('style', value);
+            else target.setProperty(toCss(prop), value);
+            return true;
+        }
+    });
+}
+
+/**
+ * Element node.
+ */
+class Element extends Node {
+    constructor(ownerDocument, localName) {
+        super(ownerDocument);
+        this.nodeType = 1;
+        this.localName = localName.toLowerCase();
+        this.attributeMap = new Map();
+        this.classList = new ClassList(this);
+        this.style = createStyle(this);
+        this.dataset = new Proxy({}, {
+            get: (target, prop) => (typeof prop === 'string' ? this.getAttribute(`data-${toKebab(prop)}`) ?? undefined : undefined),
+            set: (target, prop, value) => {
+                this.setAttribute(`data-${toKebab(prop)}`, value);
+                return true;
+            },
+            deleteProperty: (target, prop) => {
+                this.removeAttribute(`data-${toKebab(prop)}`);
+                return true;
+            }
+        });
+    }
+
+    get tagName() {
+        return this.localName.toUpperCase();
+    }
+
+    get nodeName() {
+        return this.tagName;
+    }
+
+    get children() {
+        return this.childNodes.filter(node => node.nodeType === 1);
+    }
+
+    get attributes() {
+        return [...this.attributeMap].map(([name, value]) => ({ name, value }));
+    }
+
+    getAttribute(name) {
+        const value = this.attributeMap.get(name.toLowerCase());
+        return value === undefined ? null : value;
+    }
+
+    setAttribute(name, value) {
+        this.attributeMap.set(name.toLowerCase(), String(value));
+    }
+
+    removeAttribute(name) {
+        this.attributeMap.delete(name.toLowerCase());
+    }
+
+    hasAttribute(name) {
+        return this.attributeMap.has(name.toLowerCase());
+    }
+
+    toggleAttribute(name, force) {
+        const on = force === undefined ? !this.hasAttribute(name) : !!force;
+        if (on) this.setAttribute(name, '');
+        else this.removeAttribute(name);
+        return on;
+    }
+
+    get innerHTML() {
+        return this.childNodes.map(child => child.serialize()).join('');
+    }
+
+    set innerHTML(html) {
+        this.textContent = '';
+        if (RAW_TEXT_ELEMENTS.has(this.localName)) {
+            this.textContent = html;
+            return;
+        }
+        this.appendChild(parseFragment(this.ownerDocument, String(html)));
+    }
+
+    get outerHTML() {
+        return this.serialize();
+    }
+
+    set outerHTML(html) {
+        if (!this.parentNode) return;
+        this.parentNode.insertBefore(parseFragment(this.ownerDocument, String(html)), this);
+        this.remove();
+    }
+
+    get innerText() {
+        return this.textContent;
+    }
+
+    set innerText(value) {
+        this.textContent = value;
+    }
+
+    get value() {
+        if (this.localName === 'textarea') return this.textContent;
+        return this.getAttribute('value') || '';
+    }
+
+    set value(value) {
+        if (this.localName === 'textarea') this.textContent = value;
+        else this.setAttribute('value', value);
+    }
+
+    insertAdjacentHTML(position, html) {
+        const fragment = parseFragment(this.ownerDocument, String(html));
+        switch (position.toLowerCase()) {
+            case 'beforebegin': this.parentNode.insertBefore(fragment, this); break;
+            case 'afterbegin': this.insertBefore(fragment, this.firstChild); break;
+            case 'beforeend': this.appendChild(fragment); break;
+            case 'afterend': this.parentNode.insertBefore(fragment, this.nextSibling); break;
+        }
+    }
+
+    querySelector(selector) {
+        return this.querySelectorAll(selector)[0] || null;
+    }
+
+    querySelectorAll(selector) {
+        const groups = parseSelector(selector);
+        const results = [];
+        walk(this, element => {
+            if (groups.some(group => matchesComplex(element, group, this))) results.push(element);
+        });
+        return results;
+    }
+
+    getElementsByTagName(name) {
+        return this.querySelectorAll(name);
+    }
+
+    matches(selector) {
+        return parseSelector(selector).some(group => matchesComplex(this, group, null));
+    }
+
+    closest(selector) {
+        for (let current = this; current && current.nodeType === 1; current = current.parentNode) {
+            if (current.matches(selector)) return current;
+        }
+        return null;
+    }
+
+    // Layout and interaction stubs
+    focus() { }
+
+    blur() { }
+
+    click() { }
+
+    scrollIntoView() { }
+
+    getBoundingClientRect() {
+        return { top: 0, right: 0, bottom: 0, left: 0, width: 0, height: 0 };
+    }
+
+    serialize() {
+        const attrs = [...this.attributeMap].map(([name, value]) => (value === '' ? ` ${name}` : ` ${name}="${escapeAttribute(value)}"`)).join('');
+        if (VOID_ELEMENTS.has(this.localName)) return `<${this.localName}${attrs}>`;
+        return `<${this.localName}${attrs}>${this.innerHTML}</${this.localName}>`;
+    }
+}
+
+REFLECTED_PROPERTIES.forEach(entry => {
+    const [prop, attr = entry.toLowerCase()] = entry.split(':');
+    Object.defineProperty(Element.prototype, prop, {
+        get() { return this.getAttribute(attr) || ''; },
+        set(value) { this.setAttribute(attr, value); }
+    });
+});
+
+BOOLEAN_PROPERTIES.forEach(prop => {
+    Object.defineProperty(Element.prototype, prop, {
+        get() { return this.hasAttribute(prop); },
+        set(value) { this.toggleAttribute(prop, !!value); }
+    });
+});
+
+/**
+ * Converts a dataset key ("fooBar") to its attribute form ("foo-bar").
+ * @param {string} name - camelCase key.
+ * @returns {string} kebab-case key.
+ */
+function toKebab(name) {
+    return name.replace(/[A-Z]/g, c => `-${c.toLowerCase()}`);
+}
+
+/**
+ * Document node.
+ */
+class Document extends Node {
+    constructor() {
+        super(null);
+        this.nodeType = 9;
+        this.nodeName = '#document';
+        this.doctype = '';
+        this.activeElement = null;
+    }
+
+    get documentElement() {
+        return this.childNodes.find(node => node.nodeType === 1) || null;
+    }
+
+    get head() {
+        return this.documentElement && this.documentElement.querySelector('head');
+    }
+
+    get body() {
+        return this.documentElement && this.documentElement.querySelector('body');
+    }
+
+    get title() {
+        const title = this.querySelector('title');
+        return title ? title.textContent : '';
+    }
+
+    set title(value) {
+        const title = this.querySelector('title');
+        if (title) title.textContent = value;
+    }
+
+    createElement(name) {
+        return new Element(this, name);
+    }
+
+    createTextNode(data) {
+        return new Text(this, String(data));
+    }
+
+    createComment(data) {
+        return new Comment(this, String(data));
+    }
+
+    createDocumentFragment() {
+        return new DocumentFragment(this);
+    }
+
+    getElementById(id) {
+        let found = null;
+        walk(this, element => {
+            if (!found && element.getAttribute('id') === id) found = element;
+        });
+        return found;
+    }
+
+    querySelector(selector) {
+        return Element.prototype.querySelector.call(this, selector);
+    }
+
+    querySelectorAll(selector) {
+        return Element.prototype.querySelectorAll.call(this, selector);
+    }
+
+    serialize() {
+        return this.doctype + this.childNodes.map(child => child.serialize()).join('');
+    }
+}
+
+/**
+ * Calls a function for every element below a node, in document order.
+ * @param {Node} root - Starting node (not visited itself).
+ * @param {Function} visit - Called with each element.
+ */
+function walk(root, visit) {
+    root.childNodes.forEach(child => {
+        if (child.nodeType !== 1) return;
+        visit(child);
+        walk(child, visit);
+    });
+}
+
+/**
+ * Parses HTML into a fragment.
+ * @param {Document} doc - Owner document.
+ * @param {string} html - Markup.
+ * @returns {DocumentFragment} Parsed nodes.
+ */
+function parseFragment(doc, html) {
+    const fragment = new DocumentFragment(doc);
+    parseInto(doc, fragment, html);
+    return fragment;
+}
+
+/**
+ * Parses HTML and appends the resulting nodes to a parent.
+ * Tolerates unclosed and stray end tags; does not implement the full HTML
+ * tree-construction algorithm (implicit <p>/<li> closing etc.).
+ * @param {Document} doc - Owner document.
+ * @param {Node} root - Parent node.
+ * @param {string} html - Markup.
+ */
+function parseInto(doc, root, html) {
+    const stack = [root];
+    const current = () => stack[stack.length - 1];
+    const tagPattern = /<!--([\s\S]*?)-->|<!doctype[^>]*>|<\/([a-zA-Z][\w:-]*)\s*>|<([a-zA-Z][\w:-]*)((?:\s+[^\s"'>/=]+(?:\s*=\s*(?:"[^"]*"|'[^']*'|[^\s"'>]+))?)*)\s*(\/?)>/gi;
+    let last = 0;
+    let match;
+
+    const pushText = text => {
+        if (text) current().appendChild(new Text(doc, decode(text)));
+    };
+
+    while ((match = tagPattern.exec(html)) !== null) {
+        pushText(html.slice(last, match.index));
+        last = tagPattern.lastIndex;
+
+        const [token, comment, endTag, startTag, attrs, selfClosing] = match;
+
+        if (comment !== undefined) {
+            current().appendChild(new Comment(doc, comment));
+        } else if (/^<!doctype/i.test(token)) {
+            if (doc.nodeType === 9 && root === doc) doc.doctype = token;
+        } else if (endTag) {
+            const name = endTag.toLowerCase();
+            const index = stack.map(node => node.localName).lastIndexOf(name);
+            if (index > 0) stack.length = index;
+        } else {
+            const element = new Element(doc, startTag);
+            const attrPattern = /([^\s"'>/=]+)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s"'>]+)))?/g;
+            let attr;
+            while ((attr = attrPattern.exec(attrs)) !== null) {
+                const value = attr[2] !== undefined ? attr[2] : attr[3] !== undefined ? attr[3] : (attr[4] || '');
+                if (!element.hasAttribute(attr[1])) element.setAttribute(attr[1], decode(value));
+            }
+            current().appendChild(element);
+
+            if (RAW_TEXT_ELEMENTS.has(element.localName)) {
+                // Raw text runs until the matching end tag
+                const end = html.toLowerCase().indexOf(`</${element.localName}`, last);
+                const text = html.slice(last, end === -1 ? html.length : end);
+                if (text) element.appendChild(new Text(doc, element.localName === 'title' || element.localName === 'textarea' ? decode(text) : text));
+                const close = end === -1 ? html.length : html.indexOf('>', end) + 1;
+                last = tagPattern.lastIndex = close;
+            } else if (!VOID_ELEMENTS.has(element.localName) && !selfClosing) {
+                stack.push(element);
+            }
+        }
+    }
+
+    pushText(html.slice(last));
+}
+
+/**
+ * Parses a full HTML document.
+ * @param {string} html - Document markup.
+ * @returns {Document} Parsed document.
+ */
+function parseDocument(html) {
+    const doc = new Document();
+    parseInto(doc, doc, html);
+    return doc;
+}
+
+/**
+ * Splits a selector list into groups of [combinator, compound] steps.
+ * Supports tag, #id, .class, [attr], [attr=v], [attr^=v], [attr*=v],
+ * :not(...), descendant and child combinators.
+ * @param {string} selector - CSS selector list.
+ * @returns {Array[]} Parsed groups.
+ */
+function parseSelector(selector) {
+    return splitTopLevel(selector, ',').map(group => {
+        const steps = [];
+        let combinator = ' ';
+        const tokens = group.trim().replace(/\s*>\s*/g, ' > ').split(/\s+(?![^[(]*[\])])/);
+        tokens.forEach(token => {
+            if (token === '>') {
+                combinator = '>';
+                return;
+            }
+            steps.push({ combinator, compound: parseCompound(token) });
+            combinator = ' ';
+        });
+        return steps;
+    });
+}
+
+/**
+ * Splits a string on a separator that is not inside brackets or parentheses.
+ * @param {string} text - Source.
+ * @param {string} separator - Single-character separator.
+ * @returns {string[]} Parts.
+ */
+function splitTopLevel(text, separator) {
+    const parts = [];
+    let depth = 0;
+    let quote = null;
+    let start = 0;
+    for (let i = 0; i < text.length; i++) {
+        const c = text[i];
+        if (quote) {
+            if (c === quote) quote = null;
+        } else if (c === '"' || c === "'") {
+            quote = c;
+        } else if (c === '[' || c === '(') {
+            depth++;
+        } else if (c === ']' || c === ')') {
+            depth--;
+        } else if (c === separator && depth === 0) {
+            parts.push(text.slice(start, i));
+            start = i + 1;
+        }
+    }
+    parts.push(text.slice(start));
+    return parts.map(part => part.trim()).filter(Boolean);
+}
+
+/**
+ * Parses a compound selector ("a.foo[href]:not(.bar)") into tests.
+ * @param {string} token - Compound selector.
+ * @returns {Function[]} Predicates on an element.
+ */
+function parseCompound(token) {
+    const tests = [];
+    const pattern = /^(\*|[a-zA-Z][\w-]*)|#([\w-]+)|\.([\w\\:/[\].%-]+?)(?=[.#[:]|$)|\[([^\]=~^$*|]+)(?:([~^$*|]?=)\s*(?:"([^"]*)"|'([^']*)'|([^\]]*)))?\]|:not\(([^)]*)\)/g;
+    let match;
+    while ((match = pattern.exec(token)) !== null) {
+        const [, tag, id, cls, attr, op, v1, v2, v3, not] = match;
+        if (tag && tag !== '*') tests.push(el => el.localName === tag.toLowerCase());
+        if (id) tests.push(el => el.getAttribute('id') === id);
+        if (cls) {
+            const name = cls.replace(/\\/g, '');
+            tests.push(el => el.classList.contains(name));
+        }
+        if (attr) {
+            const name = attr.trim();
+            const expected = v1 !== undefined ? v1 : v2 !== undefined ? v2 : v3;
+            tests.push(el => {
+                const value = el.getAttribute(name);
+                if (value === null) return false;
+                switch (op) {
+                    case '=': return value === expected;
+                    case '^=': return value.startsWith(expected);
+                    case '$=': return value.endsWith(expected);
+                    case '*=': return value.includes(expected);
+                    case '~=': return value.split(/\s+/).includes(expected);
+                    case '|=': return value === expected || value.startsWith(`${expected}-`);
+                    default: return true;
+                }
+            });
+        }
+        if (not !== undefined) {
+            const inner = parseSelector(not);
+            tests.push(el => !inner.some(group => matchesComplex(el, group, null)));
+        }
+    }
+    return tests;
+}
+
+/**
+ * Tests an element against a parsed complex selector (right to left).
+ * @param {Element} element - Candidate element.
+ * @param {Object[]} steps - Parsed steps.
+ * @param {Node|null} scope - Ancestors above this node are not considered.
+ * @returns {boolean} Whether the element matches.
+ */
+function matchesComplex(element, steps, scope) {
+    const matchesCompound = (el, compound) => el && el.nodeType === 1 && compound.every(test => test(el));
+
+    const matchFrom = (el, index) => {
+        if (!matchesCompound(el, steps[index].compound)) return false;
+        if (index === 0) return true;
+
+        const { combinator } = steps[index];
+        if (combinator === '>') {
+            const parent = el.parentNode;
+            return parent !== scope && matchFrom(parent, index - 1);
+        }
+        for (let ancestor = el.parentNode; ancestor && ancestor !== scope; ancestor = ancestor.parentNode) {
+            if (matchFrom(ancestor, index - 1)) return true;
+        }
+        return false;
+    };
+
+    return matchFrom(element, steps.length - 1);
+}
+
+module.exports = {
+    Document,
+    Element,
+    Text,
+    Comment,
+    parseDocument,
+    parseFragment
+};
@@ -0,0 +1,347 @@
+/**
+ * PDF Writer
+ *
+ * A small text-only PDF generator (no dependencies) for documents such as the
+ * resume: word-wrapped text in the standard Helvetica fonts, rules, link
+ * annotations and automatic page breaks. Text is WinAnsi-encoded, so Latin
+ * scripts (including French accents) print as written; other characters
+ * become "?".
+ */
+
+'use strict';
+
+const zlib = require('zlib');
+
+/**
+ * Standard (non-embedded) fonts, by style name.
+ */
+const FONTS = {
+    regular: 'Helvetica',
+    bold: 'Helvetica-Bold',
+    italic: 'Helvetica-Oblique'
+};
+
+/**
+ * Glyph widths (1/1000 em) of printable ASCII (32-126) from the Adobe font metrics.
+ */
+const HELVETICA_WIDTHS = [
+    278, 278, 355, 556, 556, 889, 667, 191, 333, 333, 389, 584, 278, 333, 278, 278,
+    556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 278, 278, 584, 584, 584, 556,
+    1015, 667, 667, 722, 722, 667, 611, 778, 722, 278, 500, 667, 556, 833, 722, 778,
+    667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 278, 278, 278, 469, 556,
+    333, 556, 556, 500, 556, 556, 278, 556, 556, 222, 222, 500, 222, 833, 556, 556,
+    556, 556, 333, 500, 278, 556, 500, 722, 500, 500, 500, 334, 260, 334, 584
+];
+const HELVETICA_BOLD_WIDTHS = [
+    278, 333, 474, 556, 556, 889, 722, 238, 333, 333, 389, 584, 278, 333, 278, 278,
+    556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 333, 333, 584, 584, 584, 611,
+    975, 722, 722, 722, 722, 667, 611, 778, 722, 278, 556, 722, 611, 833, 722, 778,
+    667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 333, 278, 333, 584, 556,
+    333, 556, 611, 556, 611, 556, 333, 611, 611, 278, 278, 556, 278, 889, 611, 611,
+    611, 611, 389, 556, 333, 611, 556, 778, 556, 556, 500, 389, 280, 389, 584
+];
+
+/**
+ * WinAnsi codes (and widths) of the punctuation outside Latin-1.
+ */
+const WIN_ANSI_EXTRAS = {
+    '€': [0x80, 556], '‚': [0x82, 222], '„': [0x84, 333], '…': [0x85, 1000],
+    '‘': [0x91, 222], '’': [0x92, 222], '“': [0x93, 333], '”': [0x94, 333],
+    '•': [0x95, 350], '–': [0x96, 556], '—': [0x97, 1000], '™': [0x99, 1000],
+    'Œ': [0x8c, 1000], 'œ': [0x9c, 944], 'Ÿ': [0x9f, 667]
+};
+
+/**
+ * Widths of Latin-1 symbols that aren't accented letters.
+ */
+const LATIN1_WIDTHS = {
+    ' ': 278, '©': 737, '®': 737, '°': 400, '·': 278, '«': 556, '»': 556, '×': 584, '§': 556, '¿': 611, '¡': 333
+};
+
+/**
+ * Maps a character to its WinAnsi code and its width in a font.
+ * @param {string} char - One character.
+ * @param {string} font - Style name ("regular", "bold" or "italic").
+ * @returns {number[]} `[code, width]`.
+ */
+function encodeChar(char, font) {
+    const widths = font === 'bold' ? HELVETICA_BOLD_WIDTHS : HELVETICA_WIDTHS;
+    const code = char.codePointAt(0);
+
+    if (code >= 32 && code <= 126) return [code, widths[code - 32]];
+    if (WIN_ANSI_EXTRAS[char]) return WIN_ANSI_EXTRAS[char];
+    if (code >= 0xa0 && code <= 0xff) {
+        // Accented letters are as wide as their base letter
+        const base = char.normalize('NFD')[0];
+        const width = base !== char && base.charCodeAt(0) < 127 ? widths[base.charCodeAt(0) - 32] : LATIN1_WIDTHS[char];
+        return [code, width || 556];
+    }
+    return [63, widths[63 - 32]];
+}
+
+/**
+ * Writes text as a PDF string literal (ASCII only; other bytes as octal escapes).
+ * @param {string} text - Text to show.
+ * @param {string} font - Style name.
+ * @returns {string} `(...)` literal.
+ */
+function toPdfString(text, font) {
+    let out = '';
+    for (const char of text) {
+        const code = encodeChar(char, font)[0];
+        if (code === 40 || code === 41 || code === 92) out += '\\' + String.fromCharCode(code);
+        else if (code < 32 || code > 126) out += '\\' + code.toString(8).padStart(3, '0');
+        else out += String.fromCharCode(code);
+    }
+    return `(${out})`;
+}
+
+/**
+ * Writes text as a UTF-16 PDF text string (for metadata).
+ * @param {string} text - Text.
+ * @returns {string} `<FEFF...>` hex string.
+ */
+function toPdfTextString(text) {
+    let hex = 'FEFF';
+    for (let i = 0; i < text.length; i++) hex += text.charCodeAt(i).toString(16).padStart(4, '0').toUpperCase();
+    return `<${hex}>`;
+}
+
+/**
+ * Formats a number for a content stream.
+ * @param {number} value - Number.
+ * @returns {string} Shortest fixed-point form.
+ */
+function num(value) {
+    return String(Math.round(value * 100) / 100);
+}
+
+/**
+ * Converts "#135bec" to PDF colour operands ("0.07 0.36 0.93").
+ * @param {string} hex - Hex colour.
+ * @returns {string} RGB operands.
+ */
+function toPdfColor(hex) {
+    const digits = String(hex).replace('#', '');
+    const full = digits.length === 3 ? digits.split('').map(c => c + c).join('') : digits;
+    return [0, 2, 4].map(i => num(parseInt(full.slice(i, i + 2), 16) / 255)).join(' ');
+}
+
+/**
+ * A document being laid out top to bottom. Positions are in points from the
+ * top-left corner of the page; text styles are `{ font, size, color, link }`.
+ */
+class PdfDocument {
+    /**
+     * @param {Object} [options] - `{ width, height, margin, info: { title, author, subject } }`.
+     */
+    constructor(options = {}) {
+        this.width = options.width || 612;
+        this.height = options.height || 792;
+        this.margin = options.margin !== undefined ? options.margin : 54;
+        this.info = options.info || {};
+        this.pages = [];
+        this.addPage();
+    }
+
+    /**
+     * Width between the left and right margins.
+     */
+    get contentWidth() {
+        return this.width - 2 * this.margin;
+    }
+
+    /**
+     * Starts a new page and moves to its top margin.
+     */
+    addPage() {
+        this.page = { ops: [], links: [] };
+        this.pages.push(this.page);
+        this.y = this.margin;
+    }
+
+    /**
+     * Moves down, starting a new page if that leaves the bottom margin.
+     * @param {number} points - Distance.
+     */
+    moveDown(points) {
+        this.y += points;
+        if (this.y > this.height - this.margin) this.addPage();
+    }
+
+    /**
+     * Starts a new page unless `height` points still fit on this one.
+     * @param {number} height - Space needed.
+     */
+    ensureSpace(height) {
+        if (this.y + height > this.height - this.margin && this.y > this.margin) this.addPage();
+    }
+
+    /**
+     * Measures text in a style.
+     * @param {string} text - Text.
+     * @param {Object} style - `{ font, size }`.
+     * @returns {number} Width in points.
+     */
+    measure(text, style) {
+        let width = 0;
+        for (const char of text) width += encodeChar(char, style.font)[1];
+        return width * style.size / 1000;
+    }
+
+    /**
+     * Draws one piece of text with its baseline `size` below `top`.
+     * @param {string} text - Text (one line).
+     * @param {number} x - Left edge.
+     * @param {number} top - Top of the line.
+     * @param {Object} style - Text style.
+     */
+    drawText(text, x, top, style) {
+        const baseline = this.height - top - style.size * 0.8;
+        this.page.ops.push(`BT /F${Object.keys(FONTS).indexOf(style.font) + 1} ${num(style.size)} Tf ${toPdfColor(style.color)} rg 1 0 0 1 ${num(x)} ${num(baseline)} Tm ${toPdfString(text, style.font)} Tj ET`);
+
+        if (style.link) {
+            const width = this.measure(text, style);
+            this.page.links.push({ rect: [x, this.height - top - style.size, x + width, this.height - top], url: style.link });
+        }
+    }
+
+    /**
+     * Writes word-wrapped text made of styled runs, then moves below it.
+     * @param {string|Object[]} runs - Text, or `[{ text, ...style }]` runs.
+     * @param {Object} [options] - Base style plus `{ x, width, lineHeight, align }`.
+     */
+    text(runs, options = {}) {
+        const base = { font: 'regular', size: 10, color: '#000000', link: '', ...options };
+        const x = options.x !== undefined ? options.x : this.margin;
+        const width = options.width || this.margin + this.contentWidth - x;
+        const lineHeight = options.lineHeight || base.size * 1.35;
+
+        // Split runs into words and single spaces, then fill lines greedily
+        const lines = [[]];
+        let lineWidth = 0;
+        (typeof runs === 'string' ? [{ text: runs }] : runs).forEach(run => {
+            const style = { ...base, ...run };
+            String(run.text).split(/(\s+)/).forEach(piece => {
+                if (!piece) return;
+                const line = lines[lines.length - 1];
+                const space = /^\s+$/.test(piece);
+                if (space && !line.length) return;
+
+                const text = space ? ' ' : piece;
+                const pieceWidth = this.measure(text, style);
+                if (!space && line.length && lineWidth + pieceWidth > width) {
+                    while (line.length && line[line.length - 1].text === ' ') lineWidth -= line.pop().width;
+                    lines.push([{ text, width: pieceWidth, style }]);
+                    lineWidth = pieceWidth;
+                    return;
+                }
+                line.push({ text, width: pieceWidth, style });
+                lineWidth += pieceWidth;
+            });
+        });
+
+        lines.forEach(line => {
+            while (line.length && line[line.length - 1].text === ' ') line.pop();
+            this.ensureSpace(lineHeight);
+
+            const used = line.reduce((sum, piece) => sum + piece.width, 0);
+            let left = options.align === 'right' ? x + width - used : x;
+
+            // Words of the same run are drawn together, so copied text keeps its spaces
+            const groups = [];
+            line.forEach(piece => {
+                const last = groups[groups.length - 1];
+                if (last && last.style === piece.style) {
+                    last.text += piece.text;
+                    last.width += piece.width;
+                } else {
+                    groups.push({ ...piece });
+                }
+            });
+            groups.forEach(group => {
+                if (group.text.trim()) this.drawText(group.text.replace(/^ +/, ''), left + (group.text.startsWith(' ') ? this.measure(' ', group.style) : 0), this.y, group.style);
+                left += group.width;
+            });
+            this.y += lineHeight;
+        });
+    }
+
+    /**
+     * Draws a horizontal line across the content width.
+     * @param {Object} [options] - `{ color, thickness }`.
+     */
+    rule(options = {}) {
+        const y = this.height - this.y;
+        this.page.ops.push(`${toPdfColor(options.color || '#cbd5e1')} RG ${num(options.thickness || 0.75)} w ${num(this.margin)} ${num(y)} m ${num(this.margin + this.contentWidth)} ${num(y)} l S`);
+    }
+
+    /**
+     * Serializes the document.
+     * @returns {Buffer} PDF file contents.
+     */
+    toBuffer() {
+        const objects = [];
+        const reserve = () => objects.push(null);
+        const set = (id, body) => { objects[id - 1] = body; };
+        const add = body => objects.push(body);
+
+        const catalogId = reserve();
+        const pagesId = reserve();
+        const fontIds = Object.keys(FONTS).map(style => add(`<< /Type /Font /Subtype /Type1 /BaseFont /${FONTS[style]} /Encoding /WinAnsiEncoding >>`));
+        const fonts = fontIds.map((id, i) => `/F${i + 1} ${id} 0 R`).join(' ');
+
+        const pageIds = this.pages.map(page => {
+            const stream = zlib.deflateSync(Buffer.from(page.ops.join('\n'), 'latin1'));
+            const contentId = add(Buffer.concat([
+                Buffer.from(`<< /Length ${stream.length} /Filter /FlateDecode >>\nstream\n`, 'latin1'),
+                stream,
+                Buffer.from('\nendstream', 'latin1')
+            ]));
+            const annots = page.links.map(link => add(
+                `<< /Type /Annot /Subtype /Link /Rect [${link.rect.map(num).join(' ')}] /Border [0 0 0] /A << /S /URI /URI ${toPdfString(link.url.replace(/[^\x20-\x7e]/g, c => encodeURIComponent(c)), 'regular')} >> >>`
+            ));
+            return add(`<< /Type /Page /Parent ${pagesId} 0 R /MediaBox [0 0 ${this.width} ${this.height}] /Resources << /Font << ${fonts} >> >> /Contents ${contentId} 0 R${annots.length ? ` /Annots [${annots.map(id => `${id} 0 R`).join(' ')}]` : ''} >>`);
+        });
+
+        set(catalogId, `<< /Type /Catalog /Pages ${pagesId} 0 R >>`);
+        set(pagesId, `<< /Type /Pages /Kids [${pageIds.map(id => `${id} 0 R`).join(' ')}] /Count ${pageIds.length} >>`);
+
+        const info = Object.keys(this.info)
+            .filter(key => this.info[key])
+            .map(key => `/${key[0].toUpperCase()}${key.slice(1)} ${toPdfTextString(String(this.info[key]))}`);
+        const infoId = add(`<< ${info.join(' ')} >>`);
+
+        // Header, numbered objects, then the cross-reference table pointing at each
+        const chunks = [Buffer.from('%PDF-1.4\n%\xe2\xe3\xcf\xd3\n', 'latin1')];
+        const offsets = [];
+        let length = chunks[0].length;
+        objects.forEach((body, i) => {
+            const chunk = Buffer.concat([
+                Buffer.from(`${i + 1} 0 obj\n`, 'latin1'),
+                Buffer.isBuffer(body) ? body : Buffer.from(body, 'latin1'),
+                Buffer.from('\nendobj\n', 'latin1')
+            ]);
+            offsets.push(length);
+            chunks.push(chunk);
+            length += chunk.length;
+        });
+
+        const xref = [
+            'xref',
+            `0 ${objects.length + 1}`,
+            '0000000000 65535 f ',
+            ...offsets.map(offset => `${String(offset).padStart(10, '0')} 00000 n `),
+            'trailer',
+            `<< /Size ${objects.length + 1} /Root ${catalogId} 0 R /Info ${infoId} 0 R >>`,
+            'startxref',
+            String(length),
+            '%%EOF',
+            ''
+        ].join('\n');
+        chunks.push(Buffer.from(xref, 'latin1'));
+        return Buffer.concat(chunks);
+    }
+}
+
+module.exports = { PdfDocument };
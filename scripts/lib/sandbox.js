@@ -0,0 +1,39 @@
+/**
+ * Page Script Sandbox
+ *
+ * Runs some of the site's browser scripts in Node, so the command-line tools
+ * reuse their functions (content merging, validation, conversions) instead of
+ * keeping copies. The scripts share one global scope, as in the page.
+ */
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const ROOT = path.resolve(__dirname, '..', '..');
+
+/**
+ * Runs page scripts, in order, in a fresh global scope.
+ * @param {string[]} files - Script paths relative to the project.
+ * @returns {Object} vm context exposing their global functions.
+ */
+function loadPageScripts(files) {
+    const context = vm.createContext({ console });
+    files.forEach(file => {
+        new vm.Script(fs.readFileSync(path.join(ROOT, file), 'utf8'), { filename: file }).runInContext(context);
+    });
+    return context;
+}
+
+/**
+ * Reads a JSON file from the project.
+ * @param {string} file - Path relative to the project.
+ * @returns {Object} Parsed JSON.
+ */
+function readProjectJson(file) {
+    return JSON.parse(fs.readFileSync(path.join(ROOT, file), 'utf8'));
+}
+
+module.exports = { ROOT, loadPageScripts, readProjectJson };
@@ -0,0 +1,206 @@
+#!/usr/bin/env node
+/**
+ * Resume Build
+ *
+ * Writes the resume as PDF, plain text and Markdown for every locale, from
+ * the same content and the same data (js/resume.js) as the page's print
+ * layout, so the download button never serves an outdated document.
+ *
+ * Usage: node scripts/resume.js [--out .] [--formats pdf,txt,md]
+ *
+ * Files are named after each locale's `profile.resume_url` (e.g.
+ * Jay_Kuang-Resume.pdf, .txt and .md). A locale that shares the default
+ * locale's file gets a `.<code>` suffix instead. Fails on content errors.
+ */
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const { PdfDocument } = require('./lib/pdf');
+const { ROOT, loadPageScripts, readProjectJson } = require('./lib/sandbox');
+const { readRepoCache } = require('./github');
+
+/**
+ * Page scripts providing content merging, validation, GitHub data, dates and the resume data.
+ */
+const RESUME_SCRIPTS = ['js/utils.js', 'js/sanitize.js', 'js/schema.js', 'js/i18n.js', 'js/dates.js', 'js/github.js', 'js/resume.js'];
+
+/**
+ * Output formats, by file extension.
+ */
+const RESUME_FORMATS = {
+    pdf: (resume, context, accent) => renderResumePdf(resume, accent),
+    txt: (resume, context) => context.renderResumeText(resume),
+    md: (resume, context) => context.renderResumeMarkdown(resume)
+};
+
+/**
+ * Reads `--name value` options from the command line.
+ * @param {string[]} argv - Arguments after the script name.
+ * @returns {Object} Options with defaults applied.
+ */
+function parseArgs(argv) {
+    const options = { out: '.', formats: Object.keys(RESUME_FORMATS).join(',') };
+    for (let i = 0; i < argv.length; i++) {
+        const match = /^--([\w-]+)(?:=(.*))?$/.exec(argv[i]);
+        if (!match) throw new Error(`Unexpected argument: ${argv[i]}`);
+        if (match[2] !== undefined) options[match[1]] = match[2];
+        else if (i + 1 < argv.length && !argv[i + 1].startsWith('--')) options[match[1]] = argv[++i];
+        else throw new Error(`Missing value for --${match[1]}`);
+    }
+    return options;
+}
+
+/**
+ * Lays out the resume as a Letter-size PDF.
+ * @param {Object} resume - Resume from getResumeData().
+ * @param {string} accent - Heading colour (hex).
+ * @returns {Buffer} PDF file contents.
+ */
+function renderResumePdf(resume, accent) {
+    const ink = '#0f172a';
+    const body = '#334155';
+    const muted = '#64748b';
+
+    const doc = new PdfDocument({
+        margin: 50,
+        info: { title: [resume.name, resume.role].join(' - '), author: resume.name }
+    });
+
+    doc.text(resume.name, { font: 'bold', size: 22, color: ink, lineHeight: 28 });
+    doc.text(resume.role, { size: 12, color: muted, lineHeight: 18 });
+    if (resume.contacts.length) {
+        const runs = [];
+        resume.contacts.forEach((contact, i) => {
+            if (i > 0) runs.push({ text: ' · ', color: '#94a3b8' });
+            runs.push({ text: contact.label, color: contact.url ? accent : body, link: contact.url });
+        });
+        doc.text(runs, { size: 9, lineHeight: 13 });
+    }
+
+    resume.sections.forEach(section => {
+        doc.moveDown(12);
+        doc.ensureSpace(48);
+        doc.text(section.heading.toUpperCase(), { font: 'bold', size: 10, color: accent, lineHeight: 14 });
+        doc.rule();
+        doc.moveDown(6);
+
+        section.entries.forEach((entry, i) => {
+            const text = { size: 9.5, color: body, lineHeight: 13.5 };
+            if (entry.inline) {
+                doc.text([{ text: `${entry.title}: `, font: 'bold', color: ink }, { text: entry.text.join(' ') }], text);
+                return;
+            }
+
+            if (i > 0) doc.moveDown(6);
+            if (entry.title) {
+                // Keep the title with at least one line of its description
+                doc.ensureSpace(28);
+                const period = { font: 'italic', size: 9, color: muted };
+                const periodWidth = entry.period ? doc.measure(entry.period, period) : 0;
+                if (entry.period) doc.drawText(entry.period, doc.margin + doc.contentWidth - periodWidth, doc.y + 1.2, period);
+
+                const runs = [{ text: entry.title, font: 'bold', link: entry.url }];
+                if (entry.subtitle) runs.push({ text: ` — ${entry.subtitle}`, color: muted });
+                doc.text(runs, { size: 10.5, color: ink, lineHeight: 14, width: doc.contentWidth - periodWidth - 12 });
+            }
+
+            (entry.text || []).forEach(line => doc.text(line, text));
+            (entry.items || []).forEach(item => {
+                doc.ensureSpace(text.lineHeight);
+                doc.drawText('•', doc.margin + 4, doc.y, text);
+                doc.text(item, { ...text, x: doc.margin + 14 });
+            });
+        });
+    });
+
+    return doc.toBuffer();
+}
+
+/**
+ * Picks the output name (without extension) for each locale's resume.
+ * @param {Object} content - Localized content.
+ * @param {string} code - Locale code.
+ * @param {Set<string>} used - Names already taken by other locales.
+ * @returns {string|null} Project-relative name, or null if the resume isn't a local PDF.
+ */
+function getResumeName(content, code, used) {
+    const url = (content.profile && content.profile.resume_url) || 'resume.pdf';
+    const file = decodeURIComponent(url.split(/[?#]/)[0]);
+    if (/^([a-z][a-z0-9+.-]*:|\/\/)/i.test(url) || !/\.pdf$/i.test(file)) return null;
+
+    const name = file.replace(/\.pdf$/i, '');
+    if (!used.has(name)) return name;
+
+    // The page links this locale to another locale's file; write it alongside
+    console.warn(`${code}: profile.resume_url is shared with another language, writing ${name}.${code}.* (set profile.resume_url for ${code} to link to it)`);
+    return `${name}.${code}`;
+}
+
+/**
+ * Writes every locale's resume in the requested formats.
+ * @param {string} outDir - Output folder.
+ * @param {string[]} [formats] - File extensions to write.
+ * @returns {string[]} Written files, relative to the output folder.
+ */
+function writeResumes(outDir, formats = Object.keys(RESUME_FORMATS)) {
+    const unknown = formats.filter(format => !RESUME_FORMATS[format]);
+    if (unknown.length) throw new Error(`Unknown format(s): ${unknown.join(', ')} (use ${Object.keys(RESUME_FORMATS).join(', ')})`);
+
+    const context = loadPageScripts(RESUME_SCRIPTS);
+    const base = readProjectJson('content.json');
+    const schema = readProjectJson('content.schema.json');
+    const repos = readRepoCache();
+    const locales = context.getLocales(base.i18n);
+    const defaultLocale = context.getDefaultLocale(base.i18n);
+
+    // Default locale first, so it keeps the plain file names
+    const ordered = [...locales].sort((a, b) => (b.code === defaultLocale) - (a.code === defaultLocale));
+    const used = new Set();
+    const written = [];
+    let failed = false;
+
+    ordered.forEach(({ code, file }) => {
+        const content = context.applyRepoMetadata(file ? context.mergeContent(base, readProjectJson(file)) : base, repos);
+        const errors = context.validateContent(content, schema);
+        if (errors.length) {
+            failed = true;
+            console.error(`${code}: content has ${errors.length} problem(s):\n` + errors.map(err => `  ${err.path || '(root)'}: ${err.message}`).join('\n'));
+            return;
+        }
+
+        const name = getResumeName(content, code, used);
+        if (!name) {
+            console.warn(`${code}: profile.resume_url is not a local PDF, skipping`);
+            return;
+        }
+        used.add(name);
+
+        const resume = context.getResumeData(context.prepareContent(content, code));
+        const accent = (content.theme && content.theme.primary) || '#135bec';
+        formats.forEach(format => {
+            const target = path.join(outDir, `${name}.${format}`);
+            fs.mkdirSync(path.dirname(target), { recursive: true });
+            fs.writeFileSync(target, RESUME_FORMATS[format](resume, context, accent));
+            written.push(path.relative(outDir, target));
+        });
+    });
+
+    if (failed) throw new Error('Resume build failed: fix the content problems above.');
+    return written;
+}
+
+if (require.main === module) {
+    try {
+        const options = parseArgs(process.argv.slice(2));
+        const outDir = path.resolve(ROOT, options.out);
+        writeResumes(outDir, options.formats.split(',').map(format => format.trim()).filter(Boolean))
+            .forEach(file => console.log(`Wrote ${path.relative(process.cwd(), path.join(outDir, file))}`));
+    } catch (error) {
+        console.error(error.message);
+        process.exitCode = 1;
+    }
+}
+
+module.exports = { writeResumes };
@@ -0,0 +1,405 @@
+#!/usr/bin/env node
+/**
+ * Dev Server
+ *
+ * Serves the site locally (browsers block fetch() from pages opened as
+ * file://) and keeps open pages up to date. It watches the site's files and
+ * announces changes as server-sent events to js/live-reload.js, which it adds
+ * to every page: content files (content.json, its translations and schema,
+ * the posts) re-render the sections they affect, anything else the page loads
+ * (index.html, app.js, js/, styles) reloads it. It also stands in for the
+ * contact form's endpoint and the `beacon` analytics provider's, printing
+ * each message and event instead of passing it on.
+ *
+ * Usage: node scripts/serve.js [--port 8000] [--host localhost]
+ */
+
+'use strict';
+
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+const { ROOT, readProjectJson } = require('./lib/sandbox');
+
+/**
+ * Stream of change events, read by js/live-reload.js.
+ */
+const EVENTS_PATH = '/__dev/events';
+
+/**
+ * Local stand-in for the contact form endpoint.
+ */
+const CONTACT_PATH = '/__dev/contact';
+
+/**
+ * Local stand-in for the `beacon` analytics endpoint.
+ */
+const ANALYTICS_PATH = '/__dev/analytics';
+
+/**
+ * Client added to the pages served.
+ */
+const CLIENT_SCRIPT = 'js/live-reload.js';
+
+/**
+ * Editors write a file in several steps; changes closer than this are one.
+ */
+const WATCH_DELAY = 100;
+
+/**
+ * Largest contact form submission accepted, in bytes.
+ */
+const MAX_BODY_SIZE = 1024 * 1024;
+
+/**
+ * Content types by file extension.
+ */
+const MIME_TYPES = {
+    '.html': 'text/html; charset=utf-8',
+    '.js': 'text/javascript; charset=utf-8',
+    '.json': 'application/json; charset=utf-8',
+    '.css': 'text/css; charset=utf-8',
+    '.md': 'text/markdown; charset=utf-8',
+    '.txt': 'text/plain; charset=utf-8',
+    '.xml': 'application/xml; charset=utf-8',
+    '.webmanifest': 'application/manifest+json; charset=utf-8',
+    '.svg': 'image/svg+xml',
+    '.png': 'image/png',
+    '.jpg': 'image/jpeg',
+    '.jpeg': 'image/jpeg',
+    '.gif': 'image/gif',
+    '.webp': 'image/webp',
+    '.ico': 'image/x-icon',
+    '.woff2': 'font/woff2',
+    '.woff': 'font/woff',
+    '.ttf': 'font/ttf',
+    '.pdf': 'application/pdf'
+};
+
+/**
+ * Extensions of files that reload the page when they change.
+ */
+const PAGE_EXTENSIONS = new Set(['.html', '.js', '.css', '.webmanifest']);
+
+/**
+ * Reads `--name value` options from the command line.
+ * @param {string[]} argv - Arguments after the script name.
+ * @returns {Object} Options with defaults applied.
+ */
+function parseArgs(argv) {
+    const options = { port: 8000, host: 'localhost' };
+    for (let i = 0; i < argv.length; i++) {
+        const match = /^--([\w-]+)(?:=(.*))?$/.exec(argv[i]);
+        if (!match) throw new Error(`Unexpected argument: ${argv[i]}`);
+        if (match[2] !== undefined) options[match[1]] = match[2];
+        else if (i + 1 < argv.length && !argv[i + 1].startsWith('--')) options[match[1]] = argv[++i];
+        else options[match[1]] = true;
+    }
+    return options;
+}
+
+/**
+ * Normalizes a path from the content (e.g. "./posts/a.md") to its form
+ * relative to the project.
+ * @param {string} file - Path as written.
+ * @returns {string} Path with forward slashes.
+ */
+function normalizeFile(file) {
+    return path.posix.normalize(String(file)).replace(/^\.\//, '');
+}
+
+/**
+ * Lists the files the page reads as content: content.json, its schema, the
+ * translations and the posts.
+ * @returns {Set<string>} Paths relative to the project.
+ */
+function getContentFiles() {
+    const files = new Set(['content.json', 'content.schema.json']);
+    try {
+        const content = readProjectJson('content.json');
+        ((content.i18n && content.i18n.locales) || []).forEach(locale => {
+            if (locale.file) files.add(normalizeFile(locale.file));
+        });
+        ((content.posts && content.posts.files) || []).forEach(file => files.add(normalizeFile(file)));
+    } catch (error) {
+        // Invalid while being edited; the page reports the problem
+    }
+    return files;
+}
+
+/**
+ * Tells what a change to a file means for open pages.
+ * @param {string} file - Path relative to the project.
+ * @param {Set<string>} contentFiles - Result of getContentFiles().
+ * @returns {string|null} 'content', 'reload', or null when pages don't use it.
+ */
+function getChangeType(file, contentFiles) {
+    if (contentFiles.has(file)) return 'content';
+    if (file.startsWith('dist/') || file.split('/').some(part => part.startsWith('.'))) return null;
+    return PAGE_EXTENSIONS.has(path.extname(file)) ? 'reload' : null;
+}
+
+/**
+ * Resolves a request path to a file inside the project, or null for
+ * anything outside it and hidden files (.git...).
+ * @param {string} pathname - URL path.
+ * @returns {string|null} Absolute file path.
+ */
+function resolveRequestFile(pathname) {
+    let name;
+    try {
+        name = decodeURIComponent(pathname);
+    } catch (error) {
+        return null;
+    }
+    if (name.split('/').some(part => part.startsWith('.'))) return null;
+
+    const file = path.resolve(ROOT, '.' + name);
+    if (file !== ROOT && !file.startsWith(ROOT + path.sep)) return null;
+    if (fs.existsSync(file) && fs.statSync(file).isDirectory()) return path.join(file, 'index.html');
+    return file;
+}
+
+/**
+ * Adds the live reload client to a page, after the page's own scripts.
+ * @param {string} html - Page HTML.
+ * @returns {string} Page HTML.
+ */
+function addClientScript(html) {
+    const tag = `<script src="/${CLIENT_SCRIPT}"></script>`;
+    return /<\/body>/i.test(html) ? html.replace(/<\/body>/i, `    ${tag}\n</body>`) : html + tag;
+}
+
+/**
+ * Serves a project file; pages get the live reload client. Nothing is
+ * cached, so every reload sees the files as they are.
+ * @param {http.IncomingMessage} req - Request.
+ * @param {http.ServerResponse} res - Response.
+ * @param {string} pathname - URL path.
+ */
+function serveFile(req, res, pathname) {
+    const file = resolveRequestFile(pathname);
+    if (!file || !fs.existsSync(file) || !fs.statSync(file).isFile()) {
+        res.writeHead(404, { 'Content-Type': 'text/plain; charset=utf-8' });
+        res.end('Not found');
+        return;
+    }
+
+    const type = MIME_TYPES[path.extname(file).toLowerCase()] || 'application/octet-stream';
+    let body = fs.readFileSync(file);
+    if (path.extname(file) === '.html') body = Buffer.from(addClientScript(body.toString('utf8')));
+
+    res.writeHead(200, { 'Content-Type': type, 'Content-Length': body.length, 'Cache-Control': 'no-store' });
+    res.end(req.method === 'HEAD' ? undefined : body);
+}
+
+/**
+ * Reads a request body as text.
+ * @param {http.IncomingMessage} req - Request.
+ * @returns {Promise<string>} Body; rejects past MAX_BODY_SIZE.
+ */
+function readBody(req) {
+    return new Promise((resolve, reject) => {
+        const chunks = [];
+        let size = 0;
+        req.on('data', chunk => {
+            size += chunk.length;
+            if (size > MAX_BODY_SIZE) {
+                reject(new Error('Request body too large'));
+                req.destroy();
+                return;
+            }
+            chunks.push(chunk);
+        });
+        req.on('end', () => resolve(Buffer.concat(chunks).toString('utf8')));
+        req.on('error', reject);
+    });
+}
+
+/**
+ * Reads the text fields of a multipart/form-data body.
+ * @param {string} body - Request body.
+ * @param {string} boundary - Boundary from the Content-Type header.
+ * @returns {Object} Values keyed by field name.
+ */
+function parseMultipart(body, boundary) {
+    const fields = {};
+    body.split(`--${boundary}`).forEach(part => {
+        const match = /^\r\n([\s\S]*?)\r\n\r\n([\s\S]*)\r\n$/.exec(part);
+        const name = match && /\bname="([^"]*)"/i.exec(match[1]);
+        if (name) fields[name[1]] = match[2];
+    });
+    return fields;
+}
+
+/**
+ * Reads a contact form submission in any of the formats the transports send
+ * (js/transports.js): multipart, urlencoded or JSON.
+ * @param {string} type - Content-Type header.
+ * @param {string} body - Request body.
+ * @returns {Object} Values keyed by field name.
+ */
+function parseSubmission(type, body) {
+    const boundary = /multipart\/form-data;.*boundary="?([^";]+)"?/i.exec(type);
+    if (boundary) return parseMultipart(body, boundary[1]);
+    if (/application\/x-www-form-urlencoded/i.test(type)) return Object.fromEntries(new URLSearchParams(body));
+    if (/json/i.test(type) || /^\s*\{/.test(body)) return JSON.parse(body);
+    return { body };
+}
+
+/**
+ * Prints a contact form submission.
+ * @param {Object} fields - Values keyed by field name.
+ */
+function logSubmission(fields) {
+    const lines = Object.keys(fields)
+        .filter(name => fields[name] !== '')
+        .map(name => `  ${name}: ${String(fields[name]).replace(/\n/g, '\n    ')}`);
+    console.log(`\nContact form message (${new Date().toLocaleString()}):\n${lines.join('\n') || '  (empty)'}\n`);
+}
+
+/**
+ * Accepts a contact form submission and answers like Formspree.
+ * @param {http.IncomingMessage} req - Request.
+ * @param {http.ServerResponse} res - Response.
+ */
+async function handleContact(req, res) {
+    let status = 200;
+    let answer = { ok: true };
+    try {
+        logSubmission(parseSubmission(req.headers['content-type'] || '', await readBody(req)));
+    } catch (error) {
+        console.warn(`Could not read a contact form message: ${error.message}`);
+        status = 400;
+        answer = { ok: false, error: error.message };
+    }
+    res.writeHead(status, { 'Content-Type': 'application/json; charset=utf-8', 'Cache-Control': 'no-store' });
+    res.end(JSON.stringify(answer));
+}
+
+/**
+ * Accepts an analytics beacon (js/analytics.js) and prints the event.
+ * @param {http.IncomingMessage} req - Request.
+ * @param {http.ServerResponse} res - Response.
+ */
+async function handleBeacon(req, res) {
+    try {
+        const { name, params, page, locale } = JSON.parse(await readBody(req));
+        const details = params && Object.keys(params).length ? ` ${JSON.stringify(params)}` : '';
+        console.log(`Analytics: ${name}${details} on ${page || '/'}${locale ? ` (${locale})` : ''}`);
+        res.writeHead(204, { 'Cache-Control': 'no-store' });
+    } catch (error) {
+        console.warn(`Could not read an analytics beacon: ${error.message}`);
+        res.writeHead(400, { 'Cache-Control': 'no-store' });
+    }
+    res.end();
+}
+
+/**
+ * Starts the server and the file watchers.
+ * @param {Object} options - Parsed CLI options (`port`, `host`).
+ * @returns {Promise<http.Server>} The listening server; closing it stops the
+ * watchers (open event streams need closeAllConnections()).
+ */
+function serve(options) {
+    const clients = new Set();
+    const watchers = new Map();
+    const timers = new Map();
+    let contentFiles = getContentFiles();
+
+    const broadcast = (type, file) => {
+        const message = `event: ${type}\ndata: ${JSON.stringify({ file })}\n\n`;
+        clients.forEach(res => res.write(message));
+    };
+
+    const handleChange = file => {
+        if (file === 'content.json') {
+            contentFiles = getContentFiles();
+            watchFolders();
+        }
+        const type = getChangeType(file, contentFiles);
+        if (!type) return;
+        console.log(`${file} changed${clients.size ? `, ${type === 'content' ? 'updating' : 'reloading'} ${clients.size} page(s)` : ''}`);
+        broadcast(type, file);
+    };
+
+    // Folders holding the page, its scripts and the content (e.g. posts/)
+    const watchFolders = () => {
+        const folders = new Set(['', 'js', ...[...contentFiles].map(file => path.posix.dirname(file).replace(/^\.$/, ''))]);
+        folders.forEach(folder => {
+            const dir = path.join(ROOT, folder);
+            if (watchers.has(folder) || !fs.existsSync(dir)) return;
+            watchers.set(folder, fs.watch(dir, (event, name) => {
+                if (!name) return;
+                const file = folder ? `${folder}/${name}` : String(name);
+                clearTimeout(timers.get(file));
+                timers.set(file, setTimeout(() => {
+                    timers.delete(file);
+                    handleChange(file);
+                }, WATCH_DELAY));
+            }));
+        });
+    };
+    watchFolders();
+
+    const server = http.createServer((req, res) => {
+        const { pathname } = new URL(req.url, 'http://localhost');
+
+        if (pathname === EVENTS_PATH) {
+            res.writeHead(200, { 'Content-Type': 'text/event-stream', 'Cache-Control': 'no-store', 'Connection': 'keep-alive' });
+            res.write('retry: 1000\n\n');
+            clients.add(res);
+            req.on('close', () => clients.delete(res));
+            return;
+        }
+        if (pathname === CONTACT_PATH && req.method === 'POST') {
+            handleContact(req, res);
+            return;
+        }
+        if (pathname === ANALYTICS_PATH && req.method === 'POST') {
+            handleBeacon(req, res);
+            return;
+        }
+        if (req.method !== 'GET' && req.method !== 'HEAD') {
+            res.writeHead(405, { 'Allow': 'GET, HEAD', 'Content-Type': 'text/plain; charset=utf-8' });
+            res.end('Method not allowed');
+            return;
+        }
+        serveFile(req, res, pathname);
+    });
+
+    server.on('close', () => {
+        watchers.forEach(watcher => watcher.close());
+        timers.forEach(timer => clearTimeout(timer));
+    });
+
+    return new Promise((resolve, reject) => {
+        server.once('error', error => {
+            server.close();
+            reject(error.code === 'EADDRINUSE' ? new Error(`Port ${options.port} is in use; pick another with --port.`) : error);
+        });
+        server.listen(Number(options.port), options.host, () => resolve(server));
+    });
+}
+
+if (require.main === module) {
+    let options;
+    try {
+        options = parseArgs(process.argv.slice(2));
+    } catch (error) {
+        console.error(error.message);
+        process.exit(1);
+    }
+    serve(options)
+        .then(server => {
+            const { port } = server.address();
+            console.log(`Serving ${ROOT} at http://${options.host}:${port}/`);
+            console.log('Open pages update when files change; contact form messages and analytics beacons are printed here. Ctrl+C to stop.');
+        })
+        .catch(error => {
+            console.error(error.message);
+            process.exitCode = 1;
+        });
+}
+
+module.exports = { serve };
@@ -0,0 +1,258 @@
+/**
+ * Service Worker
+ *
+ * Keeps the portfolio readable offline. Installing it precaches the page
+ * shell (index.html and the scripts, stylesheets, fonts and icons it loads,
+ * including the fonts of the built stylesheet),
+ * content.json and the files content points to: translations, posts, the
+ * resume and github.json. Requests are then answered from the cache while a
+ * fresh copy is fetched for next time (stale-while-revalidate). When a
+ * content file comes back changed, open pages are told so they can offer a
+ * reload (js/pwa.js). Images from other origins (e.g. project screenshots)
+ * are kept in a cache of their own, capped at IMAGE_CACHE_LIMIT.
+ *
+ * Change CACHE_VERSION to drop every cached file on the next visit.
+ */
+
+'use strict';
+
+const CACHE_VERSION = 'v1';
+const CACHE_NAME = `portfolio-${CACHE_VERSION}`;
+const IMAGE_CACHE_NAME = `portfolio-images-${CACHE_VERSION}`;
+
+/**
+ * Most images kept from other origins. Their responses are opaque, and
+ * browsers count each one as several megabytes of the site's storage quota.
+ */
+const IMAGE_CACHE_LIMIT = 30;
+
+/**
+ * Files precached whatever the page and content list.
+ */
+const PRECACHE_FILES = ['./', 'index.html', 'app.js', 'content.json', 'content.schema.json', 'github.json', 'manifest.webmanifest'];
+
+/**
+ * Other origins the page loads its runtime, fonts and icons from.
+ */
+const CDN_ORIGINS = ['https://cdn.tailwindcss.com', 'https://fonts.googleapis.com', 'https://fonts.gstatic.com', 'https://cdn.jsdelivr.net'];
+
+/**
+ * Files whose changes are reported to the page as new content.
+ */
+const CONTENT_FILE_PATTERN = /\.(json|md|markdown)$/i;
+
+/**
+ * Fetches a same-origin text file, or '' when it can't be read.
+ * @param {string} url - File URL.
+ * @returns {Promise<string>} File content.
+ */
+async function fetchText(url) {
+    try {
+        const response = await fetch(url, { cache: 'reload' });
+        return response.ok ? await response.text() : '';
+    } catch (error) {
+        return '';
+    }
+}
+
+/**
+ * Parses a same-origin JSON file, or returns null.
+ * @param {string} url - File URL.
+ * @returns {Promise<Object|null>} Parsed JSON.
+ */
+async function fetchJsonFile(url) {
+    try {
+        return JSON.parse(await fetchText(url));
+    } catch (error) {
+        return null;
+    }
+}
+
+/**
+ * Lists the files worth having offline: the fixed ones, what index.html
+ * loads, what content.json and its translations point to, and the
+ * manifest's icons.
+ * @returns {Promise<string[]>} Absolute URLs.
+ */
+async function getPrecacheUrls() {
+    const urls = new Set(PRECACHE_FILES);
+
+    const page = await fetchText('index.html');
+    for (const match of page.matchAll(/<(?:script|link)\b[^>]*?\s(?:src|href)="([^"#]+)"/gi)) {
+        urls.add(match[1].replace(/&amp;/g, '&'));
+    }
+
+    const content = (await fetchJsonFile('content.json')) || {};
+    const i18n = content.i18n || {};
+    const locales = (i18n.locales || []).filter(locale => locale.file);
+    const translations = await Promise.all(locales.map(locale => fetchJsonFile(locale.file)));
+    [content, ...translations].forEach(data => {
+        if (data && data.profile && data.profile.resume_url) urls.add(data.profile.resume_url);
+    });
+    locales.forEach(locale => {
+        urls.add(locale.file);
+        // Pages written by the static build for the other locales
+        if (locale.code !== (i18n.default_locale || (i18n.locales[0] || {}).code)) urls.add(`index.${locale.code}.html`);
+    });
+    ((content.posts && content.posts.files) || []).forEach(file => urls.add(file));
+
+    const manifest = (await fetchJsonFile('manifest.webmanifest')) || {};
+    (manifest.icons || []).forEach(icon => urls.add(icon.src));
+
+    const absolute = [...urls]
+        .map(url => new URL(url, self.location).href)
+        .filter(url => isCachedOrigin(new URL(url).origin));
+
+    // Fonts of the built stylesheet (assets/site.css), relative to it
+    const stylesheets = absolute.filter(url => new URL(url).origin === self.location.origin && /\.css$/.test(new URL(url).pathname));
+    for (const stylesheet of stylesheets) {
+        for (const match of (await fetchText(stylesheet)).matchAll(/url\(["']?([^"')]+)["']?\)/g)) {
+            if (!match[1].startsWith('data:')) absolute.push(new URL(match[1], stylesheet).href);
+        }
+    }
+    return [...new Set(absolute)];
+}
+
+/**
+ * Whether requests to an origin are cached.
+ * @param {string} origin - URL origin.
+ * @returns {boolean} True for this site and the CDNs it loads.
+ */
+function isCachedOrigin(origin) {
+    return origin === self.location.origin || CDN_ORIGINS.includes(origin);
+}
+
+/**
+ * Whether a response can be stored: a success, or an opaque one from a CDN
+ * (scripts and stylesheets loaded without CORS).
+ * @param {Response} response - Network response.
+ * @returns {boolean} True if it can be cached.
+ */
+function isCacheable(response) {
+    return !!response && (response.ok || response.type === 'opaque');
+}
+
+/**
+ * Returns the cache key of a request. Pages are stored without their query,
+ * so `?lang=fr` and `?edit` open offline too.
+ * @param {Request} request - Request.
+ * @returns {Request|string} Cache key.
+ */
+function getCacheKey(request) {
+    if (request.mode !== 'navigate') return request;
+    const url = new URL(request.url);
+    url.search = '';
+    url.hash = '';
+    return url.href;
+}
+
+/**
+ * Caches every file the page needs offline. Files that can't be fetched are
+ * skipped, so one missing file doesn't stop the install.
+ * @returns {Promise<void>}
+ */
+async function precache() {
+    const cache = await caches.open(CACHE_NAME);
+    const urls = await getPrecacheUrls();
+    await Promise.all(urls.map(async url => {
+        try {
+            const sameOrigin = new URL(url).origin === self.location.origin;
+            const response = await fetch(new Request(url, { mode: sameOrigin ? 'same-origin' : 'no-cors', cache: 'reload' }));
+            if (isCacheable(response)) await cache.put(url, response);
+        } catch (error) {
+            console.warn(`Could not precache ${url}:`, error);
+        }
+    }));
+}
+
+/**
+ * Tells open pages that a content file changed, if it did.
+ * @param {Response} previous - Cached copy.
+ * @param {Response} response - Fresh copy.
+ * @param {string} url - File URL.
+ * @returns {Promise<void>}
+ */
+async function notifyIfChanged(previous, response, url) {
+    const [before, after] = await Promise.all([previous.text(), response.text()]);
+    if (before === after) return;
+
+    const pages = await self.clients.matchAll({ type: 'window' });
+    pages.forEach(page => page.postMessage({ type: 'content-updated', url }));
+}
+
+/**
+ * Deletes the oldest entries of a cache beyond a limit. Storing a response
+ * again moves it to the end, so the entries kept are the recently used ones.
+ * @param {Cache} cache - Cache.
+ * @param {number} limit - Entries to keep.
+ * @returns {Promise<void>}
+ */
+async function trimCache(cache, limit) {
+    const keys = await cache.keys();
+    await Promise.all(keys.slice(0, Math.max(0, keys.length - limit)).map(key => cache.delete(key)));
+}
+
+/**
+ * Answers from the cache and refreshes it from the network in the
+ * background. Without a cached copy the network answers; offline, pages fall
+ * back to index.html.
+ * @param {FetchEvent} event - Fetch event.
+ * @param {string} [cacheName=CACHE_NAME] - Cache to use.
+ * @param {number} [limit] - Most entries the cache keeps.
+ * @returns {Promise<Response>} Response.
+ */
+async function staleWhileRevalidate(event, cacheName = CACHE_NAME, limit = Infinity) {
+    const { request } = event;
+    const cache = await caches.open(cacheName);
+    const key = getCacheKey(request);
+    const cached = await cache.match(key);
+
+    // The cached body goes to the page, so compare against a copy
+    const previous = cached && CONTENT_FILE_PATTERN.test(new URL(request.url).pathname) ? cached.clone() : null;
+
+    const network = fetch(request).then(async response => {
+        if (isCacheable(response)) {
+            await cache.put(key, response.clone());
+            if (limit !== Infinity) await trimCache(cache, limit);
+            if (previous && response.ok) await notifyIfChanged(previous, response.clone(), request.url);
+        }
+        return response;
+    });
+
+    if (cached) {
+        event.waitUntil(network.catch(() => { }));
+        return cached;
+    }
+
+    try {
+        return await network;
+    } catch (error) {
+        const fallback = request.mode === 'navigate' && await cache.match('index.html');
+        if (fallback) return fallback;
+        throw error;
+    }
+}
+
+self.addEventListener('install', event => {
+    event.waitUntil(precache().then(() => self.skipWaiting()));
+});
+
+self.addEventListener('activate', event => {
+    event.waitUntil((async () => {
+        const names = await caches.keys();
+        await Promise.all(names
+            .filter(name => name.startsWith('portfolio-') && name !== CACHE_NAME && name !== IMAGE_CACHE_NAME)
+            .map(name => caches.delete(name)));
+        await self.clients.claim();
+    })());
+});
+
+self.addEventListener('fetch', event => {
+    const { request } = event;
+    const url = new URL(request.url);
+
+    // Only reads are cached, from this site, its CDNs, or images anywhere (e.g. project screenshots)
+    if (request.method !== 'GET' || request.headers.has('range')) return;
+    if (isCachedOrigin(url.origin)) event.respondWith(staleWhileRevalidate(event));
+    else if (request.destination === 'image') event.respondWith(staleWhileRevalidate(event, IMAGE_CACHE_NAME, IMAGE_CACHE_LIMIT));
+});